@@ -8,16 +8,19 @@ import {
     setCommittedTrackerData,
 } from './src/core/state.js';
 import { loadDefaultTrackerTemplate, DEFAULT_PRESET_NAME } from './src/core/dataManager.js';
-import { renderTracker } from './src/systems/rendering/tracker.js';
+import { renderTracker, setupUndoRedoControls } from './src/systems/rendering/tracker.js';
 import { setupPresetManager, saveCurrentPreset } from './src/core/presetManager.js';
 import { setupSettingsPopup, setupFieldPopup, showSettingsModal, showAddSectionModal } from './src/systems/ui/modals.js';
 import { updateTrackerData } from './src/systems/generation/apiClient.js';
 import { loadChatData, saveSettings, saveChatData } from './src/core/persistence.js';
 import { registerAllEvents } from './src/core/events.js';
-import { commitTrackerData, onMessageSent, onMessageReceived, onCharacterChanged, onMessageSwiped, updatePersonaAvatar } from './src/systems/integration/sillytavern.js';
-import { onGenerationStarted } from './src/systems/generation/injector.js';
+import { commitTrackerData, onMessageSent, onMessageReceived, onGenerationStart, onCharacterChanged, onMessageSwiped, updatePersonaAvatar } from './src/systems/integration/sillytavern.js';
+import { registerSlashCommands } from './src/systems/integration/slashCommands.js';
+import { registerTrackerMacros, onPromptReady } from './src/systems/integration/macros.js';
 import { setupMobileToggle, setupMobileKeyboardHandling, setupContentEditableScrolling } from './src/systems/ui/mobile.js';
 import { setupCollapseToggle, applyPanelPosition, updatePanelVisibility, updateGenerationModeUI } from './src/systems/ui/layout.js';
+import { showHistoryModal } from './src/systems/ui/history.js';
+import { showTokenUsageModal } from './src/systems/ui/tokenUsage.js';
 
 async function waitForElementConnection(element, label, timeout = 3000) {
     if (!element) {
@@ -197,11 +200,15 @@ function registerEventHandlers() {
     registerAllEvents({
         [eventTypes.MESSAGE_SENT]: onMessageSent,
         [eventTypes.MESSAGE_RECEIVED]: onMessageReceived,
-        [eventTypes.GENERATION_STARTED]: onGenerationStarted,
+        [eventTypes.GENERATION_STARTED]: onGenerationStart,
         [eventTypes.CHAT_CHANGED]: [onCharacterChanged, updatePersonaAvatar],
         [eventTypes.MESSAGE_SWIPED]: onMessageSwiped
     });
 
+    // Tracker macros are resolved in the final prompt of either completion API
+    const promptReadyEvents = [eventTypes.CHAT_COMPLETION_PROMPT_READY, eventTypes.GENERATE_AFTER_COMBINE_PROMPTS].filter(Boolean);
+    registerAllEvents(Object.fromEntries(promptReadyEvents.map(eventType => [eventType, onPromptReady])));
+
     eventsRegistered = true;
 }
 
@@ -299,8 +306,11 @@ async function initializeExtension(root, html, base, { viaFallback = false } = {
 
     $root.find('#story-tracker-settings').on('click', () => showSettingsModal());
     $root.find('#story-tracker-manual-update').on('click', async () => {
-        await updateTrackerData(renderTracker);
+        await updateTrackerData(renderTracker, { manual: true });
     });
+    $root.find('#story-tracker-history').on('click', () => showHistoryModal());
+    $root.find('#story-tracker-tokens').on('click', () => showTokenUsageModal());
+    setupUndoRedoControls();
     const presetModuleUrl = new URL('./src/core/presetManager.js', base);
     const getPresetModule = () => import(presetModuleUrl);
     const $presetUploadInput = $root.find('#story-tracker-preset-upload-input');
@@ -330,7 +340,7 @@ async function initializeExtension(root, html, base, { viaFallback = false } = {
                 try {
                     const text = String(loadEvent.target?.result || '');
                     const module = await getPresetModule();
-                    await module.importPresetFromText?.(text);
+                    await module.importPresetFromText?.(text, file.name);
                 } catch (error) {
                     console.error('[Story Tracker] Failed to import preset file', error);
                 } finally {
@@ -351,6 +361,8 @@ async function initializeExtension(root, html, base, { viaFallback = false } = {
     bindAddSectionButton({ $root, root });
 
     registerEventHandlers();
+    registerSlashCommands();
+    registerTrackerMacros();
 
     isExtensionInitialized = true;
     console.log('[Story Tracker] initializeExtension completed', { viaFallback });
@@ -31,7 +31,10 @@ export const defaultSettings = {
     autoUpdate: true,
     updateDepth: 4,
     generationMode: 'together', // 'together' or 'separate'
-    useSeparatePreset: false,
+    useSeparatePreset: false, // Separate mode: use the connection profile / preset below for tracker calls
+    separateConnectionProfile: '', // Connection profile name for tracker calls ('' = chat connection)
+    separateCompletionPreset: '', // Completion preset name for tracker calls ('' = chat preset)
+    separateMaxTokens: 0, // Response length for tracker calls (0 = preset default)
     showTracker: true,
     panelPosition: 'right', // 'left', 'right'
     theme: 'default',
@@ -43,6 +46,34 @@ export const defaultSettings = {
     },
     enableAnimations: true,
     dataFormat: 'json',
+    validationPolicy: 'clamp', // 'clamp' or 'reject' values that break field constraints
+    undoLimit: 50, // Maximum number of undo steps kept in memory
+    reviewUpdates: false, // Hold AI updates for review instead of applying them immediately
+    updateProtocol: 'full', // 'full' (model repeats the tracker) or 'delta' (model returns changed fields only)
+    promptEncoding: 'json', // 'json', 'compact-json', 'yaml', 'outline' ("Section > Field: value" lines) or 'xml' (<tracker> tags)
+    embedJsonSchema: false, // Show the tracker's JSON Schema in the prompt (JSON and YAML encodings)
+    structuredOutput: false, // Constrain separate-mode JSON replies with the tracker schema where the API supports it
+    trackerBackend: 'sillytavern', // Separate mode: 'sillytavern' (chat API) or 'direct' (OpenAI-compatible endpoint)
+    directApiUrl: '', // Base URL of the OpenAI-compatible endpoint, e.g. http://localhost:8080/v1
+    directApiModel: '', // Model name sent to the endpoint
+    directMaxTokens: 0, // max_tokens for direct requests (0 = endpoint default)
+    separateStrategy: 'single', // Separate mode: 'single' request or 'per-section' (one request per section)
+    sectionConcurrency: 1, // Per-section strategy: requests running at once on the direct backend (1 = one after another)
+    retryMaxAttempts: 1, // Separate mode: requests per update when the reply has no usable tracker data (1 = no retry)
+    retryReducedPayload: false, // Separate mode: re-request sections missing from the reply on their own
+    tokenBudget: 0, // Maximum tokens the injected tracker prompt may use (0 = no budget)
+    tokenBudgetAction: 'warn', // 'warn' or 'trim' low-priority sections when over budget
+    promptTemplates: {}, // Customized prompt templates by key ('instructions', 'update', 'rules', 'context'); missing keys use the defaults
+    promptInjection: { // Placement of the injected prompts for each generation mode (see getPromptPlacement)
+        together: {
+            instructions: { position: 'in-chat', depth: 0, role: 'system', scan: false, template: '' },
+            context: { position: 'in-chat', depth: 1, role: 'system', scan: false, template: '' }
+        },
+        separate: {
+            context: { position: 'in-chat', depth: 1, role: 'system', scan: false, template: '' }
+        }
+    },
+    worldInfoSync: { enabled: false, lorebook: '', items: [] }, // Lorebook mirror of the selected section and subsection ids (see syncWorldInfo)
     mobileFabPosition: {
         top: 'calc(var(--topBarBlockSize) + 60px)',
         right: '12px'
@@ -57,7 +88,10 @@ export const defaultSettings = {
 export const FIELD_TYPES = {
     TEXT: 'text',
     NUMBER: 'number',
-    BOOLEAN: 'boolean'
+    BOOLEAN: 'boolean',
+    ENUM: 'enum',
+    LIST: 'list',
+    RANGE: 'range'
 };
 
 // Generation modes
@@ -66,6 +100,68 @@ export const GENERATION_MODES = {
     SEPARATE: 'separate'
 };
 
+// Update protocols
+export const UPDATE_PROTOCOLS = {
+    FULL: 'full',
+    DELTA: 'delta'
+};
+
+// Where separate-mode tracker calls are sent
+export const TRACKER_BACKENDS = {
+    SILLYTAVERN: 'sillytavern',
+    DIRECT: 'direct'
+};
+
+// How separate mode splits an update into requests
+export const SEPARATE_STRATEGIES = {
+    SINGLE: 'single',
+    PER_SECTION: 'per-section'
+};
+
+// Where injected tracker prompts are placed ('in-prompt' is right after the main prompt)
+export const INJECTION_POSITIONS = {
+    IN_CHAT: 'in-chat',
+    IN_PROMPT: 'in-prompt',
+    BEFORE_PROMPT: 'before-prompt'
+};
+
+// Message roles for injected tracker prompts
+export const INJECTION_ROLES = {
+    SYSTEM: 'system',
+    USER: 'user',
+    ASSISTANT: 'assistant'
+};
+
+// Encodings used to show the tracker to the model (and for its reply)
+export const PROMPT_ENCODINGS = {
+    JSON: 'json',
+    COMPACT_JSON: 'compact-json',
+    YAML: 'yaml',
+    OUTLINE: 'outline',
+    XML: 'xml'
+};
+
+// What to do when the injected prompt exceeds the token budget
+export const TOKEN_BUDGET_ACTIONS = {
+    WARN: 'warn',
+    TRIM: 'trim'
+};
+
+// Section priorities (low-priority sections are trimmed first)
+export const SECTION_PRIORITIES = {
+    LOW: 'low',
+    NORMAL: 'normal',
+    HIGH: 'high'
+};
+
+// When AI updates refresh a section
+export const UPDATE_SCHEDULES = {
+    EVERY: 'every',
+    INTERVAL: 'interval',
+    MANUAL: 'manual',
+    KEYWORDS: 'keywords'
+};
+
 // Panel positions
 export const PANEL_POSITIONS = {
     LEFT: 'left',
@@ -4,8 +4,10 @@
 
 import { extensionSettings, updateExtensionSettings, syncTrackerBaselines } from './state.js';
 import { saveSettings, saveChatData } from './persistence.js';
+import { recordUndoSnapshot } from './undo.js';
 import {
     FORMAT_JSON,
+    SUPPORTED_FORMATS,
     serializeTrackerData
 } from './serialization.js';
 
@@ -60,6 +62,9 @@ export function getTrackerData() {
 }
 
 export function updateTrackerData(data, options = {}) {
+    if (!options.skipPersist) {
+        recordUndoSnapshot(options.undoLabel || 'Replace tracker data');
+    }
     const cloned = cloneData(data);
     if (!cloned.sections) {
         cloned.sections = [];
@@ -73,14 +78,18 @@ export function updateTrackerData(data, options = {}) {
     }
 }
 
-export function setTrackerDataFormat() {
-    extensionSettings.dataFormat = FORMAT_JSON;
+export function getTrackerDataFormat() {
+    return SUPPORTED_FORMATS.includes(extensionSettings.dataFormat) ? extensionSettings.dataFormat : FORMAT_JSON;
+}
+
+export function setTrackerDataFormat(format = FORMAT_JSON) {
+    extensionSettings.dataFormat = SUPPORTED_FORMATS.includes(format) ? format : FORMAT_JSON;
     saveSettings();
 }
 
-export function exportTrackerData() {
+export function exportTrackerData(format = getTrackerDataFormat()) {
     const data = getTrackerData();
-    return serializeTrackerData(data);
+    return serializeTrackerData(data, format);
 }
 
 function cloneData(data) {
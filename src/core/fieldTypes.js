@@ -0,0 +1,318 @@
+/**
+ * Field Types Module
+ * Coercion, formatting and description helpers for typed tracker fields
+ */
+
+import { FIELD_TYPES } from './config.js';
+
+// Type imports
+/** @typedef {import('../types/tracker.js').TrackerField} TrackerField */
+
+const TRUE_STRINGS = ['true', 'yes', 'y', 'on', '1', 'checked'];
+const FALSE_STRINGS = ['false', 'no', 'n', 'off', '0', 'unchecked', 'none'];
+const NUMBER_REGEX = /^[-+]?(?:\d{1,3}(?:,\d{3})+|\d+)?(?:\.\d+)?$/;
+
+function toFiniteNumber(value, fallback) {
+    if (value === null || value === undefined || value === '') {
+        return fallback;
+    }
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Returns a known field type, falling back to text for unknown or missing types.
+ * @param {string} type - Raw field type
+ * @returns {string} Normalized field type
+ */
+export function normalizeFieldType(type) {
+    const normalized = typeof type === 'string' ? type.trim().toLowerCase() : '';
+    return Object.values(FIELD_TYPES).includes(normalized) ? normalized : FIELD_TYPES.TEXT;
+}
+
+/**
+ * Reads the allowed options of an enum field.
+ * @param {TrackerField} field - Field definition
+ * @returns {string[]} Trimmed, non-empty option labels
+ */
+export function getEnumOptions(field) {
+    if (!Array.isArray(field?.options)) {
+        return [];
+    }
+    return field.options
+        .map(option => String(option ?? '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Reads the bounds of a range field.
+ * @param {TrackerField} field - Field definition
+ * @returns {{ min: number, max: number, step: number }} Range bounds
+ */
+export function getRangeBounds(field) {
+    const min = toFiniteNumber(field?.min, 0);
+    const max = toFiniteNumber(field?.max, 100);
+    const step = toFiniteNumber(field?.step, 1);
+    return {
+        min: Math.min(min, max),
+        max: Math.max(min, max),
+        step: step > 0 ? step : 1
+    };
+}
+
+/**
+ * Returns the value a freshly created field of the given type should start with.
+ * @param {TrackerField|string} fieldOrType - Field definition or type name
+ * @returns {*} Default value
+ */
+export function getDefaultValueForType(fieldOrType) {
+    const field = typeof fieldOrType === 'string' ? { type: fieldOrType } : (fieldOrType || {});
+    switch (normalizeFieldType(field.type)) {
+        case FIELD_TYPES.NUMBER:
+            return 0;
+        case FIELD_TYPES.BOOLEAN:
+            return false;
+        case FIELD_TYPES.ENUM:
+            return getEnumOptions(field)[0] ?? '';
+        case FIELD_TYPES.LIST:
+            return [];
+        case FIELD_TYPES.RANGE:
+            return getRangeBounds(field).min;
+        default:
+            return '';
+    }
+}
+
+function parseNumber(raw) {
+    if (typeof raw === 'number') {
+        return Number.isFinite(raw) ? raw : null;
+    }
+
+    if (typeof raw !== 'string') {
+        return null;
+    }
+
+    const trimmed = raw.trim();
+    if (!trimmed || !NUMBER_REGEX.test(trimmed)) {
+        return null;
+    }
+
+    const parsed = Number(trimmed.replace(/,/g, ''));
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseBoolean(raw) {
+    if (typeof raw === 'boolean') {
+        return raw;
+    }
+
+    if (typeof raw === 'number') {
+        if (raw === 1) return true;
+        if (raw === 0) return false;
+        return null;
+    }
+
+    if (typeof raw !== 'string') {
+        return null;
+    }
+
+    const normalized = raw.trim().toLowerCase();
+    if (TRUE_STRINGS.includes(normalized)) return true;
+    if (FALSE_STRINGS.includes(normalized)) return false;
+    return null;
+}
+
+function parseList(raw) {
+    if (Array.isArray(raw)) {
+        return raw
+            .map(item => (item && typeof item === 'object') ? JSON.stringify(item) : String(item ?? '').trim())
+            .filter(Boolean);
+    }
+
+    if (typeof raw !== 'string') {
+        return null;
+    }
+
+    const trimmed = raw.trim();
+    if (!trimmed) {
+        return [];
+    }
+
+    if (trimmed.startsWith('[')) {
+        try {
+            const parsed = JSON.parse(trimmed);
+            if (Array.isArray(parsed)) {
+                return parseList(parsed);
+            }
+        } catch (_error) {
+            // Fall through to delimiter splitting
+        }
+    }
+
+    const delimiter = trimmed.includes('\n') ? /\n/ : /[,;]/;
+    return trimmed
+        .split(delimiter)
+        .map(item => item.replace(/^\s*[-*•]\s*/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Coerces a raw value (typically produced by the model) into the field's declared type.
+ * Text fields accept values unchanged so legacy trackers keep their behaviour.
+ * Bounds are not enforced here; see validateFieldValue in validation.js.
+ *
+ * @param {TrackerField} field - Field definition
+ * @param {*} rawValue - Value to coerce
+ * @returns {{ ok: boolean, value: *, error?: string }} Coercion result
+ */
+export function coerceFieldValue(field, rawValue) {
+    const type = normalizeFieldType(field?.type);
+
+    switch (type) {
+        case FIELD_TYPES.NUMBER:
+        case FIELD_TYPES.RANGE: {
+            const parsed = parseNumber(rawValue);
+            return parsed === null
+                ? { ok: false, value: rawValue, error: `Expected a number but received "${String(rawValue)}".` }
+                : { ok: true, value: parsed };
+        }
+        case FIELD_TYPES.BOOLEAN: {
+            const parsed = parseBoolean(rawValue);
+            return parsed === null
+                ? { ok: false, value: rawValue, error: `Expected true or false but received "${String(rawValue)}".` }
+                : { ok: true, value: parsed };
+        }
+        case FIELD_TYPES.ENUM: {
+            const options = getEnumOptions(field);
+            const candidate = String(rawValue ?? '').trim();
+            if (options.length === 0) {
+                return { ok: true, value: candidate };
+            }
+            const match = options.find(option => option.toLowerCase() === candidate.toLowerCase());
+            return match === undefined
+                ? { ok: false, value: rawValue, error: `Expected one of ${options.join(', ')} but received "${candidate}".` }
+                : { ok: true, value: match };
+        }
+        case FIELD_TYPES.LIST: {
+            const parsed = parseList(rawValue);
+            return parsed === null
+                ? { ok: false, value: rawValue, error: 'Expected a list of values.' }
+                : { ok: true, value: parsed };
+        }
+        default:
+            return { ok: true, value: rawValue };
+    }
+}
+
+/**
+ * Formats a field value as plain text for prompts and summaries.
+ * @param {TrackerField} field - Field definition
+ * @param {*} [value] - Value override (defaults to field.value)
+ * @returns {string} Display text
+ */
+export function formatFieldValue(field, value = field?.value) {
+    const type = normalizeFieldType(field?.type);
+
+    if (type === FIELD_TYPES.BOOLEAN) {
+        const parsed = parseBoolean(value);
+        return parsed === null ? '' : (parsed ? 'yes' : 'no');
+    }
+
+    if (type === FIELD_TYPES.LIST) {
+        return (parseList(value) || []).join(', ');
+    }
+
+    if (type === FIELD_TYPES.RANGE && value !== null && value !== undefined && value !== '') {
+        return `${value}/${getRangeBounds(field).max}`;
+    }
+
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Describes the expected value type of a field for the model.
+ * @param {TrackerField} field - Field definition
+ * @returns {string} Human-readable type description
+ */
+export function describeFieldType(field) {
+    switch (normalizeFieldType(field?.type)) {
+        case FIELD_TYPES.NUMBER:
+            return 'a number';
+        case FIELD_TYPES.BOOLEAN:
+            return 'true or false';
+        case FIELD_TYPES.ENUM: {
+            const options = getEnumOptions(field);
+            return options.length > 0 ? `one of: ${options.join(', ')}` : 'a single option';
+        }
+        case FIELD_TYPES.LIST:
+            return 'a JSON array of short strings';
+        case FIELD_TYPES.RANGE: {
+            const { min, max } = getRangeBounds(field);
+            return `a number between ${min} and ${max}`;
+        }
+        default:
+            return 'text';
+    }
+}
+
+/**
+ * Extracts the type-specific settings stored on a field.
+ * @param {TrackerField} field - Field definition
+ * @returns {{ type: string, options?: string[], min?: number, max?: number, step?: number }} Type settings
+ */
+export function getFieldTypeSettings(field) {
+    const type = normalizeFieldType(field?.type);
+    const settings = { type };
+
+    if (type === FIELD_TYPES.ENUM) {
+        settings.options = getEnumOptions(field);
+    }
+
+    if (type === FIELD_TYPES.RANGE) {
+        Object.assign(settings, getRangeBounds(field));
+    }
+
+    return settings;
+}
+
+/**
+ * Writes type-specific settings onto a field, dropping settings that do not apply to the new type.
+ * @param {TrackerField} field - Field to mutate
+ * @param {{ type?: string, options?: string[], min?: number, max?: number, step?: number }} settings - Type settings
+ * @returns {TrackerField} The mutated field
+ */
+export function applyFieldTypeSettings(field, settings = {}) {
+    if (!field) {
+        return field;
+    }
+
+    const type = normalizeFieldType(settings.type ?? field.type);
+    field.type = type;
+
+    if (type === FIELD_TYPES.ENUM) {
+        field.options = getEnumOptions({ options: settings.options ?? field.options });
+    } else {
+        delete field.options;
+    }
+
+    if (type === FIELD_TYPES.RANGE) {
+        const bounds = getRangeBounds({
+            min: settings.min ?? field.min,
+            max: settings.max ?? field.max,
+            step: settings.step ?? field.step
+        });
+        field.min = bounds.min;
+        field.max = bounds.max;
+        field.step = bounds.step;
+    } else {
+        delete field.min;
+        delete field.max;
+        delete field.step;
+    }
+
+    return field;
+}
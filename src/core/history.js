@@ -0,0 +1,150 @@
+/**
+ * History Module
+ * Builds a timeline of tracker changes from the per-swipe snapshots stored on chat messages
+ */
+
+// Type imports
+/** @typedef {import('../types/tracker.js').TrackerData} TrackerData */
+/** @typedef {import('../types/tracker.js').FieldChange} FieldChange */
+/** @typedef {import('../types/tracker.js').TrackerHistoryEntry} TrackerHistoryEntry */
+
+const SWIPE_STORAGE_KEY = 'story_tracker_swipes';
+const PREVIEW_LENGTH = 120;
+
+function collectFields(data) {
+    const entries = new Map();
+    const sections = Array.isArray(data?.sections) ? data.sections : [];
+
+    const register = (section, subsection, field) => {
+        if (!field) {
+            return;
+        }
+        const pathNames = [section?.name, subsection?.name, field.name].filter(Boolean);
+        const key = field.id ? `id:${field.id}` : `path:${pathNames.join('>').toLowerCase()}`;
+        entries.set(key, {
+            sectionId: section?.id ?? null,
+            sectionName: section?.name ?? '',
+            subsectionId: subsection?.id ?? null,
+            subsectionName: subsection?.name ?? '',
+            fieldId: field.id ?? null,
+            fieldName: field.name ?? '',
+            path: pathNames.join(' > '),
+            value: field.value
+        });
+    };
+
+    for (const section of sections) {
+        for (const field of section?.fields || []) {
+            register(section, null, field);
+        }
+        for (const subsection of section?.subsections || []) {
+            for (const field of subsection?.fields || []) {
+                register(section, subsection, field);
+            }
+        }
+    }
+
+    return entries;
+}
+
+function valuesEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    return JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+}
+
+/**
+ * Computes the field-level differences between two tracker snapshots.
+ * Fields are matched by id, falling back to their section/subsection/field name path.
+ *
+ * @param {TrackerData|null} previous - Older snapshot
+ * @param {TrackerData|null} next - Newer snapshot
+ * @returns {FieldChange[]} Changes in the order the fields appear in the newer snapshot, followed by removals
+ */
+export function diffTrackerData(previous, next) {
+    const before = collectFields(previous);
+    const after = collectFields(next);
+    const changes = [];
+
+    for (const [key, entry] of after) {
+        const { value, ...location } = entry;
+        if (!before.has(key)) {
+            changes.push({ ...location, kind: 'added', oldValue: undefined, newValue: value });
+            continue;
+        }
+        const oldValue = before.get(key).value;
+        if (!valuesEqual(oldValue, value)) {
+            changes.push({ ...location, kind: 'changed', oldValue, newValue: value });
+        }
+    }
+
+    for (const [key, entry] of before) {
+        if (!after.has(key)) {
+            const { value, ...location } = entry;
+            changes.push({ ...location, kind: 'removed', oldValue: value, newValue: undefined });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Reads the tracker snapshot stored for the message's active swipe.
+ * @param {Object} message - Chat message
+ * @returns {TrackerData|null} Snapshot, or null when the message has none
+ */
+export function getMessageSnapshot(message) {
+    const swipes = message?.extra?.[SWIPE_STORAGE_KEY];
+    if (!swipes) {
+        return null;
+    }
+    const swipeId = message.swipe_id || 0;
+    const trackerData = swipes[swipeId]?.trackerData;
+    return trackerData && Array.isArray(trackerData.sections) ? trackerData : null;
+}
+
+function buildPreview(text) {
+    const plain = String(text ?? '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return plain.length > PREVIEW_LENGTH ? `${plain.slice(0, PREVIEW_LENGTH - 1)}…` : plain;
+}
+
+/**
+ * Walks the chat and lists every assistant message that carries a tracker snapshot,
+ * together with the changes since the previous snapshot.
+ *
+ * @param {Array<Object>} chat - SillyTavern chat array
+ * @returns {TrackerHistoryEntry[]} Entries in chat order
+ */
+export function buildTrackerHistory(chat) {
+    if (!Array.isArray(chat)) {
+        return [];
+    }
+
+    const entries = [];
+    let previous = null;
+
+    chat.forEach((message, messageIndex) => {
+        if (!message || message.is_user || message.is_system) {
+            return;
+        }
+
+        const trackerData = getMessageSnapshot(message);
+        if (!trackerData) {
+            return;
+        }
+
+        entries.push({
+            messageIndex,
+            messageName: message.name || '',
+            swipeId: message.swipe_id || 0,
+            preview: buildPreview(message.mes),
+            isInitial: previous === null,
+            changes: previous === null ? [] : diffTrackerData(previous, trackerData),
+            trackerData
+        });
+        previous = trackerData;
+    });
+
+    return entries;
+}
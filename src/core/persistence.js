@@ -11,10 +11,12 @@ import {
     setLastGeneratedData,
     setCommittedTrackerData
 } from './state.js';
+import { scheduleWorldInfoSync } from '../systems/integration/worldInfo.js';
 
 const extensionName = 'story-tracker-sillytavern';
 const CHAT_METADATA_KEY = 'story_tracker';
 const SWIPE_STORAGE_KEY = 'story_tracker_swipes';
+const DIRECT_API_KEY_STORAGE_KEY = 'story-tracker-direct-api-key';
 
 function getContext() {
     return globalThis.SillyTavern?.getContext?.();
@@ -46,7 +48,53 @@ export function loadSettings() {
     }
 
     const savedSettings = st.settings[extensionName];
+
+    // Older versions kept the direct endpoint key in settings.json; move it to this browser
+    const legacyApiKey = savedSettings.directApiKey;
+    if (typeof legacyApiKey === 'string') {
+        if (legacyApiKey && !loadDirectApiKey()) {
+            saveDirectApiKey(legacyApiKey);
+        }
+        if (!legacyApiKey || loadDirectApiKey()) {
+            delete savedSettings.directApiKey;
+        }
+    }
+
     updateExtensionSettings(savedSettings);
+    if (typeof legacyApiKey === 'string' && !('directApiKey' in savedSettings)) {
+        saveSettings();
+    }
+}
+
+/**
+ * Reads the direct endpoint API key. It is kept in this browser's storage only, never
+ * in the extension settings, so it is not written to settings.json or any export.
+ * @returns {string} API key ('' when none is set)
+ */
+export function loadDirectApiKey() {
+    try {
+        return localStorage.getItem(DIRECT_API_KEY_STORAGE_KEY) || '';
+    } catch (error) {
+        console.error('[Story Tracker] Error loading the API key:', error);
+        return '';
+    }
+}
+
+/**
+ * Stores the direct endpoint API key in this browser's storage.
+ * @param {string} apiKey - API key ('' removes it)
+ */
+export function saveDirectApiKey(apiKey) {
+    try {
+        const value = String(apiKey || '').trim();
+        if (value) {
+            localStorage.setItem(DIRECT_API_KEY_STORAGE_KEY, value);
+        } else {
+            localStorage.removeItem(DIRECT_API_KEY_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error('[Story Tracker] Error saving the API key:', error);
+    }
 }
 
 /**
@@ -130,6 +178,7 @@ export function saveChatData() {
     }
 
     updateMessageSwipeData(extensionSettings.trackerData);
+    scheduleWorldInfoSync();
 }
 
 /**
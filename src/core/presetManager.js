@@ -1,5 +1,8 @@
 import { extensionSettings, updateExtensionSettings, setLastGeneratedData, setCommittedTrackerData } from './state.js';
 import { saveSettings, saveChatData, deepClone } from './persistence.js';
+import { recordUndoSnapshot } from './undo.js';
+import { parseTrackerData, detectTrackerDataFormat } from './serialization.js';
+import { normalizePromptTemplates } from '../systems/generation/promptTemplates.js';
 import { renderTracker as renderTrackerImplementation } from '../systems/rendering/tracker.js';
 
 let renderTrackerHandler = renderTrackerImplementation;
@@ -71,27 +74,38 @@ export function saveCurrentPreset(name) {
     const presets = getPresets();
     presets[name] = {
         systemPrompt: extensionSettings.systemPrompt || '',
+        promptTemplates: normalizePromptTemplates(extensionSettings.promptTemplates),
         trackerData: deepClone(extensionSettings.trackerData),
     };
     savePresets(presets);
     populatePresetDropdown();
 }
 
+/**
+ * Replaces the tracker with a saved preset.
+ * @param {string} name - Preset name
+ * @returns {boolean} False when no preset has that name
+ */
 export function loadPreset(name) {
     const presets = getPresets();
-    if (presets[name]) {
-        const clonedTrackerData = deepClone(presets[name].trackerData);
-        updateExtensionSettings({
-            systemPrompt: presets[name].systemPrompt,
-            trackerData: clonedTrackerData,
-            currentPreset: name,
-        });
-        setLastGeneratedData(clonedTrackerData);
-        setCommittedTrackerData(clonedTrackerData);
-        saveChatData();
-        saveSettings();
-        renderTrackerHandler();
+    if (!presets[name]) {
+        return false;
     }
+
+    recordUndoSnapshot(`Load preset "${name}"`);
+    const clonedTrackerData = deepClone(presets[name].trackerData);
+    updateExtensionSettings({
+        systemPrompt: presets[name].systemPrompt,
+        promptTemplates: normalizePromptTemplates(presets[name].promptTemplates),
+        trackerData: clonedTrackerData,
+        currentPreset: name,
+    });
+    setLastGeneratedData(clonedTrackerData);
+    setCommittedTrackerData(clonedTrackerData);
+    saveChatData();
+    saveSettings();
+    renderTrackerHandler();
+    return true;
 }
 
 export function deletePreset(name) {
@@ -226,6 +240,7 @@ export function exportPresetFromToolbar() {
             presetPayload = {
                 name: currentPresetName,
                 systemPrompt: presets[currentPresetName].systemPrompt || '',
+                promptTemplates: normalizePromptTemplates(presets[currentPresetName].promptTemplates),
                 trackerData: presets[currentPresetName].trackerData || {},
             };
             filename = buildPresetFilename(currentPresetName);
@@ -233,6 +248,7 @@ export function exportPresetFromToolbar() {
             presetPayload = {
                 name: currentPresetName || '',
                 systemPrompt: extensionSettings.systemPrompt || '',
+                promptTemplates: normalizePromptTemplates(extensionSettings.promptTemplates),
                 trackerData: deepClone(extensionSettings.trackerData),
             };
         }
@@ -245,13 +261,13 @@ export function exportPresetFromToolbar() {
     }
 }
 
-export function importPresetFromText(rawText) {
+export function importPresetFromText(rawText, fileName = '') {
     try {
         if (!rawText || typeof rawText !== 'string') {
             throw new Error('No preset data provided.');
         }
 
-        const parsed = JSON.parse(rawText);
+        const parsed = parseTrackerData(rawText, detectTrackerDataFormat(rawText, fileName));
         if (!parsed || typeof parsed !== 'object') {
             throw new Error('Invalid preset format.');
         }
@@ -277,6 +293,7 @@ export function importPresetFromText(rawText) {
         const presets = getPresets();
         presets[presetName] = {
             systemPrompt: typeof parsed.systemPrompt === 'string' ? parsed.systemPrompt : '',
+            promptTemplates: normalizePromptTemplates(parsed.promptTemplates),
             trackerData: deepClone(parsed.trackerData),
         };
         savePresets(presets);
@@ -292,31 +309,9 @@ export function importPresetFromText(rawText) {
     }
 }
 
+/**
+ * Opens the prompt editor (system prompt and prompt templates).
+ */
 export function showEditPromptModal() {
-    const modalBody = $('#story-tracker-field-modal .story-tracker-modal-body');
-    modalBody.html(`
-        <div style="padding: 0.75rem;">
-            <h4>Edit System Prompt</h4>
-            <div style="margin: 0.75rem 0;">
-                <textarea id="system-prompt-editor" rows="10" style="width: 100%;">${extensionSettings.systemPrompt || ''}</textarea>
-            </div>
-            <div style="display: flex; gap: 0.5rem; justify-content: flex-end;">
-                <button id="cancel-edit-prompt" class="story-tracker-btn">Cancel</button>
-                <button id="save-edit-prompt" class="story-tracker-btn story-tracker-btn-primary">Save</button>
-            </div>
-        </div>
-    `);
-
-    $('#cancel-edit-prompt').on('click', () => {
-        import('../systems/ui/modals.js').then(module => module.closeFieldPopup());
-    });
-
-    $('#save-edit-prompt').on('click', () => {
-        const newPrompt = $('#system-prompt-editor').val();
-        updateExtensionSettings({ systemPrompt: newPrompt });
-        saveSettings();
-        import('../systems/ui/modals.js').then(module => module.closeFieldPopup());
-    });
-
-    import('../systems/ui/modals.js').then(module => module.openFieldPopup());
+    import('../systems/ui/promptEditor.js').then(module => module.showPromptEditorModal());
 }
@@ -0,0 +1,92 @@
+/**
+ * Proposals Module
+ * Holds AI tracker updates for review so individual field changes can be accepted or rejected
+ */
+
+import { diffTrackerData } from './history.js';
+import { cloneTrackerData } from './state.js';
+
+// Type imports
+/** @typedef {import('../types/tracker.js').TrackerData} TrackerData */
+/** @typedef {import('../types/tracker.js').TrackerProposal} TrackerProposal */
+
+/**
+ * Creates a pending proposal from the data returned by the model.
+ * Every changed field starts out accepted.
+ *
+ * @param {TrackerData} currentData - Tracker data the proposal would replace
+ * @param {TrackerData} proposedData - Tracker data returned by the model
+ * @param {Object} [details] - Where the update came from
+ * @param {string} [details.source] - 'together' or 'separate'
+ * @param {number} [details.messageIndex] - Assistant message the update belongs to
+ * @param {number} [details.swipeId] - Swipe of that message
+ * @returns {TrackerProposal} Proposal
+ */
+export function createProposal(currentData, proposedData, details = {}) {
+    const changes = diffTrackerData(currentData, proposedData)
+        .filter(change => change.kind === 'changed' && change.fieldId);
+
+    return {
+        createdAt: Date.now(),
+        source: details.source || 'together',
+        messageIndex: Number.isInteger(details.messageIndex) ? details.messageIndex : null,
+        swipeId: details.swipeId || 0,
+        changes: changes.map(change => ({ ...change, accepted: true }))
+    };
+}
+
+/**
+ * Marks a single proposed field change as accepted or rejected.
+ * @param {TrackerProposal} proposal - Proposal to update
+ * @param {string} fieldId - Field the change belongs to
+ * @param {boolean} accepted - New decision
+ */
+export function setProposalDecision(proposal, fieldId, accepted) {
+    const change = proposal?.changes?.find(entry => entry.fieldId === fieldId);
+    if (change) {
+        change.accepted = Boolean(accepted);
+    }
+}
+
+/**
+ * Marks every proposed change as accepted or rejected.
+ * @param {TrackerProposal} proposal - Proposal to update
+ * @param {boolean} accepted - New decision
+ */
+export function setAllProposalDecisions(proposal, accepted) {
+    for (const change of proposal?.changes || []) {
+        change.accepted = Boolean(accepted);
+    }
+}
+
+/**
+ * Applies the accepted changes of a proposal onto a copy of the given tracker data.
+ * @param {TrackerData} baseData - Current tracker data
+ * @param {TrackerProposal} proposal - Reviewed proposal
+ * @returns {TrackerData} Tracker data containing only the accepted values
+ */
+export function buildAcceptedTrackerData(baseData, proposal) {
+    const result = cloneTrackerData(baseData) || { sections: [] };
+    const accepted = new Map(
+        (proposal?.changes || [])
+            .filter(change => change.accepted)
+            .map(change => [change.fieldId, change.newValue])
+    );
+
+    if (accepted.size === 0) {
+        return result;
+    }
+
+    for (const section of result.sections || []) {
+        const fieldGroups = [section.fields || [], ...(section.subsections || []).map(subsection => subsection.fields || [])];
+        for (const fields of fieldGroups) {
+            for (const field of fields) {
+                if (accepted.has(field.id)) {
+                    field.value = cloneTrackerData({ value: accepted.get(field.id) }).value;
+                }
+            }
+        }
+    }
+
+    return result;
+}
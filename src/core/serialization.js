@@ -1,21 +1,285 @@
 /**
  * Serialization helpers for Story Tracker data structures.
- * Only JSON is supported.
+ * Supports JSON, YAML and a human-readable Markdown outline.
  */
 
+import { parseYaml, stringifyYaml } from '../utils/yaml.js';
+
 const JSON_INDENT = 2;
 const FORMAT_JSON = 'json';
+const FORMAT_YAML = 'yaml';
+const FORMAT_MARKDOWN = 'markdown';
+const SUPPORTED_FORMATS = [FORMAT_JSON, FORMAT_YAML, FORMAT_MARKDOWN];
+
+const FORMAT_EXTENSIONS = {
+    [FORMAT_JSON]: 'json',
+    [FORMAT_YAML]: 'yaml',
+    [FORMAT_MARKDOWN]: 'md'
+};
+
+const EXTENSION_FORMATS = {
+    json: FORMAT_JSON,
+    yaml: FORMAT_YAML,
+    yml: FORMAT_YAML,
+    md: FORMAT_MARKDOWN,
+    markdown: FORMAT_MARKDOWN
+};
+
+const MARKDOWN_TITLE = '# Story Tracker';
+const METADATA_PATTERN = /^<!--\s*(\{.*\})\s*-->$/;
+const FIELD_PATTERN = /^- \*\*(.+?)\*\*:(?: (.*))?$/;
+const PROMPT_PATTERN = /^- _Prompt_: ?(.*)$/;
+
+function normalizeFormat(format) {
+    return SUPPORTED_FORMATS.includes(format) ? format : FORMAT_JSON;
+}
+
+/*
+ * Markdown outline
+ *
+ *   # Story Tracker
+ *   ## Section            <- "##" headings are sections
+ *   <!-- {"id":"..."} --> <- remaining properties as a JSON comment
+ *   ### Subsection        <- "###" headings are subsections
+ *   - **Field**: value    <- fields, with the prompt as a nested bullet
+ *     - _Prompt_: ...
+ *     <!-- {"id":"...","type":"number"} -->
+ *
+ * Values that are not plain single-line text are written as JSON so they survive a round trip.
+ */
+
+function formatMarkdownValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return '';
+    }
+    if (typeof value === 'string' && !value.includes('\n')) {
+        try {
+            JSON.parse(value);
+        } catch (_error) {
+            return value.trim() === value ? value : JSON.stringify(value);
+        }
+    }
+    return JSON.stringify(value);
+}
+
+function parseMarkdownValue(text) {
+    const raw = text ?? '';
+    if (raw === '') {
+        return '';
+    }
+    try {
+        return JSON.parse(raw);
+    } catch (_error) {
+        return raw;
+    }
+}
+
+function formatMetadata(item, omittedKeys) {
+    const metadata = {};
+    for (const [key, value] of Object.entries(item)) {
+        if (!omittedKeys.includes(key) && value !== undefined) {
+            metadata[key] = value;
+        }
+    }
+    return Object.keys(metadata).length > 0 ? `<!-- ${JSON.stringify(metadata)} -->` : null;
+}
+
+function serializeMarkdownField(field, lines) {
+    const value = formatMarkdownValue(field.value);
+    lines.push(`- **${field.name}**:${value ? ` ${value}` : ''}`);
+    // Multi-line prompts stay in the metadata comment so they round-trip unchanged
+    const inlinePrompt = typeof field.prompt === 'string' && field.prompt !== '' && !field.prompt.includes('\n');
+    if (inlinePrompt) {
+        lines.push(`  - _Prompt_: ${field.prompt}`);
+    }
+    const metadata = formatMetadata(field, inlinePrompt ? ['name', 'value', 'prompt'] : ['name', 'value']);
+    if (metadata) {
+        lines.push(`  ${metadata}`);
+    }
+}
+
+function serializeMarkdown(data) {
+    const lines = [MARKDOWN_TITLE];
+
+    for (const section of data?.sections || []) {
+        lines.push('', `## ${section.name}`);
+        const sectionMetadata = formatMetadata(section, ['name', 'fields', 'subsections']);
+        if (sectionMetadata) {
+            lines.push(sectionMetadata);
+        }
+        if ((section.fields || []).length > 0) {
+            lines.push('');
+            section.fields.forEach(field => serializeMarkdownField(field, lines));
+        }
+
+        for (const subsection of section.subsections || []) {
+            lines.push('', `### ${subsection.name}`);
+            const subsectionMetadata = formatMetadata(subsection, ['name', 'fields']);
+            if (subsectionMetadata) {
+                lines.push(subsectionMetadata);
+            }
+            if ((subsection.fields || []).length > 0) {
+                lines.push('');
+                subsection.fields.forEach(field => serializeMarkdownField(field, lines));
+            }
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+function parseMetadataComment(text, lineNumber) {
+    const match = text.match(METADATA_PATTERN);
+    if (!match) {
+        return null;
+    }
+    try {
+        return JSON.parse(match[1]);
+    } catch (error) {
+        throw new Error(`Invalid metadata comment on line ${lineNumber}: ${error.message}`);
+    }
+}
+
+function parseMarkdown(text) {
+    const sections = [];
+    let section = null;
+    let container = null;
+    let lastItem = null;
+
+    String(text ?? '').replace(/\r\n?/g, '\n').split('\n').forEach((line, index) => {
+        const lineNumber = index + 1;
+        const trimmed = line.trim();
+        if (!trimmed || /^# /.test(trimmed)) {
+            return;
+        }
+
+        if (trimmed.startsWith('### ')) {
+            if (!section) {
+                throw new Error(`Subsection outside of a section on line ${lineNumber}`);
+            }
+            const subsection = { name: trimmed.slice(4).trim(), fields: [] };
+            section.subsections.push(subsection);
+            container = subsection;
+            lastItem = subsection;
+            return;
+        }
+
+        if (trimmed.startsWith('## ')) {
+            section = { name: trimmed.slice(3).trim(), fields: [], subsections: [] };
+            sections.push(section);
+            container = section;
+            lastItem = section;
+            return;
+        }
+
+        const metadata = parseMetadataComment(trimmed, lineNumber);
+        if (metadata) {
+            if (!lastItem) {
+                throw new Error(`Metadata comment without an item on line ${lineNumber}`);
+            }
+            Object.assign(lastItem, metadata, { name: lastItem.name });
+            return;
+        }
+
+        const promptMatch = line.match(/^\s+/) ? trimmed.match(PROMPT_PATTERN) : null;
+        if (promptMatch) {
+            if (!lastItem || lastItem === container) {
+                throw new Error(`Prompt without a field on line ${lineNumber}`);
+            }
+            lastItem.prompt = promptMatch[1];
+            return;
+        }
+
+        const fieldMatch = line.match(FIELD_PATTERN);
+        if (fieldMatch) {
+            if (!container) {
+                throw new Error(`Field outside of a section on line ${lineNumber}`);
+            }
+            const field = { name: fieldMatch[1].trim(), value: parseMarkdownValue(fieldMatch[2]) };
+            container.fields.push(field);
+            lastItem = field;
+            return;
+        }
+
+        throw new Error(`Unrecognized line ${lineNumber}: "${trimmed}"`);
+    });
+
+    return { sections };
+}
+
+/**
+ * Guesses the format of serialized tracker data from a file name and/or its content.
+ * @param {string} text - Serialized data
+ * @param {string} [fileName] - Original file name, when known
+ * @returns {string} One of the supported formats
+ */
+function detectTrackerDataFormat(text, fileName = '') {
+    const extension = String(fileName).split('.').pop().toLowerCase();
+    if (fileName && EXTENSION_FORMATS[extension]) {
+        return EXTENSION_FORMATS[extension];
+    }
+
+    const trimmed = String(text ?? '').trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        return FORMAT_JSON;
+    }
+    if (trimmed.startsWith(MARKDOWN_TITLE) || (/^#{2,3} /m.test(trimmed) && /^- \*\*.+?\*\*:/m.test(trimmed))) {
+        return FORMAT_MARKDOWN;
+    }
+    return FORMAT_YAML;
+}
+
+/**
+ * Serializes tracker data (or a preset object) in the requested format.
+ * Markdown only carries tracker sections; use JSON or YAML for presets.
+ * @param {Object} data - Data to serialize
+ * @param {string} [format] - 'json', 'yaml' or 'markdown'
+ * @returns {string} Serialized text
+ */
+function serializeTrackerData(data, format = FORMAT_JSON) {
+    switch (normalizeFormat(format)) {
+        case FORMAT_YAML:
+            return stringifyYaml(data);
+        case FORMAT_MARKDOWN:
+            return serializeMarkdown(data?.trackerData && !data.sections ? data.trackerData : data);
+        default:
+            return JSON.stringify(data, null, JSON_INDENT);
+    }
+}
 
-function serializeTrackerData(data) {
-    return JSON.stringify(data, null, JSON_INDENT);
+/**
+ * Parses serialized tracker data. When no format is given it is detected from the content.
+ * @param {string} text - Serialized text
+ * @param {string} [format] - 'json', 'yaml' or 'markdown'
+ * @returns {Object} Parsed data
+ */
+function parseTrackerData(text, format = detectTrackerDataFormat(text)) {
+    switch (normalizeFormat(format)) {
+        case FORMAT_YAML:
+            return parseYaml(text);
+        case FORMAT_MARKDOWN:
+            return parseMarkdown(text);
+        default:
+            return JSON.parse(text);
+    }
 }
 
-function parseTrackerData(text) {
-    return JSON.parse(text);
+/**
+ * File extension used when exporting data in the given format.
+ * @param {string} format - Serialization format
+ * @returns {string} Extension without the dot
+ */
+function getFormatFileExtension(format) {
+    return FORMAT_EXTENSIONS[normalizeFormat(format)];
 }
 
 export {
     FORMAT_JSON,
+    FORMAT_YAML,
+    FORMAT_MARKDOWN,
+    SUPPORTED_FORMATS,
     serializeTrackerData,
-    parseTrackerData
+    parseTrackerData,
+    detectTrackerDataFormat,
+    getFormatFileExtension
 };
@@ -9,6 +9,9 @@ import { defaultSettings } from './config.js';
 /** @typedef {import('../types/tracker.js').TrackerSettings} TrackerSettings */
 /** @typedef {import('../types/tracker.js').TrackerData} TrackerData */
 /** @typedef {import('../types/tracker.js').TrackerUpdateResult} TrackerUpdateResult */
+/** @typedef {import('../types/tracker.js').ValidationReport} ValidationReport */
+/** @typedef {import('../types/tracker.js').FieldChange} FieldChange */
+/** @typedef {import('../types/tracker.js').TrackerProposal} TrackerProposal */
 
 /**
  * Extension settings - persisted to SillyTavern settings
@@ -29,6 +32,31 @@ export let lastGeneratedData = null;
  */
 export let committedTrackerData = null;
 
+/**
+ * Constraint violations recorded while applying the most recent AI update
+ * @type {ValidationReport|null}
+ */
+export let lastValidationReport = null;
+
+/**
+ * Field changes applied by the most recent AI update, relative to committedTrackerData
+ * @type {FieldChange[]|null}
+ */
+export let lastUpdateChanges = null;
+
+/**
+ * AI update waiting for the user to accept or reject its changes (review mode)
+ * @type {TrackerProposal|null}
+ */
+export let pendingProposal = null;
+
+/**
+ * Ids of the sections the current AI update may change (section update schedules).
+ * Null when every section is due; the others are sent as read-only context.
+ * @type {string[]|null}
+ */
+export let scheduledSectionIds = null;
+
 /**
  * Tracks whether the last action was a swipe (for separate mode)
  * Used to determine whether to commit lastGeneratedData to committedTrackerData
@@ -83,6 +111,22 @@ export function updateCommittedTrackerData(updates) {
     }
 }
 
+export function setLastValidationReport(report) {
+    lastValidationReport = report ? JSON.parse(JSON.stringify(report)) : null;
+}
+
+export function setLastUpdateChanges(changes) {
+    lastUpdateChanges = Array.isArray(changes) ? JSON.parse(JSON.stringify(changes)) : null;
+}
+
+export function setPendingProposal(proposal) {
+    pendingProposal = proposal ? JSON.parse(JSON.stringify(proposal)) : null;
+}
+
+export function setScheduledSectionIds(sectionIds) {
+    scheduledSectionIds = Array.isArray(sectionIds) ? [...sectionIds] : null;
+}
+
 export function setLastActionWasSwipe(value) {
     lastActionWasSwipe = Boolean(value);
 }
@@ -117,6 +161,23 @@ export function syncTrackerBaselines() {
     setCommittedTrackerData(trackerData);
 }
 
+/**
+ * Whether a tracker with at least one section has been committed.
+ * @returns {boolean}
+ */
+export function hasCommittedTrackerData() {
+    return Array.isArray(committedTrackerData?.sections) && committedTrackerData.sections.length > 0;
+}
+
+/**
+ * The tracker prompts, macros and integrations read: the committed tracker (the state
+ * the model was last shown), falling back to the live tracker before anything has been committed.
+ * @returns {TrackerData|null} Tracker data
+ */
+export function getCommittedOrLiveTrackerData() {
+    return hasCommittedTrackerData() ? committedTrackerData : extensionSettings.trackerData;
+}
+
 /**
  * Generate a unique ID for tracker elements
  * @param {string} prefix - Prefix for the ID
@@ -173,6 +234,36 @@ export function createField(name = 'New Field', prompt = '', type = 'text', valu
     };
 }
 
+/**
+ * Whether an item is locked against AI updates. Pass the section, subsection and
+ * field together so a lock on any container applies to everything inside it.
+ * @param {...Object} items - Section, subsection and/or field
+ * @returns {boolean} True when any of the items is locked
+ */
+export function isItemLocked(...items) {
+    return items.some(item => Boolean(item?.locked));
+}
+
+/**
+ * Whether an item takes part in prompting, parsing and context injection. Items
+ * without an explicit flag are enabled; a disabled container disables everything inside it.
+ * @param {...Object} items - Section, subsection and/or field
+ * @returns {boolean} True when none of the items is disabled
+ */
+export function isItemEnabled(...items) {
+    return items.every(item => item?.enabled !== false);
+}
+
+/**
+ * Whether the current AI update may change a section, according to the section
+ * update schedules. Sections that are not due are read-only for the update.
+ * @param {Object} section - Section
+ * @returns {boolean} True when the section is due (or no schedule applies)
+ */
+export function isSectionScheduled(section) {
+    return !scheduledSectionIds || scheduledSectionIds.includes(section?.id);
+}
+
 /**
  * Deep clone tracker data
  * @param {TrackerData} data - Data to clone
@@ -0,0 +1,120 @@
+/**
+ * Undo Module
+ * Bounded undo/redo history for tracker data, covering manual edits, preset loads and AI updates
+ */
+
+import {
+    extensionSettings,
+    lastGeneratedData,
+    committedTrackerData,
+    setLastGeneratedData,
+    setCommittedTrackerData,
+    cloneTrackerData
+} from './state.js';
+import { saveSettings, saveChatData } from './persistence.js';
+
+// Type imports
+/** @typedef {import('../types/tracker.js').TrackerData} TrackerData */
+
+/**
+ * @typedef {Object} UndoSnapshot
+ * @property {string} label - Description of the change the snapshot precedes
+ * @property {TrackerData|null} trackerData - Tracker data before the change
+ * @property {TrackerData|null} lastGeneratedData - Last generated baseline before the change
+ * @property {TrackerData|null} committedTrackerData - Committed baseline before the change
+ */
+
+export const DEFAULT_UNDO_LIMIT = 50;
+
+/** @type {UndoSnapshot[]} */
+let undoStack = [];
+/** @type {UndoSnapshot[]} */
+let redoStack = [];
+
+function getUndoLimit() {
+    const limit = Number(extensionSettings?.undoLimit);
+    return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_UNDO_LIMIT;
+}
+
+function captureSnapshot(label) {
+    return {
+        label,
+        trackerData: cloneTrackerData(extensionSettings.trackerData),
+        lastGeneratedData: cloneTrackerData(lastGeneratedData),
+        committedTrackerData: cloneTrackerData(committedTrackerData)
+    };
+}
+
+function applySnapshot(snapshot) {
+    extensionSettings.trackerData = cloneTrackerData(snapshot.trackerData) || { sections: [] };
+    setLastGeneratedData(snapshot.lastGeneratedData);
+    setCommittedTrackerData(snapshot.committedTrackerData);
+    saveSettings();
+    saveChatData();
+}
+
+/**
+ * Records the current tracker state so the change about to be made can be undone.
+ * Call this right before mutating the tracker; it clears the redo history.
+ * @param {string} label - Description of the upcoming change (e.g. "Delete section")
+ */
+export function recordUndoSnapshot(label = 'Edit tracker') {
+    undoStack.push(captureSnapshot(label));
+    const overflow = undoStack.length - getUndoLimit();
+    if (overflow > 0) {
+        undoStack.splice(0, overflow);
+    }
+    redoStack = [];
+}
+
+/**
+ * Restores the state from before the most recent recorded change.
+ * @returns {string|null} Label of the undone change, or null when there is nothing to undo
+ */
+export function undoTrackerChange() {
+    const snapshot = undoStack.pop();
+    if (!snapshot) {
+        return null;
+    }
+    redoStack.push(captureSnapshot(snapshot.label));
+    applySnapshot(snapshot);
+    return snapshot.label;
+}
+
+/**
+ * Re-applies the most recently undone change.
+ * @returns {string|null} Label of the redone change, or null when there is nothing to redo
+ */
+export function redoTrackerChange() {
+    const snapshot = redoStack.pop();
+    if (!snapshot) {
+        return null;
+    }
+    undoStack.push(captureSnapshot(snapshot.label));
+    applySnapshot(snapshot);
+    return snapshot.label;
+}
+
+export function canUndo() {
+    return undoStack.length > 0;
+}
+
+export function canRedo() {
+    return redoStack.length > 0;
+}
+
+export function getUndoLabel() {
+    return undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null;
+}
+
+export function getRedoLabel() {
+    return redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null;
+}
+
+/**
+ * Drops the whole history (e.g. when switching chats, where old snapshots no longer apply).
+ */
+export function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+}
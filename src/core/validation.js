@@ -0,0 +1,252 @@
+/**
+ * Validation Module
+ * Enforces per-field constraints on tracker values and records violations
+ */
+
+import { FIELD_TYPES } from './config.js';
+import { normalizeFieldType, getRangeBounds, coerceFieldValue } from './fieldTypes.js';
+
+// Type imports
+/** @typedef {import('../types/tracker.js').TrackerField} TrackerField */
+/** @typedef {import('../types/tracker.js').FieldConstraints} FieldConstraints */
+/** @typedef {import('../types/tracker.js').ValidationViolation} ValidationViolation */
+/** @typedef {import('../types/tracker.js').ValidationReport} ValidationReport */
+
+export const VALIDATION_POLICIES = {
+    CLAMP: 'clamp',
+    REJECT: 'reject'
+};
+
+function isEmptyValue(value) {
+    if (value === null || value === undefined) {
+        return true;
+    }
+    if (Array.isArray(value)) {
+        return value.length === 0;
+    }
+    return typeof value === 'string' && value.trim() === '';
+}
+
+function toOptionalNumber(value) {
+    if (value === null || value === undefined || value === '') {
+        return undefined;
+    }
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+function compilePattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern) {
+        return null;
+    }
+    try {
+        return new RegExp(pattern);
+    } catch (error) {
+        console.warn('[Story Tracker] Ignoring invalid field pattern', { pattern, error: error.message });
+        return null;
+    }
+}
+
+function describeValue(value) {
+    if (value === undefined) {
+        return '';
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Cleans a raw constraints object, keeping only recognised, non-empty rules.
+ * @param {Object} raw - Raw constraints (e.g. from the field editor)
+ * @returns {FieldConstraints|undefined} Normalized constraints, or undefined when none apply
+ */
+export function normalizeConstraints(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return undefined;
+    }
+
+    const constraints = {};
+    const min = toOptionalNumber(raw.min);
+    const max = toOptionalNumber(raw.max);
+    const maxLength = toOptionalNumber(raw.maxLength);
+
+    if (min !== undefined) constraints.min = min;
+    if (max !== undefined) constraints.max = max;
+    if (maxLength !== undefined && maxLength > 0) constraints.maxLength = Math.floor(maxLength);
+
+    const allowedValues = Array.isArray(raw.allowedValues)
+        ? raw.allowedValues.map(value => String(value ?? '').trim()).filter(Boolean)
+        : [];
+    if (allowedValues.length > 0) constraints.allowedValues = allowedValues;
+
+    if (typeof raw.pattern === 'string' && raw.pattern.trim()) constraints.pattern = raw.pattern.trim();
+    if (raw.required) constraints.required = true;
+
+    return Object.keys(constraints).length > 0 ? constraints : undefined;
+}
+
+/**
+ * Resolves the numeric bounds that apply to a field, combining range bounds with constraints.
+ * @param {TrackerField} field - Field definition
+ * @returns {{ min?: number, max?: number }} Effective bounds
+ */
+function getNumericBounds(field) {
+    const constraints = field?.constraints || {};
+    const bounds = {
+        min: toOptionalNumber(constraints.min),
+        max: toOptionalNumber(constraints.max)
+    };
+
+    if (normalizeFieldType(field?.type) === FIELD_TYPES.RANGE) {
+        const range = getRangeBounds(field);
+        bounds.min = bounds.min === undefined ? range.min : Math.max(bounds.min, range.min);
+        bounds.max = bounds.max === undefined ? range.max : Math.min(bounds.max, range.max);
+    }
+
+    return bounds;
+}
+
+/**
+ * Checks a (type-coerced) value against the field's constraints.
+ *
+ * @param {TrackerField} field - Field definition carrying optional constraints
+ * @param {*} value - Candidate value, already coerced into the field type
+ * @param {{ policy?: string }} [options] - 'clamp' fixes out-of-range values where possible, 'reject' refuses them
+ * @returns {{ value: *, rejected: boolean, violations: Array<{ rule: string, message: string, action: string }> }}
+ */
+export function validateFieldValue(field, value, options = {}) {
+    const policy = options.policy === VALIDATION_POLICIES.REJECT ? VALIDATION_POLICIES.REJECT : VALIDATION_POLICIES.CLAMP;
+    const constraints = field?.constraints || {};
+    const violations = [];
+    let result = value;
+    let rejected = false;
+
+    const flag = (rule, message, canClamp, clampedValue) => {
+        if (canClamp && policy === VALIDATION_POLICIES.CLAMP) {
+            result = clampedValue;
+            violations.push({ rule, message, action: 'clamped' });
+        } else {
+            rejected = true;
+            violations.push({ rule, message, action: 'rejected' });
+        }
+    };
+
+    if (constraints.required && isEmptyValue(result)) {
+        flag('required', 'A value is required.', false);
+    }
+
+    const { min, max } = getNumericBounds(field);
+    if (typeof result === 'number') {
+        if (min !== undefined && result < min) {
+            flag('min', `Value ${result} is below the minimum of ${min}.`, true, min);
+        } else if (max !== undefined && result > max) {
+            flag('max', `Value ${result} is above the maximum of ${max}.`, true, max);
+        }
+    } else if (typeof result === 'string' && (min !== undefined || max !== undefined) && result.trim()) {
+        // Text fields with bounds hold numbers written as text; clamped values stay text
+        const number = Number(result.trim());
+        if (!Number.isFinite(number)) {
+            flag('type', `"${result}" is not a number, but the field has a minimum or maximum.`, false);
+        } else if (min !== undefined && number < min) {
+            flag('min', `Value ${number} is below the minimum of ${min}.`, true, String(min));
+        } else if (max !== undefined && number > max) {
+            flag('max', `Value ${number} is above the maximum of ${max}.`, true, String(max));
+        }
+    }
+
+    if (Array.isArray(constraints.allowedValues) && constraints.allowedValues.length > 0 && !isEmptyValue(result)) {
+        const allowed = constraints.allowedValues.map(entry => String(entry));
+        const canonicalize = entry => allowed.find(option => option.toLowerCase() === String(entry).trim().toLowerCase());
+        const entries = Array.isArray(result) ? result : [result];
+        const canonical = entries.map(canonicalize);
+
+        if (canonical.some(entry => entry === undefined)) {
+            const invalid = entries.filter((_entry, index) => canonical[index] === undefined);
+            flag('allowedValues', `"${invalid.join('", "')}" is not one of: ${allowed.join(', ')}.`, false);
+        } else {
+            result = Array.isArray(result) ? canonical : canonical[0];
+        }
+    }
+
+    const maxLength = toOptionalNumber(constraints.maxLength);
+    if (maxLength !== undefined) {
+        if (typeof result === 'string' && result.length > maxLength) {
+            flag('maxLength', `Text is longer than ${maxLength} characters.`, true, result.slice(0, maxLength).trimEnd());
+        } else if (Array.isArray(result) && result.some(item => String(item).length > maxLength)) {
+            flag('maxLength', `List items must be at most ${maxLength} characters.`, true, result.map(item => String(item).slice(0, maxLength).trimEnd()));
+        }
+    }
+
+    const pattern = compilePattern(constraints.pattern);
+    if (pattern && !isEmptyValue(result)) {
+        const entries = Array.isArray(result) ? result : [result];
+        if (entries.some(entry => !pattern.test(String(entry)))) {
+            flag('pattern', `Value does not match the pattern /${constraints.pattern}/.`, false);
+        }
+    }
+
+    return {
+        value: rejected ? value : result,
+        rejected,
+        violations
+    };
+}
+
+/**
+ * Creates an empty per-update validation report.
+ * @param {string} [source] - What produced the update (e.g. 'together', 'separate')
+ * @returns {ValidationReport} Empty report
+ */
+export function createValidationReport(source = 'llm') {
+    return {
+        createdAt: Date.now(),
+        source,
+        violations: [],
+        repairs: [],
+        schemaErrors: []
+    };
+}
+
+/**
+ * Coerces and validates a value proposed for a field, recording any violations in the report.
+ *
+ * @param {TrackerField} field - Field definition (its current value is kept on rejection)
+ * @param {*} rawValue - Proposed value
+ * @param {{ report?: ValidationReport, path?: string, policy?: string }} [options] - Reporting options
+ * @returns {{ accepted: boolean, value: * }} Whether the proposal was accepted and the value to store
+ */
+export function checkProposedValue(field, rawValue, options = {}) {
+    const { report = null, path = field?.name || '', policy } = options;
+
+    const record = (violation, applied) => {
+        if (!report) {
+            return;
+        }
+        report.violations.push({
+            fieldId: field?.id ?? null,
+            fieldName: field?.name ?? '',
+            path,
+            rule: violation.rule,
+            message: violation.message,
+            action: violation.action,
+            received: describeValue(rawValue),
+            applied: describeValue(applied)
+        });
+    };
+
+    const coerced = coerceFieldValue(field, rawValue);
+    if (!coerced.ok) {
+        record({ rule: 'type', message: coerced.error, action: 'rejected' }, field?.value);
+        return { accepted: false, value: field?.value };
+    }
+
+    const validation = validateFieldValue(field, coerced.value, { policy });
+    for (const violation of validation.violations) {
+        record(violation, validation.rejected ? field?.value : validation.value);
+    }
+
+    if (validation.rejected) {
+        return { accepted: false, value: field?.value };
+    }
+
+    return { accepted: true, value: validation.value };
+}
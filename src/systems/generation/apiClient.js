@@ -6,27 +6,414 @@
 import {
     extensionSettings,
     isGenerating,
+    isItemEnabled,
+    isItemLocked,
+    isSectionScheduled,
+    cloneTrackerData,
     setIsGenerating,
+    setScheduledSectionIds,
     setLastActionWasSwipe,
-    setLastGeneratedData,
-    syncTrackerBaselines
+    setLastValidationReport,
+    getCommittedOrLiveTrackerData
 } from '../../core/state.js';
-import { saveSettings, saveChatData } from '../../core/persistence.js';
-import { generateSeparateUpdatePrompt } from './promptBuilder.js';
+import { saveSettings, saveChatData, loadDirectApiKey } from '../../core/persistence.js';
+import { createValidationReport } from '../../core/validation.js';
+import { TRACKER_BACKENDS, PROMPT_ENCODINGS, SEPARATE_STRATEGIES } from '../../core/config.js';
+import { generateSeparateUpdatePrompt, generateRetryPrompt, getPromptEncoding } from './promptBuilder.js';
 import { parseResponse } from './parser.js';
+import { receiveTrackerUpdate } from './trackerUpdates.js';
+import { runWithSeparatePreset } from './separatePreset.js';
+import { buildTrackerJsonSchema } from './trackerSchema.js';
+import { getDueSectionIds } from './updateSchedule.js';
 
-const SWIPE_STORAGE_KEY = 'story_tracker_swipes';
+/**
+ * Outcome of a single separate-mode request
+ * @typedef {Object} UpdateAttempt
+ * @property {number} attempt - Attempt number, starting at 1
+ * @property {'parsed'|'partial'|'failed'} status - What the reply produced
+ * @property {string} message - Details shown in the update report
+ * @property {boolean} reduced - Whether only a subset of sections was sent
+ */
+
+/**
+ * Outcome of one section's request with the per-section strategy
+ * @typedef {Object} SectionPass
+ * @property {string} sectionId - Section the request was for
+ * @property {string} name - Section name
+ * @property {'parsed'|'failed'} status - Whether the section received values
+ * @property {string} message - Details shown in the update report
+ * @property {number} attempts - Requests made for the section
+ */
+
+const MAX_ATTEMPTS_LIMIT = 5;
+const MAX_SECTION_CONCURRENCY = 4;
+const STRUCTURED_OUTPUT_NAME = 'story_tracker';
+
+function getMaxAttempts() {
+    const attempts = Number(extensionSettings.retryMaxAttempts);
+    return Number.isInteger(attempts) ? Math.min(Math.max(attempts, 1), MAX_ATTEMPTS_LIMIT) : 1;
+}
+
+/**
+ * Sections the model is expected to fill: enabled, unlocked, due this update and with at least one enabled field.
+ */
+function listExpectedSections(sectionIds = null) {
+    return (extensionSettings.trackerData?.sections || []).filter(section => {
+        if (sectionIds && !sectionIds.includes(section.id)) {
+            return false;
+        }
+        if (!isItemEnabled(section) || isItemLocked(section) || !isSectionScheduled(section)) {
+            return false;
+        }
+        const fields = [
+            ...(section.fields || []),
+            ...(section.subsections || []).filter(subsection => isItemEnabled(subsection)).flatMap(subsection => subsection.fields || [])
+        ];
+        return fields.some(field => isItemEnabled(field));
+    });
+}
+
+function findMissingSections(parsed, sectionIds) {
+    const matched = parsed.validationReport?.matchedSections;
+    if (!Array.isArray(matched)) {
+        // Patches do not report sections; they are complete by definition
+        return [];
+    }
+    return listExpectedSections(sectionIds).filter(section => !matched.includes(section.id));
+}
+
+function buildReducedTracker(sectionIds) {
+    const data = cloneTrackerData(getCommittedOrLiveTrackerData()) || { sections: [] };
+    data.sections = (data.sections || []).filter(section => sectionIds.includes(section.id));
+    return data;
+}
+
+/**
+ * Takes the retried sections from a later result and keeps everything else from the earlier one.
+ */
+function mergeRetryResult(previous, next, sectionIds) {
+    const nextSections = new Map((next.trackerData.sections || []).map(section => [section.id, section]));
+    const previousReport = previous.validationReport || createValidationReport('separate');
+    const nextReport = next.validationReport || createValidationReport('separate');
+
+    return {
+        ...previous,
+        trackerData: {
+            ...previous.trackerData,
+            sections: previous.trackerData.sections.map(section => (
+                sectionIds.includes(section.id) && nextSections.has(section.id) ? nextSections.get(section.id) : section
+            ))
+        },
+        validationReport: {
+            ...previousReport,
+            violations: [...previousReport.violations, ...nextReport.violations],
+            repairs: [...(previousReport.repairs || []), ...(nextReport.repairs || [])],
+            schemaErrors: [...(previousReport.schemaErrors || []), ...(nextReport.schemaErrors || [])],
+            matchedSections: [...new Set([...(previousReport.matchedSections || []), ...(nextReport.matchedSections || [])])]
+        }
+    };
+}
+
+/**
+ * Schema that constrains separate mode replies, when structured output is on and the
+ * prompt encoding is JSON. Other encodings cannot be described by a JSON schema.
+ *
+ * @param {Object|null} [trackerData] - Tracker sent with the prompt (defaults to the tracker template)
+ * @returns {Object|null} JSON Schema, or null when replies are not constrained
+ */
+export function getStructuredOutputSchema(trackerData = null) {
+    const encoding = getPromptEncoding();
+    const jsonEncoding = encoding === PROMPT_ENCODINGS.JSON || encoding === PROMPT_ENCODINGS.COMPACT_JSON;
+    return Boolean(extensionSettings.structuredOutput) && jsonEncoding ? buildTrackerJsonSchema(trackerData) : null;
+}
+
+/**
+ * Requests tracker data until a reply can be used or the attempts run out. Failed
+ * replies are retried with a stricter prompt that includes the reply and the parse
+ * error. With reducedPayload, sections the reply left out are requested again on
+ * their own and merged into the result.
+ *
+ * @param {function(Array<{role: string, content: string}>, Object|null): Promise<string>} generate - Sends a prompt (with the structured output schema, if any) and resolves with the reply
+ * @param {Object} [options] - Retry policy (defaults to the settings)
+ * @param {number} [options.maxAttempts] - Maximum number of requests
+ * @param {boolean} [options.reducedPayload] - Re-request sections missing from the reply on their own
+ * @param {string[]|null} [options.sectionIds] - Only send (and expect) these sections
+ * @param {function(number, number): void} [options.onAttempt] - Called before each request with the attempt number and maximum
+ * @returns {Promise<{ parsed: Object|null, attempts: UpdateAttempt[] }>} Final parse result (null when every attempt failed) and per-attempt results
+ */
+export async function requestTrackerUpdate(generate, options = {}) {
+    const {
+        maxAttempts = getMaxAttempts(),
+        reducedPayload = Boolean(extensionSettings.retryReducedPayload),
+        sectionIds = null,
+        onAttempt = null
+    } = options;
+
+    const attempts = [];
+    let result = null;
+    let scope = sectionIds;
+    let prompt = generateSeparateUpdatePrompt(scope ? buildReducedTracker(scope) : null);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+        if (typeof onAttempt === 'function') {
+            onAttempt(attempt, maxAttempts);
+        }
+
+        const reduced = Boolean(scope) && scope !== sectionIds;
+        const response = await generate(prompt, getStructuredOutputSchema(scope ? buildReducedTracker(scope) : null));
+        const parsed = response
+            ? parseResponse(response)
+            : { trackerData: null, validationReport: null, parseError: 'The model returned an empty reply.' };
 
+        if (!parsed.trackerData) {
+            attempts.push({ attempt, status: 'failed', message: parsed.parseError, reduced });
+            prompt = generateRetryPrompt(response, parsed.parseError, scope ? buildReducedTracker(scope) : null);
+            continue;
+        }
+
+        result = result ? mergeRetryResult(result, parsed, scope) : parsed;
+
+        const missing = findMissingSections(parsed, scope);
+        if (missing.length === 0) {
+            attempts.push({ attempt, status: 'parsed', message: reduced ? 'Missing sections filled in.' : 'Tracker updated.', reduced });
+            return { parsed: result, attempts };
+        }
+
+        const names = missing.map(section => section.name).join(', ');
+        attempts.push({ attempt, status: 'partial', message: `No values returned for: ${names}.`, reduced });
+        if (!reducedPayload) {
+            return { parsed: result, attempts };
+        }
+
+        scope = missing.map(section => section.id);
+        prompt = generateSeparateUpdatePrompt(buildReducedTracker(scope));
+    }
+
+    return { parsed: result, attempts };
+}
+
+function getSectionConcurrency() {
+    const concurrency = Number(extensionSettings.sectionConcurrency);
+    return Number.isInteger(concurrency) ? Math.min(Math.max(concurrency, 1), MAX_SECTION_CONCURRENCY) : 1;
+}
+
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next;
+            next += 1;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+function mergeSectionReports(results) {
+    const report = createValidationReport('separate');
+    for (const result of results) {
+        const passReport = result?.validationReport;
+        if (!passReport) {
+            continue;
+        }
+        report.violations.push(...(passReport.violations || []));
+        report.repairs.push(...(passReport.repairs || []));
+        report.schemaErrors.push(...(passReport.schemaErrors || []));
+    }
+    return report;
+}
+
+/**
+ * Per-section strategy: requests every expected section on its own (each with its
+ * own prompt and retries) and merges the restored sections that came back into the
+ * tracker. Runs the requests one after another, or up to
+ * `concurrency` at a time.
+ *
+ * @param {function(Array<{role: string, content: string}>, Object|null): Promise<string>} generate - Sends a prompt and resolves with the reply
+ * @param {Object} [options] - Pass options
+ * @param {number} [options.concurrency] - Requests running at once (defaults to the setting)
+ * @param {function(number, number): void} [options.onProgress] - Called when a section finishes, with the finished and total counts
+ * @returns {Promise<{ parsed: Object|null, attempts: UpdateAttempt[], passes: SectionPass[] }>} Merged result (null when no section received values) and per-section results
+ */
+export async function requestPerSectionUpdates(generate, options = {}) {
+    const { concurrency = getSectionConcurrency(), onProgress = null } = options;
+    const sections = listExpectedSections();
+    let finished = 0;
+
+    const results = await runWithConcurrency(sections, concurrency, async section => {
+        let outcome;
+        try {
+            outcome = await requestTrackerUpdate(generate, { sectionIds: [section.id], reducedPayload: false });
+        } catch (error) {
+            outcome = { parsed: null, attempts: [{ attempt: 1, status: 'failed', message: error.message, reduced: false }] };
+        }
+        finished += 1;
+        if (typeof onProgress === 'function') {
+            onProgress(finished, sections.length);
+        }
+        return outcome;
+    });
+
+    const passes = sections.map((section, index) => {
+        const { parsed, attempts } = results[index];
+        const matched = parsed?.validationReport?.matchedSections;
+        const filled = Boolean(parsed) && (!Array.isArray(matched) || matched.includes(section.id));
+        const last = attempts[attempts.length - 1];
+        return {
+            sectionId: section.id,
+            name: section.name,
+            status: filled ? 'parsed' : 'failed',
+            message: filled ? 'Updated.' : (last?.message || 'No tracker data was returned.'),
+            attempts: attempts.length
+        };
+    });
+
+    const returned = new Map();
+    sections.forEach((section, index) => {
+        const restored = results[index].parsed?.trackerData?.sections?.find(item => item.id === section.id);
+        if (passes[index].status === 'parsed' && restored) {
+            returned.set(section.id, restored);
+        }
+    });
+
+    const attempts = results.flatMap(result => result.attempts);
+    if (returned.size === 0) {
+        return { parsed: null, attempts, passes };
+    }
+
+    // Each section was already restored (coerced and validated) by its own pass
+    const trackerData = cloneTrackerData(extensionSettings.trackerData) || { sections: [] };
+    trackerData.sections = (trackerData.sections || []).map(section => returned.get(section.id) || section);
+
+    const report = mergeSectionReports(results.map(result => result.parsed));
+    report.matchedSections = passes.filter(pass => pass.status === 'parsed').map(pass => pass.sectionId);
+
+    return {
+        parsed: { trackerData, validationReport: report, parseError: null },
+        attempts,
+        passes
+    };
+}
+
+const DIRECT_REQUEST_TIMEOUT_MS = 120000;
+
+// Direct requests do not go through SillyTavern, so they have their own in-flight guard
+let directUpdateInFlight = false;
+
+/**
+ * Resolves the chat completions URL from the configured base URL. Accepts a server
+ * root, a ".../v1" base or the full ".../chat/completions" URL.
+ * @param {string} baseUrl - Configured base URL
+ * @returns {string} Chat completions URL
+ */
+export function resolveChatCompletionsUrl(baseUrl) {
+    const trimmed = String(baseUrl || '').trim().replace(/\/+$/, '');
+    if (!trimmed) {
+        return '';
+    }
+    if (/\/chat\/completions$/.test(trimmed)) {
+        return trimmed;
+    }
+    return /\/v\d+$/.test(trimmed) ? `${trimmed}/chat/completions` : `${trimmed}/v1/chat/completions`;
+}
+
+/**
+ * Builds the request body for an OpenAI-compatible chat completion. With a schema,
+ * the reply is constrained through response_format.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Prompt messages
+ * @param {Object|null} [schema] - Structured output schema (defaults to the tracker's, when enabled)
+ * @returns {Object} Request body
+ */
+export function buildChatCompletionRequest(messages, schema = getStructuredOutputSchema()) {
+    const body = {
+        model: String(extensionSettings.directApiModel || '').trim(),
+        messages,
+        stream: false
+    };
+
+    const maxTokens = Number(extensionSettings.directMaxTokens);
+    if (Number.isInteger(maxTokens) && maxTokens > 0) {
+        body.max_tokens = maxTokens;
+    }
+
+    if (schema) {
+        body.response_format = {
+            type: 'json_schema',
+            json_schema: { name: STRUCTURED_OUTPUT_NAME, schema }
+        };
+    }
+
+    return body;
+}
+
+/**
+ * Sends prompt messages straight to the configured OpenAI-compatible endpoint,
+ * bypassing SillyTavern's chat API so the main chat is not blocked.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Prompt messages
+ * @param {Object|null} [schema] - Structured output schema
+ * @returns {Promise<string>} Reply text
+ * @throws {Error} When the endpoint is not configured, times out or returns an error
+ */
+export async function requestDirectCompletion(messages, schema = null) {
+    const url = resolveChatCompletionsUrl(extensionSettings.directApiUrl);
+    if (!url) {
+        throw new Error('No endpoint URL is configured for direct tracker updates.');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    const apiKey = loadDirectApiKey();
+    if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), DIRECT_REQUEST_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(buildChatCompletionRequest(messages, schema)),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            const details = await response.text().catch(() => '');
+            throw new Error(`Tracker endpoint returned ${response.status}${details ? `: ${details.slice(0, 200)}` : ''}`);
+        }
+
+        const data = await response.json();
+        return data?.choices?.[0]?.message?.content ?? data?.choices?.[0]?.text ?? '';
+    } catch (error) {
+        if (error?.name === 'AbortError') {
+            throw new Error(`Tracker endpoint did not answer within ${DIRECT_REQUEST_TIMEOUT_MS / 1000} seconds.`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+function setUpdateButtonStatus(label) {
+    $('#story-tracker-manual-update').html(`<i class="fa-solid fa-spinner fa-spin"></i> ${label}`).prop('disabled', true);
+}
 
 /**
  * Updates tracker data using a separate API call (separate mode only).
  * Makes a dedicated API call to generate tracker data, then stores it
  * on the most recent assistant message for swipe-aware history.
+ * With the direct backend the call goes to the configured endpoint and
+ * the main chat stays free while it runs. Only the sections due this turn
+ * are updated, unless the user triggered the update.
  *
  * @param {Function} renderCallback - UI renderer for tracker updates
+ * @param {{ manual?: boolean }} [options] - Whether the user asked for the update
  */
-export async function updateTrackerData(renderCallback) {
-    if (isGenerating) {
+export async function updateTrackerData(renderCallback, { manual = false } = {}) {
+    if (isGenerating || directUpdateInFlight) {
         return;
     }
 
@@ -39,61 +426,92 @@ export async function updateTrackerData(renderCallback) {
     }
 
     const context = SillyTavern.getContext();
+    const direct = extensionSettings.trackerBackend === TRACKER_BACKENDS.DIRECT;
 
-    try {
-        setIsGenerating(true);
-
-        const $updateBtn = $('#story-tracker-manual-update');
-        $updateBtn.html('<i class="fa-solid fa-spinner fa-spin"></i> Updating...').prop('disabled', true);
-
-        const prompt = generateSeparateUpdatePrompt();
-        const response = await context.generateRaw({
-            prompt,
-            quietToLoud: false
-        });
+    const dueIds = getDueSectionIds({ chat: context.chat || [], manual });
+    if (Array.isArray(dueIds) && dueIds.length === 0) {
+        console.log('[Story Tracker] No sections are due for an update this turn.');
+        return;
+    }
 
-        if (!response) {
-            return;
-        }
+    // Attach tracker data to the assistant message the update was requested for
+    const chat = context.chat || [];
+    const lastMessage = chat.length > 0 ? chat[chat.length - 1] : null;
+    const lastMessageIndex = chat.length - 1;
 
-        const parsedData = parseResponse(response);
-        if (!parsedData.trackerData) {
-            console.warn('[Story Tracker] Separate generation did not return tracker data.');
-            return;
+    try {
+        setScheduledSectionIds(dueIds);
+        if (direct) {
+            directUpdateInFlight = true;
+        } else {
+            // Marks the generateRaw call so the prompt injector leaves it alone
+            setIsGenerating(true);
         }
 
-        const trackerClone = JSON.parse(JSON.stringify(parsedData.trackerData));
-        setLastGeneratedData(trackerClone);
-        extensionSettings.trackerData = trackerClone;
-        syncTrackerBaselines();
+        setUpdateButtonStatus('Updating...');
 
-        // Attach tracker data to the last assistant message for swipe awareness
-        const chat = context.chat || [];
-        const lastMessage = chat.length > 0 ? chat[chat.length - 1] : null;
-        if (lastMessage && !lastMessage.is_user) {
-            if (!lastMessage.extra) {
-                lastMessage.extra = {};
-            }
-            if (!lastMessage.extra[SWIPE_STORAGE_KEY]) {
-                lastMessage.extra[SWIPE_STORAGE_KEY] = {};
+        const onAttempt = (attempt, maxAttempts) => {
+            if (attempt > 1) {
+                setUpdateButtonStatus(`Retrying (${attempt}/${maxAttempts})...`);
             }
+        };
+        const onProgress = (finished, total) => {
+            setUpdateButtonStatus(`Sections ${finished}/${total}...`);
+        };
+        // The chat API generates one reply at a time, so only direct requests run side by side
+        const run = generate => (extensionSettings.separateStrategy === SEPARATE_STRATEGIES.PER_SECTION
+            ? requestPerSectionUpdates(generate, { onProgress, ...(direct ? {} : { concurrency: 1 }) })
+            : requestTrackerUpdate(generate, { onAttempt }));
 
-            const swipeId = lastMessage.swipe_id || 0;
-            lastMessage.extra[SWIPE_STORAGE_KEY][swipeId] = {
-                trackerData: trackerClone
-            };
+        const { parsed: parsedData, attempts, passes = null } = direct
+            ? await run(requestDirectCompletion)
+            : await runWithSeparatePreset(overrides => run(
+                (prompt, schema) => context.generateRaw({
+                    prompt,
+                    quietToLoud: false,
+                    // Chat completion sources that support it constrain the reply; others ignore it
+                    ...(schema ? { jsonSchema: { name: STRUCTURED_OUTPUT_NAME, strict: false, value: schema } } : {}),
+                    ...overrides
+                })
+            ));
+        const details = passes ? { sectionPasses: passes } : { attempts };
+
+        if (!parsedData) {
+            console.warn('[Story Tracker] Separate generation did not return tracker data.', passes || attempts);
+            setLastValidationReport({ ...createValidationReport('separate'), ...details });
+            if (typeof renderCallback === 'function') {
+                renderCallback();
+            }
+            return;
         }
+        parsedData.validationReport = { ...(parsedData.validationReport || createValidationReport('separate')), ...details };
+
+        const outcome = receiveTrackerUpdate(parsedData, {
+            source: 'separate',
+            message: lastMessage && !lastMessage.is_user ? lastMessage : null,
+            messageIndex: lastMessage && !lastMessage.is_user ? lastMessageIndex : null
+        });
 
         if (typeof renderCallback === 'function') {
             renderCallback();
         }
 
-        saveSettings();
-        saveChatData();
+        if (outcome === 'applied') {
+            saveSettings();
+            saveChatData();
+        }
     } catch (error) {
         console.error('[Story Tracker] Error updating tracker data:', error);
+        if (direct && typeof window !== 'undefined' && window.toastr) {
+            window.toastr.error(error.message, 'Story Tracker');
+        }
     } finally {
-        setIsGenerating(false);
+        setScheduledSectionIds(null);
+        if (direct) {
+            directUpdateInFlight = false;
+        } else {
+            setIsGenerating(false);
+        }
         setLastActionWasSwipe(false);
 
         const $updateBtn = $('#story-tracker-manual-update');
@@ -0,0 +1,263 @@
+/**
+ * Delta Module
+ * Applies partial tracker updates (patches) returned by the model onto the committed tracker
+ */
+
+import { extensionSettings, isItemLocked, isItemEnabled, isSectionScheduled, cloneTrackerData } from '../../core/state.js';
+import { checkProposedValue } from '../../core/validation.js';
+
+// Type imports
+/** @typedef {import('../../types/tracker.js').TrackerData} TrackerData */
+/** @typedef {import('../../types/tracker.js').ValidationReport} ValidationReport */
+
+/**
+ * A single normalized patch operation
+ * @typedef {Object} PatchOperation
+ * @property {string} op - Operation name ('replace', 'add', ...)
+ * @property {string[]} target - Path segments (ids or names), ending with the field
+ * @property {string} label - Target as written by the model, used in reports
+ * @property {*} value - New field value
+ */
+
+const SETTING_OPS = new Set(['replace', 'add', 'set', 'update']);
+
+function normalizeKey(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesItem(item, segment) {
+    const key = normalizeKey(segment);
+    return Boolean(key) && (normalizeKey(item?.id) === key || normalizeKey(item?.name) === key);
+}
+
+function splitTargetPath(path) {
+    if (typeof path !== 'string') {
+        return [];
+    }
+
+    const trimmed = path.trim();
+    const segments = trimmed.startsWith('/')
+        ? trimmed.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        : trimmed.split(/\s*(?:\/|>)\s*/);
+
+    const cleaned = segments.map(segment => segment.trim()).filter(Boolean);
+    if (cleaned.length > 1 && normalizeKey(cleaned[cleaned.length - 1]) === 'value') {
+        cleaned.pop();
+    }
+    return cleaned;
+}
+
+function readOperationValue(entry) {
+    if (isPlainObject(entry) && Object.prototype.hasOwnProperty.call(entry, 'value')) {
+        return entry.value;
+    }
+    return entry;
+}
+
+function collectKeyedChanges(changes, prefix, operations) {
+    for (const [key, entry] of Object.entries(changes)) {
+        const target = [...prefix, ...splitTargetPath(key)];
+        if (isPlainObject(entry) && !Object.prototype.hasOwnProperty.call(entry, 'value')) {
+            collectKeyedChanges(entry, target, operations);
+            continue;
+        }
+        operations.push({ op: 'replace', target, label: target.join(' > '), value: readOperationValue(entry) });
+    }
+}
+
+function collectOperationList(list, operations) {
+    for (const entry of list) {
+        if (!isPlainObject(entry)) {
+            return false;
+        }
+
+        const rawPath = entry.path ?? entry.id ?? entry.field;
+        const target = Array.isArray(rawPath) ? rawPath.map(String) : splitTargetPath(String(rawPath ?? ''));
+        const hasValue = Object.prototype.hasOwnProperty.call(entry, 'value');
+        if (target.length === 0 || (!hasValue && normalizeKey(entry.op) !== 'remove')) {
+            return false;
+        }
+
+        operations.push({
+            op: normalizeKey(entry.op) || 'replace',
+            target,
+            label: Array.isArray(rawPath) ? rawPath.join(' > ') : String(rawPath),
+            value: entry.value
+        });
+    }
+    return true;
+}
+
+/**
+ * Checks whether parsed model output looks like a patch rather than a full tracker.
+ * Accepted shapes are `{ "changes": { "<field id or path>": value } }`, nested
+ * `{ "changes": { "<section>": { "<field>": value } } }`, and JSON-Patch style
+ * `[{ "op": "replace", "path": "/section/subsection/field", "value": ... }]`
+ * (bare or under a "patch" key).
+ *
+ * @param {*} candidate - Parsed JSON
+ * @returns {boolean} True when the candidate should be applied as a patch
+ */
+export function isTrackerPatch(candidate) {
+    if (Array.isArray(candidate)) {
+        return candidate.length > 0 && candidate.every(entry => isPlainObject(entry) && typeof entry.op === 'string');
+    }
+    if (!isPlainObject(candidate) || Object.prototype.hasOwnProperty.call(candidate, 'sections')) {
+        return false;
+    }
+    return Object.prototype.hasOwnProperty.call(candidate, 'changes') || Array.isArray(candidate.patch);
+}
+
+/**
+ * Converts any accepted patch shape into a flat list of operations.
+ * @param {*} candidate - Parsed JSON
+ * @returns {PatchOperation[]|null} Operations, or null when the patch is malformed
+ */
+export function normalizePatchOperations(candidate) {
+    if (!isTrackerPatch(candidate)) {
+        return null;
+    }
+
+    const operations = [];
+    const list = Array.isArray(candidate) ? candidate : candidate.patch;
+    if (Array.isArray(list)) {
+        return collectOperationList(list, operations) ? operations : null;
+    }
+
+    const { changes } = candidate;
+    if (Array.isArray(changes)) {
+        return collectOperationList(changes, operations) ? operations : null;
+    }
+    if (isPlainObject(changes)) {
+        collectKeyedChanges(changes, [], operations);
+        return operations;
+    }
+    return null;
+}
+
+function listFieldSlots(trackerData) {
+    const slots = [];
+    for (const section of trackerData?.sections || []) {
+        for (const field of section.fields || []) {
+            slots.push({ section, subsection: null, field });
+        }
+        for (const subsection of section.subsections || []) {
+            for (const field of subsection.fields || []) {
+                slots.push({ section, subsection, field });
+            }
+        }
+    }
+    return slots;
+}
+
+/**
+ * Finds the field a patch operation points at. A single segment must be a field id
+ * or a field name that is unique in the tracker; longer paths name the section and,
+ * optionally, the subsection first. Ids and names are matched case-insensitively.
+ *
+ * @param {TrackerData} trackerData - Tracker to search
+ * @param {string[]} target - Path segments
+ * @returns {{ section: Object, subsection: Object|null, field: Object }|null} Matching slot
+ */
+export function resolvePatchTarget(trackerData, target) {
+    if (!Array.isArray(target) || target.length === 0 || target.length > 3) {
+        return null;
+    }
+
+    const slots = listFieldSlots(trackerData);
+    const fieldSegment = target[target.length - 1];
+
+    if (target.length === 1) {
+        const byId = slots.find(slot => normalizeKey(slot.field.id) === normalizeKey(fieldSegment));
+        if (byId) {
+            return byId;
+        }
+        const byName = slots.filter(slot => matchesItem(slot.field, fieldSegment));
+        return byName.length === 1 ? byName[0] : null;
+    }
+
+    const [sectionSegment] = target;
+    const subsectionSegment = target.length === 3 ? target[1] : null;
+    const candidates = slots.filter(slot => {
+        if (!matchesItem(slot.section, sectionSegment) || !matchesItem(slot.field, fieldSegment)) {
+            return false;
+        }
+        return subsectionSegment ? matchesItem(slot.subsection, subsectionSegment) : true;
+    });
+
+    if (target.length === 2) {
+        return candidates.find(slot => !slot.subsection) || (candidates.length === 1 ? candidates[0] : null);
+    }
+    return candidates[0] || null;
+}
+
+function recordRejectedOperation(report, operation, message) {
+    if (!report) {
+        return;
+    }
+    report.violations.push({
+        fieldId: null,
+        fieldName: operation.target[operation.target.length - 1] || '',
+        path: operation.label,
+        rule: 'patch',
+        message,
+        action: 'rejected',
+        received: typeof operation.value === 'string' ? operation.value : JSON.stringify(operation.value) ?? '',
+        applied: ''
+    });
+}
+
+/**
+ * Applies a patch onto a copy of the base tracker. Unchanged fields keep their values,
+ * locked, disabled and unscheduled fields are left alone, and operations that cannot be resolved
+ * are recorded in the report as rejected.
+ *
+ * @param {TrackerData} baseData - Tracker the patch was produced against
+ * @param {*} candidate - Parsed patch
+ * @param {ValidationReport|null} [report] - Report collecting rejected values
+ * @returns {TrackerData|null} Patched tracker, or null when the patch is malformed
+ */
+export function applyTrackerPatch(baseData, candidate, report = null) {
+    const operations = normalizePatchOperations(candidate);
+    if (!operations || !Array.isArray(baseData?.sections)) {
+        return null;
+    }
+
+    const result = cloneTrackerData(baseData);
+
+    for (const operation of operations) {
+        if (!SETTING_OPS.has(operation.op)) {
+            recordRejectedOperation(report, operation, `Unsupported patch operation "${operation.op}"`);
+            continue;
+        }
+
+        const slot = resolvePatchTarget(result, operation.target);
+        if (!slot) {
+            recordRejectedOperation(report, operation, 'No matching field in the tracker');
+            continue;
+        }
+
+        const containers = [slot.section, slot.subsection].filter(Boolean);
+        if (!isItemEnabled(...containers, slot.field) || isItemLocked(...containers, slot.field) || !isSectionScheduled(slot.section)) {
+            continue;
+        }
+        if (operation.value === null || operation.value === undefined) {
+            continue;
+        }
+
+        const checked = checkProposedValue(slot.field, operation.value, {
+            report,
+            path: [slot.section.name, slot.subsection?.name, slot.field.name].filter(Boolean).join(' > '),
+            policy: extensionSettings.validationPolicy
+        });
+        if (checked.accepted) {
+            slot.field.value = checked.value;
+        }
+    }
+
+    return result;
+}
@@ -9,16 +9,22 @@ import {
     lastGeneratedData,
     isGenerating,
     lastActionWasSwipe,
-    setCommittedTrackerData
+    setCommittedTrackerData,
+    setScheduledSectionIds
 } from '../../core/state.js';
-import { generateTrackerPrompt, createTrackerPayloadForLLM } from './promptBuilder.js';
-import { resolvePromptApi, callSetExtensionPrompt } from '../../utils/promptApi.js';
+import { generateTrackerPrompt, createTrackerPayloadForLLM, buildTrackerContext } from './promptBuilder.js';
+import { resolvePromptApi } from '../../utils/promptApi.js';
+import { fitTrackerToBudget } from './tokenBudget.js';
+import { getDueSectionIds, applyUpdateSchedule } from './updateSchedule.js';
+import { getPromptPlacement, injectPrompt } from './promptPlacement.js';
 
 const PROMPT_IDS = {
     INSTRUCTIONS: 'story-tracker-inject',
     CONTEXT: 'story-tracker-context'
 };
 
+let lastBudgetWarning = '';
+
 function summarizeTrackerTemplate(data) {
     if (!data || !Array.isArray(data.sections)) {
         return {
@@ -75,22 +81,23 @@ function ensureCommittedBaseline() {
     setCommittedTrackerData(baseline);
 }
 
-
-function buildTrackerContext(data) {
-    if (!data || !Array.isArray(data.sections) || data.sections.length === 0) {
-        return '';
+function reportBudget(result) {
+    if (result.trimmed.length > 0) {
+        console.log('[Story Tracker] Trimmed sections to fit the token budget:', result.trimmed);
     }
 
-    const summary = data.sections.map((section) => {
-        const subsectionText = (section.subsections || []).map((subsection) => {
-            const fields = (subsection.fields || []).map((field) => `- ${field.name}: ${field.value || '...'}`);
-            return [`${subsection.name}:`, ...fields].join('\n');
-        });
-
-        return [`${section.name}:`, ...subsectionText].join('\n');
-    }).join('\n\n');
+    if (!result.overBudget) {
+        lastBudgetWarning = '';
+        return;
+    }
 
-    return `Current tracker state (for reference only):\n\n${summary}`;
+    const message = `Tracker prompt uses about ${result.total} tokens, over the budget of ${result.budget}.`;
+    console.warn(`[Story Tracker] ${message}`);
+    // Only toast when the numbers change so every generation does not repeat the warning
+    if (message !== lastBudgetWarning && typeof window !== 'undefined' && window.toastr) {
+        window.toastr.warning(message, 'Story Tracker');
+    }
+    lastBudgetWarning = message;
 }
 
 /**
@@ -117,7 +124,8 @@ export function onGenerationStarted() {
 
     ensureCommittedBaseline();
 
-    const { setter, types, usedFallback, mappedFrom } = resolvePromptApi();
+    const api = resolvePromptApi();
+    const { setter, types, usedFallback, mappedFrom } = api;
     console.log('[Story Tracker DEBUG] Prompt API resolved:', {
         hasSetter: typeof setter === 'function',
         hasTypes: Boolean(types),
@@ -131,7 +139,9 @@ export function onGenerationStarted() {
         return;
     }
 
-    const baseline = committedTrackerData || extensionSettings.trackerData;
+    const budgeted = fitTrackerToBudget(committedTrackerData || extensionSettings.trackerData);
+    const baseline = budgeted.trackerData;
+    reportBudget(budgeted);
     const trackerSummary = summarizeTrackerTemplate(baseline);
     const trackerPayload = createTrackerPayloadForLLM(baseline);
     const trackerJsonPreview = JSON.stringify(trackerPayload, null, 2).slice(0, 400);
@@ -143,8 +153,17 @@ export function onGenerationStarted() {
         jsonPreview: trackerJsonPreview
     });
 
-    if (extensionSettings.generationMode === 'together') {
-        const instructions = generateTrackerPrompt(false, baseline, {
+    // Together mode only asks for the sections due this turn; with none due it injects context like separate mode
+    const together = extensionSettings.generationMode === 'together';
+    const dueIds = together ? getDueSectionIds() : null;
+    if (together) {
+        // Read by the parser when the reply arrives; separate mode sets its own in updateTrackerData
+        setScheduledSectionIds(dueIds);
+    }
+    const nothingDue = Array.isArray(dueIds) && dueIds.length === 0;
+
+    if (together && !nothingDue) {
+        const instructions = generateTrackerPrompt(false, applyUpdateSchedule(baseline, dueIds), {
             includeNarrative: true
         });
 
@@ -153,18 +172,17 @@ export function onGenerationStarted() {
             promptPreview: instructions.substring(0, 200)
         });
 
-        callSetExtensionPrompt(setter, PROMPT_IDS.INSTRUCTIONS, instructions, types.IN_CHAT, 0, false);
-        callSetExtensionPrompt(setter, PROMPT_IDS.CONTEXT, '', types.IN_CHAT, 0, false);
+        injectPrompt(api, PROMPT_IDS.INSTRUCTIONS, instructions, getPromptPlacement('together', 'instructions'));
+        injectPrompt(api, PROMPT_IDS.CONTEXT, '', getPromptPlacement('together', 'context'));
 
         console.log('[Story Tracker DEBUG] Prompt injected successfully');
-    } else if (extensionSettings.generationMode === 'separate') {
+    } else if (together || extensionSettings.generationMode === 'separate') {
+        if (nothingDue) {
+            console.log('[Story Tracker] No sections are due for an update this turn; injecting context only.');
+        }
         const contextSummary = buildTrackerContext(baseline);
 
-        callSetExtensionPrompt(setter, PROMPT_IDS.INSTRUCTIONS, '', types.IN_CHAT, 0, false);
-        if (contextSummary) {
-            callSetExtensionPrompt(setter, PROMPT_IDS.CONTEXT, contextSummary, types.IN_CHAT, 1, false);
-        } else {
-            callSetExtensionPrompt(setter, PROMPT_IDS.CONTEXT, '', types.IN_CHAT, 1, false);
-        }
+        injectPrompt(api, PROMPT_IDS.INSTRUCTIONS, '', getPromptPlacement('together', 'instructions'));
+        injectPrompt(api, PROMPT_IDS.CONTEXT, contextSummary, getPromptPlacement(extensionSettings.generationMode, 'context'));
     }
 }
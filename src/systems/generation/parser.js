@@ -3,7 +3,12 @@
  * Handles parsing of AI responses to extract tracker data
  */
 
-import { extensionSettings } from '../../core/state.js';
+import { extensionSettings, isItemLocked, isItemEnabled, isSectionScheduled, getCommittedOrLiveTrackerData } from '../../core/state.js';
+import { checkProposedValue, createValidationReport } from '../../core/validation.js';
+import { PROMPT_ENCODINGS, UPDATE_PROTOCOLS } from '../../core/config.js';
+import { parseYaml } from '../../utils/yaml.js';
+import { isTrackerPatch, applyTrackerPatch } from './delta.js';
+import { validateTrackerReply, formatSchemaErrors } from './trackerSchema.js';
 
 /**
  * Reconstructs tracker data returned by the LLM using the existing template
@@ -42,7 +47,16 @@ function coerceFieldRecord(candidate, fallbackName) {
     return null;
 }
 
-function findSectionCandidate(collection, templateSection) {
+/**
+ * Finds the section (or subsection) in a collection that matches a template by id or
+ * name, ignoring case and surrounding whitespace. Collections may be arrays or objects
+ * keyed by name.
+ *
+ * @param {Array|Object|null} collection - Candidates
+ * @param {{ id?: string, name?: string }} templateSection - What to look for
+ * @returns {Object|null} Matching candidate
+ */
+export function findSectionCandidate(collection, templateSection) {
     if (!collection) {
         return null;
     }
@@ -104,7 +118,15 @@ function findSectionCandidate(collection, templateSection) {
     return null;
 }
 
-function findFieldCandidate(collection, templateField) {
+/**
+ * Finds the field in a collection that matches a template by id or name, ignoring case.
+ * Bare values (e.g. `{ "HP": 10 }`) are returned as field records.
+ *
+ * @param {Array|Object|null} collection - Candidates
+ * @param {{ id?: string, name?: string }} templateField - What to look for
+ * @returns {Object|null} Matching field record
+ */
+export function findFieldCandidate(collection, templateField) {
     if (!collection) {
         return null;
     }
@@ -180,6 +202,39 @@ function findFieldCandidate(collection, templateField) {
     return null;
 }
 
+/**
+ * Applies a value returned by the model onto a template field. The value is coerced
+ * into the field's type and checked against its constraints; rejected values leave
+ * the field untouched and every violation is recorded in the report. Values for
+ * locked fields are ignored.
+ *
+ * @returns {boolean} Whether the model supplied a value for the field
+ */
+function applyParsedFieldValue(originalField, parsedFieldData, { report, path, locked = false }) {
+    if (!parsedFieldData || !Object.prototype.hasOwnProperty.call(parsedFieldData, 'value')) {
+        return false;
+    }
+
+    if (locked || parsedFieldData.value === null || parsedFieldData.value === undefined) {
+        return true;
+    }
+
+    const checked = checkProposedValue(originalField, parsedFieldData.value, {
+        report,
+        path,
+        policy: extensionSettings.validationPolicy
+    });
+    if (checked.accepted) {
+        originalField.value = checked.value;
+    }
+
+    return true;
+}
+
+function buildFieldPath(...names) {
+    return names.filter(Boolean).join(' > ');
+}
+
 function findSectionsSource(candidate) {
     if (!candidate || typeof candidate !== 'object') {
         return null;
@@ -204,7 +259,15 @@ function findSectionsSource(candidate) {
     return null;
 }
 
-function restoreTrackerFromLLM(parsedData) {
+/**
+ * Maps decoded tracker data back onto the tracker template, matching sections,
+ * subsections and fields by id or name. Items the data leaves out keep their values.
+ *
+ * @param {Object} parsedData - Decoded reply (or merged replies)
+ * @param {Object|null} [report] - Validation report collecting violations and matched sections
+ * @returns {Object|null} Restored tracker, or null when no field value was found
+ */
+export function restoreTrackerFromLLM(parsedData, report = null) {
     if (!parsedData || typeof parsedData !== 'object') {
         return null;
     }
@@ -227,28 +290,42 @@ function restoreTrackerFromLLM(parsedData) {
     }
 
     const restoredSections = [];
+    const matchedSections = [];
     let foundTrackerValues = false;
 
     for (const originalSection of originalData.sections) {
-        const parsedSection = findSectionCandidate(sectionsSource, originalSection);
+        const parsedSection = isItemEnabled(originalSection)
+            ? findSectionCandidate(sectionsSource, originalSection)
+            : null;
         if (!parsedSection) {
             restoredSections.push(originalSection);
             continue;
         }
+        let sectionMatched = false;
+        // Sections that are not due this update are read-only, like locked ones
+        const scheduled = isSectionScheduled(originalSection);
 
         const restoredSectionFields = [];
         for (const originalField of originalSection.fields || []) {
+            if (!isItemEnabled(originalField)) {
+                restoredSectionFields.push(originalField);
+                continue;
+            }
+
             const parsedFieldData = findFieldCandidate(parsedSection.fields, originalField);
-            if (parsedFieldData && Object.prototype.hasOwnProperty.call(parsedFieldData, 'value')) {
-                originalField.value = parsedFieldData.value ?? originalField.value;
-                foundTrackerValues = true;
+            const path = buildFieldPath(originalSection.name, originalField.name);
+            const locked = !scheduled || isItemLocked(originalSection, originalField);
+            if (applyParsedFieldValue(originalField, parsedFieldData, { report, path, locked })) {
+                sectionMatched = true;
             }
             restoredSectionFields.push(originalField);
         }
 
         const restoredSubsections = [];
         for (const originalSubsection of originalSection.subsections || []) {
-            const parsedSubsection = findSectionCandidate(parsedSection.subsections, originalSubsection);
+            const parsedSubsection = isItemEnabled(originalSubsection)
+                ? findSectionCandidate(parsedSection.subsections, originalSubsection)
+                : null;
             if (!parsedSubsection) {
                 restoredSubsections.push(originalSubsection);
                 continue;
@@ -256,10 +333,16 @@ function restoreTrackerFromLLM(parsedData) {
 
             const restoredFields = [];
             for (const originalField of originalSubsection.fields || []) {
+                if (!isItemEnabled(originalField)) {
+                    restoredFields.push(originalField);
+                    continue;
+                }
+
                 const parsedFieldData = findFieldCandidate(parsedSubsection.fields, originalField);
-                if (parsedFieldData && Object.prototype.hasOwnProperty.call(parsedFieldData, 'value')) {
-                    originalField.value = parsedFieldData.value ?? originalField.value;
-                    foundTrackerValues = true;
+                const path = buildFieldPath(originalSection.name, originalSubsection.name, originalField.name);
+                const locked = !scheduled || isItemLocked(originalSection, originalSubsection, originalField);
+                if (applyParsedFieldValue(originalField, parsedFieldData, { report, path, locked })) {
+                    sectionMatched = true;
                 }
                 restoredFields.push(originalField);
             }
@@ -274,6 +357,14 @@ function restoreTrackerFromLLM(parsedData) {
 
         originalSection.subsections = restoredSubsections;
         restoredSections.push(originalSection);
+        if (sectionMatched) {
+            foundTrackerValues = true;
+            matchedSections.push(originalSection.id);
+        }
+    }
+
+    if (report) {
+        report.matchedSections = matchedSections;
     }
 
     if (!foundTrackerValues) {
@@ -284,22 +375,358 @@ function restoreTrackerFromLLM(parsedData) {
 }
 
 const HTML_REGEX = /(<div[^>]*>[\s\S]*?<\/div>|<style[^>]*>[\s\S]*?<\/style>|<script[^>]*>[\s\S]*?<\/script>)/gi;
-const CODE_BLOCK_REGEX = /```(?:[a-zA-Z0-9_-]+)?\s*([\s\S]*?)\s*```/gi;
+const CODE_BLOCK_REGEX = /```([a-zA-Z0-9_-]+)?\s*([\s\S]*?)\s*```/gi;
 const MULTI_NEWLINE_REGEX = /\n{3,}/g;
 
+/**
+ * Patches are produced against the committed tracker (the state the model was shown),
+ * falling back to the live tracker before anything has been committed.
+ */
+function getPatchBase() {
+    return getCommittedOrLiveTrackerData() || { sections: [] };
+}
+
+/**
+ * Whether a decoded reply has one of the shapes the tracker schema describes: a
+ * sections array or a "changes" patch. Outline and XML replies and the looser
+ * shapes the parser also accepts are not checked.
+ */
+function hasSchemaShape(parsedData) {
+    if (!parsedData || typeof parsedData !== 'object' || Array.isArray(parsedData)) {
+        return false;
+    }
+    return Array.isArray(parsedData.sections)
+        || (parsedData.changes !== null && typeof parsedData.changes === 'object' && !Array.isArray(parsedData.changes));
+}
+
+function restoreParsedTracker(parsedData, { validate = false } = {}) {
+    const report = createValidationReport();
+    if (validate && hasSchemaShape(parsedData)) {
+        report.schemaErrors = validateTrackerReply(parsedData);
+    }
+    if (isTrackerPatch(parsedData)) {
+        const patched = applyTrackerPatch(getPatchBase(), parsedData, report);
+        if (patched) {
+            return { trackerData: patched, report };
+        }
+    }
+    const trackerData = restoreTrackerFromLLM(parsedData, report);
+    return trackerData ? { trackerData, report } : null;
+}
+
+const SMART_QUOTE_REGEX = /[\u201C\u201D\u201E\u201F\u2033]/;
+const STRING_END_REGEX = /^\s*(?:[:,}\]]|$)/;
+const UNQUOTED_KEY_REGEX = /^([A-Za-z_$][\w$-]*)\s*:/;
+
+/**
+ * Drops whatever a truncated reply left dangling at the end: a trailing comma
+ * or a key without its value.
+ */
+function trimDanglingJson(text, insideObject) {
+    let trimmed = text.replace(/,?\s*"(?:[^"\\]|\\.)*"\s*:\s*$/, '');
+    if (insideObject) {
+        trimmed = trimmed.replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*$/, '$1');
+    }
+    return trimmed.replace(/,\s*$/, '');
+}
+
+/**
+ * Fixes common defects in model-written JSON: smart quotes, unquoted keys, trailing
+ * commas and a reply cut off before its closing brackets.
+ *
+ * @param {string} text - Malformed JSON
+ * @returns {{ text: string, repairs: string[] }} Repaired text and a description of each fix
+ */
+function repairJson(text) {
+    const repairs = new Set();
+    const source = String(text ?? '');
+
+    const closers = [];
+    let output = '';
+    let inString = false;
+    let smartString = false;
+    let replacedQuotes = false;
+    let escape = false;
+
+    for (let index = 0; index < source.length; index += 1) {
+        const char = source[index];
+
+        if (inString) {
+            if (escape) {
+                escape = false;
+            } else if (char === '\\') {
+                escape = true;
+            } else if (char === '"') {
+                inString = false;
+            } else if (smartString && SMART_QUOTE_REGEX.test(char) && STRING_END_REGEX.test(source.slice(index + 1))) {
+                // A smart quote only closes a string that a smart quote opened, and only
+                // where JSON expects a delimiter; typographic quotes in prose are kept
+                output += '"';
+                inString = false;
+                continue;
+            }
+            output += char;
+            continue;
+        }
+
+        if (SMART_QUOTE_REGEX.test(char)) {
+            output += '"';
+            inString = true;
+            smartString = true;
+            replacedQuotes = true;
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+            smartString = false;
+        } else if (char === '{' || char === '[') {
+            closers.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            const trimmed = output.trimEnd();
+            if (trimmed.endsWith(',')) {
+                output = trimmed.slice(0, -1);
+                repairs.add('Removed trailing commas');
+            }
+            if (closers[closers.length - 1] === char) {
+                closers.pop();
+            }
+        } else if (closers[closers.length - 1] === '}' && /[{,]\s*$/.test(output)) {
+            const keyMatch = source.slice(index).match(UNQUOTED_KEY_REGEX);
+            if (keyMatch) {
+                output += `"${keyMatch[1]}"`;
+                index += keyMatch[1].length - 1;
+                repairs.add('Quoted unquoted keys');
+                continue;
+            }
+        }
+
+        output += char;
+    }
+
+    if (inString) {
+        output += '"';
+        repairs.add('Closed an unterminated string');
+    }
+    if (closers.length > 0) {
+        output = trimDanglingJson(output.trimEnd(), closers[closers.length - 1] === '}') + closers.reverse().join('');
+        repairs.add(`Added ${closers.length} missing closing bracket${closers.length === 1 ? '' : 's'}`);
+    }
+
+    return { text: output, repairs: replacedQuotes ? ['Replaced smart quotes', ...repairs] : [...repairs] };
+}
+
 function tryParseTrackerJson(candidate) {
     if (!candidate) {
         return null;
     }
 
     try {
-        const parsedData = JSON.parse(candidate);
-        return restoreTrackerFromLLM(parsedData);
+        return restoreParsedTracker(JSON.parse(candidate), { validate: true });
+    } catch (_error) {
+        // Fall through to the repair pass
+    }
+
+    if (!/^[[{\u201C]/.test(candidate.trim())) {
+        return null;
+    }
+
+    const { text, repairs } = repairJson(candidate);
+    if (repairs.length === 0) {
+        return null;
+    }
+
+    try {
+        const restored = restoreParsedTracker(JSON.parse(text), { validate: true });
+        if (restored) {
+            restored.report.repairs = repairs;
+            console.warn('[Story Tracker] Repaired malformed tracker JSON', repairs);
+        }
+        return restored;
+    } catch (_error) {
+        return null;
+    }
+}
+
+function tryParseTrackerYaml(candidate) {
+    if (!candidate) {
+        return null;
+    }
+
+    try {
+        const parsedData = parseYaml(candidate);
+        return parsedData && typeof parsedData === 'object' ? restoreParsedTracker(parsedData, { validate: true }) : null;
     } catch (_error) {
         return null;
     }
 }
 
+const OUTLINE_SEPARATOR = ' > ';
+
+/**
+ * Reads "Section > Field: value" and "Section > Subsection > Field: value" lines.
+ * The path ends at the first colon, so values may contain colons and " > ".
+ *
+ * @param {string} text - Outline block content
+ * @returns {{ path: string[], value: string }[]} Parsed lines
+ */
+function parseOutlineLines(text) {
+    const entries = [];
+    for (const rawLine of String(text ?? '').split(/\r?\n/)) {
+        const line = rawLine.replace(/^\s*[-*•]\s+/, '').trim();
+        const colon = line.indexOf(':');
+        if (colon === -1) {
+            continue;
+        }
+
+        const path = line.slice(0, colon).split(OUTLINE_SEPARATOR).map(segment => segment.trim());
+        if (path.length < 2 || path.length > 3 || path.some(segment => !segment)) {
+            continue;
+        }
+        entries.push({ path, value: line.slice(colon + 1).trim() });
+    }
+    return entries;
+}
+
+/**
+ * Rebuilds the nested section structure from outline lines or XML tags so that it can
+ * be matched against the template by name, like any other reply.
+ */
+function buildNamedSections(entries) {
+    const sections = [];
+    const findOrAdd = (collection, name, create) => {
+        let item = collection.find(candidate => normalizeKey(candidate.name) === normalizeKey(name));
+        if (!item) {
+            item = create(name);
+            collection.push(item);
+        }
+        return item;
+    };
+
+    for (const { path, value } of entries) {
+        const section = findOrAdd(sections, path[0], name => ({ name, fields: {}, subsections: [] }));
+        const container = path.length === 3
+            ? findOrAdd(section.subsections, path[1], name => ({ name, fields: {} }))
+            : section;
+        container.fields[path[path.length - 1]] = value;
+    }
+
+    return { sections };
+}
+
+function restoreNamedEntries(entries) {
+    if (extensionSettings.updateProtocol === UPDATE_PROTOCOLS.DELTA) {
+        // Only changed fields are returned; an empty block means nothing changed
+        const patch = entries.map(({ path, value }) => ({ op: 'replace', path, value }));
+        return restoreParsedTracker({ patch });
+    }
+    return entries.length > 0 ? restoreParsedTracker(buildNamedSections(entries)) : null;
+}
+
+function tryParseTrackerOutline(candidate) {
+    return restoreNamedEntries(parseOutlineLines(candidate));
+}
+
+const XML_TRACKER_REGEX = /<tracker\b[^>]*>([\s\S]*?)<\/tracker\s*>/i;
+const XML_TAG_REGEX = /<(\/?)(section|subsection|field)\b((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/gi;
+
+function decodeXmlText(text) {
+    return String(text ?? '')
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&#(\d+);/g, (_match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+function readXmlAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+    return match ? decodeXmlText(match[1] ?? match[2]).trim() : null;
+}
+
+/**
+ * Reads the <section>/<subsection>/<field> tags of a <tracker> block. Nested <section>
+ * tags are accepted in place of <subsection>; a field may carry its value as text or
+ * in a "value" attribute.
+ *
+ * @param {string} text - Content of the <tracker> block
+ * @returns {{ path: string[], value: string }[]} Parsed fields
+ */
+function parseXmlFields(text) {
+    const entries = [];
+    const containers = [];
+    let openField = null;
+
+    for (const match of String(text ?? '').matchAll(XML_TAG_REGEX)) {
+        const [tag, closing, rawName, attributes, selfClosing] = match;
+        const tagName = rawName.toLowerCase();
+
+        if (tagName === 'field') {
+            if (closing) {
+                if (openField) {
+                    entries.push({ path: openField.path, value: decodeXmlText(text.slice(openField.start, match.index)).trim() });
+                    openField = null;
+                }
+            } else {
+                const name = readXmlAttribute(attributes, 'name');
+                const path = name ? [...containers, name] : null;
+                if (path && selfClosing) {
+                    entries.push({ path, value: readXmlAttribute(attributes, 'value') ?? '' });
+                } else if (path) {
+                    openField = { path, start: match.index + tag.length };
+                }
+            }
+            continue;
+        }
+
+        if (openField || selfClosing) {
+            continue;
+        }
+        if (closing) {
+            containers.pop();
+        } else {
+            containers.push(readXmlAttribute(attributes, 'name') || '');
+        }
+    }
+
+    return entries.filter(({ path }) => path.length >= 2 && path.length <= 3 && path.every(Boolean));
+}
+
+function tryParseTrackerXml(candidate) {
+    const match = String(candidate ?? '').match(XML_TRACKER_REGEX);
+    return match ? restoreNamedEntries(parseXmlFields(match[1])) : null;
+}
+
+/**
+ * Decodes a fenced block from the reply. JSON is always tried first; YAML and outline
+ * blocks are recognized by their fence language or by the configured prompt encoding.
+ *
+ * @param {string} candidate - Block content
+ * @param {string} [language] - Fence language, when present
+ * @returns {{ trackerData: Object, report: Object }|null} Restored tracker and report
+ */
+function tryParseTrackerBlock(candidate, language = '') {
+    const fence = language.toLowerCase();
+    const encoding = extensionSettings.promptEncoding;
+
+    const fromJson = tryParseTrackerJson(candidate);
+    if (fromJson) {
+        return fromJson;
+    }
+    if (fence === 'yaml' || fence === 'yml' || (!fence && encoding === PROMPT_ENCODINGS.YAML)) {
+        return tryParseTrackerYaml(candidate);
+    }
+    if (fence === 'tracker' || fence === 'outline' || (!fence && encoding === PROMPT_ENCODINGS.OUTLINE)) {
+        return tryParseTrackerOutline(candidate);
+    }
+    if (fence === 'xml' || XML_TRACKER_REGEX.test(candidate)) {
+        return tryParseTrackerXml(candidate);
+    }
+    return null;
+}
+
 function findBalancedJsonCandidate(text) {
     if (!text) {
         return null;
@@ -351,11 +778,92 @@ function findBalancedJsonCandidate(text) {
     return null;
 }
 
+/**
+ * Finds an object that is opened but never closed, as left by a reply that was cut
+ * off mid-tracker. The candidate runs to the end of the text and needs repairing.
+ */
+function findTruncatedJsonCandidate(text) {
+    if (!text) {
+        return null;
+    }
+
+    let depth = 0;
+    let start = -1;
+    let inString = false;
+    let escape = false;
+
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index];
+
+        if (escape) {
+            escape = false;
+        } else if (char === '\\') {
+            escape = true;
+        } else if (char === '"') {
+            inString = !inString;
+        } else if (inString) {
+            continue;
+        } else if (char === '{') {
+            if (depth === 0) {
+                start = index;
+            }
+            depth += 1;
+        } else if (char === '}' && depth > 0) {
+            depth -= 1;
+        }
+    }
+
+    return depth > 0 ? { start, end: text.length, candidate: text.slice(start), truncated: true } : null;
+}
+
+/**
+ * Explains why no tracker data could be read from a reply, for retry prompts and the UI.
+ * @param {string} text - Reply text (without extracted HTML)
+ * @returns {string} Human-readable reason
+ */
+function describeParseFailure(text) {
+    const block = [...text.matchAll(CODE_BLOCK_REGEX)].find(match => match[2]?.trim());
+    const candidate = block
+        ? block[2].trim()
+        : (findBalancedJsonCandidate(text) || findTruncatedJsonCandidate(text))?.candidate?.trim();
+
+    if (!candidate) {
+        return XML_TRACKER_REGEX.test(text)
+            ? 'The <tracker> block did not contain any field of the tracker.'
+            : 'The reply did not contain a tracker block.';
+    }
+
+    let decoded = null;
+    let label = 'JSON';
+    if (/^[[{]/.test(candidate)) {
+        try {
+            decoded = JSON.parse(repairJson(candidate).text);
+        } catch (error) {
+            return `The tracker JSON is invalid: ${error.message}`;
+        }
+    } else if (/^ya?ml$/i.test(block?.[1] || '')) {
+        label = 'YAML';
+        try {
+            decoded = parseYaml(candidate);
+        } catch (error) {
+            return `The tracker YAML is invalid: ${error.message}`;
+        }
+    }
+
+    const schemaErrors = hasSchemaShape(decoded) ? validateTrackerReply(decoded) : [];
+    if (schemaErrors.length > 0) {
+        return `The tracker ${label} does not match the tracker schema: ${formatSchemaErrors(schemaErrors)}`;
+    }
+
+    return 'The tracker block did not match any section or field of the tracker.';
+}
+
 /**
  * Parses the model response to extract tracker data and cleaned narrative text.
+ * When no tracker data is found, parseError explains why.
  *
  * @param {string} responseText - The raw AI response text
- * @returns {{ trackerData: object|null, html: string|null, cleanedText: string }} Parsed data
+ * @returns {{ trackerData: object|null, validationReport: object|null, parseError: string|null, html: string|null, cleanedText: string }} Parsed data
  */
 export function parseResponse(responseText) {
     const originalText = typeof responseText === 'string' ? responseText : '';
@@ -363,6 +871,8 @@ export function parseResponse(responseText) {
 
     const result = {
         trackerData: null,
+        validationReport: null,
+        parseError: null,
         html: null,
         cleanedText: originalText.trim()
     };
@@ -373,18 +883,36 @@ export function parseResponse(responseText) {
         workingText = workingText.replace(HTML_REGEX, '');
     }
 
-    const codeBlocks = [...workingText.matchAll(CODE_BLOCK_REGEX)];
     let removalBounds = null;
 
+    // A bare <tracker> block (XML encoding) is taken before any fenced block
+    const xmlMatch = workingText.match(XML_TRACKER_REGEX);
+    const xmlFenced = xmlMatch && /```[a-zA-Z0-9_-]*\s*$/.test(workingText.slice(0, xmlMatch.index));
+    if (xmlMatch && !xmlFenced) {
+        const restored = tryParseTrackerXml(xmlMatch[0]);
+        if (restored) {
+            result.trackerData = restored.trackerData;
+            result.validationReport = restored.report;
+            removalBounds = {
+                start: xmlMatch.index,
+                end: xmlMatch.index + xmlMatch[0].length
+            };
+        }
+    }
+
+    const codeBlocks = result.trackerData ? [] : [...workingText.matchAll(CODE_BLOCK_REGEX)];
+
     for (const match of codeBlocks) {
-        const [fullMatch, captured] = match;
-        if (!captured) {
+        const [fullMatch, language = '', captured] = match;
+        const emptyOutline = !captured && /^(?:tracker|outline)$/i.test(language);
+        if (!captured && !emptyOutline) {
             continue;
         }
 
-        const restored = tryParseTrackerJson(captured.trim());
+        const restored = tryParseTrackerBlock(captured.trim(), language);
         if (restored) {
-            result.trackerData = restored;
+            result.trackerData = restored.trackerData;
+            result.validationReport = restored.report;
             removalBounds = {
                 start: match.index,
                 end: match.index + fullMatch.length
@@ -394,21 +922,33 @@ export function parseResponse(responseText) {
     }
 
     if (!result.trackerData) {
-        const fallbackCandidate = findBalancedJsonCandidate(workingText);
-        if (fallbackCandidate) {
+        const fallbackCandidates = [
+            findBalancedJsonCandidate(workingText),
+            findTruncatedJsonCandidate(workingText)
+        ].filter(Boolean);
+
+        for (const fallbackCandidate of fallbackCandidates) {
             const restored = tryParseTrackerJson(fallbackCandidate.candidate.trim());
             if (restored) {
-                result.trackerData = restored;
+                result.trackerData = restored.trackerData;
+                result.validationReport = restored.report;
+                // The unclosed code fence in front of a truncated object goes with it
+                const openingFence = fallbackCandidate.truncated
+                    ? workingText.slice(0, fallbackCandidate.start).match(/```[a-zA-Z0-9_-]*\s*$/)
+                    : null;
                 removalBounds = {
-                    start: fallbackCandidate.start,
+                    start: openingFence ? openingFence.index : fallbackCandidate.start,
                     end: fallbackCandidate.end
                 };
+                break;
             }
         }
     }
 
     if (removalBounds) {
         workingText = workingText.slice(0, removalBounds.start) + workingText.slice(removalBounds.end);
+    } else if (!result.trackerData) {
+        result.parseError = describeParseFailure(workingText);
     }
 
     result.cleanedText = workingText.replace(MULTI_NEWLINE_REGEX, '\n\n').trim();
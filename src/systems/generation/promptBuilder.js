@@ -3,134 +3,538 @@
  * Handles AI prompt generation for story tracker data
  */
 
-import { extensionSettings, committedTrackerData } from '../../core/state.js';
+import { extensionSettings, committedTrackerData, scheduledSectionIds, isItemLocked, isItemEnabled } from '../../core/state.js';
+import { FIELD_TYPES, UPDATE_PROTOCOLS, PROMPT_ENCODINGS } from '../../core/config.js';
+import { normalizeFieldType, getEnumOptions, getRangeBounds, formatFieldValue } from '../../core/fieldTypes.js';
+import { stringifyYaml } from '../../utils/yaml.js';
+import { buildTrackerJsonSchema, isSchemaEncoding } from './trackerSchema.js';
+import { applyUpdateSchedule } from './updateSchedule.js';
+import {
+    DEFAULT_SYSTEM_PROMPT,
+    getPromptTemplate,
+    getCommonPlaceholderValues,
+    renderPromptTemplate
+} from './promptTemplates.js';
 
 // Type imports
 /** @typedef {import('../../types/tracker.js').TrackerData} TrackerData */
 /** @typedef {import('../../types/tracker.js').TrackerField} TrackerField */
 
+/**
+ * Template overrides, used to preview unsaved edits
+ * @typedef {Object} PromptTemplateOptions
+ * @property {Object} [templates] - Templates to use instead of the saved ones
+ * @property {string} [systemPrompt] - System prompt to use instead of the saved one
+ */
+
 /**
  * Generates the general instruction prompt that explains how the tracker works.
  * @param {'together'|'separate'} mode - Generation mode to tailor instructions for
+ * @param {PromptTemplateOptions} [options] - Template overrides
  * @returns {string} General instruction text
  */
-export function generateGeneralInstructions(mode = 'separate') {
-    const basePrompt = extensionSettings.systemPrompt?.trim();
-    const defaultPrompt = 'You are managing a dynamic story tracker for the roleplay. The tracker contains various fields that track different aspects of the story and characters.';
+export function generateGeneralInstructions(mode = 'separate', { templates, systemPrompt = extensionSettings.systemPrompt } = {}) {
+    const basePrompt = systemPrompt?.trim();
+    const encoding = getPromptEncoding();
+    const { fence, label } = ENCODING_FORMATS[encoding];
 
-    let instructions = basePrompt || defaultPrompt;
-
-    if (mode === 'together') {
-        instructions += '\n\nAlways begin your reply with an updated tracker JSON block enclosed in ```json fences before continuing the narrative response. Maintain immersive storytelling after the code block.';
+    let replyFormat;
+    if (encoding === PROMPT_ENCODINGS.XML) {
+        replyFormat = mode === 'together'
+            ? 'Always begin your reply with the updated tracker inside <tracker>…</tracker> tags before continuing the narrative response. Maintain immersive storytelling after the closing </tracker> tag.'
+            : 'Return only the updated tracker data inside <tracker>…</tracker> tags with no additional narration. Ensure every tag is closed.';
+    } else if (mode === 'together') {
+        replyFormat = `Always begin your reply with an updated tracker ${label} block enclosed in \`\`\`${fence} fences before continuing the narrative response. Maintain immersive storytelling after the code block.`;
     } else {
-        instructions += '\n\nReturn only the updated tracker data as a ```json code block with no additional narration. Ensure the block is valid JSON.';
+        replyFormat = `Return only the updated tracker data as a \`\`\`${fence} code block with no additional narration. Ensure the block is valid ${label}.`;
+    }
+
+    return renderPromptTemplate(getPromptTemplate('instructions', templates), {
+        ...getCommonPlaceholderValues(mode),
+        system_prompt: basePrompt || DEFAULT_SYSTEM_PROMPT,
+        reply_format: replyFormat,
+        format: label
+    }).trim();
+}
+
+/**
+ * Code fence, block description and name of each prompt encoding. The model is asked
+ * to answer in the same encoding it was shown. XML replies use tags instead of a fence.
+ */
+const ENCODING_FORMATS = {
+    [PROMPT_ENCODINGS.JSON]: { fence: 'json', block: '```json code block', closing: 'code block', label: 'JSON' },
+    [PROMPT_ENCODINGS.COMPACT_JSON]: { fence: 'json', block: '```json code block', closing: 'code block', label: 'JSON' },
+    [PROMPT_ENCODINGS.YAML]: { fence: 'yaml', block: '```yaml code block', closing: 'code block', label: 'YAML' },
+    [PROMPT_ENCODINGS.OUTLINE]: { fence: 'tracker', block: '```tracker code block', closing: 'code block', label: 'outline' },
+    [PROMPT_ENCODINGS.XML]: { fence: null, block: '<tracker> block', closing: '</tracker> tag', label: 'XML' }
+};
+
+/**
+ * Reads the configured prompt encoding.
+ * @returns {string} One of PROMPT_ENCODINGS
+ */
+export function getPromptEncoding() {
+    const encoding = extensionSettings.promptEncoding;
+    return ENCODING_FORMATS[encoding] ? encoding : PROMPT_ENCODINGS.JSON;
+}
+
+function convertFieldForLLM(field, locked = false, includeId = false) {
+    const converted = {
+        ...(includeId && field.id ? { id: field.id } : {}),
+        prompt: field.prompt ?? '',
+        value: field.value ?? ''
+    };
+
+    const type = normalizeFieldType(field.type);
+    if (type !== FIELD_TYPES.TEXT) {
+        converted.type = type;
+        if (type === FIELD_TYPES.ENUM) {
+            converted.options = getEnumOptions(field);
+        } else if (type === FIELD_TYPES.RANGE) {
+            const { min, max } = getRangeBounds(field);
+            converted.min = min;
+            converted.max = max;
+        }
     }
 
-    return instructions.trim();
+    if (locked) {
+        converted.readOnly = true;
+    }
+
+    return converted;
 }
 
-function convertTrackerForLLM(trackerData) {
+function convertTrackerForLLM(trackerData, { includeIds = false } = {}) {
     if (!trackerData) return {};
     const converted = JSON.parse(JSON.stringify(trackerData));
 
+    if (Array.isArray(converted.sections)) {
+        converted.sections = converted.sections.filter(section => isItemEnabled(section));
+    }
+
     for (const section of converted.sections || []) {
         if (Array.isArray(section.fields)) {
             const sectionFieldsObject = {};
-            for (const field of section.fields) {
-                sectionFieldsObject[field.name] = {
-                    prompt: field.prompt ?? '',
-                    value: field.value ?? ''
-                };
+            for (const field of section.fields.filter(item => isItemEnabled(item))) {
+                sectionFieldsObject[field.name] = convertFieldForLLM(field, isItemLocked(section, field), includeIds);
             }
             section.fields = sectionFieldsObject;
         }
 
+        if (Array.isArray(section.subsections)) {
+            section.subsections = section.subsections.filter(subsection => isItemEnabled(subsection));
+        }
+
         for (const subsection of section.subsections || []) {
             const fieldsObject = {};
-            for (const field of subsection.fields || []) {
-                fieldsObject[field.name] = {
-                    prompt: field.prompt ?? '',
-                    value: field.value ?? ''
-                };
+            for (const field of (subsection.fields || []).filter(item => isItemEnabled(item))) {
+                fieldsObject[field.name] = convertFieldForLLM(field, isItemLocked(section, subsection, field), includeIds);
             }
             subsection.fields = fieldsObject;
+            markReadOnly(subsection);
+            delete subsection.enabled;
         }
+
+        markReadOnly(section);
+        delete section.enabled;
+        delete section.priority;
     }
 
     return converted;
 }
 
-export function createTrackerPayloadForLLM(trackerData) {
-    return convertTrackerForLLM(trackerData);
+function markReadOnly(container) {
+    if (container.locked) {
+        container.readOnly = true;
+    }
+    delete container.locked;
+}
+
+function getEnabledFieldEntries(trackerData) {
+    const entries = [];
+    for (const section of (trackerData?.sections || []).filter(item => isItemEnabled(item))) {
+        for (const field of section.fields || []) {
+            entries.push({ field, containers: [section] });
+        }
+        for (const subsection of section.subsections || []) {
+            for (const field of subsection.fields || []) {
+                entries.push({ field, containers: [section, subsection] });
+            }
+        }
+    }
+    return entries.filter(({ field, containers }) => isItemEnabled(...containers, field));
+}
+
+function hasLockedItems(trackerData) {
+    return getEnabledFieldEntries(trackerData).some(({ field, containers }) => isItemLocked(...containers, field));
+}
+
+function hasTypedFields(trackerData) {
+    return getEnabledFieldEntries(trackerData).some(({ field }) => normalizeFieldType(field?.type) !== FIELD_TYPES.TEXT);
+}
+
+function describeExampleBody(encoding, delta) {
+    if (encoding === PROMPT_ENCODINGS.XML) {
+        return '<tracker>\n  <section name="...">\n    <field name="...">new value</field>\n  </section>\n</tracker>';
+    }
+    if (encoding === PROMPT_ENCODINGS.OUTLINE) {
+        return 'Section > Field: new value\n...';
+    }
+    if (encoding === PROMPT_ENCODINGS.YAML) {
+        return delta ? 'changes:\n  ...' : '... tracker data ...';
+    }
+    return delta ? '{ "changes": { ... } }' : '{ ... tracker data ... }';
+}
+
+function isDeltaProtocol() {
+    return extensionSettings.updateProtocol === UPDATE_PROTOCOLS.DELTA;
 }
 
 /**
- * Generates the complete prompt for tracker updates.
- *
- * @param {boolean} includeHistory - Whether to include chat history
- * @param {TrackerData|null} trackerData - Current tracker data override
- * @param {{ includeNarrative?: boolean }} [options] - Additional prompt options
- * @returns {string} Complete prompt text
+ * Converts tracker data into the JSON payload shown to the model.
+ * Field ids are included when the delta protocol is active so patches can reference them.
+ * @param {TrackerData|null} trackerData - Tracker data to convert
+ * @param {{ includeIds?: boolean }} [options] - Conversion options
+ * @returns {Object} Payload
  */
-export function generateTrackerPrompt(includeHistory = true, trackerData = null, options = {}) {
-    const { includeNarrative = false } = options;
-    const data = trackerData || committedTrackerData;
-    const trackerForLLM = createTrackerPayloadForLLM(data);
+export function createTrackerPayloadForLLM(trackerData, { includeIds = isDeltaProtocol() } = {}) {
+    return convertTrackerForLLM(trackerData, { includeIds });
+}
 
-    let prompt = generateGeneralInstructions(includeNarrative ? 'together' : 'separate');
-    prompt += '\n\n';
+function formatOutlineValue(value) {
+    if (Array.isArray(value)) {
+        return value.join(', ');
+    }
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value).replace(/\s*\n\s*/g, ' ');
+}
 
-    if (includeHistory) {
-        prompt += 'Recent chat history for context:\n';
-        const depth = extensionSettings.updateDepth;
-        const st = SillyTavern.getContext();
-        if (st?.chat) {
-            const recentMessages = st.chat.slice(-depth);
+function describeOutlineField(fieldPayload) {
+    const notes = [];
+    if (fieldPayload.type === FIELD_TYPES.ENUM) {
+        notes.push(`one of: ${(fieldPayload.options || []).join(' | ')}`);
+    } else if (fieldPayload.type === FIELD_TYPES.RANGE) {
+        notes.push(`number ${fieldPayload.min}-${fieldPayload.max}`);
+    } else if (fieldPayload.type === FIELD_TYPES.LIST) {
+        notes.push('comma-separated list');
+    } else if (fieldPayload.type === FIELD_TYPES.BOOLEAN) {
+        notes.push('true or false');
+    } else if (fieldPayload.type) {
+        notes.push(fieldPayload.type);
+    }
+    if (fieldPayload.readOnly) {
+        notes.push('read-only');
+    }
+    const prompt = String(fieldPayload.prompt || '').replace(/\s*\n\s*/g, ' ');
+    return `${prompt}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`.trim();
+}
 
-            for (const message of recentMessages) {
-                const role = message.is_user ? 'User' : 'Assistant';
-                prompt += `${role}: ${message.mes}\n`;
+function collectOutlineEntries(payload) {
+    const entries = [];
+    for (const section of payload?.sections || []) {
+        for (const [name, field] of Object.entries(section.fields || {})) {
+            entries.push({ path: `${section.name} > ${name}`, field });
+        }
+        for (const subsection of section.subsections || []) {
+            for (const [name, field] of Object.entries(subsection.fields || {})) {
+                entries.push({ path: `${section.name} > ${subsection.name} > ${name}`, field });
             }
-            prompt += '\n';
-        } else {
-            console.warn('[Story Tracker] SillyTavern chat context not available for prompt building.');
         }
     }
+    return entries;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
-    prompt += 'Current tracker state:\n';
-    prompt += '```json\n';
-    prompt += JSON.stringify(trackerForLLM, null, 2);
-    prompt += '\n```\n\n';
+function formatXmlAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+}
 
-    prompt += 'Instructions:\n';
-    prompt += '- Each field has a "prompt" (what to track) and a "value" (current state).\n';
-    prompt += '- Update the "value" of each field based on the recent events while respecting the "prompt".\n';
-    prompt += '- Your reply MUST begin with a single ```json code block that contains the entire tracker data.\n';
-    prompt += '- Even if no values change, repeat the tracker exactly as provided inside that code block so the data is always returned.\n';
+function encodeXmlFields(fields, indent, lines) {
+    for (const [name, field] of Object.entries(fields || {})) {
+        const attributes = formatXmlAttributes({
+            name,
+            prompt: String(field.prompt || '').replace(/\s*\n\s*/g, ' '),
+            type: field.type,
+            options: Array.isArray(field.options) ? field.options.join(' | ') : undefined,
+            min: field.min,
+            max: field.max,
+            readonly: field.readOnly ? 'true' : undefined
+        });
+        lines.push(`${indent}<field${attributes}>${escapeXml(formatOutlineValue(field.value))}</field>`);
+    }
+}
+
+function encodeXmlPayload(payload) {
+    const lines = ['<tracker>'];
+    for (const section of payload?.sections || []) {
+        lines.push(`  <section${formatXmlAttributes({ name: section.name, readonly: section.readOnly ? 'true' : undefined })}>`);
+        encodeXmlFields(section.fields, '    ', lines);
+        for (const subsection of section.subsections || []) {
+            lines.push(`    <subsection${formatXmlAttributes({ name: subsection.name, readonly: subsection.readOnly ? 'true' : undefined })}>`);
+            encodeXmlFields(subsection.fields, '      ', lines);
+            lines.push('    </subsection>');
+        }
+        lines.push('  </section>');
+    }
+    lines.push('</tracker>');
+    return lines.join('\n');
+}
+
+/**
+ * Encodes a tracker payload for the prompt in the configured encoding.
+ * The outline encoding lists one "Section > Field: value" line per field,
+ * followed by a field guide with each field's prompt and type notes. The XML encoding
+ * nests <field> tags in <section> and <subsection> tags, with prompts and types as attributes.
+ *
+ * @param {Object} payload - Result of createTrackerPayloadForLLM
+ * @param {string} [encoding] - Prompt encoding (defaults to the current setting)
+ * @returns {string} Encoded tracker, including its code fence (or <tracker> tags)
+ */
+export function encodeTrackerPayload(payload, encoding = getPromptEncoding()) {
+    const { fence } = ENCODING_FORMATS[encoding] || ENCODING_FORMATS[PROMPT_ENCODINGS.JSON];
+
+    if (encoding === PROMPT_ENCODINGS.XML) {
+        return encodeXmlPayload(payload);
+    }
+
+    if (encoding === PROMPT_ENCODINGS.OUTLINE) {
+        const entries = collectOutlineEntries(payload);
+        const lines = entries.map(({ path, field }) => `${path}: ${formatOutlineValue(field.value)}`.trimEnd());
+        const guide = entries
+            .map(({ path, field }) => ({ path, description: describeOutlineField(field) }))
+            .filter(entry => entry.description)
+            .map(entry => `- ${entry.path}: ${entry.description}`);
+        const block = `\`\`\`${fence}\n${lines.join('\n')}\n\`\`\``;
+        return guide.length > 0 ? `${block}\n\nField guide:\n${guide.join('\n')}` : block;
+    }
+
+    let body;
+    if (encoding === PROMPT_ENCODINGS.YAML) {
+        body = stringifyYaml(payload).trimEnd();
+    } else if (encoding === PROMPT_ENCODINGS.COMPACT_JSON) {
+        body = JSON.stringify(payload);
+    } else {
+        body = JSON.stringify(payload, null, 2);
+    }
+    return `\`\`\`${fence}\n${body}\n\`\`\``;
+}
+
+/**
+ * Formats a field as a line of the plain-text tracker context.
+ * @param {TrackerField} field - Field to format
+ * @returns {string} Context line
+ */
+export function formatContextField(field) {
+    return `- ${field.name}: ${formatFieldValue(field) || '...'}`;
+}
+
+/**
+ * Builds the plain-text context block for a single section.
+ * @param {Object} section - Section to summarize
+ * @returns {string} Context text, or an empty string for disabled sections
+ */
+export function buildSectionContext(section) {
+    if (!section || !isItemEnabled(section)) {
+        return '';
+    }
+
+    const ownFields = (section.fields || [])
+        .filter(field => isItemEnabled(field))
+        .map(formatContextField);
+    const subsectionText = (section.subsections || []).filter(subsection => isItemEnabled(subsection)).map((subsection) => {
+        const fields = (subsection.fields || [])
+            .filter(field => isItemEnabled(field))
+            .map(formatContextField);
+        return [`${subsection.name}:`, ...fields].join('\n');
+    });
+
+    return [`${section.name}:`, ...ownFields, ...subsectionText].join('\n');
+}
+
+/**
+ * Builds the read-only tracker summary injected into the chat in separate mode.
+ * @param {TrackerData|null} data - Tracker data to summarize
+ * @param {PromptTemplateOptions} [options] - Template overrides
+ * @returns {string} Context text, or an empty string when nothing is enabled
+ */
+export function buildTrackerContext(data, { templates } = {}) {
+    if (!data || !Array.isArray(data.sections) || data.sections.length === 0) {
+        return '';
+    }
+
+    const summary = data.sections.map(buildSectionContext).filter(Boolean).join('\n\n');
+    if (!summary) {
+        return '';
+    }
+
+    return renderPromptTemplate(getPromptTemplate('context', templates), {
+        ...getCommonPlaceholderValues(extensionSettings.generationMode),
+        tracker_summary: summary
+    });
+}
+
+/**
+ * Builds the bullet blocks of the "Instructions:" list. Each block ends with a line
+ * break except the structure rule, which closes the list.
+ */
+function buildRuleBlocks(data, { delta, encoding, includeNarrative }) {
+    const outline = encoding === PROMPT_ENCODINGS.OUTLINE;
+    const xml = encoding === PROMPT_ENCODINGS.XML;
+    const { block, closing, label } = ENCODING_FORMATS[encoding];
+    const rules = {
+        field_rules: '',
+        type_rules: '',
+        readonly_rules: '',
+        reply_rules: '',
+        structure_rules: '',
+        example: ''
+    };
+
+    if (outline) {
+        rules.field_rules = '- Each line holds the current value of one field; the field guide explains what each field tracks.\n'
+            + '- Update the values based on the recent events while respecting the field guide.\n';
+    } else if (xml) {
+        rules.field_rules = '- Each <field> tag holds the current value of one field; its "prompt" attribute explains what it tracks.\n'
+            + '- Update the values based on the recent events while respecting each "prompt".\n';
+    } else {
+        rules.field_rules = '- Each field has a "prompt" (what to track) and a "value" (current state).\n'
+            + '- Update the "value" of each field based on the recent events while respecting the "prompt".\n';
+    }
+    if (hasTypedFields(data)) {
+        rules.type_rules = outline || xml
+            ? `- Respect the ${xml ? 'type attributes' : 'type notes in the field guide'}: numbers stay plain numbers within their range, true/false fields take true or false, choice fields take exactly one listed option, and lists are comma-separated.\n`
+            : `- Fields with a "type" must keep that type: "number" and "range" take plain numbers (within "min" and "max"), "boolean" takes true or false, "enum" takes exactly one of its "options", and "list" takes a ${encoding === PROMPT_ENCODINGS.YAML ? 'YAML list' : 'JSON array'} of strings.\n`;
+    }
+    if (hasLockedItems(data)) {
+        rules.readonly_rules = outline || xml
+            ? `- Fields marked ${xml ? 'readonly="true" (or inside a read-only section or subsection)' : 'read-only'} are established facts. Use them as context but copy their values back unchanged.\n`
+            : '- Fields, subsections and sections marked "readOnly": true are established facts. Use them as context but copy their values back unchanged.\n';
+    }
+
+    let reply;
+    if (delta && xml) {
+        reply = '- Your reply MUST begin with a single <tracker> block that contains only the fields whose values changed, each inside its <section> (and <subsection>) tag with the same name attributes.\n'
+            + '- Leave unchanged fields out; if nothing changed, return an empty <tracker></tracker> block.\n';
+    } else if (delta && outline) {
+        reply = '- Your reply MUST begin with a single ```tracker code block that contains only the lines of fields whose values changed, written exactly like the lines above.\n'
+            + '- Leave unchanged fields out; if nothing changed, return an empty ```tracker block.\n';
+    } else if (delta) {
+        reply = encoding === PROMPT_ENCODINGS.YAML
+            ? '- Your reply MUST begin with a single ```yaml code block that contains only the fields whose values changed, as a "changes" mapping from field id to new value.\n'
+            : '- Your reply MUST begin with a single ```json code block that contains only the fields whose values changed, as {"changes": {"<field id>": <new value>}}.\n';
+        reply += `- Use the field "id" values exactly as provided. Leave unchanged fields out; if nothing changed, return ${encoding === PROMPT_ENCODINGS.YAML ? 'an empty "changes" mapping' : '{"changes": {}}'}.\n`;
+    } else if (xml) {
+        reply = '- Your reply MUST begin with a single <tracker> block that repeats every <section>, <subsection> and <field> tag with its name attribute and current value. Other attributes may be left out.\n'
+            + '- Even if no values change, repeat every field exactly as provided so the data is always returned.\n';
+    } else if (outline) {
+        reply = '- Your reply MUST begin with a single ```tracker code block with one "Section > Field: value" line for every field listed above.\n'
+            + '- Even if no values change, repeat every line exactly as provided so the data is always returned.\n';
+    } else {
+        reply = `- Your reply MUST begin with a single ${block} that contains the entire tracker data.\n`
+            + '- Even if no values change, repeat the tracker exactly as provided inside that code block so the data is always returned.\n';
+    }
 
     if (includeNarrative) {
-        prompt += '- Begin your reply with the updated tracker data inside a ```json code block before any narrative text.\n';
-        prompt += '- After closing the code block, continue the narrative in a new paragraph so that it reflects the tracker changes.\n';
+        reply += `- Begin your reply with the updated tracker data inside a ${block} before any narrative text.\n`;
+        reply += `- After closing the ${closing}, continue the narrative in a new paragraph so that it reflects the tracker changes.\n`;
     } else {
-        prompt += '- Return only the updated tracker data as a ```json code block with no additional prose.\n';
+        reply += `- Return only the updated tracker data as a ${block} with no additional prose.\n`;
     }
+    rules.reply_rules = reply;
 
-    prompt += '- Ensure the returned JSON has the same structure as the one provided (same sections, subsections, and field keys).';
+    rules.structure_rules = delta || outline || xml
+        ? '- Do not add, rename or remove sections, subsections or fields.'
+        : `- Ensure the returned ${label} has the same structure as the one provided (same sections, subsections, and field keys).`;
 
     if (includeNarrative) {
-        prompt += '\n- Example format:\n';
-        prompt += '```json\n{ ... tracker data ... }\n```\nNarrative continues here.';
+        rules.example = '\n- Example format:\n' + (xml
+            ? `${describeExampleBody(encoding, delta)}\nNarrative continues here.`
+            : `\`\`\`${ENCODING_FORMATS[encoding].fence}\n${describeExampleBody(encoding, delta)}\n\`\`\`\nNarrative continues here.`);
+    }
+
+    return rules;
+}
+
+function buildHistoryBlock() {
+    let history = 'Recent chat history for context:\n';
+    const depth = extensionSettings.updateDepth;
+    const st = SillyTavern.getContext();
+    if (st?.chat) {
+        const recentMessages = st.chat.slice(-depth);
+
+        for (const message of recentMessages) {
+            const role = message.is_user ? 'User' : 'Assistant';
+            history += `${role}: ${message.mes}\n`;
+        }
+        history += '\n';
+    } else {
+        console.warn('[Story Tracker] SillyTavern chat context not available for prompt building.');
+    }
+    return history;
+}
+
+/**
+ * Generates the complete prompt for tracker updates from the update and
+ * instruction list templates.
+ *
+ * @param {boolean} includeHistory - Whether to include chat history
+ * @param {TrackerData|null} trackerData - Current tracker data override
+ * @param {{ includeNarrative?: boolean } & PromptTemplateOptions} [options] - Additional prompt options
+ * @returns {string} Complete prompt text
+ */
+export function generateTrackerPrompt(includeHistory = true, trackerData = null, options = {}) {
+    const { includeNarrative = false, templates, systemPrompt } = options;
+    const data = trackerData || committedTrackerData;
+    const delta = isDeltaProtocol();
+    const encoding = getPromptEncoding();
+    const mode = includeNarrative ? 'together' : 'separate';
+    const { label } = ENCODING_FORMATS[encoding];
+    const includeIds = delta && encoding !== PROMPT_ENCODINGS.OUTLINE && encoding !== PROMPT_ENCODINGS.XML;
+    const trackerForLLM = createTrackerPayloadForLLM(data, { includeIds });
+    const common = { ...getCommonPlaceholderValues(mode), format: label };
+
+    let schema = '';
+    if (extensionSettings.embedJsonSchema && isSchemaEncoding(encoding)) {
+        schema = `Your ${label} reply must match this JSON Schema:\n`
+            + `\`\`\`json\n${JSON.stringify(buildTrackerJsonSchema(data, { delta }))}\n\`\`\`\n\n`;
     }
 
-    return prompt;
+    const rules = renderPromptTemplate(getPromptTemplate('rules', templates), {
+        ...common,
+        ...buildRuleBlocks(data, { delta, encoding, includeNarrative })
+    });
+
+    return renderPromptTemplate(getPromptTemplate('update', templates), {
+        ...common,
+        instructions: generateGeneralInstructions(mode, { templates, systemPrompt }),
+        history: includeHistory ? buildHistoryBlock() : '',
+        tracker_json: encodeTrackerPayload(trackerForLLM, encoding),
+        schema,
+        rules
+    });
 }
 
 /**
- * Generates a separate mode prompt for tracker updates
+ * Generates a separate mode prompt for tracker updates. Sections that are not due
+ * this update (section update schedules) are sent as read-only context.
+ * @param {Object|null} [trackerData] - Tracker to send (defaults to the committed tracker)
  * @returns {Array<{role: string, content: string}>} Message array for API
  */
-export function generateSeparateUpdatePrompt() {
+export function generateSeparateUpdatePrompt(trackerData = null) {
     const messages = [];
+    const scheduled = applyUpdateSchedule(trackerData || committedTrackerData, scheduledSectionIds);
 
     messages.push({
         role: 'system',
@@ -139,7 +543,40 @@ export function generateSeparateUpdatePrompt() {
 
     messages.push({
         role: 'user',
-        content: generateTrackerPrompt(true, null, { includeNarrative: false })
+        content: generateTrackerPrompt(true, scheduled, { includeNarrative: false })
+    });
+
+    return messages;
+}
+
+const MAX_FAILED_OUTPUT_LENGTH = 4000;
+
+/**
+ * Generates a stricter separate mode prompt after a reply could not be parsed.
+ * The failed reply and the reason it was rejected are sent back to the model.
+ *
+ * @param {string} failedOutput - The unusable reply
+ * @param {string} parseError - Why it could not be used
+ * @param {Object|null} [trackerData] - Tracker to send (defaults to the committed tracker)
+ * @returns {Array<{role: string, content: string}>} Message array for API
+ */
+export function generateRetryPrompt(failedOutput, parseError, trackerData = null) {
+    const messages = generateSeparateUpdatePrompt(trackerData);
+    const { block, label } = ENCODING_FORMATS[getPromptEncoding()];
+    const output = String(failedOutput ?? '').trim();
+
+    if (output) {
+        messages.push({
+            role: 'assistant',
+            content: output.length > MAX_FAILED_OUTPUT_LENGTH ? `${output.slice(0, MAX_FAILED_OUTPUT_LENGTH)}…` : output
+        });
+    }
+
+    messages.push({
+        role: 'user',
+        content: `Your previous reply could not be used as tracker data. ${parseError || 'No tracker data was found.'}\n`
+            + `Reply again with ONLY a single ${block} holding valid ${label} tracker data. `
+            + 'Do not write any narration, explanation or other text before or after it.'
     });
 
     return messages;
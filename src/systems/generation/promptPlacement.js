@@ -0,0 +1,84 @@
+/**
+ * Prompt Placement Module
+ * Reads where the injected instructions and context go for each generation mode,
+ * wraps them in their templates and passes them to setExtensionPrompt
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { defaultSettings, GENERATION_MODES, INJECTION_POSITIONS, INJECTION_ROLES } from '../../core/config.js';
+import { callSetExtensionPrompt } from '../../utils/promptApi.js';
+
+// Type imports
+/** @typedef {import('../../types/tracker.js').PromptPlacement} PromptPlacement */
+
+const CONTENT_PLACEHOLDER = /\{\{\s*content\s*\}\}/gi;
+export const MAX_INJECTION_DEPTH = 100;
+
+const POSITION_TYPE_KEYS = {
+    [INJECTION_POSITIONS.IN_CHAT]: 'IN_CHAT',
+    [INJECTION_POSITIONS.IN_PROMPT]: 'IN_PROMPT',
+    [INJECTION_POSITIONS.BEFORE_PROMPT]: 'BEFORE_PROMPT'
+};
+
+/**
+ * Cleans a raw placement, filling gaps from the given defaults.
+ * @param {Object} raw - Raw placement (e.g. from settings or the editor)
+ * @param {PromptPlacement} fallback - Defaults
+ * @returns {PromptPlacement} Normalized placement
+ */
+export function normalizePromptPlacement(raw, fallback) {
+    const depth = Math.floor(Number(raw?.depth));
+    return {
+        position: Object.values(INJECTION_POSITIONS).includes(raw?.position) ? raw.position : fallback.position,
+        depth: Number.isFinite(depth) && depth >= 0 ? Math.min(depth, MAX_INJECTION_DEPTH) : fallback.depth,
+        role: Object.values(INJECTION_ROLES).includes(raw?.role) ? raw.role : fallback.role,
+        scan: typeof raw?.scan === 'boolean' ? raw.scan : fallback.scan,
+        template: typeof raw?.template === 'string' ? raw.template : fallback.template
+    };
+}
+
+/**
+ * Reads the placement of one injected prompt.
+ * @param {string} mode - Generation mode
+ * @param {'instructions'|'context'} prompt - Which prompt
+ * @returns {PromptPlacement} Placement
+ */
+export function getPromptPlacement(mode, prompt) {
+    const modeKey = mode === GENERATION_MODES.SEPARATE ? GENERATION_MODES.SEPARATE : GENERATION_MODES.TOGETHER;
+    const fallback = defaultSettings.promptInjection[modeKey][prompt] || defaultSettings.promptInjection.together[prompt];
+    return normalizePromptPlacement(extensionSettings.promptInjection?.[modeKey]?.[prompt], fallback);
+}
+
+/**
+ * Wraps text in a placement template. Empty text stays empty so a wrapper never
+ * injects on its own.
+ *
+ * @param {string} template - Template with {{content}} where the text goes ('' = no wrapper)
+ * @param {string} text - Text to wrap
+ * @returns {string} Wrapped text
+ */
+export function applyPlacementTemplate(template, text) {
+    if (!text || !template || !template.trim()) {
+        return text || '';
+    }
+    CONTENT_PLACEHOLDER.lastIndex = 0;
+    if (!CONTENT_PLACEHOLDER.test(template)) {
+        return `${template}\n${text}`;
+    }
+    return template.replace(CONTENT_PLACEHOLDER, () => text);
+}
+
+/**
+ * Injects (or clears, with empty text) a tracker prompt at its configured placement.
+ * Positions SillyTavern does not expose fall back to in-chat.
+ *
+ * @param {{ setter: Function, types: Object, roles: Object }} api - Resolved prompt API
+ * @param {string} id - Extension prompt id
+ * @param {string} text - Prompt text
+ * @param {PromptPlacement} placement - Placement
+ */
+export function injectPrompt(api, id, text, placement) {
+    const type = api.types?.[POSITION_TYPE_KEYS[placement.position]] ?? api.types.IN_CHAT;
+    const role = api.roles?.[placement.role.toUpperCase()];
+    callSetExtensionPrompt(api.setter, id, applyPlacementTemplate(placement.template, text), type, placement.depth, placement.scan, role);
+}
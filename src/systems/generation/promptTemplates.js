@@ -0,0 +1,109 @@
+/**
+ * Prompt Templates Module
+ * Editable templates for the tracker prompts. Placeholders such as {{tracker_json}}
+ * are filled in by the prompt builder; the defaults reproduce the built-in prompts.
+ */
+
+import { extensionSettings } from '../../core/state.js';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/gi;
+
+export const DEFAULT_SYSTEM_PROMPT = 'You are managing a dynamic story tracker for the roleplay. The tracker contains various fields that track different aspects of the story and characters.';
+
+/**
+ * Built-in templates. Block placeholders ({{history}}, {{schema}} and the rule
+ * placeholders) include their own line breaks and are empty when they do not apply.
+ */
+export const DEFAULT_PROMPT_TEMPLATES = {
+    instructions: '{{system_prompt}}\n\n{{reply_format}}',
+    update: '{{instructions}}\n\n{{history}}Current tracker state:\n{{tracker_json}}\n\n{{schema}}{{rules}}',
+    rules: 'Instructions:\n{{field_rules}}{{type_rules}}{{readonly_rules}}{{reply_rules}}{{structure_rules}}{{example}}',
+    context: 'Current tracker state (for reference only):\n\n{{tracker_summary}}'
+};
+
+const COMMON_PLACEHOLDERS = ['user', 'char', 'mode'];
+
+/**
+ * Editor labels and the placeholders each template can use
+ */
+export const PROMPT_TEMPLATE_INFO = {
+    instructions: {
+        label: 'General Instructions',
+        description: 'Opens every update prompt and is sent as the system message of separate mode updates.',
+        placeholders: ['system_prompt', 'reply_format', 'format', ...COMMON_PLACEHOLDERS]
+    },
+    update: {
+        label: 'Update Prompt',
+        description: 'The prompt that asks the AI for the updated tracker.',
+        placeholders: ['instructions', 'history', 'tracker_json', 'schema', 'rules', 'format', ...COMMON_PLACEHOLDERS]
+    },
+    rules: {
+        label: 'Instruction List',
+        description: 'The "Instructions:" list at the end of the update prompt. Rule placeholders adapt to the encoding, update format and field types.',
+        placeholders: ['field_rules', 'type_rules', 'readonly_rules', 'reply_rules', 'structure_rules', 'example', 'format', ...COMMON_PLACEHOLDERS]
+    },
+    context: {
+        label: 'Context Header',
+        description: 'The read-only tracker summary injected into chat generations when the tracker is not being updated.',
+        placeholders: ['tracker_summary', ...COMMON_PLACEHOLDERS]
+    }
+};
+
+/**
+ * Reads a template, falling back to the default when it is missing or blank.
+ * @param {string} key - Template key (see DEFAULT_PROMPT_TEMPLATES)
+ * @param {Object} [templates] - Templates to read (defaults to the saved templates)
+ * @returns {string} Template text
+ */
+export function getPromptTemplate(key, templates = extensionSettings.promptTemplates) {
+    const template = templates?.[key];
+    return typeof template === 'string' && template.trim() ? template : DEFAULT_PROMPT_TEMPLATES[key];
+}
+
+/**
+ * Keeps only the templates that differ from the defaults, so presets stay small and
+ * pick up future changes to the built-in prompts.
+ *
+ * @param {Object} raw - Raw templates (e.g. from a preset or the editor)
+ * @returns {Object} Customized templates by key
+ */
+export function normalizePromptTemplates(raw) {
+    const templates = {};
+    for (const key of Object.keys(DEFAULT_PROMPT_TEMPLATES)) {
+        const template = raw?.[key];
+        if (typeof template === 'string' && template.trim() && template !== DEFAULT_PROMPT_TEMPLATES[key]) {
+            templates[key] = template;
+        }
+    }
+    return templates;
+}
+
+/**
+ * Values shared by every template: the persona and character names and the generation mode.
+ * Names are left out when SillyTavern does not provide them, so its own macros can fill them.
+ *
+ * @param {string} mode - Generation mode the prompt is for
+ * @returns {Object} Placeholder values
+ */
+export function getCommonPlaceholderValues(mode) {
+    const context = globalThis.SillyTavern?.getContext?.();
+    const values = { mode };
+    if (typeof context?.name1 === 'string' && context.name1) values.user = context.name1;
+    if (typeof context?.name2 === 'string' && context.name2) values.char = context.name2;
+    return values;
+}
+
+/**
+ * Fills a template's placeholders. Unknown placeholders are left as they are, and
+ * inserted values are not scanned again.
+ *
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values by name
+ * @returns {string} Rendered text
+ */
+export function renderPromptTemplate(template, values) {
+    return String(template ?? '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const key = name.toLowerCase();
+        return Object.prototype.hasOwnProperty.call(values, key) ? String(values[key] ?? '') : match;
+    });
+}
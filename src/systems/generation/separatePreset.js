@@ -0,0 +1,163 @@
+/**
+ * Separate Preset Module
+ * Switches to a dedicated connection profile and completion preset for separate-mode
+ * tracker calls, and restores the chat's own settings afterwards
+ */
+
+import { extensionSettings } from '../../core/state.js';
+
+/**
+ * Connection settings used for tracker calls
+ * @typedef {Object} SeparatePresetConfig
+ * @property {string} profile - Connection profile name ('' keeps the current connection)
+ * @property {string} preset - Completion preset name ('' keeps the current preset)
+ * @property {number} maxTokens - Response length override (0 keeps the preset's value)
+ */
+
+function getContext() {
+    return globalThis.SillyTavern?.getContext?.() || null;
+}
+
+function quoteArgument(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+async function runSlashCommand(context, command) {
+    if (typeof context?.executeSlashCommandsWithOptions === 'function') {
+        const result = await context.executeSlashCommandsWithOptions(command, { handleParserErrors: false, handleExecutionErrors: false });
+        return result?.pipe ?? '';
+    }
+    if (typeof context?.executeSlashCommands === 'function') {
+        const result = await context.executeSlashCommands(command);
+        return result?.pipe ?? '';
+    }
+    throw new Error('Slash commands are not available');
+}
+
+function getPresetManager(context) {
+    const manager = typeof context?.getPresetManager === 'function' ? context.getPresetManager() : null;
+    return manager && typeof manager.selectPreset === 'function' ? manager : null;
+}
+
+/**
+ * Reads the separate preset settings.
+ * @returns {SeparatePresetConfig|null} Configuration, or null when tracker calls use the chat's connection
+ */
+export function getSeparatePresetConfig() {
+    if (!extensionSettings.useSeparatePreset) {
+        return null;
+    }
+
+    const profile = String(extensionSettings.separateConnectionProfile || '').trim();
+    const preset = String(extensionSettings.separateCompletionPreset || '').trim();
+    const maxTokens = Number(extensionSettings.separateMaxTokens);
+    const config = {
+        profile,
+        preset,
+        maxTokens: Number.isInteger(maxTokens) && maxTokens > 0 ? maxTokens : 0
+    };
+
+    return config.profile || config.preset || config.maxTokens ? config : null;
+}
+
+/**
+ * Lists the connection profiles and completion presets the user can pick from.
+ * @returns {{ profiles: string[], presets: string[] }} Available names
+ */
+export function listSeparatePresetOptions() {
+    const context = getContext();
+    const profiles = (context?.extensionSettings?.connectionManager?.profiles || [])
+        .map(profile => profile?.name)
+        .filter(Boolean);
+
+    let presets = [];
+    try {
+        const manager = getPresetManager(context);
+        presets = manager && typeof manager.getAllPresets === 'function' ? manager.getAllPresets().filter(Boolean) : [];
+    } catch (error) {
+        console.warn('[Story Tracker] Could not list completion presets', error);
+    }
+
+    return { profiles, presets };
+}
+
+async function selectProfile(context, name) {
+    await runSlashCommand(context, `/profile await=true ${quoteArgument(name)}`);
+}
+
+function selectPreset(context, name) {
+    const manager = getPresetManager(context);
+    if (!manager) {
+        throw new Error('Completion presets are not available');
+    }
+    const value = manager.findPreset(name);
+    if (value === undefined || value === null) {
+        throw new Error(`Completion preset "${name}" was not found`);
+    }
+    manager.selectPreset(value);
+}
+
+/**
+ * Runs a tracker call with the separate connection profile, completion preset and
+ * max tokens applied. The previous profile and preset are restored afterwards, even
+ * when the call fails. Without a separate preset the task runs unchanged.
+ *
+ * @template T
+ * @param {function(Object): Promise<T>} task - Receives extra generateRaw options (e.g. responseLength)
+ * @returns {Promise<T>} The task's result
+ */
+export async function runWithSeparatePreset(task) {
+    const config = getSeparatePresetConfig();
+    if (!config) {
+        return task({});
+    }
+
+    const context = getContext();
+    const restore = [];
+
+    try {
+        if (config.profile) {
+            const previousProfile = String(await runSlashCommand(context, '/profile') || '').trim();
+            if (previousProfile !== config.profile) {
+                await selectProfile(context, config.profile);
+                if (previousProfile && previousProfile !== '<None>') {
+                    restore.push(() => selectProfile(context, previousProfile));
+                } else {
+                    console.warn('[Story Tracker] No connection profile was active; the tracker profile stays selected after the update.');
+                }
+            }
+        }
+
+        if (config.preset) {
+            const manager = getPresetManager(context);
+            const previousPreset = manager?.getSelectedPresetName?.() || '';
+            if (previousPreset !== config.preset) {
+                selectPreset(context, config.preset);
+                if (previousPreset) {
+                    restore.push(() => selectPreset(context, previousPreset));
+                }
+            }
+        }
+    } catch (error) {
+        console.error('[Story Tracker] Could not switch to the separate preset:', error);
+        await restoreSettings(restore);
+        throw error;
+    }
+
+    try {
+        return await task(config.maxTokens ? { responseLength: config.maxTokens } : {});
+    } finally {
+        await restoreSettings(restore);
+    }
+}
+
+async function restoreSettings(restore) {
+    // Undo in reverse order: the preset first, then the profile
+    for (const step of restore.reverse()) {
+        try {
+            await step();
+        } catch (error) {
+            console.error('[Story Tracker] Could not restore the chat connection:', error);
+        }
+    }
+}
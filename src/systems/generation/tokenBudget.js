@@ -0,0 +1,258 @@
+/**
+ * Token Budget Module
+ * Estimates how many tokens the tracker adds to a generation and keeps it within the configured budget
+ */
+
+import { extensionSettings, isItemEnabled, cloneTrackerData } from '../../core/state.js';
+import { GENERATION_MODES, TOKEN_BUDGET_ACTIONS, SECTION_PRIORITIES, PROMPT_ENCODINGS } from '../../core/config.js';
+import { stringifyYaml } from '../../utils/yaml.js';
+import {
+    generateTrackerPrompt,
+    createTrackerPayloadForLLM,
+    encodeTrackerPayload,
+    getPromptEncoding,
+    buildTrackerContext,
+    buildSectionContext,
+    formatContextField
+} from './promptBuilder.js';
+
+// Type imports
+/** @typedef {import('../../types/tracker.js').TrackerData} TrackerData */
+
+/**
+ * Token cost of a single field
+ * @typedef {Object} FieldTokenCost
+ * @property {string} id - Field identifier
+ * @property {string} name - Field name
+ * @property {string} path - Location inside the section ("Subsection > Field")
+ * @property {number} payload - Tokens in the encoded tracker payload
+ * @property {number} context - Tokens in the plain-text context
+ */
+
+/**
+ * Token cost of a section
+ * @typedef {Object} SectionTokenCost
+ * @property {string} id - Section identifier
+ * @property {string} name - Section name
+ * @property {string} priority - 'low', 'normal' or 'high'
+ * @property {boolean} enabled - Whether the section is sent at all
+ * @property {number} payload - Tokens in the encoded tracker payload
+ * @property {number} context - Tokens in the plain-text context
+ * @property {FieldTokenCost[]} fields - Per-field costs
+ */
+
+/**
+ * Token estimate for the injected tracker prompt
+ * @typedef {Object} TokenEstimate
+ * @property {string} mode - Generation mode the estimate is for
+ * @property {boolean} usesTokenizer - Whether SillyTavern's tokenizer was used (otherwise a heuristic)
+ * @property {number} instructions - Tokens in the instructions, excluding the payload
+ * @property {number} payload - Tokens in the encoded tracker payload
+ * @property {number} context - Tokens in the plain-text context
+ * @property {number} total - Tokens injected into each generation in this mode
+ * @property {SectionTokenCost[]} sections - Per-section breakdown
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+function getTokenizer() {
+    const counter = globalThis.SillyTavern?.getContext?.()?.getTokenCount;
+    return typeof counter === 'function' ? counter : null;
+}
+
+/**
+ * Rough token count used when SillyTavern's tokenizer is not available.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokensHeuristically(text) {
+    const value = String(text ?? '');
+    return value ? Math.ceil(value.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Counts tokens with SillyTavern's tokenizer, falling back to the heuristic.
+ * @param {string} text - Text to measure
+ * @returns {number} Token count
+ */
+export function countTokens(text) {
+    const value = String(text ?? '');
+    if (!value) {
+        return 0;
+    }
+
+    const tokenizer = getTokenizer();
+    if (tokenizer) {
+        try {
+            const count = tokenizer(value);
+            if (Number.isFinite(count)) {
+                return count;
+            }
+        } catch (error) {
+            console.warn('[Story Tracker] Tokenizer failed, using estimate instead', error);
+        }
+    }
+
+    return estimateTokensHeuristically(value);
+}
+
+function normalizePriority(priority) {
+    return Object.values(SECTION_PRIORITIES).includes(priority) ? priority : SECTION_PRIORITIES.NORMAL;
+}
+
+function measureField(sectionName, name, fieldPayload) {
+    if (!fieldPayload) {
+        return 0;
+    }
+    switch (getPromptEncoding()) {
+        case PROMPT_ENCODINGS.COMPACT_JSON:
+            return countTokens(`"${name}":${JSON.stringify(fieldPayload)}`);
+        case PROMPT_ENCODINGS.YAML:
+            return countTokens(stringifyYaml({ [name]: fieldPayload }));
+        case PROMPT_ENCODINGS.OUTLINE:
+        case PROMPT_ENCODINGS.XML:
+            return countTokens(encodeTrackerPayload({ sections: [{ name: sectionName, fields: { [name]: fieldPayload } }] }));
+        default:
+            return countTokens(`"${name}": ${JSON.stringify(fieldPayload, null, 2)}`);
+    }
+}
+
+function buildSectionCost(section, sectionPayload) {
+    const sectionEnabled = isItemEnabled(section);
+    const fields = [];
+
+    for (const field of section.fields || []) {
+        const enabled = sectionEnabled && isItemEnabled(field);
+        fields.push({
+            id: field.id,
+            name: field.name,
+            path: field.name,
+            payload: measureField(section.name, field.name, sectionPayload?.fields?.[field.name]),
+            context: enabled ? countTokens(formatContextField(field)) : 0
+        });
+    }
+
+    for (const subsection of section.subsections || []) {
+        const subsectionPayload = (sectionPayload?.subsections || []).find(item => item.id === subsection.id);
+        for (const field of subsection.fields || []) {
+            const enabled = sectionEnabled && isItemEnabled(subsection, field);
+            fields.push({
+                id: field.id,
+                name: field.name,
+                path: `${subsection.name} > ${field.name}`,
+                payload: measureField(`${section.name} > ${subsection.name}`, field.name, subsectionPayload?.fields?.[field.name]),
+                context: enabled ? countTokens(formatContextField(field)) : 0
+            });
+        }
+    }
+
+    return {
+        id: section.id,
+        name: section.name,
+        priority: normalizePriority(section.priority),
+        enabled: sectionEnabled,
+        payload: sectionPayload ? countTokens(encodeTrackerPayload({ sections: [sectionPayload] })) : 0,
+        context: countTokens(buildSectionContext(section)),
+        fields
+    };
+}
+
+function measureInjectedTotal(trackerData, mode) {
+    if (mode === GENERATION_MODES.TOGETHER) {
+        return countTokens(generateTrackerPrompt(false, trackerData, { includeNarrative: true }));
+    }
+    return countTokens(buildTrackerContext(trackerData));
+}
+
+/**
+ * Estimates the tokens the tracker adds to each generation, with a per-section and
+ * per-field breakdown. Together mode injects the instructions and encoded payload;
+ * separate mode injects the plain-text context.
+ *
+ * @param {TrackerData|null} trackerData - Tracker data to measure
+ * @param {string} [mode] - Generation mode (defaults to the current setting)
+ * @returns {TokenEstimate} Estimate
+ */
+export function estimateTrackerTokens(trackerData, mode = extensionSettings.generationMode) {
+    const data = trackerData || { sections: [] };
+    const payloadData = createTrackerPayloadForLLM(data);
+    const payload = countTokens(encodeTrackerPayload(payloadData));
+    const prompt = countTokens(generateTrackerPrompt(false, data, { includeNarrative: mode === GENERATION_MODES.TOGETHER }));
+    const context = countTokens(buildTrackerContext(data));
+
+    const sections = (data.sections || []).map(section => {
+        const sectionPayload = (payloadData.sections || []).find(item => item.id === section.id);
+        return buildSectionCost(section, sectionPayload);
+    });
+
+    return {
+        mode,
+        usesTokenizer: Boolean(getTokenizer()),
+        instructions: Math.max(0, prompt - payload),
+        payload,
+        context,
+        total: mode === GENERATION_MODES.TOGETHER ? prompt : context,
+        sections
+    };
+}
+
+/**
+ * Reads the configured budget.
+ * @returns {number} Budget in tokens (0 when no budget is set)
+ */
+export function getTokenBudget() {
+    const budget = Number(extensionSettings.tokenBudget);
+    return Number.isInteger(budget) && budget > 0 ? budget : 0;
+}
+
+function pickSectionToTrim(trackerData) {
+    const order = [SECTION_PRIORITIES.LOW, SECTION_PRIORITIES.NORMAL];
+    for (const priority of order) {
+        const candidates = (trackerData.sections || [])
+            .filter(section => isItemEnabled(section) && normalizePriority(section.priority) === priority);
+        if (candidates.length > 0) {
+            return candidates[candidates.length - 1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Keeps the injected tracker prompt within the configured budget. With the 'trim'
+ * action, low-priority sections are left out first, then normal ones (last first);
+ * high-priority sections are never trimmed. Trimmed sections keep their values.
+ *
+ * @param {TrackerData|null} trackerData - Tracker data about to be injected
+ * @param {{ mode?: string, budget?: number, action?: string }} [options] - Overrides for the settings
+ * @returns {{ trackerData: TrackerData|null, total: number, budget: number, overBudget: boolean, trimmed: string[] }} Result
+ */
+export function fitTrackerToBudget(trackerData, options = {}) {
+    const {
+        mode = extensionSettings.generationMode,
+        budget = getTokenBudget(),
+        action = extensionSettings.tokenBudgetAction
+    } = options;
+
+    if (!trackerData || !budget) {
+        return { trackerData, total: 0, budget: 0, overBudget: false, trimmed: [] };
+    }
+
+    let total = measureInjectedTotal(trackerData, mode);
+    if (total <= budget || action !== TOKEN_BUDGET_ACTIONS.TRIM) {
+        return { trackerData, total, budget, overBudget: total > budget, trimmed: [] };
+    }
+
+    const trimmedData = cloneTrackerData(trackerData);
+    const trimmed = [];
+    while (total > budget) {
+        const section = pickSectionToTrim(trimmedData);
+        if (!section) {
+            break;
+        }
+        section.enabled = false;
+        trimmed.push(section.name);
+        total = measureInjectedTotal(trimmedData, mode);
+    }
+
+    return { trackerData: trimmedData, total, budget, overBudget: total > budget, trimmed };
+}
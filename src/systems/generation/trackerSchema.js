@@ -0,0 +1,294 @@
+/**
+ * Tracker Schema Module
+ * Derives a JSON Schema for the model's reply from the tracker template and
+ * checks replies against it
+ */
+
+import { extensionSettings, isItemEnabled, isItemLocked, isSectionScheduled } from '../../core/state.js';
+import { FIELD_TYPES, UPDATE_PROTOCOLS, PROMPT_ENCODINGS } from '../../core/config.js';
+import { normalizeFieldType, getEnumOptions, getRangeBounds } from '../../core/fieldTypes.js';
+
+// Type imports
+/** @typedef {import('../../types/tracker.js').TrackerData} TrackerData */
+/** @typedef {import('../../types/tracker.js').TrackerField} TrackerField */
+
+/**
+ * Problem found when checking a reply against the tracker schema
+ * @typedef {Object} SchemaError
+ * @property {string} path - Location in the reply, e.g. "sections[0].fields.HP.value"
+ * @property {string} message - What is wrong there
+ */
+
+const SCHEMA_ENCODINGS = [PROMPT_ENCODINGS.JSON, PROMPT_ENCODINGS.COMPACT_JSON, PROMPT_ENCODINGS.YAML];
+const MAX_SCHEMA_ERRORS = 20;
+
+/**
+ * Schema for a field value, based on its type.
+ * @param {TrackerField} field - Field definition
+ * @returns {Object} JSON Schema
+ */
+function buildValueSchema(field) {
+    switch (normalizeFieldType(field?.type)) {
+        case FIELD_TYPES.NUMBER:
+            return { type: 'number' };
+        case FIELD_TYPES.RANGE: {
+            const { min, max } = getRangeBounds(field);
+            return { type: 'number', minimum: min, maximum: max };
+        }
+        case FIELD_TYPES.BOOLEAN:
+            return { type: 'boolean' };
+        case FIELD_TYPES.ENUM: {
+            const options = getEnumOptions(field);
+            return options.length > 0 ? { type: 'string', enum: options } : { type: 'string' };
+        }
+        case FIELD_TYPES.LIST:
+            return { type: 'array', items: { type: 'string' } };
+        default:
+            return { type: 'string' };
+    }
+}
+
+function buildFieldsSchema(fields) {
+    const properties = {};
+    for (const field of (fields || []).filter(item => isItemEnabled(item))) {
+        properties[field.name] = {
+            type: 'object',
+            properties: { value: buildValueSchema(field) },
+            required: ['value']
+        };
+    }
+    return { type: 'object', properties, required: Object.keys(properties), additionalProperties: false };
+}
+
+function buildContainerSchema(container, subsections = null) {
+    const properties = {
+        id: { type: 'string' },
+        name: { type: 'string', enum: [container.name] },
+        fields: buildFieldsSchema(container.fields)
+    };
+    const required = ['name', 'fields'];
+
+    if (subsections?.length > 0) {
+        properties.subsections = {
+            type: 'array',
+            items: { anyOf: subsections.map(subsection => buildContainerSchema(subsection)) }
+        };
+        required.push('subsections');
+    }
+
+    return { type: 'object', properties, required };
+}
+
+function listChangeableFields(sections) {
+    const fields = [];
+    for (const section of sections) {
+        for (const field of section.fields || []) {
+            fields.push({ field, containers: [section] });
+        }
+        for (const subsection of (section.subsections || []).filter(item => isItemEnabled(item))) {
+            for (const field of subsection.fields || []) {
+                fields.push({ field, containers: [section, subsection] });
+            }
+        }
+    }
+    return fields.filter(({ field, containers }) => (
+        field.id && isItemEnabled(field) && !isItemLocked(...containers, field) && isSectionScheduled(containers[0])
+    ));
+}
+
+/**
+ * Builds a JSON Schema describing the reply expected for the tracker: the full
+ * sections array, or a `{ "changes": { "<field id>": value } }` patch with the delta
+ * protocol. Disabled items are left out, just as they are left out of the prompt.
+ *
+ * @param {TrackerData|null} [trackerData] - Tracker to describe (defaults to the tracker template)
+ * @param {{ delta?: boolean }} [options] - Describe a delta patch instead of the full tracker
+ * @returns {Object} JSON Schema (draft 2020-12 subset accepted by structured-output APIs)
+ */
+export function buildTrackerJsonSchema(trackerData = null, { delta = extensionSettings.updateProtocol === UPDATE_PROTOCOLS.DELTA } = {}) {
+    const source = trackerData || extensionSettings.trackerData;
+    const sections = (Array.isArray(source?.sections) ? source.sections : []).filter(section => isItemEnabled(section));
+
+    if (delta) {
+        const changes = {};
+        for (const { field } of listChangeableFields(sections)) {
+            changes[field.id] = buildValueSchema(field);
+        }
+
+        return {
+            type: 'object',
+            properties: {
+                changes: { type: 'object', properties: changes, additionalProperties: false }
+            },
+            required: ['changes'],
+            additionalProperties: false
+        };
+    }
+
+    return {
+        type: 'object',
+        properties: {
+            sections: {
+                type: 'array',
+                items: sections.length > 0
+                    ? {
+                        anyOf: sections.map(section => buildContainerSchema(
+                            section,
+                            (section.subsections || []).filter(subsection => isItemEnabled(subsection))
+                        ))
+                    }
+                    : { type: 'object' }
+            }
+        },
+        required: ['sections'],
+        additionalProperties: false
+    };
+}
+
+/**
+ * Whether replies in the given prompt encoding can be described by the tracker schema.
+ * @param {string} encoding - One of PROMPT_ENCODINGS
+ * @returns {boolean} True for the JSON and YAML encodings
+ */
+export function isSchemaEncoding(encoding) {
+    return SCHEMA_ENCODINGS.includes(encoding);
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    if (!/^[A-Za-z_$][\w$]*$/.test(key)) {
+        return `${path}[${JSON.stringify(key)}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'object') return 'an object';
+    return `${typeof value === 'number' || typeof value === 'boolean' ? 'the' : 'a'} ${typeof value} ${JSON.stringify(value)}`;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'integer':
+            return Number.isInteger(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+function validateAnyOf(value, schema, path, errors) {
+    const results = schema.anyOf.map(branch => {
+        const branchErrors = [];
+        validateValue(value, branch, path, branchErrors);
+        return branchErrors;
+    });
+    if (results.some(branchErrors => branchErrors.length === 0)) {
+        return;
+    }
+
+    // Sections and subsections are told apart by name: report the errors of the one
+    // whose name matched, or the unknown name itself
+    const namePath = joinPath(path, 'name');
+    const named = results.filter(branchErrors => !branchErrors.some(error => error.path === namePath));
+    const names = schema.anyOf.map(branch => branch.properties?.name?.enum?.[0]).filter(Boolean);
+    if (named.length === 0 && names.length === schema.anyOf.length && matchesType(value, 'object')) {
+        errors.push({
+            path: namePath,
+            message: value.name === undefined
+                ? `is missing (expected one of: ${names.join(', ')})`
+                : `${JSON.stringify(value.name)} is not one of: ${names.join(', ')}`
+        });
+        return;
+    }
+
+    const pool = named.length > 0 ? named : results;
+    errors.push(...pool.reduce((best, branchErrors) => (branchErrors.length < best.length ? branchErrors : best)));
+}
+
+function validateValue(value, schema, path, errors) {
+    if (Array.isArray(schema.anyOf)) {
+        validateAnyOf(value, schema, path, errors);
+        return;
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push({ path, message: `expected ${schema.type === 'array' || schema.type === 'object' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type} but got ${describeType(value)}` });
+        return;
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        errors.push({ path, message: `${JSON.stringify(value)} is not one of: ${schema.enum.join(', ')}` });
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            errors.push({ path, message: `${value} is below the minimum of ${schema.minimum}` });
+        } else if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            errors.push({ path, message: `${value} is above the maximum of ${schema.maximum}` });
+        }
+        return;
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.items) {
+            value.forEach((item, index) => validateValue(item, schema.items, joinPath(path, index), errors));
+        }
+        return;
+    }
+
+    if (!matchesType(value, 'object')) {
+        return;
+    }
+
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+            errors.push({ path: joinPath(path, key), message: 'is missing' });
+        }
+    }
+    for (const [key, item] of Object.entries(value)) {
+        if (properties[key]) {
+            validateValue(item, properties[key], joinPath(path, key), errors);
+        } else if (schema.additionalProperties === false) {
+            errors.push({ path: joinPath(path, key), message: 'is not part of the tracker' });
+        }
+    }
+}
+
+/**
+ * Checks a parsed reply against the tracker schema. Full replies are checked against
+ * the sections schema and `{ "changes": ... }` replies against the delta schema.
+ *
+ * @param {*} reply - Parsed reply
+ * @param {Object} [schema] - Schema to check against (defaults to the schema for the reply's shape)
+ * @returns {SchemaError[]} Problems found, at most 20
+ */
+export function validateTrackerReply(reply, schema = null) {
+    const delta = matchesType(reply, 'object') && reply.changes !== undefined && reply.sections === undefined;
+    const errors = [];
+    validateValue(reply, schema || buildTrackerJsonSchema(null, { delta }), '', errors);
+    return errors.slice(0, MAX_SCHEMA_ERRORS);
+}
+
+/**
+ * Formats schema errors as a single line for retry prompts and logs.
+ * @param {SchemaError[]} errors - Errors from validateTrackerReply
+ * @param {number} [limit] - Number of errors to spell out
+ * @returns {string} Summary
+ */
+export function formatSchemaErrors(errors, limit = 3) {
+    const listed = errors.slice(0, limit).map(error => (error.path ? `${error.path}: ${error.message}` : error.message));
+    const remaining = errors.length - listed.length;
+    return listed.join('; ') + (remaining > 0 ? ` (and ${remaining} more)` : '');
+}
@@ -0,0 +1,137 @@
+/**
+ * Tracker Updates Module
+ * Applies parsed AI updates to the tracker, or holds them for review when review mode is on
+ */
+
+import {
+    extensionSettings,
+    committedTrackerData,
+    pendingProposal,
+    setCommittedTrackerData,
+    setLastGeneratedData,
+    setLastUpdateChanges,
+    setLastValidationReport,
+    setPendingProposal,
+    syncTrackerBaselines,
+    hasCommittedTrackerData
+} from '../../core/state.js';
+import { saveSettings, saveChatData } from '../../core/persistence.js';
+import { diffTrackerData } from '../../core/history.js';
+import { recordUndoSnapshot } from '../../core/undo.js';
+import { createProposal, buildAcceptedTrackerData } from '../../core/proposals.js';
+
+const SWIPE_STORAGE_KEY = 'story_tracker_swipes';
+
+function cloneData(data) {
+    return data ? JSON.parse(JSON.stringify(data)) : null;
+}
+
+/**
+ * Stores a tracker snapshot on the given message's active swipe.
+ * @param {Object} message - Assistant chat message
+ * @param {import('../../types/tracker.js').TrackerData} trackerData - Snapshot to store
+ */
+export function storeSwipeSnapshot(message, trackerData) {
+    if (!message || message.is_user) {
+        return;
+    }
+    if (!message.extra) {
+        message.extra = {};
+    }
+    if (!message.extra[SWIPE_STORAGE_KEY]) {
+        message.extra[SWIPE_STORAGE_KEY] = {};
+    }
+
+    const swipeId = message.swipe_id || 0;
+    message.extra[SWIPE_STORAGE_KEY][swipeId] = {
+        trackerData: cloneData(trackerData)
+    };
+}
+
+/**
+ * Writes new tracker data produced by the model into the extension state.
+ *
+ * @param {import('../../types/tracker.js').TrackerData} trackerData - Data to apply
+ * @param {Object} options - Apply options
+ * @param {string} options.source - 'together' or 'separate'
+ * @param {Object|null} [options.message] - Assistant message the update belongs to
+ */
+export function applyTrackerUpdate(trackerData, { source, message = null }) {
+    const trackerClone = cloneData(trackerData);
+    recordUndoSnapshot('AI update');
+    setLastUpdateChanges(diffTrackerData(committedTrackerData, trackerClone));
+    setLastGeneratedData(trackerClone);
+    extensionSettings.trackerData = trackerClone;
+
+    if (source === 'separate') {
+        syncTrackerBaselines();
+    } else {
+        if (!hasCommittedTrackerData()) {
+            setCommittedTrackerData(trackerClone);
+        }
+    }
+
+    storeSwipeSnapshot(message, trackerClone);
+}
+
+/**
+ * Handles tracker data parsed from a model response: applies it directly, or
+ * stores it as a pending proposal when review mode is enabled.
+ *
+ * @param {{ trackerData: Object, validationReport?: Object }} parsed - Result of parseResponse
+ * @param {Object} options - Update options
+ * @param {string} options.source - 'together' or 'separate'
+ * @param {Object|null} [options.message] - Assistant message the update belongs to
+ * @param {number|null} [options.messageIndex] - Index of that message in the chat
+ * @returns {'applied'|'pending'} What happened to the update
+ */
+export function receiveTrackerUpdate(parsed, { source, message = null, messageIndex = null }) {
+    setLastValidationReport(parsed.validationReport ? { ...parsed.validationReport, source } : null);
+
+    if (extensionSettings.reviewUpdates) {
+        const proposal = createProposal(extensionSettings.trackerData, parsed.trackerData, {
+            source,
+            messageIndex,
+            swipeId: message?.swipe_id || 0
+        });
+
+        if (proposal.changes.length > 0) {
+            setPendingProposal(proposal);
+            return 'pending';
+        }
+    }
+
+    setPendingProposal(null);
+    applyTrackerUpdate(parsed.trackerData, { source, message });
+    return 'applied';
+}
+
+/**
+ * Resolves the pending proposal, committing only its accepted changes.
+ * The result is stored on the proposal's message when that swipe is still active.
+ * @returns {boolean} Whether a proposal was resolved
+ */
+export function resolvePendingProposal() {
+    const proposal = pendingProposal;
+    if (!proposal) {
+        return false;
+    }
+
+    const chat = globalThis.SillyTavern?.getContext?.()?.chat;
+    const candidate = Array.isArray(chat) && proposal.messageIndex !== null ? chat[proposal.messageIndex] : null;
+    const message = candidate && (candidate.swipe_id || 0) === proposal.swipeId ? candidate : null;
+
+    const acceptedData = buildAcceptedTrackerData(extensionSettings.trackerData, proposal);
+    setPendingProposal(null);
+    applyTrackerUpdate(acceptedData, { source: proposal.source, message });
+    saveSettings();
+    saveChatData();
+    return true;
+}
+
+/**
+ * Discards the pending proposal without touching the tracker.
+ */
+export function discardPendingProposal() {
+    setPendingProposal(null);
+}
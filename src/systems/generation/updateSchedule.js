@@ -0,0 +1,144 @@
+/**
+ * Update Schedule Module
+ * Decides which sections an AI update refreshes. Sections that are not due are
+ * sent as read-only context and keep their values.
+ */
+
+import { extensionSettings, isItemEnabled, cloneTrackerData } from '../../core/state.js';
+import { UPDATE_SCHEDULES } from '../../core/config.js';
+
+// Type imports
+/** @typedef {import('../../types/tracker.js').TrackerData} TrackerData */
+/** @typedef {import('../../types/tracker.js').TrackerSection} TrackerSection */
+/** @typedef {import('../../types/tracker.js').SectionUpdateSchedule} SectionUpdateSchedule */
+
+function getChat() {
+    return globalThis.SillyTavern?.getContext?.()?.chat || [];
+}
+
+function parseKeywords(raw) {
+    const list = Array.isArray(raw) ? raw : String(raw ?? '').split(',');
+    return [...new Set(list.map(keyword => String(keyword ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * Cleans a raw schedule (e.g. from the schedule editor).
+ * @param {Object} raw - Raw schedule
+ * @returns {SectionUpdateSchedule|undefined} Normalized schedule, or undefined for "every update"
+ */
+export function normalizeUpdateSchedule(raw) {
+    const mode = raw?.mode;
+    if (mode === UPDATE_SCHEDULES.INTERVAL) {
+        const interval = Math.floor(Number(raw.interval));
+        return Number.isFinite(interval) && interval > 1 ? { mode, interval } : undefined;
+    }
+    if (mode === UPDATE_SCHEDULES.KEYWORDS) {
+        const keywords = parseKeywords(raw.keywords);
+        return keywords.length > 0 ? { mode, keywords } : undefined;
+    }
+    if (mode === UPDATE_SCHEDULES.MANUAL) {
+        return { mode };
+    }
+    return undefined;
+}
+
+/**
+ * Reads the schedule of a section, defaulting to every update.
+ * @param {TrackerSection} section - Section
+ * @returns {SectionUpdateSchedule} Schedule
+ */
+export function getSectionSchedule(section) {
+    return normalizeUpdateSchedule(section?.updateSchedule) || { mode: UPDATE_SCHEDULES.EVERY };
+}
+
+/**
+ * Short description of a schedule for the UI.
+ * @param {SectionUpdateSchedule} schedule - Schedule
+ * @returns {string} Description
+ */
+export function describeUpdateSchedule(schedule) {
+    switch (schedule?.mode) {
+        case UPDATE_SCHEDULES.INTERVAL:
+            return `Every ${schedule.interval} turns`;
+        case UPDATE_SCHEDULES.MANUAL:
+            return 'Manual updates only';
+        case UPDATE_SCHEDULES.KEYWORDS:
+            return `On keywords: ${schedule.keywords.join(', ')}`;
+        default:
+            return 'Every update';
+    }
+}
+
+/**
+ * Turns are counted by the messages the user sent, so swipes and regenerations
+ * of the same reply fall on the same turn in both generation modes.
+ */
+function countTurns(chat) {
+    return chat.filter(message => message?.is_user && !message.is_system).length;
+}
+
+function getLastMessageText(chat) {
+    for (let index = chat.length - 1; index >= 0; index -= 1) {
+        if (chat[index] && !chat[index].is_system) {
+            return String(chat[index].mes ?? '');
+        }
+    }
+    return '';
+}
+
+/**
+ * Whether a section is due for the update being prepared.
+ * @param {TrackerSection} section - Section
+ * @param {{ chat?: Object[], manual?: boolean }} [options] - Chat to look at and whether the user triggered the update
+ * @returns {boolean} True when the update should refresh the section
+ */
+export function isSectionDue(section, { chat = getChat(), manual = false } = {}) {
+    const schedule = getSectionSchedule(section);
+    switch (schedule.mode) {
+        case UPDATE_SCHEDULES.INTERVAL:
+            return manual || countTurns(chat) % schedule.interval === 0;
+        case UPDATE_SCHEDULES.MANUAL:
+            return manual;
+        case UPDATE_SCHEDULES.KEYWORDS: {
+            const text = getLastMessageText(chat).toLowerCase();
+            return manual || schedule.keywords.some(keyword => text.includes(keyword.toLowerCase()));
+        }
+        default:
+            return true;
+    }
+}
+
+/**
+ * Lists the sections due for the update being prepared. A manual update refreshes
+ * every section.
+ *
+ * @param {{ chat?: Object[], manual?: boolean, trackerData?: TrackerData }} [options] - Due check options
+ * @returns {string[]|null} Ids of the due sections, or null when every section is due
+ */
+export function getDueSectionIds({ chat = getChat(), manual = false, trackerData = extensionSettings.trackerData } = {}) {
+    const sections = (trackerData?.sections || []).filter(section => isItemEnabled(section));
+    const due = sections.filter(section => isSectionDue(section, { chat, manual }));
+    return due.length === sections.length ? null : due.map(section => section.id);
+}
+
+/**
+ * Marks the sections that are not due as read-only, so the prompt shows them as
+ * context the model must copy back unchanged.
+ *
+ * @param {TrackerData|null} trackerData - Tracker to send
+ * @param {string[]|null} dueIds - Ids of the due sections (null when all are due)
+ * @returns {TrackerData|null} The tracker itself when every section is due, otherwise a marked copy
+ */
+export function applyUpdateSchedule(trackerData, dueIds) {
+    if (!trackerData || !Array.isArray(dueIds)) {
+        return trackerData;
+    }
+
+    const scheduled = cloneTrackerData(trackerData);
+    for (const section of scheduled.sections || []) {
+        if (!dueIds.includes(section.id)) {
+            section.locked = true;
+        }
+    }
+    return scheduled;
+}
@@ -0,0 +1,149 @@
+/**
+ * Tracker Macros Module
+ * Resolves {{tracker::Section::Field}}, {{tracker_section::Section}} and {{tracker_json}}
+ * in prompts against the committed tracker, so values can be placed inside character
+ * cards, the author's note and world info entries.
+ */
+
+import { extensionSettings, isItemEnabled, getCommittedOrLiveTrackerData } from '../../core/state.js';
+import { formatFieldValue } from '../../core/fieldTypes.js';
+import { findSectionCandidate, findFieldCandidate } from '../generation/parser.js';
+import { buildSectionContext } from '../generation/promptBuilder.js';
+
+// Type imports
+/** @typedef {import('../../types/tracker.js').TrackerData} TrackerData */
+
+const MACRO_PATTERN = /\{\{\s*(tracker_json|tracker_section|tracker)\s*((?:::[^{}]*?)?)\s*\}\}/gi;
+
+function splitArguments(raw) {
+    return raw ? raw.slice(2).split('::').map(part => part.trim()) : [];
+}
+
+function matchByKey(key) {
+    return { id: key, name: key };
+}
+
+function resolveField(trackerData, parts) {
+    const section = findSectionCandidate(trackerData?.sections, matchByKey(parts[0]));
+    if (!section) {
+        return null;
+    }
+
+    if (parts.length === 3) {
+        const subsection = findSectionCandidate(section.subsections, matchByKey(parts[1]));
+        return subsection ? findFieldCandidate(subsection.fields, matchByKey(parts[2])) : null;
+    }
+
+    const ownField = findFieldCandidate(section.fields, matchByKey(parts[1]));
+    if (ownField) {
+        return ownField;
+    }
+    for (const subsection of section.subsections || []) {
+        const field = findFieldCandidate(subsection.fields, matchByKey(parts[1]));
+        if (field) {
+            return field;
+        }
+    }
+    return null;
+}
+
+/**
+ * Values of the enabled fields keyed by name: `{ "Section": { "Field": value, "Subsection": { ... } } }`.
+ */
+function buildValueTree(trackerData) {
+    const collectFields = (fields, target) => {
+        for (const field of (fields || []).filter(item => isItemEnabled(item))) {
+            target[field.name] = field.value ?? null;
+        }
+        return target;
+    };
+
+    const tree = {};
+    for (const section of (trackerData?.sections || []).filter(item => isItemEnabled(item))) {
+        const values = collectFields(section.fields, {});
+        for (const subsection of (section.subsections || []).filter(item => isItemEnabled(item))) {
+            values[subsection.name] = collectFields(subsection.fields, {});
+        }
+        tree[section.name] = values;
+    }
+    return tree;
+}
+
+function resolveMacro(name, parts, trackerData) {
+    switch (name.toLowerCase()) {
+        case 'tracker_json':
+            return JSON.stringify(buildValueTree(trackerData), null, 2);
+        case 'tracker_section': {
+            const section = parts.length === 1 ? findSectionCandidate(trackerData?.sections, matchByKey(parts[0])) : null;
+            return section ? buildSectionContext(section) : '';
+        }
+        default: {
+            const field = parts.length === 2 || parts.length === 3 ? resolveField(trackerData, parts) : null;
+            return field ? formatFieldValue(field) : '';
+        }
+    }
+}
+
+/**
+ * Replaces tracker macros in a piece of prompt text. Sections, subsections and fields
+ * are matched by id or name, ignoring case, just like AI replies are. Macros that
+ * name nothing in the tracker resolve to an empty string.
+ *
+ * @param {string} text - Prompt text
+ * @param {TrackerData|null} [trackerData] - Tracker to read (defaults to the committed tracker)
+ * @returns {string} Text with the macros replaced
+ */
+export function resolveTrackerMacros(text, trackerData = getCommittedOrLiveTrackerData()) {
+    if (typeof text !== 'string' || !text.includes('{{')) {
+        return text;
+    }
+    return text.replace(MACRO_PATTERN, (_match, name, rawArguments) => resolveMacro(name, splitArguments(rawArguments), trackerData));
+}
+
+/**
+ * Prompt-ready handler for both chat completion (`eventData.chat`) and text completion
+ * (`eventData.prompt`) prompts. Runs after SillyTavern's own macros, which leave
+ * the argument macros untouched.
+ *
+ * @param {{ chat?: Array<{ content: string|Array }>, prompt?: string }} eventData - Prompt about to be sent
+ */
+export function onPromptReady(eventData) {
+    if (!eventData || !extensionSettings.enabled) {
+        return;
+    }
+
+    const trackerData = getCommittedOrLiveTrackerData();
+    if (typeof eventData.prompt === 'string') {
+        eventData.prompt = resolveTrackerMacros(eventData.prompt, trackerData);
+    }
+
+    for (const message of Array.isArray(eventData.chat) ? eventData.chat : []) {
+        if (typeof message?.content === 'string') {
+            message.content = resolveTrackerMacros(message.content, trackerData);
+        } else if (Array.isArray(message?.content)) {
+            for (const part of message.content) {
+                if (typeof part?.text === 'string') {
+                    part.text = resolveTrackerMacros(part.text, trackerData);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Registers {{tracker_json}} with SillyTavern's macro list so it also works where
+ * macros are expanded outside a prompt (e.g. /echo). The argument macros are
+ * resolved by onPromptReady.
+ */
+export function registerTrackerMacros() {
+    const context = globalThis.SillyTavern?.getContext?.();
+    if (typeof context?.registerMacro !== 'function') {
+        return;
+    }
+
+    try {
+        context.registerMacro('tracker_json', () => resolveTrackerMacros('{{tracker_json}}'), 'Story Tracker values as JSON');
+    } catch (error) {
+        console.warn('[Story Tracker] Could not register the tracker macros', error);
+    }
+}
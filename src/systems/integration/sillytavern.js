@@ -10,13 +10,20 @@ import {
     setCommittedTrackerData,
     setLastGeneratedData,
     lastActionWasSwipe,
-    setLastActionWasSwipe
+    setLastActionWasSwipe,
+    isGenerating,
+    setLastValidationReport,
+    setLastUpdateChanges
 } from '../../core/state.js';
+import { diffTrackerData } from '../../core/history.js';
+import { clearUndoHistory } from '../../core/undo.js';
 import { loadChatData, saveChatData } from '../../core/persistence.js';
 import { updateTrackerData } from '../generation/apiClient.js';
 import { renderTracker } from '../rendering/tracker.js';
 import { parseResponse } from '../generation/parser.js';
+import { receiveTrackerUpdate, discardPendingProposal } from '../generation/trackerUpdates.js';
 import { onGenerationStarted } from '../generation/injector.js';
+import { flushWorldInfoSync } from './worldInfo.js';
 import {
     getSillyTavernContext,
     resolvePromptApi,
@@ -68,9 +75,10 @@ export function commitTrackerData() {
 }
 
 /**
- * Handles message sent events.
+ * Handles message sent events. The lorebook is synced with the newly committed tracker
+ * before the generation scans world info (SillyTavern awaits this handler).
  */
-export function onMessageSent() {
+export async function onMessageSent() {
     setLastActionWasSwipe(false);
     commitTrackerData();
 
@@ -78,6 +86,24 @@ export function onMessageSent() {
         console.log('[Story Tracker DEBUG] Forcing prompt injection from onMessageSent');
         onGenerationStarted();
     }
+
+    await flushWorldInfoSync();
+}
+
+/**
+ * Handles generation started events. Regenerations, swipes and continues send no
+ * message, so the lorebook is synced here as well before world info is scanned.
+ * @param {string} _type - Generation type
+ * @param {Object} _options - Generation options
+ * @param {boolean} dryRun - Whether the generation only builds the prompt (e.g. token counts)
+ */
+export async function onGenerationStart(_type, _options, dryRun) {
+    onGenerationStarted();
+
+    if (!extensionSettings.enabled || isGenerating || dryRun) {
+        return;
+    }
+    await flushWorldInfoSync();
 }
 
 /**
@@ -122,27 +148,13 @@ export async function onMessageReceived() {
         });
 
         if (parsed.trackerData) {
-            const trackerClone = cloneData(parsed.trackerData);
-            setLastGeneratedData(trackerClone);
-            extensionSettings.trackerData = trackerClone;
-
-            const hasCommittedSections = Array.isArray(committedTrackerData?.sections) && committedTrackerData.sections.length > 0;
-            if (!hasCommittedSections) {
-                setCommittedTrackerData(trackerClone);
-            }
-
-            if (!lastMessage.extra) {
-                lastMessage.extra = {};
-            }
-            if (!lastMessage.extra[SWIPE_STORAGE_KEY]) {
-                lastMessage.extra[SWIPE_STORAGE_KEY] = {};
-            }
+            const outcome = receiveTrackerUpdate(parsed, {
+                source: 'together',
+                message: lastMessage,
+                messageIndex: chat.length - 1
+            });
 
             const swipeId = lastMessage.swipe_id || 0;
-            lastMessage.extra[SWIPE_STORAGE_KEY][swipeId] = {
-                trackerData: trackerClone
-            };
-
             if (typeof parsed.cleanedText === 'string') {
                 lastMessage.mes = parsed.cleanedText;
                 if (lastMessage.swipes && lastMessage.swipes[swipeId] !== undefined) {
@@ -151,7 +163,11 @@ export async function onMessageReceived() {
             }
 
             renderTracker();
-            saveChatData();
+            if (outcome === 'applied') {
+                saveChatData();
+            } else if (typeof context.saveChatDebounced === 'function') {
+                context.saveChatDebounced();
+            }
         } else {
             console.warn('[Story Tracker DEBUG] No tracker data found in response!');
         }
@@ -168,6 +184,10 @@ export async function onMessageReceived() {
  * Handles character change events.
  */
 export function onCharacterChanged() {
+    setLastValidationReport(null);
+    setLastUpdateChanges(null);
+    discardPendingProposal();
+    clearUndoHistory();
     loadChatData();
     renderTracker();
     commitTrackerData();
@@ -202,9 +222,12 @@ export function onMessageSwiped(messageIndex) {
         setLastActionWasSwipe(true);
     }
 
+    discardPendingProposal();
+
     const swipeData = message.extra?.[SWIPE_STORAGE_KEY]?.[swipeId];
     if (swipeData?.trackerData) {
         const trackerClone = cloneData(swipeData.trackerData);
+        setLastUpdateChanges(diffTrackerData(committedTrackerData, trackerClone));
         setLastGeneratedData(trackerClone);
         extensionSettings.trackerData = trackerClone;
         renderTracker();
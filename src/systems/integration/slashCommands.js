@@ -0,0 +1,332 @@
+/**
+ * Slash Commands Module
+ * Registers /tracker-* commands so chat input, STscript and Quick Replies can read
+ * and change the tracker. Every command returns plain text for the pipe.
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { saveSettings } from '../../core/persistence.js';
+import { GENERATION_MODES, FIELD_TYPES } from '../../core/config.js';
+import { SUPPORTED_FORMATS } from '../../core/serialization.js';
+import { exportTrackerData, getTrackerDataFormat } from '../../core/dataManager.js';
+import { coerceFieldValue } from '../../core/fieldTypes.js';
+import { loadPreset, syncPresetSelection } from '../../core/presetManager.js';
+import { updateTrackerData } from '../generation/apiClient.js';
+import { renderTracker, updateField, addField, getFieldById } from '../rendering/tracker.js';
+
+// Type imports
+/** @typedef {import('../../types/tracker.js').TrackerSection} TrackerSection */
+/** @typedef {import('../../types/tracker.js').TrackerSubsection} TrackerSubsection */
+/** @typedef {import('../../types/tracker.js').TrackerField} TrackerField */
+
+/**
+ * Tracker item addressed by a dotted path
+ * @typedef {Object} ResolvedTrackerPath
+ * @property {TrackerSection} section - Section
+ * @property {TrackerSubsection|null} subsection - Subsection, when the item lives in one
+ * @property {TrackerField|null} field - Field, when the path names one
+ */
+
+function getContext() {
+    return globalThis.SillyTavern?.getContext?.() || null;
+}
+
+function splitPath(path) {
+    return String(path ?? '').split('.').map(part => part.trim());
+}
+
+function findByName(items, name) {
+    const wanted = name.toLowerCase();
+    return (items || []).find(item => String(item?.name ?? '').trim().toLowerCase() === wanted) || null;
+}
+
+/**
+ * Finds a field by `Section.Field` or `Section.Subsection.Field`, ignoring case.
+ * A two-part path looks at the section's own fields first, then its subsections.
+ *
+ * @param {string} path - Dotted path
+ * @param {{ sections?: TrackerSection[] }|null} [trackerData] - Tracker to search (defaults to the live tracker)
+ * @returns {ResolvedTrackerPath|null} Match, or null when nothing has that path
+ */
+export function resolveFieldPath(path, trackerData = extensionSettings.trackerData) {
+    const parts = splitPath(path);
+    if (parts.length < 2 || parts.length > 3 || parts.some(part => !part)) {
+        return null;
+    }
+
+    const section = findByName(trackerData?.sections, parts[0]);
+    if (!section) {
+        return null;
+    }
+
+    if (parts.length === 3) {
+        const subsection = findByName(section.subsections, parts[1]);
+        const field = subsection ? findByName(subsection.fields, parts[2]) : null;
+        return field ? { section, subsection, field } : null;
+    }
+
+    const ownField = findByName(section.fields, parts[1]);
+    if (ownField) {
+        return { section, subsection: null, field: ownField };
+    }
+    for (const subsection of section.subsections || []) {
+        const field = findByName(subsection.fields, parts[1]);
+        if (field) {
+            return { section, subsection, field };
+        }
+    }
+    return null;
+}
+
+/**
+ * Splits `path=value` at the first equals sign.
+ * @param {string} text - Command argument
+ * @returns {{ path: string, value: string }|null} Parts, or null without an equals sign
+ */
+export function parseAssignment(text) {
+    const source = String(text ?? '');
+    const index = source.indexOf('=');
+    if (index < 0) {
+        return null;
+    }
+    return { path: source.slice(0, index).trim(), value: source.slice(index + 1).trim() };
+}
+
+/**
+ * Formats a field value for the STscript pipe. Lists become JSON arrays so they
+ * can be passed to /foreach and friends; everything else is plain text.
+ *
+ * @param {*} value - Field value
+ * @returns {string} Pipe text
+ */
+export function formatPipeValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function requireField(path) {
+    const resolved = resolveFieldPath(path);
+    if (!resolved) {
+        throw new Error(`No tracker field at "${path}". Use Section.Field or Section.Subsection.Field.`);
+    }
+    return resolved.field;
+}
+
+function getUnnamedText(value) {
+    return String(value ?? '').trim();
+}
+
+function trackerGet(_args, value) {
+    return formatPipeValue(requireField(getUnnamedText(value)).value);
+}
+
+function trackerSet(_args, value) {
+    const assignment = parseAssignment(getUnnamedText(value));
+    if (!assignment) {
+        throw new Error('Usage: /tracker-set Section.Field=value');
+    }
+
+    const field = requireField(assignment.path);
+    const coerced = coerceFieldValue(field, assignment.value);
+    if (!coerced.ok) {
+        throw new Error(`${field.name}: ${coerced.error}`);
+    }
+
+    updateField(field.id, undefined, assignment.value);
+    return formatPipeValue(getFieldById(field.id)?.value);
+}
+
+function trackerAddField(args, value) {
+    const parts = splitPath(getUnnamedText(value));
+    if (parts.length < 2 || parts.length > 3 || parts.some(part => !part)) {
+        throw new Error('Usage: /tracker-add-field [type=text] [prompt=...] [value=...] Section.Field or Section.Subsection.Field');
+    }
+
+    const name = parts.pop();
+    const section = findByName(extensionSettings.trackerData?.sections, parts[0]);
+    const parent = section && parts.length === 2 ? findByName(section.subsections, parts[1]) : section;
+    if (!parent) {
+        throw new Error(`No tracker ${parts.length === 2 ? 'subsection' : 'section'} named "${parts.join('.')}".`);
+    }
+    if (findByName(parent.fields, name)) {
+        throw new Error(`"${parts.join('.')}" already has a field named "${name}".`);
+    }
+
+    const type = String(args?.type || FIELD_TYPES.TEXT).trim().toLowerCase();
+    if (!Object.values(FIELD_TYPES).includes(type)) {
+        throw new Error(`Unknown field type "${type}". Use one of: ${Object.values(FIELD_TYPES).join(', ')}.`);
+    }
+
+    const fieldSettings = {};
+    if (args?.options) fieldSettings.options = String(args.options).split(',');
+    if (args?.min !== undefined && args.min !== '') fieldSettings.min = Number(args.min);
+    if (args?.max !== undefined && args.max !== '') fieldSettings.max = Number(args.max);
+
+    const fieldId = addField(parent.id, name, type, String(args?.prompt ?? ''), fieldSettings);
+    if (fieldId && args?.value !== undefined && args.value !== '') {
+        updateField(fieldId, undefined, String(args.value));
+    }
+    return formatPipeValue(getFieldById(fieldId)?.value);
+}
+
+async function trackerUpdate() {
+    if (extensionSettings.generationMode !== GENERATION_MODES.SEPARATE) {
+        throw new Error('/tracker-update only runs in separate mode; together mode updates the tracker with each reply.');
+    }
+    await updateTrackerData(renderTracker, { manual: true });
+    return '';
+}
+
+function trackerPreset(_args, value) {
+    const name = getUnnamedText(value);
+    if (!name) {
+        return extensionSettings.currentPreset || '';
+    }
+    if (!loadPreset(name)) {
+        throw new Error(`No tracker preset named "${name}".`);
+    }
+    syncPresetSelection(name);
+    return name;
+}
+
+function trackerMode(_args, value) {
+    const mode = getUnnamedText(value).toLowerCase();
+    if (!mode) {
+        return extensionSettings.generationMode;
+    }
+    if (!Object.values(GENERATION_MODES).includes(mode)) {
+        throw new Error(`Unknown generation mode "${mode}". Use together or separate.`);
+    }
+
+    if (extensionSettings.generationMode !== mode) {
+        extensionSettings.generationMode = mode;
+        saveSettings();
+        import('../ui/layout.js').then(module => {
+            module.updateGenerationModeUI();
+        }).catch(() => {});
+    }
+    return mode;
+}
+
+function trackerExport(args) {
+    const format = String(args?.format || getTrackerDataFormat()).trim().toLowerCase();
+    if (!SUPPORTED_FORMATS.includes(format)) {
+        throw new Error(`Unknown export format "${format}". Use one of: ${SUPPORTED_FORMATS.join(', ')}.`);
+    }
+    return exportTrackerData(format);
+}
+
+/**
+ * Command definitions. `unnamed` describes the single unnamed argument and `named`
+ * lists the named arguments as [name, description, enumList?].
+ */
+const COMMANDS = [
+    {
+        name: 'tracker-update',
+        callback: trackerUpdate,
+        helpString: 'Runs a separate-mode tracker update now, refreshing every section.'
+    },
+    {
+        name: 'tracker-get',
+        callback: trackerGet,
+        unnamed: { description: 'Section.Field or Section.Subsection.Field', required: true },
+        helpString: 'Returns the value of a tracker field. Lists are returned as a JSON array. Example: <code>/tracker-get Status.Mood | /echo</code>'
+    },
+    {
+        name: 'tracker-set',
+        callback: trackerSet,
+        unnamed: { description: 'Section.Field=value', required: true },
+        helpString: 'Sets a tracker field and returns the stored value. Example: <code>/tracker-set Stats.HP=12</code>'
+    },
+    {
+        name: 'tracker-add-field',
+        callback: trackerAddField,
+        unnamed: { description: 'Section.Field or Section.Subsection.Field', required: true },
+        named: [
+            ['type', 'Field type', Object.values(FIELD_TYPES)],
+            ['prompt', 'Instructions for the AI'],
+            ['value', 'Starting value'],
+            ['options', 'Comma-separated options for choice fields'],
+            ['min', 'Minimum for range fields'],
+            ['max', 'Maximum for range fields']
+        ],
+        helpString: 'Adds a field to a section or subsection and returns its value. Example: <code>/tracker-add-field type=number value=3 Stats.Potions</code>'
+    },
+    {
+        name: 'tracker-preset',
+        callback: trackerPreset,
+        unnamed: { description: 'Preset name', required: false },
+        helpString: 'Loads a tracker preset by name and returns it. Without a name, returns the current preset.'
+    },
+    {
+        name: 'tracker-mode',
+        callback: trackerMode,
+        unnamed: { description: 'together or separate', required: false, enumList: Object.values(GENERATION_MODES) },
+        helpString: 'Switches the generation mode and returns it. Without an argument, returns the current mode.'
+    },
+    {
+        name: 'tracker-export',
+        callback: trackerExport,
+        named: [['format', 'Output format', SUPPORTED_FORMATS]],
+        helpString: 'Returns the tracker serialized as JSON, YAML or Markdown (defaults to the data format setting).'
+    }
+];
+
+function registerWithParser(context, command) {
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = context;
+    const unnamedArgumentList = command.unnamed
+        ? [SlashCommandArgument.fromProps({
+            description: command.unnamed.description,
+            typeList: [ARGUMENT_TYPE.STRING],
+            isRequired: command.unnamed.required,
+            enumList: command.unnamed.enumList || []
+        })]
+        : [];
+    const namedArgumentList = (command.named || []).map(([name, description, enumList]) => SlashCommandNamedArgument.fromProps({
+        name,
+        description,
+        typeList: [ARGUMENT_TYPE.STRING],
+        enumList: enumList || []
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: command.name,
+        callback: command.callback,
+        returns: 'tracker value',
+        unnamedArgumentList,
+        namedArgumentList,
+        helpString: command.helpString
+    }));
+}
+
+/**
+ * Registers the /tracker-* slash commands with SillyTavern. Uses the slash command
+ * parser when available and the legacy registerSlashCommand otherwise.
+ *
+ * @returns {boolean} True when the commands were registered
+ */
+export function registerSlashCommands() {
+    const context = getContext();
+    const useParser = typeof context?.SlashCommandParser?.addCommandObject === 'function'
+        && typeof context?.SlashCommand?.fromProps === 'function';
+
+    if (!useParser && typeof context?.registerSlashCommand !== 'function') {
+        console.warn('[Story Tracker] Slash commands are not available in this SillyTavern version.');
+        return false;
+    }
+
+    for (const command of COMMANDS) {
+        try {
+            if (useParser) {
+                registerWithParser(context, command);
+            } else {
+                context.registerSlashCommand(command.name, command.callback, [], command.helpString);
+            }
+        } catch (error) {
+            console.error(`[Story Tracker] Failed to register /${command.name}:`, error);
+        }
+    }
+    return true;
+}
@@ -0,0 +1,258 @@
+/**
+ * World Info Sync Module
+ * Mirrors selected tracker sections and subsections into a lorebook, one entry per
+ * subsection, so their state is only sent when its keywords come up in the chat
+ */
+
+import { extensionSettings, isItemEnabled, getCommittedOrLiveTrackerData } from '../../core/state.js';
+import { formatContextField } from '../generation/promptBuilder.js';
+
+// Type imports
+/** @typedef {import('../../types/tracker.js').TrackerData} TrackerData */
+/** @typedef {import('../../types/tracker.js').WorldInfoSyncSettings} WorldInfoSyncSettings */
+
+const ENTRY_OWNER_KEY = 'storyTrackerId';
+const SYNC_DELAY_MS = 1000;
+
+let syncTimer = null;
+let syncQueue = Promise.resolve();
+
+function getContext() {
+    return globalThis.SillyTavern?.getContext?.();
+}
+
+/**
+ * Cleans the raw sync settings.
+ * @param {Object} raw - Raw settings (e.g. from the settings modal)
+ * @returns {WorldInfoSyncSettings} Normalized settings
+ */
+export function normalizeWorldInfoSync(raw) {
+    return {
+        enabled: Boolean(raw?.enabled),
+        lorebook: typeof raw?.lorebook === 'string' ? raw.lorebook.trim() : '',
+        items: Array.isArray(raw?.items) ? [...new Set(raw.items.filter(id => typeof id === 'string' && id))] : []
+    };
+}
+
+/**
+ * Keywords for a subsection: its name and, for names of several words, the first word
+ * (so "Alice Smith" also triggers on "Alice").
+ *
+ * @param {string} name - Subsection name
+ * @returns {string[]} Keywords
+ */
+export function deriveWorldInfoKeywords(name) {
+    const keyword = String(name ?? '').trim();
+    if (!keyword) {
+        return [];
+    }
+    const firstWord = keyword.split(/\s+/)[0];
+    return firstWord !== keyword && firstWord.length >= 3 ? [keyword, firstWord] : [keyword];
+}
+
+function buildEntry(id, name, sectionName, fields) {
+    const lines = (fields || []).filter(field => isItemEnabled(field)).map(formatContextField);
+    if (!lines.length) {
+        return null;
+    }
+    const header = name === sectionName ? `${name}:` : `${name} (${sectionName}):`;
+    return {
+        id,
+        key: deriveWorldInfoKeywords(name),
+        comment: name === sectionName ? `Story Tracker: ${name}` : `Story Tracker: ${sectionName} / ${name}`,
+        content: [header, ...lines].join('\n')
+    };
+}
+
+/**
+ * Builds the lorebook entries for the selected sections and subsections. A selected
+ * section contributes every subsection, plus an entry for its own fields.
+ * Disabled items and items without enabled fields are left out.
+ *
+ * @param {TrackerData|null} trackerData - Tracker to mirror
+ * @param {string[]} selectedIds - Ids of the selected sections and subsections
+ * @returns {Array<{ id: string, key: string[], comment: string, content: string }>} Entries
+ */
+export function buildWorldInfoEntries(trackerData, selectedIds) {
+    const selected = new Set(selectedIds || []);
+    const entries = [];
+
+    for (const section of trackerData?.sections || []) {
+        if (!isItemEnabled(section)) {
+            continue;
+        }
+        const wholeSection = selected.has(section.id);
+        if (wholeSection) {
+            entries.push(buildEntry(section.id, section.name, section.name, section.fields));
+        }
+        for (const subsection of section.subsections || []) {
+            if ((wholeSection || selected.has(subsection.id)) && isItemEnabled(subsection)) {
+                entries.push(buildEntry(`${section.id}/${subsection.id}`, subsection.name, section.name, subsection.fields));
+            }
+        }
+    }
+
+    return entries.filter(Boolean);
+}
+
+function createLorebookEntry(uid) {
+    // Mirrors the defaults of entries created in SillyTavern's world info editor
+    return {
+        uid,
+        key: [],
+        keysecondary: [],
+        comment: '',
+        content: '',
+        constant: false,
+        vectorized: false,
+        selective: true,
+        selectiveLogic: 0,
+        addMemo: true,
+        order: 100,
+        position: 0,
+        disable: false,
+        excludeRecursion: false,
+        preventRecursion: false,
+        delayUntilRecursion: false,
+        probability: 100,
+        useProbability: true,
+        depth: 4,
+        group: '',
+        groupOverride: false,
+        groupWeight: 100,
+        scanDepth: null,
+        caseSensitive: null,
+        matchWholeWords: null,
+        useGroupScoring: null,
+        automationId: '',
+        role: null,
+        sticky: 0,
+        cooldown: 0,
+        delay: 0,
+        displayIndex: uid
+    };
+}
+
+/**
+ * Writes the entries into a lorebook. Entries this extension created are matched by
+ * their tracker id, updated in place (keeping the user's order, position and other
+ * options) and deleted once their subsection is no longer synced. Other entries are
+ * never touched.
+ *
+ * @param {{ entries: Object<string, Object> }} lorebook - Lorebook data (modified in place)
+ * @param {Array<{ id: string, key: string[], comment: string, content: string }>} entries - Entries to write
+ * @returns {boolean} Whether the lorebook changed
+ */
+export function applyWorldInfoEntries(lorebook, entries) {
+    const existing = new Map();
+    for (const [uid, entry] of Object.entries(lorebook.entries)) {
+        if (entry?.[ENTRY_OWNER_KEY]) {
+            existing.set(entry[ENTRY_OWNER_KEY], uid);
+        }
+    }
+
+    let changed = false;
+    let nextUid = Math.max(-1, ...Object.keys(lorebook.entries).map(Number).filter(Number.isFinite)) + 1;
+
+    for (const { id, key, comment, content } of entries) {
+        let entry = lorebook.entries[existing.get(id)];
+        existing.delete(id);
+        if (!entry) {
+            entry = { ...createLorebookEntry(nextUid), [ENTRY_OWNER_KEY]: id };
+            lorebook.entries[nextUid] = entry;
+            nextUid += 1;
+            changed = true;
+        }
+        if (JSON.stringify(entry.key) !== JSON.stringify(key) || entry.comment !== comment || entry.content !== content) {
+            Object.assign(entry, { key, comment, content });
+            changed = true;
+        }
+    }
+
+    for (const uid of existing.values()) {
+        delete lorebook.entries[uid];
+        changed = true;
+    }
+
+    return changed;
+}
+
+/**
+ * Syncs the tracker into the configured lorebook.
+ * @param {TrackerData|null} [trackerData] - Tracker to mirror (defaults to the committed tracker)
+ * @returns {Promise<boolean>} Whether the lorebook was saved
+ */
+export async function syncWorldInfo(trackerData = getCommittedOrLiveTrackerData()) {
+    const settings = normalizeWorldInfoSync(extensionSettings.worldInfoSync);
+    if (!settings.enabled || !settings.lorebook) {
+        return false;
+    }
+
+    const context = getContext();
+    if (typeof context?.loadWorldInfo !== 'function' || typeof context?.saveWorldInfo !== 'function') {
+        throw new Error('This version of SillyTavern does not expose lorebooks to extensions');
+    }
+
+    const lorebook = await context.loadWorldInfo(settings.lorebook);
+    if (!lorebook || typeof lorebook.entries !== 'object' || lorebook.entries === null) {
+        throw new Error(`Lorebook "${settings.lorebook}" was not found`);
+    }
+
+    if (!applyWorldInfoEntries(lorebook, buildWorldInfoEntries(trackerData, settings.items))) {
+        return false;
+    }
+
+    await context.saveWorldInfo(settings.lorebook, lorebook, true);
+    if (typeof context.reloadWorldInfoEditor === 'function') {
+        context.reloadWorldInfoEditor(settings.lorebook, false);
+    }
+    return true;
+}
+
+/**
+ * Syncs the lorebook now, after any sync already running, and cancels a scheduled one.
+ * Failures are logged rather than thrown so they never block a generation.
+ * @returns {Promise<boolean>} Whether the lorebook was saved
+ */
+export function flushWorldInfoSync() {
+    clearTimeout(syncTimer);
+    syncTimer = null;
+    if (!extensionSettings.worldInfoSync?.enabled) {
+        return Promise.resolve(false);
+    }
+
+    syncQueue = syncQueue
+        .then(() => syncWorldInfo())
+        .catch((error) => {
+            console.warn('[Story Tracker] World info sync failed', error);
+            return false;
+        });
+    return syncQueue;
+}
+
+/**
+ * Syncs the lorebook shortly after the last call. Called on every chat save, so
+ * bursts of edits write the lorebook once.
+ */
+export function scheduleWorldInfoSync() {
+    if (!extensionSettings.worldInfoSync?.enabled) {
+        return;
+    }
+
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(flushWorldInfoSync, SYNC_DELAY_MS);
+}
+
+/**
+ * Lists the lorebooks shown in SillyTavern's world info editor.
+ * @returns {string[]} Lorebook names
+ */
+export function listLorebookNames() {
+    if (typeof document === 'undefined') {
+        return [];
+    }
+    return Array.from(document.querySelectorAll('#world_editor_select option'))
+        .filter(option => option.value !== '')
+        .map(option => option.textContent.trim())
+        .filter(Boolean);
+}
@@ -3,9 +3,45 @@
  * Handles rendering of the story tracker UI
  */
 
-import { extensionSettings, $sectionsContainer, createSection, createSubsection, createField, syncTrackerBaselines } from '../../core/state.js';
+import {
+    extensionSettings,
+    $sectionsContainer,
+    lastValidationReport,
+    lastUpdateChanges,
+    pendingProposal,
+    setLastValidationReport,
+    createSection,
+    createSubsection,
+    createField,
+    isItemLocked,
+    isItemEnabled,
+    syncTrackerBaselines
+} from '../../core/state.js';
 import { escapeHtml } from '../../core/sanitize.js';
 import { saveSettings, saveChatData } from '../../core/persistence.js';
+import { FIELD_TYPES, UPDATE_SCHEDULES } from '../../core/config.js';
+import {
+    normalizeFieldType,
+    coerceFieldValue,
+    getEnumOptions,
+    getRangeBounds,
+    getDefaultValueForType,
+    formatFieldValue,
+    applyFieldTypeSettings
+} from '../../core/fieldTypes.js';
+import { checkProposedValue, normalizeConstraints, VALIDATION_POLICIES } from '../../core/validation.js';
+import {
+    recordUndoSnapshot,
+    undoTrackerChange,
+    redoTrackerChange,
+    canUndo,
+    canRedo,
+    getUndoLabel,
+    getRedoLabel
+} from '../../core/undo.js';
+import { setProposalDecision, setAllProposalDecisions } from '../../core/proposals.js';
+import { resolvePendingProposal, discardPendingProposal } from '../generation/trackerUpdates.js';
+import { getSectionSchedule, describeUpdateSchedule } from '../generation/updateSchedule.js';
 
 // Type imports
 /** @typedef {import('../../types/tracker.js').TrackerSection} TrackerSection */
@@ -21,6 +57,9 @@ const dragState = {
 };
 
 let sectionDragContainer = null;
+let updateReportExpanded = false;
+let changeIndexSource = null;
+let changeIndex = { fields: new Map(), sections: new Map() };
 
 function resetDragState() {
     dragState.type = null;
@@ -51,6 +90,10 @@ export function renderTracker() {
         return;
     }
 
+    renderUpdateReport();
+    renderReviewPanel();
+    updateUndoButtons();
+
     const trackerData = extensionSettings.trackerData;
 
     if (!trackerData || !trackerData.sections || trackerData.sections.length === 0) {
@@ -74,6 +117,229 @@ export function renderTracker() {
     initializeDragAndDrop();
 }
 
+/**
+ * Renders the notes about the last AI update (section passes, retries, JSON repairs, schema mismatches and constraint violations) above the sections
+ */
+export function renderUpdateReport() {
+    const $report = $('#story-tracker-update-report');
+    if ($report.length === 0) {
+        return;
+    }
+
+    const html = buildUpdateReportHtml(lastValidationReport, updateReportExpanded);
+    if (!html) {
+        $report.hide().html('');
+        return;
+    }
+
+    $report.html(html).show();
+
+    $report.find('[data-action="toggle-update-report"]').off('click').on('click', () => {
+        updateReportExpanded = !updateReportExpanded;
+        renderUpdateReport();
+    });
+
+    $report.find('[data-action="dismiss-update-report"]').off('click').on('click', () => {
+        updateReportExpanded = false;
+        setLastValidationReport(null);
+        renderUpdateReport();
+    });
+}
+
+/**
+ * Builds the HTML for the update report banner
+ * @param {import('../../types/tracker.js').ValidationReport|null} report - Report to render
+ * @param {boolean} expanded - Whether the violation list is shown
+ * @returns {string} HTML string (empty when there is nothing to report)
+ */
+function buildUpdateReportHtml(report, expanded) {
+    const violations = Array.isArray(report?.violations) ? report.violations : [];
+    const repairs = Array.isArray(report?.repairs) ? report.repairs : [];
+    const schemaErrors = Array.isArray(report?.schemaErrors) ? report.schemaErrors : [];
+    const attempts = Array.isArray(report?.attempts) ? report.attempts : [];
+    const passes = Array.isArray(report?.sectionPasses) ? report.sectionPasses : [];
+    const failedPasses = passes.filter(pass => pass.status === 'failed');
+    const failed = attempts.length > 0 && attempts.every(attempt => attempt.status === 'failed');
+    const retried = attempts.length > 1 || failed;
+    if (violations.length === 0 && repairs.length === 0 && schemaErrors.length === 0 && !retried && failedPasses.length === 0) {
+        return '';
+    }
+
+    const clamped = violations.filter(violation => violation.action === 'clamped').length;
+    const rejected = violations.length - clamped;
+    const parts = [];
+    if (failedPasses.length > 0) parts.push(`${failedPasses.length} of ${passes.length} sections failed`);
+    if (failed) parts.push(`no tracker data after ${attempts.length} attempt${attempts.length === 1 ? '' : 's'}`);
+    else if (retried) parts.push(`${attempts.length} attempts`);
+    if (repairs.length > 0) parts.push('repaired malformed JSON');
+    if (schemaErrors.length > 0) parts.push(`${schemaErrors.length} schema mismatch${schemaErrors.length === 1 ? '' : 'es'}`);
+    if (rejected > 0) parts.push(`${rejected} rejected`);
+    if (clamped > 0) parts.push(`${clamped} clamped`);
+
+    const attemptItems = retried ? attempts.map(attempt => `
+        <li class="story-tracker-report-item story-tracker-report-attempt-${escapeHtml(attempt.status)}">
+            <strong>Attempt ${attempt.attempt}${attempt.reduced ? ' (missing sections only)' : ''}</strong>
+            <span>${escapeHtml(attempt.status)}: ${escapeHtml(attempt.message)}</span>
+        </li>
+    `).join('') : '';
+
+    const passItems = passes.map(pass => `
+        <li class="story-tracker-report-item story-tracker-report-pass-${escapeHtml(pass.status)}">
+            <strong>${escapeHtml(pass.name)}</strong>
+            <span>${pass.status === 'parsed' ? 'updated' : 'failed'}${pass.attempts > 1 ? ` after ${pass.attempts} attempts` : ''}: ${escapeHtml(pass.message)}</span>
+        </li>
+    `).join('');
+
+    const repairItems = repairs.map(repair => `
+        <li class="story-tracker-report-item story-tracker-report-repaired">
+            <strong>Reply repaired</strong>
+            <span>${escapeHtml(repair)}</span>
+        </li>
+    `).join('');
+
+    const schemaItems = schemaErrors.map(error => `
+        <li class="story-tracker-report-item story-tracker-report-schema">
+            <strong>${escapeHtml(error.path || 'Reply')}</strong>
+            <span>schema: ${escapeHtml(error.message)}</span>
+        </li>
+    `).join('');
+
+    const items = passItems + attemptItems + repairItems + schemaItems + violations.map(violation => `
+        <li class="story-tracker-report-item story-tracker-report-${escapeHtml(violation.action)}">
+            <strong>${escapeHtml(violation.path || violation.fieldName)}</strong>
+            <span>${escapeHtml(violation.action)}: ${escapeHtml(violation.message)}</span>
+            <small>Received: ${escapeHtml(violation.received)}${violation.action === 'clamped' ? ` → Stored: ${escapeHtml(violation.applied)}` : ''}</small>
+        </li>
+    `).join('');
+
+    return `
+        <div class="story-tracker-report-summary">
+            <i class="fa-solid fa-triangle-exclamation"></i>
+            <span>Last update: ${parts.join(', ')}</span>
+            <button class="story-tracker-btn story-tracker-btn-small" data-action="toggle-update-report" title="${expanded ? 'Hide details' : 'Show details'}">
+                <i class="fa-solid ${expanded ? 'fa-chevron-up' : 'fa-chevron-down'}"></i>
+            </button>
+            <button class="story-tracker-btn story-tracker-btn-small" data-action="dismiss-update-report" title="Dismiss">
+                <i class="fa-solid fa-xmark"></i>
+            </button>
+        </div>
+        <ul class="story-tracker-report-details" style="display: ${expanded ? 'block' : 'none'}">${items}</ul>
+    `;
+}
+
+/**
+ * Renders the pending AI update (review mode) with per-field accept/reject toggles
+ */
+export function renderReviewPanel() {
+    const $review = $('#story-tracker-review');
+    if ($review.length === 0) {
+        return;
+    }
+
+    const proposal = pendingProposal;
+    if (!proposal || !Array.isArray(proposal.changes) || proposal.changes.length === 0) {
+        $review.hide().html('');
+        return;
+    }
+
+    $review.html(buildReviewPanelHtml(proposal)).show();
+
+    $review.find('.story-tracker-review-toggle').off('change').on('change', function() {
+        setProposalDecision(pendingProposal, String($(this).data('field-id')), $(this).is(':checked'));
+        renderReviewPanel();
+    });
+
+    $review.find('[data-action="review-accept-all"]').off('click').on('click', () => {
+        setAllProposalDecisions(pendingProposal, true);
+        finishReview();
+    });
+
+    $review.find('[data-action="review-reject-all"]').off('click').on('click', () => {
+        setAllProposalDecisions(pendingProposal, false);
+        finishReview();
+    });
+
+    $review.find('[data-action="review-apply"]').off('click').on('click', () => finishReview());
+
+    $review.find('[data-action="review-discard"]').off('click').on('click', () => {
+        discardPendingProposal();
+        renderTracker();
+    });
+}
+
+function finishReview() {
+    resolvePendingProposal();
+    renderTracker();
+}
+
+/**
+ * Builds the HTML for the review panel
+ * @param {import('../../types/tracker.js').TrackerProposal} proposal - Pending proposal
+ * @returns {string} HTML string
+ */
+function buildReviewPanelHtml(proposal) {
+    const acceptedCount = proposal.changes.filter(change => change.accepted).length;
+    const rows = proposal.changes.map(change => {
+        const field = findFieldById(change.fieldId) || { type: 'text' };
+        const oldText = formatFieldValue(field, change.oldValue) || '(empty)';
+        const newText = formatFieldValue(field, change.newValue) || '(empty)';
+        return `
+            <li class="story-tracker-review-item ${change.accepted ? '' : 'rejected'}">
+                <label>
+                    <input type="checkbox" class="story-tracker-review-toggle" data-field-id="${escapeHtml(change.fieldId)}" ${change.accepted ? 'checked' : ''}>
+                    <strong>${escapeHtml(change.path)}</strong>
+                </label>
+                <div class="story-tracker-review-values">
+                    <span class="story-tracker-review-old">${escapeHtml(oldText)}</span>
+                    <i class="fa-solid fa-arrow-right"></i>
+                    <span class="story-tracker-review-new">${escapeHtml(newText)}</span>
+                </div>
+            </li>
+        `;
+    }).join('');
+
+    return `
+        <div class="story-tracker-review-header">
+            <i class="fa-solid fa-list-check"></i>
+            <span>Proposed update: ${acceptedCount} of ${proposal.changes.length} changes accepted</span>
+        </div>
+        <ul class="story-tracker-review-list">${rows}</ul>
+        <div class="story-tracker-review-actions">
+            <button class="story-tracker-btn story-tracker-btn-small" data-action="review-reject-all" title="Keep the current tracker values">Reject All</button>
+            <button class="story-tracker-btn story-tracker-btn-small" data-action="review-accept-all" title="Apply every proposed change">Accept All</button>
+            <button class="story-tracker-btn story-tracker-btn-small story-tracker-btn-primary" data-action="review-apply" title="Apply only the checked changes">Apply Selected</button>
+            <button class="story-tracker-btn story-tracker-btn-small" data-action="review-discard" title="Dismiss without storing anything">
+                <i class="fa-solid fa-xmark"></i>
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Indexes the changes from the last AI update by field id and by section id
+ * @returns {{ fields: Map<string, Object>, sections: Map<string, number> }} Change lookup
+ */
+function getChangeIndex() {
+    if (changeIndexSource === lastUpdateChanges) {
+        return changeIndex;
+    }
+
+    const fields = new Map();
+    const sections = new Map();
+    for (const change of lastUpdateChanges || []) {
+        if (change.fieldId && change.kind !== 'removed') {
+            fields.set(change.fieldId, change);
+        }
+        if (change.sectionId) {
+            sections.set(change.sectionId, (sections.get(change.sectionId) || 0) + 1);
+        }
+    }
+
+    changeIndexSource = lastUpdateChanges;
+    changeIndex = { fields, sections };
+    return changeIndex;
+}
+
 /**
  * Renders a single section
  * @param {TrackerSection} section - Section to render
@@ -84,15 +350,31 @@ export function renderSection(section) {
     const fieldsHtml = (section.fields || []).map(field => renderField(field)).join('');
     const subsectionsHtml = (section.subsections || []).map(subsection => renderSubsection(subsection)).join('');
     const contentHtml = (fieldsHtml || subsectionsHtml) ? (fieldsHtml + subsectionsHtml) : '<div class="story-tracker-empty">No story elements yet. Click the plus button to add one.</div>';
+    const changeCount = getChangeIndex().sections.get(section.id) || 0;
+    const changeBadge = changeCount > 0
+        ? `<span class="story-tracker-section-changes" title="${changeCount} change${changeCount === 1 ? '' : 's'} since last message">${changeCount}</span>`
+        : '';
+    const schedule = getSectionSchedule(section);
+    const scheduled = schedule.mode !== UPDATE_SCHEDULES.EVERY;
+    const scheduleBadge = scheduled
+        ? `<span class="story-tracker-section-schedule" title="${escapeHtml(describeUpdateSchedule(schedule))}"><i class="fa-solid fa-clock"></i></span>`
+        : '';
 
     return `
-        <div class="story-tracker-section" data-section-id="${section.id}">
+        <div class="story-tracker-section ${isItemLocked(section) ? 'locked' : ''} ${isItemEnabled(section) ? '' : 'disabled'}" data-section-id="${section.id}">
             <div class="story-tracker-section-header ${collapsedClass}" draggable="true" data-section-id="${section.id}">
                 <div class="story-tracker-section-toggle">
                     <i class="fa-solid fa-chevron-down"></i>
                 </div>
                 <div class="story-tracker-section-title" contenteditable="true" data-section-id="${section.id}">${escapeHtml(section.name)}</div>
+                ${changeBadge}
+                ${scheduleBadge}
                 <div class="story-tracker-section-actions">
+                    ${renderEnabledButton('toggle-section-enabled', 'data-section-id', section.id, isItemEnabled(section), 'section')}
+                    ${renderLockButton('toggle-section-lock', 'data-section-id', section.id, isItemLocked(section), 'section')}
+                    <button class="story-tracker-btn story-tracker-btn-small" data-action="edit-section-schedule" data-section-id="${section.id}" title="Update schedule: ${escapeHtml(describeUpdateSchedule(schedule))}">
+                        <i class="fa-solid fa-clock"></i>
+                    </button>
                     <button class="story-tracker-btn story-tracker-btn-small" data-action="add-subsection" data-section-id="${section.id}" title="Add Subsection">
                         <i class="fa-solid fa-folder-plus"></i>
                     </button>
@@ -122,13 +404,15 @@ export function renderSubsection(subsection) {
     const contentHtml = fieldsHtml || '<div class="story-tracker-empty">No fields yet. Click the plus button to add one.</div>';
 
     return `
-        <div class="story-tracker-subsection" data-subsection-id="${subsection.id}">
+        <div class="story-tracker-subsection ${isItemLocked(subsection) ? 'locked' : ''} ${isItemEnabled(subsection) ? '' : 'disabled'}" data-subsection-id="${subsection.id}">
             <div class="story-tracker-subsection-header ${collapsedClass}">
                 <div class="story-tracker-subsection-toggle">
                     <i class="fa-solid fa-chevron-right"></i>
                 </div>
                 <div class="story-tracker-subsection-title" contenteditable="true" data-subsection-id="${subsection.id}">${escapeHtml(subsection.name)}</div>
                 <div class="story-tracker-subsection-actions">
+                    ${renderEnabledButton('toggle-subsection-enabled', 'data-subsection-id', subsection.id, isItemEnabled(subsection), 'subsection')}
+                    ${renderLockButton('toggle-subsection-lock', 'data-subsection-id', subsection.id, isItemLocked(subsection), 'subsection')}
                     <button class="story-tracker-btn story-tracker-btn-small" data-action="add-field" data-subsection-id="${subsection.id}" title="Add Field">
                         <i class="fa-solid fa-plus"></i>
                     </button>
@@ -150,15 +434,24 @@ export function renderSubsection(subsection) {
  * @returns {string} HTML string
  */
 export function renderField(field) {
-    const enabledClass = field.enabled ? 'enabled' : 'disabled';
-    const value = field.value ?? '...';
-    const displayValue = value === '' ? '...' : value;
+    const enabled = isItemEnabled(field);
+    const enabledClass = enabled ? 'enabled' : 'disabled';
+    const type = normalizeFieldType(field.type);
+    const typeIcon = type === FIELD_TYPES.TEXT
+        ? ''
+        : `<i class="${getFieldTypeIcon(type)} story-tracker-field-type-icon" title="${escapeHtml(type)}"></i>`;
+    const change = getChangeIndex().fields.get(field.id);
+    const changedClass = change ? 'story-tracker-field-changed' : '';
+    const wasMarker = change ? renderWasMarker(field, change) : '';
+    const locked = isItemLocked(field);
 
     return `
-        <div class="story-tracker-field ${enabledClass}" data-field-id="${field.id}" draggable="true">
-            <div class="story-tracker-field-name">${escapeHtml(field.name)}:</div>
-            <div class="story-tracker-field-value">${escapeHtml(displayValue)}</div>
+        <div class="story-tracker-field ${enabledClass} ${changedClass} ${locked ? 'locked' : ''}" data-field-id="${field.id}" data-field-type="${type}" draggable="true">
+            <div class="story-tracker-field-name">${typeIcon}${escapeHtml(field.name)}:${wasMarker}</div>
+            ${renderFieldValue(field, type)}
             <div class="story-tracker-field-actions">
+                ${renderEnabledButton('toggle-field-enabled', 'data-field-id', field.id, enabled, 'story element')}
+                ${renderLockButton('toggle-field-lock', 'data-field-id', field.id, locked, 'story element')}
                 <button class="story-tracker-btn story-tracker-btn-small" data-action="edit-field" data-field-id="${field.id}" title="Edit Story Element">
                     <i class="fa-solid fa-edit"></i>
                 </button>
@@ -170,13 +463,149 @@ export function renderField(field) {
     `;
 }
 
+/**
+ * Renders the lock toggle used on fields, subsections and sections
+ * @param {string} action - data-action value
+ * @param {string} idAttribute - Name of the id data attribute
+ * @param {string} id - Item id
+ * @param {boolean} locked - Whether the item is locked
+ * @param {string} label - Item description for the tooltip
+ * @returns {string} HTML string
+ */
+function renderLockButton(action, idAttribute, id, locked, label) {
+    const title = locked
+        ? `Unlock ${label} (the AI may update it again)`
+        : `Lock ${label} (the AI cannot change it)`;
+    return `
+        <button class="story-tracker-btn story-tracker-btn-small story-tracker-lock-toggle ${locked ? 'active' : ''}" data-action="${action}" ${idAttribute}="${id}" title="${title}">
+            <i class="fa-solid ${locked ? 'fa-lock' : 'fa-lock-open'}"></i>
+        </button>
+    `;
+}
+
+/**
+ * Renders the enable toggle used on fields, subsections and sections
+ * @param {string} action - data-action value
+ * @param {string} idAttribute - Name of the id data attribute
+ * @param {string} id - Item id
+ * @param {boolean} enabled - Whether the item is enabled
+ * @param {string} label - Item description for the tooltip
+ * @returns {string} HTML string
+ */
+function renderEnabledButton(action, idAttribute, id, enabled, label) {
+    const title = enabled
+        ? `Disable ${label} (hidden from the AI and left untouched)`
+        : `Enable ${label}`;
+    return `
+        <button class="story-tracker-btn story-tracker-btn-small story-tracker-enabled-toggle" data-action="${action}" ${idAttribute}="${id}" title="${title}">
+            <i class="fa-solid ${enabled ? 'fa-eye' : 'fa-eye-slash'}"></i>
+        </button>
+    `;
+}
+
+/**
+ * Renders the "was: …" marker shown next to fields changed by the last AI update
+ * @param {TrackerField} field - Changed field
+ * @param {Object} change - Change recorded for the field
+ * @returns {string} HTML string
+ */
+function renderWasMarker(field, change) {
+    let previous;
+    if (change.kind === 'added') {
+        previous = '(new)';
+    } else {
+        previous = formatFieldValue(field, change.oldValue) || '(empty)';
+    }
+    const label = `was: ${previous}`;
+    return `<span class="story-tracker-field-was" data-was="${escapeHtml(label)}" title="${escapeHtml(label)}"><i class="fa-solid fa-circle"></i></span>`;
+}
+
+/**
+ * Renders the value area of a field using a control suited to its type
+ * @param {TrackerField} field - Field to render
+ * @param {string} type - Normalized field type
+ * @returns {string} HTML string
+ */
+function renderFieldValue(field, type) {
+    const coerced = coerceFieldValue(field, field.value);
+    const hasValue = field.value !== null && field.value !== undefined && field.value !== '';
+
+    if (type === FIELD_TYPES.BOOLEAN) {
+        const checked = coerced.ok && coerced.value ? 'checked' : '';
+        return `
+            <label class="story-tracker-field-value story-tracker-field-boolean">
+                <input type="checkbox" class="story-tracker-field-checkbox" data-field-id="${field.id}" ${checked}>
+            </label>
+        `;
+    }
+
+    if (type === FIELD_TYPES.NUMBER || type === FIELD_TYPES.RANGE) {
+        const numberText = hasValue && coerced.ok ? String(coerced.value) : '...';
+        let rangeHtml = '';
+        let suffix = '';
+        if (type === FIELD_TYPES.RANGE) {
+            const { min, max } = getRangeBounds(field);
+            const current = hasValue && coerced.ok ? coerced.value : min;
+            const percent = max > min ? Math.max(0, Math.min(100, Math.round(((current - min) / (max - min)) * 100))) : 0;
+            suffix = ` / ${max}`;
+            rangeHtml = `<div class="story-tracker-field-range-bar"><div class="story-tracker-field-range-fill" style="width: ${percent}%"></div></div>`;
+        }
+
+        return `
+            <div class="story-tracker-field-value story-tracker-field-stepper">
+                <button class="story-tracker-btn story-tracker-btn-small" data-action="step-field" data-field-id="${field.id}" data-direction="-1" title="Decrease">
+                    <i class="fa-solid fa-minus"></i>
+                </button>
+                <span class="story-tracker-field-number">${escapeHtml(numberText)}${escapeHtml(suffix)}</span>
+                <button class="story-tracker-btn story-tracker-btn-small" data-action="step-field" data-field-id="${field.id}" data-direction="1" title="Increase">
+                    <i class="fa-solid fa-plus"></i>
+                </button>
+                ${rangeHtml}
+            </div>
+        `;
+    }
+
+    if (type === FIELD_TYPES.ENUM) {
+        const options = getEnumOptions(field);
+        const selected = coerced.ok ? coerced.value : null;
+        const chips = options.map(option => {
+            const activeClass = option === selected ? 'active' : '';
+            return `<button class="story-tracker-chip ${activeClass}" data-action="set-field-option" data-field-id="${field.id}" data-value="${escapeHtml(option)}">${escapeHtml(option)}</button>`;
+        }).join('');
+        return `<div class="story-tracker-field-value story-tracker-field-chips">${chips || escapeHtml(hasValue ? String(field.value) : '...')}</div>`;
+    }
+
+    if (type === FIELD_TYPES.LIST) {
+        const items = coerced.ok ? coerced.value : [];
+        const chips = items.map(item => `<span class="story-tracker-chip">${escapeHtml(item)}</span>`).join('');
+        return `<div class="story-tracker-field-value story-tracker-field-chips">${chips || '...'}</div>`;
+    }
+
+    const value = field.value ?? '...';
+    const displayValue = value === '' ? '...' : value;
+    return `<div class="story-tracker-field-value">${escapeHtml(displayValue)}</div>`;
+}
+
 /**
  * Gets the icon class for a field type
  * @param {string} type - Field type
  * @returns {string} Icon class
  */
 function getFieldTypeIcon(type) {
-    return 'fa-solid fa-font';
+    switch (type) {
+        case FIELD_TYPES.NUMBER:
+            return 'fa-solid fa-hashtag';
+        case FIELD_TYPES.BOOLEAN:
+            return 'fa-solid fa-square-check';
+        case FIELD_TYPES.ENUM:
+            return 'fa-solid fa-list-check';
+        case FIELD_TYPES.LIST:
+            return 'fa-solid fa-list-ul';
+        case FIELD_TYPES.RANGE:
+            return 'fa-solid fa-sliders';
+        default:
+            return 'fa-solid fa-font';
+    }
 }
 
 /**
@@ -203,6 +632,21 @@ function attachSectionEventListeners() {
         showAddSubsectionModal(sectionId);
     });
 
+    // Section enable toggle
+    $('[data-action="toggle-section-enabled"]').off('click').on('click', function() {
+        toggleItemEnabled(findSectionById($(this).data('section-id')), 'section');
+    });
+
+    // Section lock toggle
+    $('[data-action="toggle-section-lock"]').off('click').on('click', function() {
+        toggleItemLock(findSectionById($(this).data('section-id')), 'section');
+    });
+
+    // Section update schedule
+    $('[data-action="edit-section-schedule"]').off('click').on('click', function() {
+        showUpdateScheduleModal(String($(this).data('section-id')));
+    });
+
     // Delete section button
     $('[data-action="delete-section"]').off('click').on('click', function() {
         const sectionId = $(this).data('section-id');
@@ -237,6 +681,16 @@ function attachSubsectionEventListeners() {
         showAddFieldModal(subsectionId);
     });
 
+    // Subsection enable toggle
+    $('[data-action="toggle-subsection-enabled"]').off('click').on('click', function() {
+        toggleItemEnabled(findSubsectionById($(this).data('subsection-id')), 'subsection');
+    });
+
+    // Subsection lock toggle
+    $('[data-action="toggle-subsection-lock"]').off('click').on('click', function() {
+        toggleItemLock(findSubsectionById($(this).data('subsection-id')), 'subsection');
+    });
+
     // Delete subsection button
     $('[data-action="delete-subsection"]').off('click').on('click', function() {
         const subsectionId = $(this).data('subsection-id');
@@ -263,11 +717,39 @@ function attachFieldEventListeners() {
         showEditFieldModal(fieldId);
     });
 
+    // Field enable toggle
+    $('[data-action="toggle-field-enabled"]').off('click').on('click', function() {
+        toggleItemEnabled(findFieldById($(this).data('field-id')), 'story element');
+    });
+
+    // Field lock toggle
+    $('[data-action="toggle-field-lock"]').off('click').on('click', function() {
+        toggleItemLock(findFieldById($(this).data('field-id')), 'story element');
+    });
+
     // Delete field button
     $('[data-action="delete-field"]').off('click').on('click', function() {
         const fieldId = $(this).data('field-id');
         deleteField(fieldId);
     });
+
+    // Boolean field checkbox
+    $('.story-tracker-field-checkbox').off('change').on('change', function() {
+        const fieldId = $(this).data('field-id');
+        updateFieldValue(fieldId, $(this).is(':checked'));
+    });
+
+    // Number and range field steppers
+    $('[data-action="step-field"]').off('click').on('click', function() {
+        const fieldId = $(this).data('field-id');
+        stepFieldValue(fieldId, Number($(this).data('direction')) || 0);
+    });
+
+    // Enum field option chips
+    $('[data-action="set-field-option"]').off('click').on('click', function() {
+        const fieldId = $(this).data('field-id');
+        updateFieldValue(fieldId, String($(this).attr('data-value') ?? ''));
+    });
 }
 
 /**
@@ -428,6 +910,7 @@ function moveSectionInTracker(sectionId, insertIndex) {
         return;
     }
 
+    recordUndoSnapshot('Move section');
     const [movedSection] = sections.splice(currentIndex, 1);
     const clampedIndex = Math.max(0, Math.min(insertIndex, sections.length));
     sections.splice(clampedIndex, 0, movedSection);
@@ -656,6 +1139,7 @@ function moveFieldWithinContainer(sectionId, subsectionId, fieldId, insertIndex)
             return;
         }
 
+        recordUndoSnapshot('Move story element');
         const [movedField] = subsection.fields.splice(currentIndex, 1);
         const clampedIndex = Math.max(0, Math.min(insertIndex, subsection.fields.length));
         subsection.fields.splice(clampedIndex, 0, movedField);
@@ -670,6 +1154,7 @@ function moveFieldWithinContainer(sectionId, subsectionId, fieldId, insertIndex)
             return;
         }
 
+        recordUndoSnapshot('Move story element');
         const [movedField] = section.fields.splice(currentIndex, 1);
         const clampedIndex = Math.max(0, Math.min(insertIndex, section.fields.length));
         section.fields.splice(clampedIndex, 0, movedField);
@@ -704,7 +1189,8 @@ function updateSectionName(sectionId, newName) {
     if (!newName) return;
 
     const section = findSectionById(sectionId);
-    if (section) {
+    if (section && section.name !== newName) {
+        recordUndoSnapshot('Rename section');
         section.name = newName;
         saveSettings();
         syncTrackerBaselines();
@@ -717,6 +1203,11 @@ function deleteSection(sectionId) {
         return;
     }
 
+    if (!findSectionById(sectionId)) {
+        return;
+    }
+
+    recordUndoSnapshot('Delete section');
     extensionSettings.trackerData.sections = extensionSettings.trackerData.sections.filter(
         section => section.id !== sectionId
     );
@@ -743,7 +1234,8 @@ function updateSubsectionName(subsectionId, newName) {
     if (!newName) return;
 
     const subsection = findSubsectionById(subsectionId);
-    if (subsection) {
+    if (subsection && subsection.name !== newName) {
+        recordUndoSnapshot('Rename subsection');
         subsection.name = newName;
         saveSettings();
         syncTrackerBaselines();
@@ -756,6 +1248,11 @@ function deleteSubsection(subsectionId) {
         return;
     }
 
+    if (!findSubsectionById(subsectionId)) {
+        return;
+    }
+
+    recordUndoSnapshot('Delete subsection');
     for (const section of extensionSettings.trackerData.sections) {
         section.subsections = (section.subsections || []).filter(
             subsection => subsection.id !== subsectionId
@@ -768,25 +1265,57 @@ function deleteSubsection(subsectionId) {
 }
 
 /**
- * Field action functions
+ * Toggles the locked flag of a section, subsection or field
+ * @param {Object|null} item - Item to toggle
+ * @param {string} label - Item description for the undo history
  */
+function toggleItemLock(item, label) {
+    if (!item) {
+        return;
+    }
 
-function toggleFieldEnabled(fieldId, enabled) {
-    const field = findFieldById(fieldId);
-    if (field) {
-        field.enabled = enabled;
-        saveSettings();
-        syncTrackerBaselines();
-        saveChatData();
-        renderTracker();
+    recordUndoSnapshot(`${item.locked ? 'Unlock' : 'Lock'} ${label}`);
+    if (item.locked) {
+        delete item.locked;
+    } else {
+        item.locked = true;
     }
+    saveSettings();
+    syncTrackerBaselines();
+    saveChatData();
+    renderTracker();
+}
+
+/**
+ * Toggles the enabled flag of a section, subsection or field.
+ * Disabled items are left out of prompts and context and keep their values.
+ * @param {Object|null} item - Item to toggle
+ * @param {string} label - Item description for the undo history
+ */
+function toggleItemEnabled(item, label) {
+    if (!item) {
+        return;
+    }
+
+    const enabled = !isItemEnabled(item);
+    recordUndoSnapshot(`${enabled ? 'Enable' : 'Disable'} ${label}`);
+    item.enabled = enabled;
+    saveSettings();
+    syncTrackerBaselines();
+    saveChatData();
+    renderTracker();
 }
 
+/**
+ * Field action functions
+ */
+
 function updateFieldName(fieldId, newName) {
     if (!newName) return;
 
     const field = findFieldById(fieldId);
-    if (field) {
+    if (field && field.name !== newName) {
+        recordUndoSnapshot('Rename story element');
         field.name = newName;
         saveSettings();
         syncTrackerBaselines();
@@ -794,21 +1323,68 @@ function updateFieldName(fieldId, newName) {
     }
 }
 
+/**
+ * Normalizes a manually entered value: coerces it into the field type and clamps
+ * it into numeric bounds. Manual edits are never rejected by other constraints.
+ */
+function normalizeManualValue(field, rawValue) {
+    const checked = checkProposedValue(field, rawValue, { policy: VALIDATION_POLICIES.CLAMP });
+    if (checked.accepted) {
+        return checked.value;
+    }
+    const coerced = coerceFieldValue(field, rawValue);
+    return coerced.ok ? coerced.value : getDefaultValueForType(field);
+}
+
 function updateFieldValue(fieldId, newValue) {
     const field = findFieldById(fieldId);
     if (field) {
-        field.value = newValue;
+        if (!coerceFieldValue(field, newValue).ok) {
+            return;
+        }
+        recordUndoSnapshot(`Edit ${field.name}`);
+        field.value = normalizeManualValue(field, newValue);
         saveSettings();
         syncTrackerBaselines();
         saveChatData();
+        renderTracker();
     }
 }
 
-export function updateField(fieldId, newName, newValue, newPrompt) {
+function stepFieldValue(fieldId, direction) {
+    const field = findFieldById(fieldId);
+    if (!field || !direction) {
+        return;
+    }
+
+    const type = normalizeFieldType(field.type);
+    const step = type === FIELD_TYPES.RANGE ? getRangeBounds(field).step : 1;
+    const current = coerceFieldValue(field, field.value);
+    const base = current.ok && field.value !== '' ? current.value : getDefaultValueForType(field);
+    updateFieldValue(fieldId, Number((base + direction * step).toFixed(10)));
+}
+
+/**
+ * Updates a field's name, value, prompt and optionally its type settings and constraints
+ * @param {string} fieldId - Field to update
+ * @param {string} newName - New name (ignored when empty)
+ * @param {*} newValue - New value, coerced into the field type (ignored when undefined)
+ * @param {string} newPrompt - New prompt (ignored when undefined)
+ * @param {{ type?: string, options?: string[], min?: number, max?: number, step?: number, constraints?: Object }} [fieldSettings] - New type settings and constraints
+ */
+export function updateField(fieldId, newName, newValue, newPrompt, fieldSettings) {
     const field = findFieldById(fieldId);
     if (field) {
+        recordUndoSnapshot(`Edit ${field.name}`);
         if (newName) field.name = newName;
-        if (newValue !== undefined) field.value = newValue;
+        if (fieldSettings) {
+            applyFieldTypeSettings(field, fieldSettings);
+            applyFieldConstraints(field, fieldSettings);
+        }
+        const candidateValue = newValue !== undefined ? newValue : (fieldSettings ? field.value : undefined);
+        if (candidateValue !== undefined) {
+            field.value = normalizeManualValue(field, candidateValue);
+        }
         if (newPrompt !== undefined) field.prompt = newPrompt;
         saveSettings();
         syncTrackerBaselines();
@@ -822,6 +1398,11 @@ function deleteField(fieldId) {
         return;
     }
 
+    if (!findFieldById(fieldId)) {
+        return;
+    }
+
+    recordUndoSnapshot('Delete story element');
     // Iterate through sections to find and delete the field
     for (const section of extensionSettings.trackerData.sections) {
         // Check fields directly in the section
@@ -879,6 +1460,7 @@ export function addSection(name) {
     ensureTrackerData();
     const sectionName = (typeof name === 'string' && name.trim()) ? name.trim() : 'New Section';
     const section = createSection(sectionName);
+    recordUndoSnapshot('Add section');
 
     if (!Array.isArray(section.subsections)) {
         section.subsections = [];
@@ -912,6 +1494,7 @@ export function addSubsection(sectionId, name) {
 
     const subsectionName = (typeof name === 'string' && name.trim()) ? name.trim() : 'New Subsection';
     const subsection = createSubsection(subsectionName);
+    recordUndoSnapshot('Add subsection');
     section.subsections.push(subsection);
     saveSettings();
     syncTrackerBaselines();
@@ -920,7 +1503,20 @@ export function addSubsection(sectionId, name) {
     return subsection.id;
 }
 
-export function addField(parentId, name, type = 'text', prompt = '') {
+function applyFieldConstraints(field, fieldSettings) {
+    if (!Object.prototype.hasOwnProperty.call(fieldSettings, 'constraints')) {
+        return;
+    }
+
+    const constraints = normalizeConstraints(fieldSettings.constraints);
+    if (constraints) {
+        field.constraints = constraints;
+    } else {
+        delete field.constraints;
+    }
+}
+
+export function addField(parentId, name, type = 'text', prompt = '', fieldSettings = {}) {
     ensureTrackerData();
     let parent = findSectionById(parentId);
     let isSubsection = false;
@@ -942,6 +1538,10 @@ export function addField(parentId, name, type = 'text', prompt = '') {
     const fieldName = (typeof name === 'string' && name.trim()) ? name.trim() : 'New Story Element';
     const fieldType = type || 'text';
     const field = createField(fieldName, prompt, fieldType);
+    recordUndoSnapshot('Add story element');
+    applyFieldTypeSettings(field, { ...fieldSettings, type: fieldType });
+    applyFieldConstraints(field, fieldSettings);
+    field.value = getDefaultValueForType(field);
     parent.fields.push(field);
     saveSettings();
     syncTrackerBaselines();
@@ -950,6 +1550,80 @@ export function addField(parentId, name, type = 'text', prompt = '') {
     return field.id;
 }
 
+/**
+ * Undo/redo functions
+ */
+
+export function undoLastChange() {
+    const label = undoTrackerChange();
+    if (label) {
+        renderTracker();
+    }
+    return label;
+}
+
+export function redoLastChange() {
+    const label = redoTrackerChange();
+    if (label) {
+        renderTracker();
+    }
+    return label;
+}
+
+/**
+ * Enables or disables the toolbar undo/redo buttons and labels them with the pending change
+ */
+export function updateUndoButtons() {
+    const undoLabel = getUndoLabel();
+    const redoLabel = getRedoLabel();
+    $('#story-tracker-undo')
+        .prop('disabled', !canUndo())
+        .attr('title', undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)');
+    $('#story-tracker-redo')
+        .prop('disabled', !canRedo())
+        .attr('title', redoLabel ? `Redo: ${redoLabel} (Ctrl+Y)` : 'Redo (Ctrl+Y)');
+}
+
+function isTextEntryTarget(target) {
+    if (!target || typeof target.closest !== 'function') {
+        return false;
+    }
+    return Boolean(target.closest('input, textarea, select, [contenteditable="true"]'));
+}
+
+function handleUndoShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+        return;
+    }
+
+    // Only react inside the panel, and leave native text undo alone while typing
+    const target = event.target;
+    if (typeof target?.closest !== 'function' || !target.closest('#story-tracker-panel') || isTextEntryTarget(target)) {
+        return;
+    }
+
+    const key = String(event.key || '').toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        undoLastChange();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        redoLastChange();
+    } else {
+        return;
+    }
+
+    event.preventDefault();
+}
+
+/**
+ * Binds the toolbar undo/redo buttons and the Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z) shortcuts
+ */
+export function setupUndoRedoControls() {
+    $('#story-tracker-undo').off('click').on('click', () => undoLastChange());
+    $('#story-tracker-redo').off('click').on('click', () => redoLastChange());
+    $(document).off('keydown.storyTrackerUndo').on('keydown.storyTrackerUndo', handleUndoShortcut);
+    updateUndoButtons();
+}
+
 /**
  * Modal functions (placeholders - will be implemented in UI module)
  */
@@ -966,6 +1640,12 @@ export function showAddFieldModal(parentId) {
     });
 }
 
+function showUpdateScheduleModal(sectionId) {
+    import('../ui/updateSchedule.js').then(module => {
+        module.showUpdateScheduleModal(sectionId);
+    });
+}
+
 function showEditFieldModal(fieldId) {
     import('../ui/modals.js').then(module => {
         module.showEditFieldModal(fieldId);
@@ -0,0 +1,126 @@
+/**
+ * History UI Module
+ * Shows how the tracker evolved across the chat and lets the user jump to or restore a snapshot
+ */
+
+import { buildTrackerHistory } from '../../core/history.js';
+import { updateTrackerData } from '../../core/dataManager.js';
+import { formatFieldValue } from '../../core/fieldTypes.js';
+import { escapeHtml } from '../../core/sanitize.js';
+import { openSettingsPopup, closeSettingsPopup } from './modals.js';
+
+const HIGHLIGHT_CLASS = 'story-tracker-history-highlight';
+
+function describeValue(value) {
+    if (value === undefined) {
+        return '—';
+    }
+    const text = formatFieldValue({ type: Array.isArray(value) ? 'list' : 'text' }, value);
+    return text === '' ? '(empty)' : text;
+}
+
+function renderChange(change) {
+    const label = change.kind === 'added' ? 'added' : change.kind === 'removed' ? 'removed' : '';
+    return `
+        <li class="story-tracker-history-change story-tracker-history-${escapeHtml(change.kind)}">
+            <strong>${escapeHtml(change.path)}</strong>${label ? ` <em>(${label})</em>` : ''}
+            <div>
+                <span class="story-tracker-history-old">${escapeHtml(describeValue(change.oldValue))}</span>
+                <i class="fa-solid fa-arrow-right"></i>
+                <span class="story-tracker-history-new">${escapeHtml(describeValue(change.newValue))}</span>
+            </div>
+        </li>
+    `;
+}
+
+function renderEntry(entry, position) {
+    let body;
+    if (entry.isInitial) {
+        body = '<p class="story-tracker-history-empty">First tracker snapshot in this chat.</p>';
+    } else if (entry.changes.length === 0) {
+        body = '<p class="story-tracker-history-empty">No changes.</p>';
+    } else {
+        body = `<ul class="story-tracker-history-changes">${entry.changes.map(renderChange).join('')}</ul>`;
+    }
+
+    const count = entry.isInitial ? 'initial' : `${entry.changes.length} change${entry.changes.length === 1 ? '' : 's'}`;
+
+    return `
+        <div class="story-tracker-history-entry" data-history-index="${position}">
+            <div class="story-tracker-history-entry-header">
+                <span class="story-tracker-history-title">#${entry.messageIndex} ${escapeHtml(entry.messageName)}</span>
+                <span class="story-tracker-history-count">${count}</span>
+                <button class="story-tracker-btn story-tracker-btn-small" data-action="jump-to-message" title="Jump to message">
+                    <i class="fa-solid fa-location-arrow"></i>
+                </button>
+                <button class="story-tracker-btn story-tracker-btn-small" data-action="restore-snapshot" title="Restore this snapshot">
+                    <i class="fa-solid fa-clock-rotate-left"></i>
+                </button>
+            </div>
+            <div class="story-tracker-history-preview">${escapeHtml(entry.preview)}</div>
+            ${body}
+        </div>
+    `;
+}
+
+/**
+ * Scrolls the chat to a message and briefly highlights it.
+ * @param {number} messageIndex - Index of the message in the chat
+ */
+export function jumpToMessage(messageIndex) {
+    const $message = $(`#chat .mes[mesid="${messageIndex}"]`);
+    if ($message.length === 0) {
+        if (typeof window !== 'undefined' && window.toastr) {
+            window.toastr.warning('That message is not loaded in the chat view.', 'Story Tracker');
+        }
+        return;
+    }
+
+    $message[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    $message.addClass(HIGHLIGHT_CLASS);
+    setTimeout(() => $message.removeClass(HIGHLIGHT_CLASS), 2000);
+}
+
+/**
+ * Shows the tracker history timeline in the settings modal.
+ */
+export function showHistoryModal() {
+    const chat = globalThis.SillyTavern?.getContext?.()?.chat;
+    const entries = buildTrackerHistory(chat).reverse();
+    const modalBody = $('#story-tracker-settings-modal .story-tracker-modal-body');
+
+    const listHtml = entries.length > 0
+        ? entries.map(renderEntry).join('')
+        : '<p class="story-tracker-history-empty">No tracker snapshots have been stored in this chat yet.</p>';
+
+    modalBody.html(`
+        <div class="story-tracker-history">
+            <h4>Tracker History</h4>
+            <small>Newest first. Each entry lists what changed compared with the previous assistant message.</small>
+            <div class="story-tracker-history-list">${listHtml}</div>
+        </div>
+    `);
+
+    modalBody.find('[data-action="jump-to-message"]').on('click', function() {
+        const entry = entries[Number($(this).closest('.story-tracker-history-entry').data('history-index'))];
+        if (entry) {
+            closeSettingsPopup();
+            jumpToMessage(entry.messageIndex);
+        }
+    });
+
+    modalBody.find('[data-action="restore-snapshot"]').on('click', function() {
+        const entry = entries[Number($(this).closest('.story-tracker-history-entry').data('history-index'))];
+        if (!entry || !confirm(`Restore the tracker as it was at message #${entry.messageIndex}?`)) {
+            return;
+        }
+
+        updateTrackerData(entry.trackerData, { undoLabel: `Restore message #${entry.messageIndex}` });
+        import('../rendering/tracker.js').then(module => {
+            module.renderTracker();
+        });
+        closeSettingsPopup();
+    });
+
+    openSettingsPopup();
+}
@@ -9,16 +9,36 @@ import {
     committedTrackerData,
     updateExtensionSettings
 } from '../../core/state.js';
-import { saveSettings, saveChatData } from '../../core/persistence.js';
+import { saveSettings, saveChatData, loadDirectApiKey, saveDirectApiKey } from '../../core/persistence.js';
 import {
     loadDefaultTrackerTemplate,
     updateTrackerData,
     getTrackerData,
+    getTrackerDataFormat,
     setTrackerDataFormat,
     DEFAULT_PRESET_NAME,
 } from '../../core/dataManager.js';
 import { initializePresetActions, syncPresetSelection } from '../../core/presetManager.js';
-import { serializeTrackerData, parseTrackerData } from '../../core/serialization.js';
+import {
+    serializeTrackerData,
+    parseTrackerData,
+    detectTrackerDataFormat,
+    getFormatFileExtension
+} from '../../core/serialization.js';
+import { FIELD_TYPES, PROMPT_ENCODINGS, TRACKER_BACKENDS, SEPARATE_STRATEGIES, INJECTION_POSITIONS, INJECTION_ROLES } from '../../core/config.js';
+import {
+    normalizeFieldType,
+    coerceFieldValue,
+    getEnumOptions,
+    getRangeBounds,
+    getDefaultValueForType,
+    getFieldTypeSettings
+} from '../../core/fieldTypes.js';
+import { escapeHtml } from '../../core/sanitize.js';
+import { listSeparatePresetOptions } from '../generation/separatePreset.js';
+import { getPromptPlacement, normalizePromptPlacement, MAX_INJECTION_DEPTH } from '../generation/promptPlacement.js';
+import { normalizePromptTemplates } from '../generation/promptTemplates.js';
+import { normalizeWorldInfoSync, syncWorldInfo, listLorebookNames } from '../integration/worldInfo.js';
 
 /**
  * SettingsModal - Manages the settings popup modal
@@ -212,9 +232,59 @@ function initializeSettingsTabs(modalBody) {
 function initializeGeneralSettings(modalBody) {
     const depthInput = modalBody.find('#story-tracker-setting-update-depth');
     const modeSelect = modalBody.find('#story-tracker-setting-generation-mode');
+    const policySelect = modalBody.find('#story-tracker-setting-validation-policy');
+    const reviewCheckbox = modalBody.find('#story-tracker-setting-review-updates');
+    const protocolSelect = modalBody.find('#story-tracker-setting-update-protocol');
+    const encodingSelect = modalBody.find('#story-tracker-setting-prompt-encoding');
+    const strategySelect = modalBody.find('#story-tracker-setting-separate-strategy');
+    const concurrencyInput = modalBody.find('#story-tracker-setting-section-concurrency');
+    const attemptsInput = modalBody.find('#story-tracker-setting-retry-attempts');
+    const reducedCheckbox = modalBody.find('#story-tracker-setting-retry-reduced');
+    const separatePresetCheckbox = modalBody.find('#story-tracker-setting-use-separate-preset');
+    const profileInput = modalBody.find('#story-tracker-setting-separate-profile');
+    const presetInput = modalBody.find('#story-tracker-setting-separate-preset');
+    const maxTokensInput = modalBody.find('#story-tracker-setting-separate-max-tokens');
+    const backendSelect = modalBody.find('#story-tracker-setting-tracker-backend');
+    const directUrlInput = modalBody.find('#story-tracker-setting-direct-url');
+    const directKeyInput = modalBody.find('#story-tracker-setting-direct-key');
+    const directModelInput = modalBody.find('#story-tracker-setting-direct-model');
+    const directMaxTokensInput = modalBody.find('#story-tracker-setting-direct-max-tokens');
+    const embedSchemaCheckbox = modalBody.find('#story-tracker-setting-embed-schema');
+    const structuredCheckbox = modalBody.find('#story-tracker-setting-structured-output');
+
+    const { profiles, presets } = listSeparatePresetOptions();
+    modalBody.find('#story-tracker-separate-profile-options').html(profiles.map(name => `<option value="${escapeHtml(name)}"></option>`).join(''));
+    modalBody.find('#story-tracker-separate-preset-options').html(presets.map(name => `<option value="${escapeHtml(name)}"></option>`).join(''));
 
     depthInput.val(extensionSettings.updateDepth ?? 4);
     modeSelect.val(extensionSettings.generationMode || 'together');
+    policySelect.val(extensionSettings.validationPolicy || 'clamp');
+    reviewCheckbox.prop('checked', Boolean(extensionSettings.reviewUpdates));
+    protocolSelect.val(extensionSettings.updateProtocol || 'full');
+    encodingSelect.val(extensionSettings.promptEncoding || PROMPT_ENCODINGS.JSON);
+    strategySelect.val(extensionSettings.separateStrategy || SEPARATE_STRATEGIES.SINGLE);
+    concurrencyInput.val(extensionSettings.sectionConcurrency ?? 1);
+    attemptsInput.val(extensionSettings.retryMaxAttempts ?? 1);
+    reducedCheckbox.prop('checked', Boolean(extensionSettings.retryReducedPayload));
+    separatePresetCheckbox.prop('checked', Boolean(extensionSettings.useSeparatePreset));
+    profileInput.val(extensionSettings.separateConnectionProfile || '');
+    presetInput.val(extensionSettings.separateCompletionPreset || '');
+    maxTokensInput.val(extensionSettings.separateMaxTokens || 0);
+    backendSelect.val(extensionSettings.trackerBackend || TRACKER_BACKENDS.SILLYTAVERN);
+    directUrlInput.val(extensionSettings.directApiUrl || '');
+    directKeyInput.val(loadDirectApiKey());
+    directModelInput.val(extensionSettings.directApiModel || '');
+    directMaxTokensInput.val(extensionSettings.directMaxTokens || 0);
+    embedSchemaCheckbox.prop('checked', Boolean(extensionSettings.embedJsonSchema));
+    structuredCheckbox.prop('checked', Boolean(extensionSettings.structuredOutput));
+
+    const toggleDirectSettings = () => {
+        const direct = backendSelect.val() === TRACKER_BACKENDS.DIRECT;
+        modalBody.find('.story-tracker-direct-settings').toggle(direct);
+        modalBody.find('.story-tracker-separate-preset-settings').toggle(!direct);
+    };
+    backendSelect.on('change', toggleDirectSettings);
+    toggleDirectSettings();
 
     modalBody.find('#story-tracker-general-save').off('click').on('click', () => {
         const depth = Number(depthInput.val());
@@ -223,8 +293,56 @@ function initializeGeneralSettings(modalBody) {
             return;
         }
 
+        const attempts = Number(attemptsInput.val());
+        if (!Number.isInteger(attempts) || attempts < 1 || attempts > 5) {
+            notify('Attempts per update must be between 1 and 5.', 'error');
+            return;
+        }
+
+        const concurrency = Number(concurrencyInput.val());
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 4) {
+            notify('Parallel section requests must be between 1 and 4.', 'error');
+            return;
+        }
+
+        const maxTokens = Number(maxTokensInput.val() || 0);
+        const directMaxTokens = Number(directMaxTokensInput.val() || 0);
+        if (!Number.isInteger(maxTokens) || maxTokens < 0 || !Number.isInteger(directMaxTokens) || directMaxTokens < 0) {
+            notify('Max tokens must be a whole number (0 uses the default).', 'error');
+            return;
+        }
+
+        const backend = backendSelect.val() === TRACKER_BACKENDS.DIRECT ? TRACKER_BACKENDS.DIRECT : TRACKER_BACKENDS.SILLYTAVERN;
+        if (backend === TRACKER_BACKENDS.DIRECT && !String(directUrlInput.val() || '').trim()) {
+            notify('Enter the endpoint URL for direct tracker updates.', 'error');
+            return;
+        }
+
         extensionSettings.updateDepth = depth;
         extensionSettings.generationMode = modeSelect.val();
+        extensionSettings.validationPolicy = policySelect.val() === 'reject' ? 'reject' : 'clamp';
+        extensionSettings.reviewUpdates = reviewCheckbox.is(':checked');
+        extensionSettings.updateProtocol = protocolSelect.val() === 'delta' ? 'delta' : 'full';
+        extensionSettings.promptEncoding = Object.values(PROMPT_ENCODINGS).includes(encodingSelect.val())
+            ? encodingSelect.val()
+            : PROMPT_ENCODINGS.JSON;
+        extensionSettings.separateStrategy = strategySelect.val() === SEPARATE_STRATEGIES.PER_SECTION
+            ? SEPARATE_STRATEGIES.PER_SECTION
+            : SEPARATE_STRATEGIES.SINGLE;
+        extensionSettings.sectionConcurrency = concurrency;
+        extensionSettings.retryMaxAttempts = attempts;
+        extensionSettings.retryReducedPayload = reducedCheckbox.is(':checked');
+        extensionSettings.useSeparatePreset = separatePresetCheckbox.is(':checked');
+        extensionSettings.separateConnectionProfile = String(profileInput.val() || '').trim();
+        extensionSettings.separateCompletionPreset = String(presetInput.val() || '').trim();
+        extensionSettings.separateMaxTokens = maxTokens;
+        extensionSettings.trackerBackend = backend;
+        extensionSettings.directApiUrl = String(directUrlInput.val() || '').trim();
+        saveDirectApiKey(directKeyInput.val());
+        extensionSettings.directApiModel = String(directModelInput.val() || '').trim();
+        extensionSettings.directMaxTokens = directMaxTokens;
+        extensionSettings.embedJsonSchema = embedSchemaCheckbox.is(':checked');
+        extensionSettings.structuredOutput = structuredCheckbox.is(':checked');
         saveSettings();
         notify('General settings saved.');
 
@@ -236,10 +354,166 @@ function initializeGeneralSettings(modalBody) {
     });
 }
 
+const INJECTION_EDITORS = [
+    { mode: 'together', prompt: 'instructions', title: 'Together Mode: Instructions', note: 'Update instructions and the tracker, sent with each chat generation.' },
+    { mode: 'together', prompt: 'context', title: 'Together Mode: Context', note: 'Read-only tracker summary, sent instead when no section is due for an update.' },
+    { mode: 'separate', prompt: 'context', title: 'Separate Mode: Context', note: 'Read-only tracker summary, sent with each chat generation.' }
+];
+
+function getInjectionEditorId({ mode, prompt }) {
+    return `story-tracker-injection-${mode}-${prompt}`;
+}
+
+function buildInjectionEditorHtml(editor) {
+    const id = getInjectionEditorId(editor);
+    return `
+        <div class="story-tracker-settings-group story-tracker-injection-editor" id="${id}">
+            <label for="${id}-position">${editor.title}</label>
+            <small>${editor.note}</small>
+            <select id="${id}-position">
+                <option value="${INJECTION_POSITIONS.IN_CHAT}">In chat, at a depth</option>
+                <option value="${INJECTION_POSITIONS.IN_PROMPT}">In prompt (after the main prompt)</option>
+                <option value="${INJECTION_POSITIONS.BEFORE_PROMPT}">Before the main prompt</option>
+            </select>
+            <label for="${id}-depth" class="story-tracker-injection-depth">Depth</label>
+            <input type="number" id="${id}-depth" class="story-tracker-injection-depth" min="0" max="${MAX_INJECTION_DEPTH}" step="1" />
+            <label for="${id}-role">Role</label>
+            <select id="${id}-role">
+                <option value="${INJECTION_ROLES.SYSTEM}">System</option>
+                <option value="${INJECTION_ROLES.USER}">User</option>
+                <option value="${INJECTION_ROLES.ASSISTANT}">Assistant</option>
+            </select>
+            <label class="checkbox_label" for="${id}-scan">
+                <input type="checkbox" id="${id}-scan" />
+                <span>Let world info scan this prompt for keywords</span>
+            </label>
+            <label for="${id}-template">Wrapper Template</label>
+            <textarea id="${id}-template" rows="3" placeholder="[Story tracker]&#10;{{content}}&#10;[End of tracker]"></textarea>
+        </div>
+    `;
+}
+
+function initializeInjectionSettings(modalBody) {
+    for (const editor of INJECTION_EDITORS) {
+        const id = getInjectionEditorId(editor);
+        const $editor = modalBody.find(`#${id}`);
+        const placement = getPromptPlacement(editor.mode, editor.prompt);
+        const $position = $editor.find(`#${id}-position`);
+        $position.val(placement.position);
+        $editor.find(`#${id}-depth`).val(placement.depth);
+        $editor.find(`#${id}-role`).val(placement.role);
+        $editor.find(`#${id}-scan`).prop('checked', placement.scan);
+        $editor.find(`#${id}-template`).val(placement.template);
+
+        // Depth only applies to prompts placed in the chat
+        const toggleDepth = () => $editor.find('.story-tracker-injection-depth').toggle($position.val() === INJECTION_POSITIONS.IN_CHAT);
+        $position.on('change', toggleDepth);
+        toggleDepth();
+    }
+
+    modalBody.find('#story-tracker-injection-save').off('click').on('click', () => {
+        const promptInjection = { together: {}, separate: {} };
+
+        for (const editor of INJECTION_EDITORS) {
+            const id = getInjectionEditorId(editor);
+            const depth = Number(modalBody.find(`#${id}-depth`).val());
+            if (!Number.isInteger(depth) || depth < 0 || depth > MAX_INJECTION_DEPTH) {
+                notify(`${editor.title}: depth must be between 0 and ${MAX_INJECTION_DEPTH}.`, 'error');
+                return;
+            }
+
+            promptInjection[editor.mode][editor.prompt] = normalizePromptPlacement({
+                position: modalBody.find(`#${id}-position`).val(),
+                depth,
+                role: modalBody.find(`#${id}-role`).val(),
+                scan: modalBody.find(`#${id}-scan`).is(':checked'),
+                template: String(modalBody.find(`#${id}-template`).val() || '')
+            }, getPromptPlacement(editor.mode, editor.prompt));
+        }
+
+        extensionSettings.promptInjection = promptInjection;
+        saveSettings();
+        notify('Injection settings saved. They apply from the next generation.');
+    });
+}
+
+function buildWorldInfoItemsHtml(trackerData, selectedIds) {
+    const selected = new Set(selectedIds);
+    const checkbox = (id, name, extraClass = '') => `
+        <label class="checkbox_label ${extraClass}">
+            <input type="checkbox" class="story-tracker-worldinfo-item" value="${escapeHtml(id)}" ${selected.has(id) ? 'checked' : ''} />
+            <span>${escapeHtml(name)}</span>
+        </label>
+    `;
+
+    const sections = trackerData?.sections || [];
+    if (!sections.length) {
+        return '<small>The tracker has no sections yet.</small>';
+    }
+    return sections.map(section => `
+        <div class="story-tracker-worldinfo-section">
+            ${checkbox(section.id, `${section.name} (all subsections)`)}
+            ${(section.subsections || []).map(subsection => checkbox(subsection.id, subsection.name, 'story-tracker-worldinfo-subsection')).join('')}
+        </div>
+    `).join('');
+}
+
+function initializeWorldInfoSettings(modalBody) {
+    const settings = normalizeWorldInfoSync(extensionSettings.worldInfoSync);
+    modalBody.find('#story-tracker-worldinfo-enabled').prop('checked', settings.enabled);
+    modalBody.find('#story-tracker-worldinfo-lorebook').val(settings.lorebook);
+    modalBody.find('#story-tracker-worldinfo-lorebook-options').html(listLorebookNames().map(name => `<option value="${escapeHtml(name)}"></option>`).join(''));
+    modalBody.find('#story-tracker-worldinfo-items').html(buildWorldInfoItemsHtml(extensionSettings.trackerData, settings.items));
+
+    const readSettings = () => normalizeWorldInfoSync({
+        enabled: modalBody.find('#story-tracker-worldinfo-enabled').is(':checked'),
+        lorebook: String(modalBody.find('#story-tracker-worldinfo-lorebook').val() || ''),
+        items: modalBody.find('.story-tracker-worldinfo-item:checked').map((_, input) => input.value).get()
+    });
+
+    const saveWorldInfoSettings = () => {
+        const worldInfoSync = readSettings();
+        if (worldInfoSync.enabled && !worldInfoSync.lorebook) {
+            notify('Choose a lorebook to sync the tracker into.', 'error');
+            return null;
+        }
+        extensionSettings.worldInfoSync = worldInfoSync;
+        saveSettings();
+        return worldInfoSync;
+    };
+
+    modalBody.find('#story-tracker-worldinfo-save').off('click').on('click', () => {
+        if (saveWorldInfoSettings()) {
+            notify('World info settings saved. The lorebook is updated whenever the tracker is saved.');
+        }
+    });
+
+    modalBody.find('#story-tracker-worldinfo-sync').off('click').on('click', async () => {
+        const worldInfoSync = saveWorldInfoSettings();
+        if (!worldInfoSync) {
+            return;
+        }
+        if (!worldInfoSync.enabled) {
+            notify('Enable world info sync first.', 'error');
+            return;
+        }
+        try {
+            const changed = await syncWorldInfo();
+            notify(changed ? `Lorebook "${worldInfoSync.lorebook}" updated.` : `Lorebook "${worldInfoSync.lorebook}" is already up to date.`);
+        } catch (error) {
+            console.error('[Story Tracker] World info sync failed', error);
+            notify(`World info sync failed: ${error.message || error}`, 'error');
+        }
+    });
+}
+
 function initializeDataManager(modalBody) {
     const editor = modalBody.find('#tracker-data-editor');
     const errorBox = modalBody.find('#tracker-data-error');
     const fileInput = modalBody.find('#tracker-data-file-input');
+    const formatSelect = modalBody.find('#tracker-data-format');
+    let currentFormat = getTrackerDataFormat();
+    formatSelect.val(currentFormat);
 
     const hideDataError = () => {
         errorBox.hide().text('');
@@ -252,7 +526,7 @@ function initializeDataManager(modalBody) {
     const refreshEditor = () => {
         try {
             const data = getTrackerData();
-            editor.val(serializeTrackerData(data));
+            editor.val(serializeTrackerData(data, currentFormat));
             hideDataError();
         } catch (error) {
             showDataError(`Failed to serialize tracker data: ${error.message || error}`);
@@ -263,6 +537,7 @@ function initializeDataManager(modalBody) {
         const payload = {
             trackerData: { sections: [] },
             systemPrompt: undefined,
+            promptTemplates: undefined,
         };
 
         if (rawData && typeof rawData === 'object') {
@@ -271,6 +546,9 @@ function initializeDataManager(modalBody) {
                 if (typeof rawData.systemPrompt === 'string') {
                     payload.systemPrompt = rawData.systemPrompt;
                 }
+                if (rawData.promptTemplates && typeof rawData.promptTemplates === 'object') {
+                    payload.promptTemplates = normalizePromptTemplates(rawData.promptTemplates);
+                }
             } else {
                 payload.trackerData = rawData;
             }
@@ -287,22 +565,26 @@ function initializeDataManager(modalBody) {
         return {
             trackerData: { ...trackerDataSource, sections: normalizedSections },
             systemPrompt: payload.systemPrompt,
+            promptTemplates: payload.promptTemplates,
         };
     };
 
     const applyData = async (data, successMessage, options = {}) => {
         try {
-            const { trackerData, systemPrompt } = normalizeTrackerPayload(data);
+            const { trackerData, systemPrompt, promptTemplates } = normalizeTrackerPayload(data);
             if (typeof systemPrompt === 'string') {
                 updateExtensionSettings({ systemPrompt });
             }
+            if (promptTemplates) {
+                updateExtensionSettings({ promptTemplates });
+            }
             if (typeof options.presetName === 'string') {
                 syncPresetSelection(options.presetName);
             } else if (options.clearPreset) {
                 syncPresetSelection('');
             }
             updateTrackerData(trackerData);
-            setTrackerDataFormat();
+            setTrackerDataFormat(currentFormat);
             await import('../rendering/tracker.js').then(module => {
                 if (typeof module.renderTracker === 'function') {
                     module.renderTracker();
@@ -320,6 +602,22 @@ function initializeDataManager(modalBody) {
 
     refreshEditor();
 
+    formatSelect.off('change').on('change', () => {
+        const nextFormat = formatSelect.val();
+        const raw = editor.val();
+        try {
+            // Convert whatever is in the editor so unsaved edits are kept
+            const parsed = raw.trim() ? parseTrackerData(raw, currentFormat) : getTrackerData();
+            editor.val(serializeTrackerData(parsed, nextFormat));
+            currentFormat = nextFormat;
+            setTrackerDataFormat(currentFormat);
+            hideDataError();
+        } catch (error) {
+            formatSelect.val(currentFormat);
+            showDataError(`Fix the current ${currentFormat.toUpperCase()} before switching formats: ${error.message || error}`);
+        }
+    });
+
     modalBody.find('#tracker-data-refresh').off('click').on('click', () => {
         refreshEditor();
         notify('Reloaded tracker data from memory.');
@@ -332,7 +630,7 @@ function initializeDataManager(modalBody) {
                     throw new Error('Default preset is missing trackerData.');
                 }
                 const trackerData = template.trackerData;
-                editor.val(serializeTrackerData(trackerData));
+                editor.val(serializeTrackerData(trackerData, currentFormat));
                 await applyData({
                     trackerData,
                     systemPrompt: template?.systemPrompt,
@@ -352,7 +650,7 @@ function initializeDataManager(modalBody) {
                 showDataError('Tracker data cannot be empty.');
                 return;
             }
-            const parsed = parseTrackerData(raw);
+            const parsed = parseTrackerData(raw, currentFormat);
             await applyData(parsed, 'Tracker data updated.', { clearPreset: true });
         } catch (error) {
             showDataError(`Failed to parse tracker data: ${error.message || error}`);
@@ -366,9 +664,9 @@ function initializeDataManager(modalBody) {
     modalBody.find('#tracker-data-export').off('click').on('click', () => {
         try {
             const raw = editor.val();
-            const parsed = parseTrackerData(raw);
-            const serialized = serializeTrackerData(parsed);
-            downloadSerialized(serialized);
+            const parsed = parseTrackerData(raw, currentFormat);
+            const serialized = serializeTrackerData(parsed, currentFormat);
+            downloadSerialized(serialized, `story-tracker.${getFormatFileExtension(currentFormat)}`);
             notify('Tracker data exported.');
         } catch (error) {
             showDataError(`Unable to export data: ${error.message || error}`);
@@ -385,8 +683,8 @@ function initializeDataManager(modalBody) {
         reader.onload = async loadEvent => {
             try {
                 const textContent = String(loadEvent.target?.result || '');
-                const parsed = parseTrackerData(textContent);
-                editor.val(serializeTrackerData(parsed));
+                const parsed = parseTrackerData(textContent, detectTrackerDataFormat(textContent, file.name));
+                editor.val(serializeTrackerData(parsed, currentFormat));
                 await applyData(parsed, 'Imported tracker data file.', { clearPreset: true });
                 hideDataError();
             } catch (error) {
@@ -399,12 +697,12 @@ function initializeDataManager(modalBody) {
     });
 }
 
-function downloadSerialized(text) {
+function downloadSerialized(text, fileName = 'story-tracker.json') {
     const blob = new Blob([text], { type: 'application/octet-stream' });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = 'story-tracker.json';
+    link.download = fileName;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -420,6 +718,198 @@ function notify(message, type = 'success') {
     }
 }
 
+const FIELD_TYPE_LABELS = {
+    [FIELD_TYPES.TEXT]: 'Text',
+    [FIELD_TYPES.NUMBER]: 'Number',
+    [FIELD_TYPES.BOOLEAN]: 'Yes / No',
+    [FIELD_TYPES.ENUM]: 'Choice (one of several options)',
+    [FIELD_TYPES.LIST]: 'List',
+    [FIELD_TYPES.RANGE]: 'Range (bounded number)',
+};
+
+const MODAL_INPUT_STYLE = 'width: 100%; padding: 0.5rem; border: 1px solid #ccc; border-radius: 4px;';
+const MODAL_LABEL_STYLE = 'display: block; margin-bottom: 0.5rem; font-weight: bold;';
+
+function buildFieldTypeSelectHtml(id) {
+    const options = Object.values(FIELD_TYPES)
+        .map(type => `<option value="${type}">${FIELD_TYPE_LABELS[type] || type}</option>`)
+        .join('');
+    return `
+        <div style="margin: 0.75rem 0;">
+            <label for="${id}" style="${MODAL_LABEL_STYLE}">Type:</label>
+            <select id="${id}" style="${MODAL_INPUT_STYLE}">${options}</select>
+        </div>
+    `;
+}
+
+/**
+ * Renders the type-specific settings editor (enum options or range bounds).
+ */
+function renderFieldTypeOptions($container, idPrefix, settings) {
+    const type = normalizeFieldType(settings?.type);
+
+    if (type === FIELD_TYPES.ENUM) {
+        $container.html(`
+            <div style="margin: 0.75rem 0;">
+                <label for="${idPrefix}-options" style="${MODAL_LABEL_STYLE}">Options (one per line):</label>
+                <textarea id="${idPrefix}-options" rows="3" style="${MODAL_INPUT_STYLE}"></textarea>
+            </div>
+        `);
+        $container.find(`#${idPrefix}-options`).val(getEnumOptions(settings).join('\n'));
+        return;
+    }
+
+    if (type === FIELD_TYPES.RANGE) {
+        const bounds = getRangeBounds(settings);
+        $container.html(`
+            <div style="margin: 0.75rem 0; display: flex; gap: 0.5rem;">
+                <label style="flex: 1;">Min<input type="number" id="${idPrefix}-min" style="${MODAL_INPUT_STYLE}"></label>
+                <label style="flex: 1;">Max<input type="number" id="${idPrefix}-max" style="${MODAL_INPUT_STYLE}"></label>
+                <label style="flex: 1;">Step<input type="number" id="${idPrefix}-step" min="0" style="${MODAL_INPUT_STYLE}"></label>
+            </div>
+        `);
+        $container.find(`#${idPrefix}-min`).val(bounds.min);
+        $container.find(`#${idPrefix}-max`).val(bounds.max);
+        $container.find(`#${idPrefix}-step`).val(bounds.step);
+        return;
+    }
+
+    $container.html('');
+}
+
+function readFieldTypeSettings($root, idPrefix) {
+    const settings = { type: normalizeFieldType($root.find(`#${idPrefix}-type`).val()) };
+
+    if (settings.type === FIELD_TYPES.ENUM) {
+        settings.options = String($root.find(`#${idPrefix}-options`).val() || '')
+            .split('\n')
+            .map(option => option.trim())
+            .filter(Boolean);
+    }
+
+    if (settings.type === FIELD_TYPES.RANGE) {
+        settings.min = $root.find(`#${idPrefix}-min`).val();
+        settings.max = $root.find(`#${idPrefix}-max`).val();
+        settings.step = $root.find(`#${idPrefix}-step`).val();
+    }
+
+    return settings;
+}
+
+function buildConstraintsEditorHtml(idPrefix) {
+    return `
+        <details class="story-tracker-constraints" style="margin: 0.75rem 0;">
+            <summary style="cursor: pointer; font-weight: bold;">Constraints</summary>
+            <div style="margin-top: 0.5rem; display: flex; gap: 0.5rem;">
+                <label style="flex: 1;">Min<input type="number" id="${idPrefix}-constraint-min" style="${MODAL_INPUT_STYLE}"></label>
+                <label style="flex: 1;">Max<input type="number" id="${idPrefix}-constraint-max" style="${MODAL_INPUT_STYLE}"></label>
+                <label style="flex: 1;">Max length<input type="number" id="${idPrefix}-constraint-max-length" min="1" style="${MODAL_INPUT_STYLE}"></label>
+            </div>
+            <div style="margin-top: 0.5rem;">
+                <label for="${idPrefix}-constraint-allowed">Allowed values (one per line):</label>
+                <textarea id="${idPrefix}-constraint-allowed" rows="2" style="${MODAL_INPUT_STYLE}"></textarea>
+            </div>
+            <div style="margin-top: 0.5rem;">
+                <label for="${idPrefix}-constraint-pattern">Pattern (regular expression):</label>
+                <input type="text" id="${idPrefix}-constraint-pattern" placeholder="e.g., ^[A-Z].*" style="${MODAL_INPUT_STYLE}">
+            </div>
+            <label class="checkbox_label" style="margin-top: 0.5rem;">
+                <input type="checkbox" id="${idPrefix}-constraint-required">
+                <span>Required (never accept an empty value)</span>
+            </label>
+            <small>Values from the AI that break these rules are clamped or rejected depending on the validation policy.</small>
+        </details>
+    `;
+}
+
+function fillConstraintsEditor($root, idPrefix, constraints = {}) {
+    $root.find(`#${idPrefix}-constraint-min`).val(constraints.min ?? '');
+    $root.find(`#${idPrefix}-constraint-max`).val(constraints.max ?? '');
+    $root.find(`#${idPrefix}-constraint-max-length`).val(constraints.maxLength ?? '');
+    $root.find(`#${idPrefix}-constraint-allowed`).val((constraints.allowedValues || []).join('\n'));
+    $root.find(`#${idPrefix}-constraint-pattern`).val(constraints.pattern ?? '');
+    $root.find(`#${idPrefix}-constraint-required`).prop('checked', Boolean(constraints.required));
+    if (Object.keys(constraints).length > 0) {
+        $root.find('.story-tracker-constraints').prop('open', true);
+    }
+}
+
+function readConstraintsEditor($root, idPrefix) {
+    return {
+        min: $root.find(`#${idPrefix}-constraint-min`).val(),
+        max: $root.find(`#${idPrefix}-constraint-max`).val(),
+        maxLength: $root.find(`#${idPrefix}-constraint-max-length`).val(),
+        allowedValues: String($root.find(`#${idPrefix}-constraint-allowed`).val() || '')
+            .split('\n')
+            .map(value => value.trim())
+            .filter(Boolean),
+        pattern: String($root.find(`#${idPrefix}-constraint-pattern`).val() || ''),
+        required: $root.find(`#${idPrefix}-constraint-required`).is(':checked')
+    };
+}
+
+/**
+ * Renders a value editor matching the field type into the edit modal.
+ */
+function renderFieldValueEditor($container, field) {
+    const type = normalizeFieldType(field.type);
+    const coerced = coerceFieldValue(field, field.value);
+    const value = coerced.ok && field.value !== '' ? coerced.value : getDefaultValueForType(field);
+    let controlHtml;
+
+    switch (type) {
+        case FIELD_TYPES.BOOLEAN:
+            controlHtml = '<label class="checkbox_label"><input type="checkbox" id="edit-field-value"> <span>Yes</span></label>';
+            break;
+        case FIELD_TYPES.NUMBER:
+        case FIELD_TYPES.RANGE:
+            controlHtml = `<input type="number" id="edit-field-value" style="${MODAL_INPUT_STYLE}">`;
+            break;
+        case FIELD_TYPES.ENUM:
+            controlHtml = `<select id="edit-field-value" style="${MODAL_INPUT_STYLE}"></select>`;
+            break;
+        case FIELD_TYPES.LIST:
+            controlHtml = `<textarea id="edit-field-value" rows="3" placeholder="One item per line" style="${MODAL_INPUT_STYLE}"></textarea>`;
+            break;
+        default:
+            controlHtml = `<textarea id="edit-field-value" rows="3" style="${MODAL_INPUT_STYLE}"></textarea>`;
+    }
+
+    $container.html(`
+        <label for="edit-field-value" style="${MODAL_LABEL_STYLE}">Current Value:</label>
+        ${controlHtml}
+        <small>This is auto-generated by the LLM, but you can override it.</small>
+    `);
+
+    const $control = $container.find('#edit-field-value');
+    if (type === FIELD_TYPES.BOOLEAN) {
+        $control.prop('checked', Boolean(value));
+    } else if (type === FIELD_TYPES.RANGE) {
+        const bounds = getRangeBounds(field);
+        $control.attr({ min: bounds.min, max: bounds.max, step: bounds.step }).val(value);
+    } else if (type === FIELD_TYPES.ENUM) {
+        for (const option of getEnumOptions(field)) {
+            $control.append($('<option></option>').val(option).text(option));
+        }
+        $control.val(value);
+    } else if (type === FIELD_TYPES.LIST) {
+        $control.val((Array.isArray(value) ? value : []).join('\n'));
+    } else {
+        $control.val(value ?? '');
+    }
+}
+
+function readFieldValueEditor($container, type) {
+    const $control = $container.find('#edit-field-value');
+    switch (normalizeFieldType(type)) {
+        case FIELD_TYPES.BOOLEAN:
+            return $control.is(':checked');
+        case FIELD_TYPES.LIST:
+            return String($control.val() || '').split('\n').map(item => item.trim()).filter(Boolean);
+        default:
+            return String($control.val() ?? '').trim();
+    }
+}
 
 /**
  * Shows the add section modal
@@ -521,6 +1011,9 @@ export function showAddFieldModal(subsectionId) {
                 <label for="field-prompt" style="display: block; margin-bottom: 0.5rem; font-weight: bold;">Prompt:</label>
                 <textarea id="field-prompt" rows="3" placeholder="e.g., The current location where {{user}} is" style="width: 100%; padding: 0.5rem; border: 1px solid #ccc; border-radius: 4px;"></textarea>
             </div>
+            ${buildFieldTypeSelectHtml('field-type')}
+            <div id="field-type-options"></div>
+            ${buildConstraintsEditorHtml('field')}
             <div style="display: flex; gap: 0.5rem; justify-content: flex-end;">
                 <button id="cancel-add-field" class="story-tracker-btn">Cancel</button>
                 <button id="confirm-add-field" class="story-tracker-btn story-tracker-btn-primary">Add Story Element</button>
@@ -528,15 +1021,23 @@ export function showAddFieldModal(subsectionId) {
         </div>
     `);
 
+    modalBody.find('#field-type').on('change', function() {
+        renderFieldTypeOptions(modalBody.find('#field-type-options'), 'field', { type: $(this).val() });
+    });
+
     modalBody.find('#cancel-add-field').on('click', () => closeFieldPopup());
 
     modalBody.find('#confirm-add-field').on('click', () => {
         const fieldName = modalBody.find('#field-name').val().trim();
         const fieldPrompt = modalBody.find('#field-prompt').val().trim();
+        const fieldSettings = {
+            ...readFieldTypeSettings(modalBody, 'field'),
+            constraints: readConstraintsEditor(modalBody, 'field')
+        };
         if (fieldName) {
             import('../rendering/tracker.js').then(module => {
                 if (typeof module.addField === 'function') {
-                    module.addField(subsectionId, fieldName, 'text', fieldPrompt);
+                    module.addField(subsectionId, fieldName, fieldSettings.type, fieldPrompt, fieldSettings);
                 }
                 closeFieldPopup();
             }).catch(error => {
@@ -568,11 +1069,10 @@ export function showEditFieldModal(fieldId) {
                             <label for="edit-field-prompt" style="display: block; margin-bottom: 0.5rem; font-weight: bold;">Prompt:</label>
                             <textarea id="edit-field-prompt" rows="3" style="width: 100%; padding: 0.5rem; border: 1px solid #ccc; border-radius: 4px;"></textarea>
                         </div>
-                        <div style="margin: 0.75rem 0;">
-                            <label for="edit-field-value" style="display: block; margin-bottom: 0.5rem; font-weight: bold;">Current Value:</label>
-                            <textarea id="edit-field-value" rows="3" style="width: 100%; padding: 0.5rem; border: 1px solid #ccc; border-radius: 4px;"></textarea>
-                            <small>This is auto-generated by the LLM, but you can override it.</small>
-                        </div>
+                        ${buildFieldTypeSelectHtml('edit-field-type')}
+                        <div id="edit-field-type-options"></div>
+                        ${buildConstraintsEditorHtml('edit-field')}
+                        <div id="edit-field-value-container" style="margin: 0.75rem 0;"></div>
                         <div style="display: flex; gap: 0.5rem; justify-content: flex-end;">
                             <button id="cancel-edit-field" class="story-tracker-btn">Cancel</button>
                             <button id="confirm-edit-field" class="story-tracker-btn story-tracker-btn-primary">Update Story Element</button>
@@ -582,22 +1082,42 @@ export function showEditFieldModal(fieldId) {
 
                 const fieldName = typeof field.name === 'string' ? field.name : String(field.name ?? '');
                 const fieldPrompt = typeof field.prompt === 'string' ? field.prompt : String(field.prompt ?? '');
-                const fieldValue = field.value ?? '';
+                const $typeOptions = modalBody.find('#edit-field-type-options');
+                const $valueContainer = modalBody.find('#edit-field-value-container');
+                const typeSettings = getFieldTypeSettings(field);
 
                 modalBody.find('#story-tracker-edit-field-title').text(`Edit Story Element: ${fieldName}`);
                 modalBody.find('#edit-field-name').val(fieldName);
                 modalBody.find('#edit-field-prompt').val(fieldPrompt);
-                modalBody.find('#edit-field-value').val(fieldValue);
+                modalBody.find('#edit-field-type').val(typeSettings.type);
+                renderFieldTypeOptions($typeOptions, 'edit-field', typeSettings);
+                fillConstraintsEditor(modalBody, 'edit-field', field.constraints || {});
+                renderFieldValueEditor($valueContainer, field);
+
+                const refreshValueEditor = () => {
+                    const draft = { ...field, ...readFieldTypeSettings(modalBody, 'edit-field') };
+                    renderFieldValueEditor($valueContainer, draft);
+                };
+
+                modalBody.find('#edit-field-type').on('change', function() {
+                    renderFieldTypeOptions($typeOptions, 'edit-field', { ...field, type: $(this).val() });
+                    refreshValueEditor();
+                });
+                $typeOptions.on('change', 'textarea, input', refreshValueEditor);
 
                 modalBody.find('#cancel-edit-field').on('click', () => closeFieldPopup());
                 modalBody.find('#confirm-edit-field').on('click', () => {
                     const newName = modalBody.find('#edit-field-name').val().trim();
                     const newPrompt = modalBody.find('#edit-field-prompt').val().trim();
-                    const newValue = modalBody.find('#edit-field-value').val().trim();
+                    const newFieldSettings = {
+                        ...readFieldTypeSettings(modalBody, 'edit-field'),
+                        constraints: readConstraintsEditor(modalBody, 'edit-field')
+                    };
+                    const newValue = readFieldValueEditor($valueContainer, newFieldSettings.type);
                     if (newName) {
                         import('../rendering/tracker.js').then(module => {
                             if (module.updateField) {
-                                module.updateField(fieldId, newName, newValue, newPrompt);
+                                module.updateField(fieldId, newName, newValue, newPrompt, newFieldSettings);
                                 closeFieldPopup();
                             }
                         });
@@ -624,6 +1144,8 @@ export function showSettingsModal() {
         <div class="story-tracker-settings">
             <div class="story-tracker-settings-tabs">
                 <button class="story-tracker-settings-tab-btn active" data-tab="general">General</button>
+                <button class="story-tracker-settings-tab-btn" data-tab="injection">Prompt Injection</button>
+                <button class="story-tracker-settings-tab-btn" data-tab="worldinfo">World Info</button>
                 <button class="story-tracker-settings-tab-btn" data-tab="data">Tracker Presets</button>
             </div>
             <div class="story-tracker-tab-panel active" data-tab="general">
@@ -639,10 +1161,134 @@ export function showSettingsModal() {
                         <option value="separate">Separate (dedicated calls)</option>
                     </select>
                 </div>
+                <div class="story-tracker-settings-group">
+                    <label for="story-tracker-setting-separate-strategy">Separate Mode Requests</label>
+                    <select id="story-tracker-setting-separate-strategy">
+                        <option value="single">One request for the whole tracker</option>
+                        <option value="per-section">One request per section</option>
+                    </select>
+                    <label for="story-tracker-setting-section-concurrency">Parallel Section Requests</label>
+                    <input type="number" id="story-tracker-setting-section-concurrency" min="1" max="4" step="1" />
+                    <small>Per-section requests keep large trackers from being skipped or mangled; each section's result is listed in the update report. Requests run side by side (1-4) only with the direct endpoint backend; the SillyTavern chat API runs them one after another.</small>
+                </div>
+                <div class="story-tracker-settings-group">
+                    <label for="story-tracker-setting-retry-attempts">Attempts per Update</label>
+                    <input type="number" id="story-tracker-setting-retry-attempts" min="1" max="5" step="1" />
+                    <label class="checkbox_label" for="story-tracker-setting-retry-reduced">
+                        <input type="checkbox" id="story-tracker-setting-retry-reduced" />
+                        <span>Request sections missing from the reply again on their own</span>
+                    </label>
+                    <small>Separate mode only. Unusable replies are retried with a stricter prompt that shows the model its mistake (1 = no retry).</small>
+                </div>
+                <div class="story-tracker-settings-group">
+                    <label for="story-tracker-setting-tracker-backend">Tracker Update Backend</label>
+                    <select id="story-tracker-setting-tracker-backend">
+                        <option value="sillytavern">SillyTavern chat API</option>
+                        <option value="direct">OpenAI-compatible endpoint</option>
+                    </select>
+                    <small>Separate mode only. A direct endpoint (e.g. a local llama.cpp or vLLM server) runs tracker updates alongside the chat instead of waiting for the chat API.</small>
+                </div>
+                <div class="story-tracker-settings-group story-tracker-direct-settings">
+                    <label for="story-tracker-setting-direct-url">Endpoint URL</label>
+                    <input type="text" id="story-tracker-setting-direct-url" placeholder="http://localhost:8080/v1" />
+                    <label for="story-tracker-setting-direct-key">API Key</label>
+                    <input type="password" id="story-tracker-setting-direct-key" autocomplete="off" placeholder="Optional" />
+                    <small>Stored unencrypted in this browser only: it is not saved to SillyTavern's settings file, presets or exports, and is sent straight from the browser to the endpoint.</small>
+                    <label for="story-tracker-setting-direct-model">Model</label>
+                    <input type="text" id="story-tracker-setting-direct-model" />
+                    <label for="story-tracker-setting-direct-max-tokens">Max Tokens</label>
+                    <input type="number" id="story-tracker-setting-direct-max-tokens" min="0" step="50" />
+                    <small>Requests go to /v1/chat/completions. 0 max tokens uses the endpoint's default.</small>
+                </div>
+                <div class="story-tracker-settings-group story-tracker-separate-preset-settings">
+                    <label class="checkbox_label" for="story-tracker-setting-use-separate-preset">
+                        <input type="checkbox" id="story-tracker-setting-use-separate-preset" />
+                        <span>Use a separate connection for tracker updates</span>
+                    </label>
+                    <label for="story-tracker-setting-separate-profile">Connection Profile</label>
+                    <input type="text" id="story-tracker-setting-separate-profile" list="story-tracker-separate-profile-options" placeholder="Same as chat" />
+                    <datalist id="story-tracker-separate-profile-options"></datalist>
+                    <label for="story-tracker-setting-separate-preset">Completion Preset</label>
+                    <input type="text" id="story-tracker-setting-separate-preset" list="story-tracker-separate-preset-options" placeholder="Same as chat" />
+                    <datalist id="story-tracker-separate-preset-options"></datalist>
+                    <label for="story-tracker-setting-separate-max-tokens">Max Tokens</label>
+                    <input type="number" id="story-tracker-setting-separate-max-tokens" min="0" step="50" />
+                    <small>Separate mode only. The profile (model and API) and preset (temperature, sampling) are switched in for each tracker update and the chat's own are restored afterwards. Keep a profile selected for chat so it can be restored. 0 max tokens uses the preset's value.</small>
+                </div>
+                <div class="story-tracker-settings-group">
+                    <label for="story-tracker-setting-update-protocol">Update Format</label>
+                    <select id="story-tracker-setting-update-protocol">
+                        <option value="full">Full tracker every update</option>
+                        <option value="delta">Changed fields only (patch)</option>
+                    </select>
+                    <small>Patches save tokens on large trackers: the AI returns only what changed and the rest keeps its value.</small>
+                </div>
+                <div class="story-tracker-settings-group">
+                    <label for="story-tracker-setting-prompt-encoding">Prompt Encoding</label>
+                    <select id="story-tracker-setting-prompt-encoding">
+                        <option value="json">JSON (indented)</option>
+                        <option value="compact-json">Compact JSON</option>
+                        <option value="yaml">YAML</option>
+                        <option value="outline">Outline (Section &gt; Field: value)</option>
+                        <option value="xml">XML tags (&lt;tracker&gt; block)</option>
+                    </select>
+                    <small>How the tracker is shown to the AI and how it should answer. Compact encodings use fewer tokens; the outline suits smaller models.</small>
+                    <label class="checkbox_label" for="story-tracker-setting-embed-schema">
+                        <input type="checkbox" id="story-tracker-setting-embed-schema" />
+                        <span>Include the tracker's JSON Schema in the prompt</span>
+                    </label>
+                    <label class="checkbox_label" for="story-tracker-setting-structured-output">
+                        <input type="checkbox" id="story-tracker-setting-structured-output" />
+                        <span>Structured output in separate mode (constrain replies with the schema)</span>
+                    </label>
+                    <small>The schema lists every section, subsection and field with its type. It applies to the JSON encodings (the prompt embed also to YAML); structured output needs an API that supports JSON schemas.</small>
+                </div>
+                <div class="story-tracker-settings-group">
+                    <label for="story-tracker-setting-validation-policy">Constraint Violations</label>
+                    <select id="story-tracker-setting-validation-policy">
+                        <option value="clamp">Clamp to the nearest valid value</option>
+                        <option value="reject">Reject and keep the previous value</option>
+                    </select>
+                    <small>How AI updates that break a field's constraints are handled. Rejections are always reported.</small>
+                </div>
+                <div class="story-tracker-settings-group">
+                    <label class="checkbox_label" for="story-tracker-setting-review-updates">
+                        <input type="checkbox" id="story-tracker-setting-review-updates" />
+                        <span>Review AI updates before applying</span>
+                    </label>
+                    <small>Changes proposed by the AI are listed in the panel so each one can be accepted or rejected.</small>
+                </div>
                 <div class="story-tracker-settings-actions">
                     <button id="story-tracker-general-save" class="story-tracker-btn story-tracker-btn-primary">Save General Settings</button>
                 </div>
             </div>
+            <div class="story-tracker-tab-panel" data-tab="injection">
+                ${INJECTION_EDITORS.map(buildInjectionEditorHtml).join('')}
+                <small>Depth counts messages from the end of the chat (0 = after the last message). A wrapper template puts the prompt where {{content}} appears, or after the template when it has no {{content}}; leave it empty to send the prompt as it is.</small>
+                <div class="story-tracker-settings-actions">
+                    <button id="story-tracker-injection-save" class="story-tracker-btn story-tracker-btn-primary">Save Injection Settings</button>
+                </div>
+            </div>
+            <div class="story-tracker-tab-panel" data-tab="worldinfo">
+                <div class="story-tracker-settings-group">
+                    <label class="checkbox_label" for="story-tracker-worldinfo-enabled">
+                        <input type="checkbox" id="story-tracker-worldinfo-enabled" />
+                        <span>Sync tracker sections into a lorebook</span>
+                    </label>
+                    <small>Each selected subsection becomes a world info entry, keyed by its name, so its fields are only sent when it comes up in the chat. Entries are updated whenever the tracker is saved; other entries in the lorebook are left alone.</small>
+                    <label for="story-tracker-worldinfo-lorebook">Lorebook</label>
+                    <input type="text" id="story-tracker-worldinfo-lorebook" list="story-tracker-worldinfo-lorebook-options" placeholder="Lorebook name" />
+                    <datalist id="story-tracker-worldinfo-lorebook-options"></datalist>
+                </div>
+                <div class="story-tracker-settings-group">
+                    <label>Synced Sections</label>
+                    <div id="story-tracker-worldinfo-items"></div>
+                </div>
+                <div class="story-tracker-settings-actions">
+                    <button id="story-tracker-worldinfo-sync" class="story-tracker-btn">Sync Now</button>
+                    <button id="story-tracker-worldinfo-save" class="story-tracker-btn story-tracker-btn-primary">Save World Info Settings</button>
+                </div>
+            </div>
             <div class="story-tracker-tab-panel" data-tab="data">
                 <div class="story-tracker-settings-group story-tracker-data-controls">
                     <div class="story-tracker-data-buttons">
@@ -651,19 +1297,27 @@ export function showSettingsModal() {
                         <button id="tracker-data-import" class="story-tracker-btn">Import Preset</button>
                         <button id="tracker-data-export" class="story-tracker-btn">Download Preset</button>
                     </div>
+                    <label for="tracker-data-format">Format</label>
+                    <select id="tracker-data-format">
+                        <option value="json">JSON</option>
+                        <option value="yaml">YAML</option>
+                        <option value="markdown">Markdown outline</option>
+                    </select>
                 </div>
                 <textarea id="tracker-data-editor" class="story-tracker-data-editor" rows="18" spellcheck="false"></textarea>
                 <div id="tracker-data-error" class="story-tracker-error" style="display:none;"></div>
                 <div class="story-tracker-settings-actions">
                     <button id="tracker-data-apply" class="story-tracker-btn story-tracker-btn-primary">Apply Changes</button>
                 </div>
-                <input type="file" id="tracker-data-file-input" accept=".json" style="display:none;" />
+                <input type="file" id="tracker-data-file-input" accept=".json,.yaml,.yml,.md,.markdown" style="display:none;" />
             </div>
         </div>
     `);
 
     initializeSettingsTabs(modalBody);
     initializeGeneralSettings(modalBody);
+    initializeInjectionSettings(modalBody);
+    initializeWorldInfoSettings(modalBody);
     initializeDataManager(modalBody);
     initializePresetActions(modalBody);
 
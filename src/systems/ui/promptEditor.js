@@ -0,0 +1,134 @@
+/**
+ * Prompt Editor UI Module
+ * Edits the system prompt and the prompt templates, with a live preview
+ */
+
+import { extensionSettings, updateExtensionSettings, getCommittedOrLiveTrackerData } from '../../core/state.js';
+import { saveSettings } from '../../core/persistence.js';
+import { escapeHtml } from '../../core/sanitize.js';
+import {
+    DEFAULT_SYSTEM_PROMPT,
+    DEFAULT_PROMPT_TEMPLATES,
+    PROMPT_TEMPLATE_INFO,
+    getPromptTemplate,
+    normalizePromptTemplates
+} from '../generation/promptTemplates.js';
+import { generateGeneralInstructions, generateTrackerPrompt, buildTrackerContext } from '../generation/promptBuilder.js';
+import { openFieldPopup, closeFieldPopup } from './modals.js';
+
+const SYSTEM_PROMPT_KEY = 'systemPrompt';
+
+/**
+ * Renders what the selected prompt looks like with the draft applied, for the
+ * current generation mode and tracker.
+ */
+function renderPreview(key, draft) {
+    const options = { templates: draft.templates, systemPrompt: draft.systemPrompt };
+    const together = extensionSettings.generationMode !== 'separate';
+    const data = getCommittedOrLiveTrackerData();
+
+    try {
+        if (key === 'context') {
+            return buildTrackerContext(data, options) || '(The tracker has no enabled sections.)';
+        }
+        if (key === SYSTEM_PROMPT_KEY || key === 'instructions') {
+            return generateGeneralInstructions(together ? 'together' : 'separate', options);
+        }
+        return generateTrackerPrompt(!together, data, { ...options, includeNarrative: together });
+    } catch (error) {
+        return `Preview failed: ${error.message || error}`;
+    }
+}
+
+function describePlaceholders(key) {
+    if (key === SYSTEM_PROMPT_KEY) {
+        return 'Sent as {{system_prompt}} in the General Instructions template. Leave empty to use the built-in prompt.';
+    }
+    const info = PROMPT_TEMPLATE_INFO[key];
+    return `${info.description} Placeholders: ${info.placeholders.map(name => `{{${name}}}`).join(', ')}`;
+}
+
+/**
+ * Shows the prompt editor in the field modal.
+ */
+export function showPromptEditorModal() {
+    const draft = {
+        systemPrompt: extensionSettings.systemPrompt || '',
+        templates: Object.fromEntries(Object.keys(DEFAULT_PROMPT_TEMPLATES).map(key => [key, getPromptTemplate(key)]))
+    };
+    const templateOptions = Object.entries(PROMPT_TEMPLATE_INFO)
+        .map(([key, info]) => `<option value="${key}">${escapeHtml(info.label)}</option>`)
+        .join('');
+
+    const modalBody = $('#story-tracker-field-modal .story-tracker-modal-body');
+    modalBody.html(`
+        <div class="story-tracker-prompt-editor">
+            <h4>Edit Prompts</h4>
+            <div class="story-tracker-settings-group">
+                <label for="story-tracker-prompt-select">Prompt</label>
+                <select id="story-tracker-prompt-select">
+                    <option value="${SYSTEM_PROMPT_KEY}">System Prompt</option>
+                    ${templateOptions}
+                </select>
+                <small id="story-tracker-prompt-help"></small>
+                <textarea id="story-tracker-prompt-text" rows="10" spellcheck="false"></textarea>
+                <label for="story-tracker-prompt-preview">Preview (${extensionSettings.generationMode === 'separate' ? 'separate' : 'together'} mode)</label>
+                <pre id="story-tracker-prompt-preview" class="story-tracker-prompt-preview"></pre>
+                <small>Templates are saved with the preset. Placeholders that are not listed (such as SillyTavern macros) are left for SillyTavern to fill.</small>
+            </div>
+            <div class="story-tracker-settings-actions">
+                <button id="story-tracker-prompt-reset" class="story-tracker-btn">Reset to Default</button>
+                <button id="story-tracker-prompt-cancel" class="story-tracker-btn">Cancel</button>
+                <button id="story-tracker-prompt-save" class="story-tracker-btn story-tracker-btn-primary">Save</button>
+            </div>
+        </div>
+    `);
+
+    const $select = modalBody.find('#story-tracker-prompt-select');
+    const $text = modalBody.find('#story-tracker-prompt-text');
+    const $preview = modalBody.find('#story-tracker-prompt-preview');
+    let currentKey = SYSTEM_PROMPT_KEY;
+
+    const storeText = () => {
+        if (currentKey === SYSTEM_PROMPT_KEY) {
+            draft.systemPrompt = $text.val();
+        } else {
+            draft.templates[currentKey] = $text.val();
+        }
+    };
+    const refreshPreview = () => $preview.text(renderPreview(currentKey, draft));
+    const showPrompt = key => {
+        currentKey = key;
+        $text.val(key === SYSTEM_PROMPT_KEY ? draft.systemPrompt : draft.templates[key]);
+        modalBody.find('#story-tracker-prompt-help').text(describePlaceholders(key));
+        refreshPreview();
+    };
+
+    $select.on('change', () => {
+        storeText();
+        showPrompt($select.val());
+    });
+    $text.on('input', () => {
+        storeText();
+        refreshPreview();
+    });
+
+    modalBody.find('#story-tracker-prompt-reset').on('click', () => {
+        $text.val(currentKey === SYSTEM_PROMPT_KEY ? DEFAULT_SYSTEM_PROMPT : DEFAULT_PROMPT_TEMPLATES[currentKey]);
+        storeText();
+        refreshPreview();
+    });
+    modalBody.find('#story-tracker-prompt-cancel').on('click', () => closeFieldPopup());
+    modalBody.find('#story-tracker-prompt-save').on('click', () => {
+        storeText();
+        updateExtensionSettings({
+            systemPrompt: draft.systemPrompt,
+            promptTemplates: normalizePromptTemplates(draft.templates)
+        });
+        saveSettings();
+        closeFieldPopup();
+    });
+
+    showPrompt(SYSTEM_PROMPT_KEY);
+    openFieldPopup();
+}
@@ -0,0 +1,159 @@
+/**
+ * Token Usage UI Module
+ * Shows what the tracker costs per generation and lets the user set a budget and section priorities
+ */
+
+import { extensionSettings, syncTrackerBaselines, getCommittedOrLiveTrackerData } from '../../core/state.js';
+import { saveSettings, saveChatData } from '../../core/persistence.js';
+import { GENERATION_MODES, TOKEN_BUDGET_ACTIONS, SECTION_PRIORITIES } from '../../core/config.js';
+import { recordUndoSnapshot } from '../../core/undo.js';
+import { escapeHtml } from '../../core/sanitize.js';
+import { estimateTrackerTokens, fitTrackerToBudget, getTokenBudget } from '../generation/tokenBudget.js';
+import { openSettingsPopup } from './modals.js';
+
+function renderFieldRows(section, together) {
+    return section.fields.map(field => `
+        <tr class="story-tracker-tokens-field">
+            <td>${escapeHtml(field.path)}</td>
+            <td>${together ? field.payload : field.context}</td>
+        </tr>
+    `).join('');
+}
+
+function renderSectionRows(estimate, trimmed) {
+    const together = estimate.mode === GENERATION_MODES.TOGETHER;
+
+    return estimate.sections.map(section => {
+        const tokens = together ? section.payload : section.context;
+        const notes = [];
+        if (!section.enabled) notes.push('disabled');
+        if (trimmed.includes(section.name)) notes.push('trimmed');
+        const priorityOptions = Object.values(SECTION_PRIORITIES)
+            .map(priority => `<option value="${priority}" ${priority === section.priority ? 'selected' : ''}>${priority}</option>`)
+            .join('');
+
+        return `
+            <tbody class="story-tracker-tokens-section" data-section-id="${escapeHtml(section.id)}">
+                <tr class="story-tracker-tokens-section-row">
+                    <td>
+                        <button class="story-tracker-btn story-tracker-btn-small" data-action="toggle-token-fields" title="Show fields">
+                            <i class="fa-solid fa-chevron-right"></i>
+                        </button>
+                        <strong>${escapeHtml(section.name)}</strong>
+                        ${notes.length > 0 ? `<em>(${notes.join(', ')})</em>` : ''}
+                    </td>
+                    <td>${tokens}</td>
+                    <td>
+                        <select class="story-tracker-tokens-priority" title="Low-priority sections are trimmed first">${priorityOptions}</select>
+                    </td>
+                </tr>
+                ${renderFieldRows(section, together)}
+            </tbody>
+        `;
+    }).join('');
+}
+
+function renderBudgetSummary(estimate, budget, fit) {
+    if (!budget) {
+        return '<small>No budget set.</small>';
+    }
+    if (fit.trimmed.length > 0) {
+        return `<small>Over budget: ${fit.trimmed.length} section${fit.trimmed.length === 1 ? '' : 's'} will be left out, bringing the prompt to ~${fit.total} tokens.</small>`;
+    }
+    if (estimate.total > budget) {
+        return `<small class="story-tracker-tokens-over">Over budget by ~${estimate.total - budget} tokens.</small>`;
+    }
+    return `<small>Within budget (${budget - estimate.total} tokens to spare).</small>`;
+}
+
+function setSectionPriority(sectionId, priority) {
+    const section = (extensionSettings.trackerData?.sections || []).find(item => item.id === sectionId);
+    if (!section || (section.priority || SECTION_PRIORITIES.NORMAL) === priority) {
+        return;
+    }
+
+    recordUndoSnapshot('Change section priority');
+    if (priority === SECTION_PRIORITIES.NORMAL) {
+        delete section.priority;
+    } else {
+        section.priority = priority;
+    }
+    saveSettings();
+    syncTrackerBaselines();
+    saveChatData();
+}
+
+/**
+ * Shows the token usage breakdown and budget settings in the settings modal.
+ */
+export function showTokenUsageModal() {
+    const modalBody = $('#story-tracker-settings-modal .story-tracker-modal-body');
+    const data = getCommittedOrLiveTrackerData();
+    const estimate = estimateTrackerTokens(data);
+    const budget = getTokenBudget();
+    const fit = fitTrackerToBudget(data);
+    const together = estimate.mode === GENERATION_MODES.TOGETHER;
+
+    modalBody.html(`
+        <div class="story-tracker-tokens">
+            <h4>Token Usage</h4>
+            <small>
+                ${together ? 'Together mode injects the instructions and the encoded tracker into every generation.' : 'Separate mode injects the plain-text tracker context into every generation.'}
+                ${estimate.usesTokenizer ? 'Counted with SillyTavern\'s tokenizer.' : 'Estimated (about four characters per token).'}
+            </small>
+            <div class="story-tracker-tokens-totals">
+                <span>Instructions: <strong>${estimate.instructions}</strong></span>
+                <span>Tracker payload: <strong>${estimate.payload}</strong></span>
+                <span>Context: <strong>${estimate.context}</strong></span>
+                <span class="${budget && estimate.total > budget ? 'story-tracker-tokens-over' : ''}">Per generation: <strong>${estimate.total}</strong></span>
+            </div>
+            <div class="story-tracker-settings-group">
+                <label for="story-tracker-token-budget">Token Budget</label>
+                <input type="number" id="story-tracker-token-budget" min="0" step="50" value="${budget}" />
+                <select id="story-tracker-token-budget-action">
+                    <option value="${TOKEN_BUDGET_ACTIONS.WARN}">Warn when over budget</option>
+                    <option value="${TOKEN_BUDGET_ACTIONS.TRIM}">Leave out sections when over budget (low priority first, never high)</option>
+                </select>
+                ${renderBudgetSummary(estimate, budget, fit)}
+                <div class="story-tracker-settings-actions">
+                    <button id="story-tracker-token-budget-save" class="story-tracker-btn story-tracker-btn-primary">Save Budget</button>
+                </div>
+            </div>
+            <table class="story-tracker-tokens-table">
+                <thead>
+                    <tr><th>Section</th><th>Tokens</th><th>Priority</th></tr>
+                </thead>
+                ${renderSectionRows(estimate, fit.trimmed)}
+            </table>
+        </div>
+    `);
+
+    modalBody.find('#story-tracker-token-budget-action').val(extensionSettings.tokenBudgetAction || TOKEN_BUDGET_ACTIONS.WARN);
+
+    modalBody.find('#story-tracker-token-budget-save').on('click', () => {
+        const value = Number(modalBody.find('#story-tracker-token-budget').val());
+        extensionSettings.tokenBudget = Number.isInteger(value) && value > 0 ? value : 0;
+        extensionSettings.tokenBudgetAction = modalBody.find('#story-tracker-token-budget-action').val() === TOKEN_BUDGET_ACTIONS.TRIM
+            ? TOKEN_BUDGET_ACTIONS.TRIM
+            : TOKEN_BUDGET_ACTIONS.WARN;
+        saveSettings();
+        showTokenUsageModal();
+    });
+
+    modalBody.find('[data-action="toggle-token-fields"]').on('click', function() {
+        const $section = $(this).closest('.story-tracker-tokens-section');
+        $section.toggleClass('expanded');
+        $(this).find('i').toggleClass('fa-chevron-right fa-chevron-down');
+    });
+
+    modalBody.find('.story-tracker-tokens-priority').on('change', function() {
+        const sectionId = $(this).closest('.story-tracker-tokens-section').data('section-id');
+        setSectionPriority(String(sectionId), $(this).val());
+        import('../rendering/tracker.js').then(module => {
+            module.renderTracker();
+        });
+        showTokenUsageModal();
+    });
+
+    openSettingsPopup();
+}
@@ -0,0 +1,105 @@
+/**
+ * Update Schedule UI Module
+ * Lets the user choose when AI updates refresh a section
+ */
+
+import { extensionSettings, syncTrackerBaselines } from '../../core/state.js';
+import { saveSettings, saveChatData } from '../../core/persistence.js';
+import { UPDATE_SCHEDULES } from '../../core/config.js';
+import { recordUndoSnapshot } from '../../core/undo.js';
+import { escapeHtml } from '../../core/sanitize.js';
+import { getSectionSchedule, normalizeUpdateSchedule } from '../generation/updateSchedule.js';
+import { openSettingsPopup, closeSettingsPopup } from './modals.js';
+
+function setSectionSchedule(sectionId, raw) {
+    const section = (extensionSettings.trackerData?.sections || []).find(item => item.id === sectionId);
+    if (!section) {
+        return;
+    }
+
+    const schedule = normalizeUpdateSchedule(raw);
+    if (JSON.stringify(schedule) === JSON.stringify(normalizeUpdateSchedule(section.updateSchedule))) {
+        return;
+    }
+
+    recordUndoSnapshot('Change update schedule');
+    if (schedule) {
+        section.updateSchedule = schedule;
+    } else {
+        delete section.updateSchedule;
+    }
+    saveSettings();
+    syncTrackerBaselines();
+    saveChatData();
+}
+
+/**
+ * Shows the update schedule of a section in the settings modal.
+ * @param {string} sectionId - Section to edit
+ */
+export function showUpdateScheduleModal(sectionId) {
+    const section = (extensionSettings.trackerData?.sections || []).find(item => item.id === sectionId);
+    if (!section) {
+        return;
+    }
+
+    const schedule = getSectionSchedule(section);
+    const modalBody = $('#story-tracker-settings-modal .story-tracker-modal-body');
+    modalBody.html(`
+        <div class="story-tracker-schedule">
+            <h4>Update Schedule: ${escapeHtml(section.name)}</h4>
+            <div class="story-tracker-settings-group">
+                <label for="story-tracker-schedule-mode">Refresh this section</label>
+                <select id="story-tracker-schedule-mode">
+                    <option value="${UPDATE_SCHEDULES.EVERY}">On every update</option>
+                    <option value="${UPDATE_SCHEDULES.INTERVAL}">Every N turns</option>
+                    <option value="${UPDATE_SCHEDULES.KEYWORDS}">When keywords appear in the last message</option>
+                    <option value="${UPDATE_SCHEDULES.MANUAL}">Only on manual updates</option>
+                </select>
+                <div class="story-tracker-schedule-option" data-mode="${UPDATE_SCHEDULES.INTERVAL}">
+                    <label for="story-tracker-schedule-interval">Turns between updates</label>
+                    <input type="number" id="story-tracker-schedule-interval" min="2" step="1" />
+                    <small>A turn is one message you send; swipes stay on the same turn.</small>
+                </div>
+                <div class="story-tracker-schedule-option" data-mode="${UPDATE_SCHEDULES.KEYWORDS}">
+                    <label for="story-tracker-schedule-keywords">Keywords</label>
+                    <input type="text" id="story-tracker-schedule-keywords" placeholder="weather, rain, storm" />
+                    <small>Comma-separated, not case-sensitive.</small>
+                </div>
+                <small>When the section is not due, the AI still sees it as read-only context and its values are kept. The manual update button refreshes every section.</small>
+            </div>
+            <div class="story-tracker-settings-actions">
+                <button id="story-tracker-schedule-cancel" class="story-tracker-btn">Cancel</button>
+                <button id="story-tracker-schedule-save" class="story-tracker-btn story-tracker-btn-primary">Save Schedule</button>
+            </div>
+        </div>
+    `);
+
+    const $mode = modalBody.find('#story-tracker-schedule-mode');
+    $mode.val(schedule.mode);
+    modalBody.find('#story-tracker-schedule-interval').val(schedule.interval || 3);
+    modalBody.find('#story-tracker-schedule-keywords').val((schedule.keywords || []).join(', '));
+
+    const toggleOptions = () => {
+        modalBody.find('.story-tracker-schedule-option').each(function() {
+            $(this).toggle($(this).data('mode') === $mode.val());
+        });
+    };
+    $mode.on('change', toggleOptions);
+    toggleOptions();
+
+    modalBody.find('#story-tracker-schedule-cancel').on('click', () => closeSettingsPopup());
+    modalBody.find('#story-tracker-schedule-save').on('click', () => {
+        setSectionSchedule(sectionId, {
+            mode: $mode.val(),
+            interval: modalBody.find('#story-tracker-schedule-interval').val(),
+            keywords: modalBody.find('#story-tracker-schedule-keywords').val()
+        });
+        closeSettingsPopup();
+        import('../rendering/tracker.js').then(module => {
+            module.renderTracker();
+        });
+    });
+
+    openSettingsPopup();
+}
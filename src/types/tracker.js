@@ -8,12 +8,29 @@
  * @typedef {Object} TrackerField
  * @property {string} id - Unique identifier for the field
  * @property {string} name - Display name of the field
- * @property {string} value - Current value (string)
+ * @property {string|number|boolean|string[]} value - Current value, stored in the field's type
  * @property {string} prompt - Prompt for LLM to update this field
- * @property {string} type - Field type ('text', 'number', 'boolean')
+ * @property {string} type - Field type ('text', 'number', 'boolean', 'enum', 'list', 'range')
+ * @property {string[]} [options] - Allowed values for 'enum' fields
+ * @property {number} [min] - Lower bound for 'range' fields
+ * @property {number} [max] - Upper bound for 'range' fields
+ * @property {number} [step] - Stepper increment for 'range' fields
+ * @property {FieldConstraints} [constraints] - Validation rules applied to AI updates
+ * @property {boolean} [locked] - Whether the AI is prevented from changing this value
  * @property {boolean} enabled - Whether this field is active
  */
 
+/**
+ * Optional validation rules for a field
+ * @typedef {Object} FieldConstraints
+ * @property {number} [min] - Minimum numeric value
+ * @property {number} [max] - Maximum numeric value
+ * @property {string[]} [allowedValues] - Accepted values (case-insensitive)
+ * @property {number} [maxLength] - Maximum text length (per item for lists)
+ * @property {string} [pattern] - Regular expression the value must match
+ * @property {boolean} [required] - Whether an empty value is rejected
+ */
+
 /**
  * Represents a subsection containing multiple fields
  * @typedef {Object} TrackerSubsection
@@ -21,6 +38,16 @@
  * @property {string} name - Display name of the subsection
  * @property {TrackerField[]} fields - Array of fields in this subsection
  * @property {boolean} collapsed - Whether this subsection is collapsed in UI
+ * @property {boolean} [enabled] - Whether this subsection is active (defaults to true)
+ * @property {boolean} [locked] - Whether the AI is prevented from changing any field in this subsection
+ */
+
+/**
+ * When AI updates refresh a section
+ * @typedef {Object} SectionUpdateSchedule
+ * @property {string} mode - 'every' (default), 'interval', 'manual' or 'keywords'
+ * @property {number} [interval] - Interval mode: refresh every N turns (messages you send)
+ * @property {string[]} [keywords] - Keywords mode: refresh when one of them appears in the last message
  */
 
 /**
@@ -31,6 +58,10 @@
  * @property {TrackerField[]} fields - Array of fields directly within the section
  * @property {TrackerSubsection[]} subsections - Array of subsections in this section
  * @property {boolean} collapsed - Whether this section is collapsed in UI
+ * @property {string} [priority] - 'low', 'normal' (default) or 'high'; low-priority sections are trimmed first
+ * @property {SectionUpdateSchedule} [updateSchedule] - When AI updates refresh the section (every update when absent)
+ * @property {boolean} [enabled] - Whether this section is active (defaults to true)
+ * @property {boolean} [locked] - Whether the AI is prevented from changing any field in this section
  */
 
 /**
@@ -47,15 +78,56 @@
  * @property {number} updateDepth - Number of messages to include in context
  * @property {string} generationMode - 'together' or 'separate'
  * @property {boolean} useSeparatePreset - Use separate preset for generation
+ * @property {string} separateConnectionProfile - Connection profile for separate mode tracker calls ('' = chat connection)
+ * @property {string} separateCompletionPreset - Completion preset for separate mode tracker calls ('' = chat preset)
+ * @property {number} separateMaxTokens - Response length for separate mode tracker calls (0 = preset default)
  * @property {boolean} showTracker - Whether to show the tracker panel
  * @property {string} panelPosition - 'left' or 'right'
  * @property {string} theme - Theme name
  * @property {Object} customColors - Custom theme colors
  * @property {boolean} enableAnimations - Enable UI animations
+ * @property {string} validationPolicy - 'clamp' or 'reject' values that break field constraints
+ * @property {number} undoLimit - Maximum number of undo steps kept in memory
+ * @property {boolean} reviewUpdates - Hold AI updates for review instead of applying them immediately
+ * @property {string} updateProtocol - 'full' or 'delta' (model returns only changed fields as a patch)
+ * @property {string} promptEncoding - 'json', 'compact-json', 'yaml', 'outline' or 'xml' tracker encoding for prompts and replies
+ * @property {boolean} embedJsonSchema - Include the tracker's JSON Schema in the prompt (JSON and YAML encodings)
+ * @property {boolean} structuredOutput - Constrain separate mode JSON replies with the tracker schema where supported
+ * @property {string} trackerBackend - 'sillytavern' (chat API) or 'direct' (OpenAI-compatible endpoint) for separate mode
+ * @property {string} directApiUrl - Base URL of the OpenAI-compatible endpoint
+ * @property {string} directApiModel - Model name sent to the endpoint
+ * @property {number} directMaxTokens - max_tokens for direct requests (0 = endpoint default)
+ * @property {string} separateStrategy - 'single' request or 'per-section' (one request per section) in separate mode
+ * @property {number} sectionConcurrency - Per-section requests running at once on the direct backend (1-4)
+ * @property {number} retryMaxAttempts - Separate mode requests per update when a reply is unusable (1-5)
+ * @property {boolean} retryReducedPayload - Re-request sections missing from a separate mode reply on their own
+ * @property {number} tokenBudget - Maximum tokens for the injected tracker prompt (0 = no budget)
+ * @property {string} tokenBudgetAction - 'warn' or 'trim' low-priority sections when over budget
+ * @property {Object<string, string>} promptTemplates - Customized prompt templates by key (saved with presets)
+ * @property {{ together: { instructions: PromptPlacement, context: PromptPlacement }, separate: { context: PromptPlacement } }} promptInjection - Placement of the injected prompts per generation mode
+ * @property {WorldInfoSyncSettings} worldInfoSync - Lorebook the selected sections and subsections are mirrored into
  * @property {Object} mobileFabPosition - Mobile FAB position
  * @property {TrackerData} trackerData - The actual tracker data
  */
 
+/**
+ * Where and how an injected tracker prompt is placed
+ * @typedef {Object} PromptPlacement
+ * @property {string} position - 'in-chat', 'in-prompt' (after the main prompt) or 'before-prompt'
+ * @property {number} depth - Messages from the end of the chat (in-chat only)
+ * @property {string} role - 'system', 'user' or 'assistant'
+ * @property {boolean} scan - Whether world info scans the injected text for keywords
+ * @property {string} template - Wrapper around the text, with {{content}} where it goes ('' = no wrapper)
+ */
+
+/**
+ * Lorebook sync of tracker sections and subsections
+ * @typedef {Object} WorldInfoSyncSettings
+ * @property {boolean} enabled - Update the lorebook whenever the chat data is saved
+ * @property {string} lorebook - Name of the lorebook to write
+ * @property {string[]} items - Ids of the synced sections (all subsections) and subsections
+ */
+
 /**
  * Result of tracker generation/update
  * @typedef {Object} TrackerUpdateResult
@@ -64,6 +136,74 @@
  * @property {string[]} errors - Any errors that occurred
  */
 
+/**
+ * A single constraint violation found while applying an AI update
+ * @typedef {Object} ValidationViolation
+ * @property {string|null} fieldId - Identifier of the affected field
+ * @property {string} fieldName - Name of the affected field
+ * @property {string} path - Human-readable location ("Section > Subsection > Field")
+ * @property {string} rule - Violated rule ('type', 'required', 'min', 'max', 'allowedValues', 'maxLength', 'pattern', 'patch')
+ * @property {string} message - Description of the violation
+ * @property {string} action - 'clamped' or 'rejected'
+ * @property {string} received - Value proposed by the model
+ * @property {string} applied - Value stored after the violation was handled
+ */
+
+/**
+ * Per-update record of constraint violations
+ * @typedef {Object} ValidationReport
+ * @property {number} createdAt - Timestamp of the update
+ * @property {string} source - What produced the update
+ * @property {ValidationViolation[]} violations - Recorded violations
+ * @property {string[]} [repairs] - Fixes applied to malformed JSON before it could be parsed
+ * @property {{path: string, message: string}[]} [schemaErrors] - Places where the reply did not match the tracker schema
+ * @property {string[]} [matchedSections] - Ids of the sections the reply supplied values for
+ * @property {Object[]} [attempts] - Separate mode requests made for the update and their results
+ * @property {Object[]} [sectionPasses] - Per-section strategy: the outcome of each section's request
+ */
+
+/**
+ * A single field difference between two tracker snapshots
+ * @typedef {Object} FieldChange
+ * @property {string} kind - 'changed', 'added' or 'removed'
+ * @property {string|null} sectionId - Identifier of the containing section
+ * @property {string} sectionName - Name of the containing section
+ * @property {string|null} subsectionId - Identifier of the containing subsection, if any
+ * @property {string} subsectionName - Name of the containing subsection, if any
+ * @property {string|null} fieldId - Identifier of the field
+ * @property {string} fieldName - Name of the field
+ * @property {string} path - Human-readable location ("Section > Subsection > Field")
+ * @property {*} oldValue - Value in the older snapshot
+ * @property {*} newValue - Value in the newer snapshot
+ */
+
+/**
+ * One assistant message in the tracker history timeline
+ * @typedef {Object} TrackerHistoryEntry
+ * @property {number} messageIndex - Index of the message in the chat
+ * @property {string} messageName - Speaker name
+ * @property {number} swipeId - Active swipe the snapshot belongs to
+ * @property {string} preview - Short plain-text excerpt of the message
+ * @property {boolean} isInitial - Whether this is the first snapshot in the chat
+ * @property {FieldChange[]} changes - Changes since the previous snapshot
+ * @property {TrackerData} trackerData - The snapshot itself
+ */
+
+/**
+ * A proposed field change awaiting review
+ * @typedef {FieldChange & { accepted: boolean }} ProposedChange
+ */
+
+/**
+ * AI update held for review before it is applied
+ * @typedef {Object} TrackerProposal
+ * @property {number} createdAt - Timestamp of the update
+ * @property {string} source - 'together' or 'separate'
+ * @property {number|null} messageIndex - Assistant message the update belongs to
+ * @property {number} swipeId - Swipe of that message
+ * @property {ProposedChange[]} changes - Changed fields with their accept/reject decision
+ */
+
 /**
  * Context for LLM generation
  * @typedef {Object} GenerationContext
@@ -5,6 +5,11 @@ var storyTrackerPromptApi = globalThis.storyTrackerPromptApi || (globalThis.stor
         return globalThis.SillyTavern?.getContext?.();
     }
 
+    // SillyTavern's extension_prompt_types are numbers (IN_PROMPT is 0); older builds used strings
+    function isPromptType(value) {
+        return (typeof value === 'string' && value.length > 0) || (Number.isInteger(value) && value >= 0);
+    }
+
     function coercePromptTypes(rawTypes) {
         if (!rawTypes || typeof rawTypes !== 'object') {
             return { types: null, mappedFrom: null };
@@ -24,7 +29,7 @@ var storyTrackerPromptApi = globalThis.storyTrackerPromptApi || (globalThis.stor
         let effectiveKey = null;
 
         for (const key of candidates) {
-            if (typeof rawTypes[key] === 'string' && rawTypes[key].length > 0) {
+            if (isPromptType(rawTypes[key])) {
                 effectiveKey = key;
                 break;
             }
@@ -32,7 +37,7 @@ var storyTrackerPromptApi = globalThis.storyTrackerPromptApi || (globalThis.stor
 
         if (!effectiveKey) {
             for (const [key, value] of Object.entries(rawTypes)) {
-                if (typeof value === 'string' && value.length > 0) {
+                if (isPromptType(value)) {
                     effectiveKey = key;
                     break;
                 }
@@ -74,7 +79,7 @@ var storyTrackerPromptApi = globalThis.storyTrackerPromptApi || (globalThis.stor
         let types = coercedTypes;
         mappedFrom = mappedKey;
 
-        if (!types?.IN_CHAT) {
+        if (!isPromptType(types?.IN_CHAT)) {
             if (!globalThis.__storyTrackerFallbackPromptTypes) {
                 globalThis.__storyTrackerFallbackPromptTypes = { IN_CHAT: 'in_chat' };
             }
@@ -82,17 +87,26 @@ var storyTrackerPromptApi = globalThis.storyTrackerPromptApi || (globalThis.stor
             usedFallback = true;
         }
 
-        return { setter, types, usedFallback, mappedFrom };
+        const roles = context?.extension_prompt_roles
+            || context?.extensionPromptRoles
+            || context?.modules?.extensions?.extension_prompt_roles
+            || globalThis.extension_prompt_roles
+            || { SYSTEM: 0, USER: 1, ASSISTANT: 2 };
+
+        return { setter, types, roles, usedFallback, mappedFrom };
     }
 
-    function callSetExtensionPrompt(setter, id, value, type, priority = 0, shouldAppend = false) {
+    function callSetExtensionPrompt(setter, id, value, type, priority = 0, shouldAppend = false, role = undefined) {
         if (typeof setter !== 'function') {
             return;
         }
 
         const argCount = setter.length;
 
-        if (argCount >= 5) {
+        // setExtensionPrompt's scan and role parameters have defaults, so they are not counted in its length
+        if (role !== undefined) {
+            setter(id, value, type, priority, shouldAppend, role);
+        } else if (argCount >= 5) {
             setter(id, value, type, priority, shouldAppend);
         } else if (argCount === 4) {
             setter(id, value, type, priority);
@@ -116,6 +130,6 @@ export function resolvePromptApi() {
     return storyTrackerPromptApi.resolvePromptApi();
 }
 
-export function callSetExtensionPrompt(setter, id, value, type, priority = 0, shouldAppend = false) {
-    return storyTrackerPromptApi.callSetExtensionPrompt(setter, id, value, type, priority, shouldAppend);
+export function callSetExtensionPrompt(setter, id, value, type, priority = 0, shouldAppend = false, role = undefined) {
+    return storyTrackerPromptApi.callSetExtensionPrompt(setter, id, value, type, priority, shouldAppend, role);
 }
@@ -0,0 +1,377 @@
+/**
+ * YAML Utilities
+ * A small YAML reader/writer covering the block-style subset used for tracker data:
+ * mappings, sequences, plain/quoted scalars, block scalars and simple flow collections.
+ */
+
+const INDENT = '  ';
+const NUMBER_PATTERN = /^[-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?$/;
+const RESERVED_PLAIN = /^(?:true|false|yes|no|on|off|null|~|0x[0-9a-f]+|[-+]?\.inf|\.nan)$/i;
+
+function needsQuotes(text) {
+    return text === ''
+        || text !== text.trim()
+        || RESERVED_PLAIN.test(text)
+        || NUMBER_PATTERN.test(text)
+        || /^[-?:,[\]{}#&*!|>'"%@`]/.test(text)
+        || /[\n\r\t]|: |\s#|:$/.test(text);
+}
+
+function formatScalar(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'boolean' || typeof value === 'number') {
+        return String(value);
+    }
+    const text = String(value);
+    return needsQuotes(text) ? JSON.stringify(text) : text;
+}
+
+function formatKey(key) {
+    return needsQuotes(key) ? JSON.stringify(key) : key;
+}
+
+function isCollection(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function isEmptyCollection(value) {
+    return Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+}
+
+function emitValue(value, indent, lines) {
+    if (Array.isArray(value)) {
+        for (const item of value) {
+            emitSequenceItem(item, indent, lines);
+        }
+        return;
+    }
+    for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) {
+            continue;
+        }
+        if (isCollection(item) && !isEmptyCollection(item)) {
+            lines.push(`${indent}${formatKey(key)}:`);
+            emitValue(item, indent + INDENT, lines);
+        } else {
+            lines.push(`${indent}${formatKey(key)}: ${isCollection(item) ? (Array.isArray(item) ? '[]' : '{}') : formatScalar(item)}`);
+        }
+    }
+}
+
+function emitSequenceItem(item, indent, lines) {
+    if (!isCollection(item) || isEmptyCollection(item)) {
+        lines.push(`${indent}- ${isCollection(item) ? (Array.isArray(item) ? '[]' : '{}') : formatScalar(item)}`);
+        return;
+    }
+
+    const nested = [];
+    emitValue(item, indent + INDENT, nested);
+    if (nested.length === 0) {
+        lines.push(`${indent}- {}`);
+        return;
+    }
+    if (Array.isArray(item)) {
+        lines.push(`${indent}-`);
+        lines.push(...nested);
+        return;
+    }
+    // Put the first key on the dash line ("- key: value")
+    lines.push(`${indent}- ${nested[0].slice(indent.length + INDENT.length)}`);
+    lines.push(...nested.slice(1));
+}
+
+/**
+ * Serializes a JSON-compatible value as block-style YAML.
+ * @param {*} value - Value to serialize
+ * @returns {string} YAML text
+ */
+export function stringifyYaml(value) {
+    if (!isCollection(value)) {
+        return `${formatScalar(value)}\n`;
+    }
+    if (isEmptyCollection(value)) {
+        return Array.isArray(value) ? '[]\n' : '{}\n';
+    }
+    const lines = [];
+    emitValue(value, '', lines);
+    return `${lines.join('\n')}\n`;
+}
+
+class YamlSyntaxError extends Error {
+    constructor(message, lineNumber) {
+        super(lineNumber ? `${message} (line ${lineNumber})` : message);
+        this.name = 'YamlSyntaxError';
+    }
+}
+
+function findClosingQuote(text) {
+    const quote = text[0];
+    for (let index = 1; index < text.length; index += 1) {
+        if (quote === '"' && text[index] === '\\') {
+            index += 1;
+        } else if (text[index] === quote) {
+            if (quote === '\'' && text[index + 1] === '\'') {
+                index += 1;
+                continue;
+            }
+            return index;
+        }
+    }
+    return -1;
+}
+
+function stripComment(text) {
+    // Quoted scalars may contain "#"; only look for comments after the closing quote
+    const start = text.startsWith('"') || text.startsWith('\'') ? Math.max(findClosingQuote(text), 0) : 0;
+    for (let index = start; index < text.length; index += 1) {
+        if (text[index] === '#' && (index === 0 || /\s/.test(text[index - 1]))) {
+            return text.slice(0, index).trimEnd();
+        }
+    }
+    return text;
+}
+
+function splitFlowItems(text) {
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const char of text) {
+        if (quote) {
+            current += char;
+            if (char === quote) quote = null;
+            continue;
+        }
+        if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth += 1;
+        } else if (char === ']' || char === '}') {
+            depth -= 1;
+        } else if (char === ',' && depth === 0) {
+            items.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    if (current.trim()) {
+        items.push(current.trim());
+    }
+    return items;
+}
+
+/**
+ * Finds the ": " separating a mapping key from its value, ignoring quoted text.
+ * @returns {number} Index of the colon, or -1 when the text is not a mapping entry
+ */
+function findMappingColon(text) {
+    let quote = null;
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index];
+        if (quote) {
+            if (char === quote) quote = null;
+            continue;
+        }
+        if ((char === '"' || char === '\'') && index === 0) {
+            quote = char;
+        } else if (char === ':' && (index === text.length - 1 || text[index + 1] === ' ')) {
+            return index;
+        } else if (char === '[' || char === '{') {
+            return -1;
+        }
+    }
+    return -1;
+}
+
+function parseScalar(raw, lineNumber) {
+    const text = stripComment(raw).trim();
+    if (text === '' || text === '~' || text === 'null' || text === 'Null' || text === 'NULL') {
+        return null;
+    }
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch (_error) {
+            throw new YamlSyntaxError(`Invalid double-quoted string ${text}`, lineNumber);
+        }
+    }
+    if (text.startsWith('\'')) {
+        if (!text.endsWith('\'') || text.length < 2) {
+            throw new YamlSyntaxError(`Unterminated single-quoted string ${text}`, lineNumber);
+        }
+        return text.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (text.startsWith('[') && text.endsWith(']')) {
+        return splitFlowItems(text.slice(1, -1)).map(item => parseScalar(item, lineNumber));
+    }
+    if (text.startsWith('{') && text.endsWith('}')) {
+        const result = {};
+        for (const item of splitFlowItems(text.slice(1, -1))) {
+            const colon = findMappingColon(item);
+            if (colon === -1) {
+                throw new YamlSyntaxError(`Invalid flow mapping entry ${item}`, lineNumber);
+            }
+            result[parseKey(item.slice(0, colon))] = parseScalar(item.slice(colon + 1), lineNumber);
+        }
+        return result;
+    }
+    if (/^(?:true|True|TRUE)$/.test(text)) return true;
+    if (/^(?:false|False|FALSE)$/.test(text)) return false;
+    if (NUMBER_PATTERN.test(text)) return Number(text);
+    return text;
+}
+
+function parseKey(raw) {
+    const key = raw.trim();
+    if (key.startsWith('"') || key.startsWith('\'')) {
+        return String(parseScalar(key));
+    }
+    return key;
+}
+
+class YamlReader {
+    constructor(text) {
+        this.lines = [];
+        String(text ?? '').replace(/\r\n?/g, '\n').split('\n').forEach((line, index) => {
+            if (/^\s*(?:#.*)?$/.test(line) || /^(?:---|\.\.\.)\s*$/.test(line)) {
+                return;
+            }
+            if (/^\s*\t/.test(line)) {
+                throw new YamlSyntaxError('Tabs are not allowed for indentation', index + 1);
+            }
+            const content = line.trimStart();
+            this.lines.push({ indent: line.length - content.length, text: content, number: index + 1, raw: line });
+        });
+        this.position = 0;
+    }
+
+    peek() {
+        return this.lines[this.position];
+    }
+
+    parseDocument() {
+        if (this.lines.length === 0) {
+            return null;
+        }
+        const first = this.peek();
+        const value = this.parseNode(first.indent);
+        const leftover = this.peek();
+        if (leftover) {
+            throw new YamlSyntaxError(`Unexpected content "${leftover.text}"`, leftover.number);
+        }
+        return value;
+    }
+
+    parseNode(indent) {
+        const line = this.peek();
+        if (line.text === '-' || line.text.startsWith('- ')) {
+            return this.parseSequence(indent);
+        }
+        if (findMappingColon(line.text) !== -1) {
+            return this.parseMapping(indent);
+        }
+        this.position += 1;
+        return parseScalar(line.text, line.number);
+    }
+
+    parseSequence(indent) {
+        const result = [];
+        for (let line = this.peek(); line && line.indent === indent && (line.text === '-' || line.text.startsWith('- ')); line = this.peek()) {
+            const content = line.text === '-' ? '' : line.text.slice(2).trimStart();
+            if (!content) {
+                this.position += 1;
+                const next = this.peek();
+                result.push(next && next.indent > indent ? this.parseNode(next.indent) : null);
+                continue;
+            }
+
+            const contentIndent = indent + (line.text.length - content.length);
+            if (content === '-' || content.startsWith('- ') || findMappingColon(content) !== -1) {
+                // "- key: value" starts a nested block aligned with the item content
+                this.lines[this.position] = { ...line, indent: contentIndent, text: content };
+                result.push(this.parseNode(contentIndent));
+                continue;
+            }
+
+            this.position += 1;
+            result.push(this.parseValue(content, indent, line.number));
+        }
+        return result;
+    }
+
+    parseMapping(indent) {
+        const result = {};
+        for (let line = this.peek(); line && line.indent === indent; line = this.peek()) {
+            if (line.text === '-' || line.text.startsWith('- ')) {
+                break;
+            }
+            const colon = findMappingColon(line.text);
+            if (colon === -1) {
+                throw new YamlSyntaxError(`Expected "key: value" but found "${line.text}"`, line.number);
+            }
+
+            const key = parseKey(line.text.slice(0, colon));
+            const rest = line.text.slice(colon + 1).trim();
+            this.position += 1;
+
+            if (stripComment(rest) === '') {
+                const next = this.peek();
+                if (next && next.indent > indent) {
+                    result[key] = this.parseNode(next.indent);
+                } else if (next && next.indent === indent && (next.text === '-' || next.text.startsWith('- '))) {
+                    result[key] = this.parseSequence(indent);
+                } else {
+                    result[key] = null;
+                }
+                continue;
+            }
+
+            result[key] = this.parseValue(rest, indent, line.number);
+        }
+
+        const stray = this.peek();
+        if (stray && stray.indent > indent) {
+            throw new YamlSyntaxError(`Unexpected indentation before "${stray.text}"`, stray.number);
+        }
+        return result;
+    }
+
+    parseValue(text, parentIndent, lineNumber) {
+        const blockMatch = text.match(/^([|>])([+-]?)\s*(?:#.*)?$/);
+        if (!blockMatch) {
+            return parseScalar(text, lineNumber);
+        }
+
+        const [, style, chomp] = blockMatch;
+        const collected = [];
+        let blockIndent = null;
+        for (let line = this.peek(); line && line.indent > parentIndent; line = this.peek()) {
+            blockIndent = blockIndent ?? line.indent;
+            collected.push(line.raw.slice(blockIndent));
+            this.position += 1;
+        }
+
+        let body = style === '|'
+            ? collected.join('\n')
+            : collected.join(' ');
+        if (chomp !== '-') {
+            body += '\n';
+        }
+        return body;
+    }
+}
+
+/**
+ * Parses YAML text into a JSON-compatible value.
+ * @param {string} text - YAML text
+ * @returns {*} Parsed value
+ * @throws {YamlSyntaxError} When the text uses unsupported or invalid syntax
+ */
+export function parseYaml(text) {
+    return new YamlReader(text).parseDocument();
+}
+
+export { YamlSyntaxError };
@@ -0,0 +1,295 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultSettings } from '../src/core/config.js';
+import { extensionSettings, setExtensionSettings, setCommittedTrackerData } from '../src/core/state.js';
+import { loadSettings, loadDirectApiKey, saveDirectApiKey } from '../src/core/persistence.js';
+import {
+    requestTrackerUpdate,
+    requestPerSectionUpdates,
+    requestDirectCompletion,
+    resolveChatCompletionsUrl,
+    buildChatCompletionRequest
+} from '../src/systems/generation/apiClient.js';
+
+function buildTracker() {
+    const field = (name, value) => ({ id: `${name}-id`, name, value, prompt: '', type: 'text' });
+    return {
+        sections: [
+            { id: 'cast', name: 'Cast', fields: [field('Hero', 'Aria')], subsections: [] },
+            { id: 'scene', name: 'Scene', fields: [field('Weather', 'Clear')], subsections: [] }
+        ]
+    };
+}
+
+function setup(t, settings = {}) {
+    const previous = globalThis.SillyTavern;
+    globalThis.SillyTavern = { getContext: () => ({ chat: [] }) };
+    t.after(() => {
+        globalThis.SillyTavern = previous;
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+    });
+
+    const trackerData = buildTracker();
+    setExtensionSettings({ ...defaultSettings, generationMode: 'separate', trackerData, ...settings });
+    setCommittedTrackerData(buildTracker());
+}
+
+function mockLocalStorage(t) {
+    const previous = globalThis.localStorage;
+    const storage = {};
+    globalThis.localStorage = {
+        getItem: key => (key in storage ? storage[key] : null),
+        setItem: (key, value) => {
+            storage[key] = String(value);
+        },
+        removeItem: key => {
+            delete storage[key];
+        }
+    };
+    t.after(() => {
+        globalThis.localStorage = previous;
+    });
+    return storage;
+}
+
+test('requestTrackerUpdate retries with the failed reply and the parse error', async t => {
+    setup(t);
+
+    const prompts = [];
+    const replies = [
+        'Sorry, here is the update: {"sections": [{"name": "Cast" "fields": {}}]}',
+        '```json\n{"sections": [{"name": "Cast", "fields": {"Hero": "Bryn"}}, {"name": "Scene", "fields": {"Weather": "Rain"}}]}\n```'
+    ];
+    const { parsed, attempts } = await requestTrackerUpdate(async prompt => {
+        prompts.push(prompt);
+        return replies.shift();
+    }, { maxAttempts: 3 });
+
+    assert.equal(parsed.trackerData.sections[0].fields[0].value, 'Bryn');
+    assert.deepEqual(attempts.map(attempt => attempt.status), ['failed', 'parsed']);
+    assert.match(attempts[0].message, /^The tracker JSON is invalid/);
+
+    const retry = prompts[1];
+    assert.equal(retry[retry.length - 2].role, 'assistant');
+    assert.match(retry[retry.length - 2].content, /^Sorry, here is the update/);
+    assert.match(retry[retry.length - 1].content, /The tracker JSON is invalid[\s\S]*Reply again with ONLY a single ```json code block/);
+});
+
+test('requestTrackerUpdate gives up after the maximum number of attempts', async t => {
+    setup(t);
+
+    let calls = 0;
+    const { parsed, attempts } = await requestTrackerUpdate(async () => {
+        calls += 1;
+        return calls === 1 ? '' : 'No tracker here.';
+    }, { maxAttempts: 2 });
+
+    assert.equal(parsed, null);
+    assert.equal(calls, 2);
+    assert.deepEqual(attempts.map(attempt => attempt.message), [
+        'The model returned an empty reply.',
+        'The reply did not contain a tracker block.'
+    ]);
+});
+
+test('requestTrackerUpdate re-requests missing sections with a reduced payload', async t => {
+    setup(t);
+
+    const prompts = [];
+    const replies = [
+        '```json\n{"sections": [{"name": "Cast", "fields": {"Hero": "Bryn"}}]}\n```',
+        '```json\n{"sections": [{"name": "Scene", "fields": {"Weather": "Fog"}}]}\n```'
+    ];
+    const generate = async prompt => {
+        prompts.push(prompt);
+        return replies.shift();
+    };
+
+    const { parsed, attempts } = await requestTrackerUpdate(generate, { maxAttempts: 2, reducedPayload: true });
+
+    assert.deepEqual(attempts.map(attempt => [attempt.status, attempt.reduced]), [['partial', false], ['parsed', true]]);
+    assert.match(attempts[0].message, /No values returned for: Scene/);
+    assert.equal(parsed.trackerData.sections[0].fields[0].value, 'Bryn');
+    assert.equal(parsed.trackerData.sections[1].fields[0].value, 'Fog');
+    assert.deepEqual(parsed.validationReport.matchedSections, ['cast', 'scene']);
+
+    const reducedPrompt = prompts[1][1].content;
+    assert.match(reducedPrompt, /"Scene"/);
+    assert.doesNotMatch(reducedPrompt, /"Cast"/);
+});
+
+test('requestTrackerUpdate keeps a partial result when the reduced fallback is off', async t => {
+    setup(t);
+
+    let calls = 0;
+    const { parsed, attempts } = await requestTrackerUpdate(async () => {
+        calls += 1;
+        return '```json\n{"sections": [{"name": "Cast", "fields": {"Hero": "Bryn"}}]}\n```';
+    }, { maxAttempts: 3, reducedPayload: false });
+
+    assert.equal(calls, 1);
+    assert.equal(attempts[0].status, 'partial');
+    assert.equal(parsed.trackerData.sections[1].fields[0].value, 'Clear');
+});
+
+test('resolveChatCompletionsUrl accepts server roots, /v1 bases and full URLs', () => {
+    assert.equal(resolveChatCompletionsUrl('http://localhost:8080'), 'http://localhost:8080/v1/chat/completions');
+    assert.equal(resolveChatCompletionsUrl('http://localhost:8000/v1/'), 'http://localhost:8000/v1/chat/completions');
+    assert.equal(resolveChatCompletionsUrl('https://api.example.com/v1/chat/completions'), 'https://api.example.com/v1/chat/completions');
+    assert.equal(resolveChatCompletionsUrl('  '), '');
+});
+
+test('requestTrackerUpdate sends a single request by default', async t => {
+    setup(t);
+
+    let calls = 0;
+    const { parsed, attempts } = await requestTrackerUpdate(async () => {
+        calls += 1;
+        return 'I cannot help with that.';
+    });
+
+    assert.equal(calls, 1);
+    assert.equal(parsed?.trackerData ?? null, null);
+    assert.deepEqual(attempts.map(attempt => attempt.status), ['failed']);
+});
+
+test('buildChatCompletionRequest adds a tracker schema for JSON encodings only', t => {
+    setup(t, { directApiModel: 'qwen', directMaxTokens: 512, structuredOutput: true });
+
+    const messages = [{ role: 'user', content: 'Update the tracker' }];
+    const body = buildChatCompletionRequest(messages);
+    assert.equal(body.model, 'qwen');
+    assert.equal(body.max_tokens, 512);
+    assert.deepEqual(body.messages, messages);
+    assert.equal(body.response_format.type, 'json_schema');
+    assert.deepEqual(body.response_format.json_schema.schema.required, ['sections']);
+
+    setExtensionSettings({ ...defaultSettings, trackerData: buildTracker(), promptEncoding: 'yaml', structuredOutput: true });
+    assert.equal(buildChatCompletionRequest(messages).response_format, undefined);
+
+    // Structured output is opt-in
+    setExtensionSettings({ ...defaultSettings, trackerData: buildTracker() });
+    assert.equal(buildChatCompletionRequest(messages).response_format, undefined);
+});
+
+test('requestTrackerUpdate passes the structured output schema to the backend', async t => {
+    setup(t, { structuredOutput: true });
+
+    const schemas = [];
+    const reply = '```json\n{"sections": [{"name": "Cast", "fields": {"Hero": "Bryn"}}, {"name": "Scene", "fields": {"Weather": "Rain"}}]}\n```';
+    await requestTrackerUpdate(async (_prompt, schema) => {
+        schemas.push(schema);
+        return reply;
+    });
+    assert.deepEqual(schemas[0].properties.sections.items.anyOf.map(item => item.properties.name.enum[0]), ['Cast', 'Scene']);
+
+    setExtensionSettings({ ...defaultSettings, generationMode: 'separate', trackerData: buildTracker(), structuredOutput: false });
+    await requestTrackerUpdate(async (_prompt, schema) => {
+        schemas.push(schema);
+        return reply;
+    });
+    assert.equal(schemas[1], null);
+});
+
+test('requestPerSectionUpdates sends one prompt per section and merges the results', async t => {
+    setup(t, { retryMaxAttempts: 2 });
+
+    const prompts = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const { parsed, passes } = await requestPerSectionUpdates(async prompt => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight -= 1;
+
+        const content = prompt[1].content;
+        prompts.push(content);
+        if (content.includes('"Cast"')) {
+            return '```json\n{"sections": [{"name": "Cast", "fields": {"Hero": "Bryn"}}]}\n```';
+        }
+        return 'I cannot help with that.';
+    }, { concurrency: 2 });
+
+    assert.equal(maxInFlight, 2);
+    // Cast once, Scene twice (the retry)
+    assert.equal(prompts.length, 3);
+    assert.ok(prompts.every(content => !(content.includes('"Cast"') && content.includes('"Scene"'))));
+
+    assert.deepEqual(passes.map(pass => [pass.name, pass.status, pass.attempts]), [['Cast', 'parsed', 1], ['Scene', 'failed', 2]]);
+    assert.equal(passes[1].message, 'The reply did not contain a tracker block.');
+    assert.equal(parsed.trackerData.sections[0].fields[0].value, 'Bryn');
+    assert.equal(parsed.trackerData.sections[1].fields[0].value, 'Clear');
+    assert.deepEqual(parsed.validationReport.matchedSections, ['cast']);
+});
+
+test('requestPerSectionUpdates reports each section\'s violations once', async t => {
+    const trackerData = buildTracker();
+    trackerData.sections[1].fields.push({ id: 'depth-id', name: 'Depth', value: 2, prompt: '', type: 'number', constraints: { min: 0, max: 10 } });
+    setup(t, { trackerData });
+
+    const { parsed } = await requestPerSectionUpdates(async prompt => {
+        const content = prompt[1].content;
+        if (content.includes('"Cast"')) {
+            return '```json\n{"sections": [{"name": "Cast", "fields": {"Hero": "Bryn"}}]}\n```';
+        }
+        return '```json\n{"sections": [{"name": "Scene", "fields": {"Weather": "Rain", "Depth": 50}}]}\n```';
+    }, { concurrency: 1 });
+
+    assert.equal(parsed.trackerData.sections[0].fields[0].value, 'Bryn');
+    assert.equal(parsed.trackerData.sections[1].fields[1].value, 10);
+    assert.deepEqual(parsed.validationReport.violations.map(violation => violation.rule), ['max']);
+});
+
+test('requestDirectCompletion posts the messages to the endpoint', async t => {
+    setup(t, { directApiUrl: 'http://localhost:8080', directApiModel: 'local' });
+    mockLocalStorage(t);
+    saveDirectApiKey('secret');
+
+    const previousFetch = globalThis.fetch;
+    t.after(() => {
+        globalThis.fetch = previousFetch;
+    });
+
+    const requests = [];
+    globalThis.fetch = async (url, options) => {
+        requests.push({ url, options });
+        return {
+            ok: true,
+            json: async () => ({ choices: [{ message: { content: '```json\n{}\n```' } }] })
+        };
+    };
+
+    const reply = await requestDirectCompletion([{ role: 'user', content: 'Hi' }]);
+    assert.equal(reply, '```json\n{}\n```');
+    assert.equal(requests[0].url, 'http://localhost:8080/v1/chat/completions');
+    assert.equal(requests[0].options.headers.Authorization, 'Bearer secret');
+    assert.deepEqual(JSON.parse(requests[0].options.body).messages, [{ role: 'user', content: 'Hi' }]);
+
+    globalThis.fetch = async () => ({ ok: false, status: 401, text: async () => 'Unauthorized' });
+    await assert.rejects(requestDirectCompletion([]), /returned 401: Unauthorized/);
+});
+
+test('loadSettings moves a saved API key out of the extension settings', t => {
+    const storage = mockLocalStorage(t);
+    const previous = globalThis.SillyTavern;
+    const settings = { 'story-tracker-sillytavern': { ...defaultSettings, directApiKey: 'secret' } };
+    let saves = 0;
+    globalThis.SillyTavern = { getContext: () => ({ settings, saveSettingsDebounced: () => { saves += 1; } }) };
+    t.after(() => {
+        globalThis.SillyTavern = previous;
+        setExtensionSettings({ ...defaultSettings });
+    });
+
+    loadSettings();
+
+    assert.equal(loadDirectApiKey(), 'secret');
+    assert.equal('directApiKey' in extensionSettings, false);
+    assert.equal('directApiKey' in settings['story-tracker-sillytavern'], false);
+    assert.equal(saves, 1);
+
+    saveDirectApiKey('');
+    assert.deepEqual(storage, {});
+});
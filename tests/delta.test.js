@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    isTrackerPatch,
+    normalizePatchOperations,
+    resolvePatchTarget,
+    applyTrackerPatch
+} from '../src/systems/generation/delta.js';
+import { createValidationReport } from '../src/core/validation.js';
+
+const baseTracker = {
+    sections: [
+        {
+            id: 'sec-cast',
+            name: 'Cast',
+            fields: [{ id: 'f-mood', name: 'Mood', value: 'Calm' }],
+            subsections: [
+                {
+                    id: 'sub-hero',
+                    name: 'Hero',
+                    fields: [
+                        { id: 'f-hp', name: 'HP', type: 'number', value: 10, constraints: { min: 0, max: 20 } },
+                        { id: 'f-oath', name: 'Oath', value: 'Kept', locked: true }
+                    ]
+                },
+                {
+                    id: 'sub-rival',
+                    name: 'Rival',
+                    fields: [{ id: 'f-rival-hp', name: 'HP', type: 'number', value: 8 }]
+                }
+            ]
+        }
+    ]
+};
+
+test('isTrackerPatch tells patches apart from full trackers', () => {
+    assert.equal(isTrackerPatch({ changes: {} }), true);
+    assert.equal(isTrackerPatch({ patch: [] }), true);
+    assert.equal(isTrackerPatch([{ op: 'replace', path: '/f-hp', value: 3 }]), true);
+    assert.equal(isTrackerPatch({ sections: [], changes: {} }), false);
+    assert.equal(isTrackerPatch([1, 2]), false);
+});
+
+test('normalizePatchOperations accepts keyed, nested and JSON-Patch shapes', () => {
+    assert.deepEqual(
+        normalizePatchOperations({ changes: { 'f-mood': 'Tense' } }).map(op => op.target),
+        [['f-mood']]
+    );
+    assert.deepEqual(
+        normalizePatchOperations({ changes: { Cast: { Hero: { HP: { value: 4 } } } } }).map(op => [op.target, op.value]),
+        [[['Cast', 'Hero', 'HP'], 4]]
+    );
+    assert.deepEqual(
+        normalizePatchOperations([{ op: 'replace', path: '/sec-cast/sub-hero/f-hp/value', value: 2 }]).map(op => op.target),
+        [['sec-cast', 'sub-hero', 'f-hp']]
+    );
+    assert.equal(normalizePatchOperations({ changes: 'everything' }), null);
+    assert.equal(normalizePatchOperations({ patch: [{ op: 'replace', path: '/f-hp' }] }), null);
+});
+
+test('resolvePatchTarget refuses ambiguous field names', () => {
+    assert.equal(resolvePatchTarget(baseTracker, ['hp']), null);
+    assert.equal(resolvePatchTarget(baseTracker, ['F-RIVAL-HP']).field.id, 'f-rival-hp');
+    assert.equal(resolvePatchTarget(baseTracker, ['cast', 'rival', 'hp']).field.id, 'f-rival-hp');
+    assert.equal(resolvePatchTarget(baseTracker, ['Cast', 'Mood']).field.id, 'f-mood');
+});
+
+test('applyTrackerPatch changes only patched fields and reports what it skipped', () => {
+    const report = createValidationReport();
+    const patched = applyTrackerPatch(baseTracker, {
+        changes: {
+            'f-hp': 99,
+            'f-oath': 'Broken',
+            'Cast > Unknown': 'x'
+        }
+    }, report);
+
+    const [hero, rival] = patched.sections[0].subsections;
+    assert.equal(hero.fields[0].value, 20, 'Values are clamped to constraints');
+    assert.equal(hero.fields[1].value, 'Kept', 'Locked fields are not patched');
+    assert.equal(rival.fields[0].value, 8);
+    assert.equal(patched.sections[0].fields[0].value, 'Calm');
+    assert.equal(baseTracker.sections[0].subsections[0].fields[0].value, 10, 'Base tracker is not mutated');
+
+    assert.deepEqual(report.violations.map(violation => violation.rule), ['max', 'patch']);
+    assert.equal(report.violations[1].path, 'Cast > Unknown');
+});
+
+test('applyTrackerPatch returns null for malformed patches', () => {
+    assert.equal(applyTrackerPatch(baseTracker, { changes: 42 }), null);
+    assert.equal(applyTrackerPatch(baseTracker, { sections: [] }), null);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffTrackerData, buildTrackerHistory } from '../src/core/history.js';
+
+function buildTracker(values) {
+    return {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Scene',
+                fields: [{ id: 'location', name: 'Location', value: values.location, prompt: '', type: 'text', enabled: true }],
+                subsections: [
+                    {
+                        id: 'sub-1',
+                        name: 'Weather',
+                        fields: [{ id: 'sky', name: 'Sky', value: values.sky, prompt: '', type: 'text', enabled: true }],
+                        collapsed: false
+                    }
+                ],
+                collapsed: false
+            }
+        ]
+    };
+}
+
+function assistantMessage(mes, trackerData, swipeId = 0) {
+    return {
+        name: 'Narrator',
+        is_user: false,
+        mes,
+        swipe_id: swipeId,
+        extra: { story_tracker_swipes: { [swipeId]: { trackerData } } }
+    };
+}
+
+test('diffTrackerData lists changed, added and removed fields', () => {
+    const previous = buildTracker({ location: 'Harbor', sky: 'Clear' });
+    const next = buildTracker({ location: 'Market', sky: 'Clear' });
+    next.sections[0].fields.push({ id: 'time', name: 'Time', value: 'Dusk', prompt: '', type: 'text', enabled: true });
+    next.sections[0].subsections = [];
+
+    const changes = diffTrackerData(previous, next);
+
+    assert.deepEqual(
+        changes.map(change => [change.kind, change.path, change.oldValue, change.newValue]),
+        [
+            ['changed', 'Scene > Location', 'Harbor', 'Market'],
+            ['added', 'Scene > Time', undefined, 'Dusk'],
+            ['removed', 'Scene > Weather > Sky', 'Clear', undefined]
+        ]
+    );
+});
+
+test('buildTrackerHistory diffs consecutive assistant snapshots', () => {
+    const chat = [
+        { name: 'User', is_user: true, mes: 'Hello' },
+        assistantMessage('We arrive at the harbor.', buildTracker({ location: 'Harbor', sky: 'Clear' })),
+        { name: 'User', is_user: true, mes: 'Go to the market' },
+        assistantMessage('No tracker here', null),
+        assistantMessage('<p>The market is busy.</p>', buildTracker({ location: 'Market', sky: 'Rain' }), 1)
+    ];
+    chat[3].extra = {};
+
+    const history = buildTrackerHistory(chat);
+
+    assert.equal(history.length, 2);
+    assert.equal(history[0].isInitial, true);
+    assert.deepEqual(history[0].changes, []);
+    assert.equal(history[1].messageIndex, 4);
+    assert.equal(history[1].swipeId, 1);
+    assert.equal(history[1].preview, 'The market is busy.');
+    assert.deepEqual(
+        history[1].changes.map(change => [change.path, change.oldValue, change.newValue]),
+        [
+            ['Scene > Location', 'Harbor', 'Market'],
+            ['Scene > Weather > Sky', 'Clear', 'Rain']
+        ]
+    );
+});
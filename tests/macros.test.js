@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultSettings } from '../src/core/config.js';
+import { setExtensionSettings, setCommittedTrackerData } from '../src/core/state.js';
+import { resolveTrackerMacros, onPromptReady } from '../src/systems/integration/macros.js';
+
+function buildTracker() {
+    return {
+        sections: [
+            {
+                id: 'world',
+                name: 'World',
+                fields: [{ id: 'loc', name: 'Location', value: 'Harbor', prompt: '', type: 'text' }],
+                subsections: [
+                    {
+                        id: 'sky',
+                        name: 'Sky',
+                        fields: [
+                            { id: 'weather', name: 'Weather', value: 'Rain', prompt: '', type: 'text' },
+                            { id: 'night', name: 'Night', value: true, prompt: '', type: 'boolean' }
+                        ]
+                    }
+                ]
+            }
+        ]
+    };
+}
+
+test('resolveTrackerMacros matches sections and fields by name or id, ignoring case', () => {
+    const trackerData = buildTracker();
+
+    assert.equal(resolveTrackerMacros('Current location: {{tracker::world::location}}', trackerData), 'Current location: Harbor');
+    assert.equal(resolveTrackerMacros('{{tracker::WORLD::Sky::weather}}', trackerData), 'Rain');
+    assert.equal(resolveTrackerMacros('{{Tracker :: world :: Night}}', trackerData), 'yes');
+    assert.equal(resolveTrackerMacros('{{tracker::world::loc}}', trackerData), 'Harbor');
+    assert.equal(resolveTrackerMacros('[{{tracker::World::Mood}}]', trackerData), '[]');
+    assert.equal(resolveTrackerMacros('{{tracker_section::world}}', trackerData), 'World:\n- Location: Harbor\nSky:\n- Weather: Rain\n- Night: yes');
+    assert.deepEqual(JSON.parse(resolveTrackerMacros('{{tracker_json}}', trackerData)), {
+        World: { Location: 'Harbor', Sky: { Weather: 'Rain', Night: true } }
+    });
+    assert.equal(resolveTrackerMacros('{{char}} stays {{user}}', trackerData), '{{char}} stays {{user}}');
+});
+
+test('tracker_section lists the fields a section holds directly', () => {
+    const trackerData = {
+        sections: [
+            {
+                id: 'status',
+                name: 'Status',
+                fields: [
+                    { id: 'hp', name: 'HP', value: 12, prompt: '', type: 'number' },
+                    { id: 'gold', name: 'Gold', value: 3, prompt: '', type: 'number', enabled: false }
+                ],
+                subsections: []
+            }
+        ]
+    };
+
+    assert.equal(resolveTrackerMacros('{{tracker::Status::HP}}', trackerData), '12');
+    assert.equal(resolveTrackerMacros('{{tracker_section::Status}}', trackerData), 'Status:\n- HP: 12');
+});
+
+test('onPromptReady resolves macros in chat and text completion prompts', t => {
+    t.after(() => {
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+    });
+    setExtensionSettings({ ...defaultSettings, enabled: true });
+    setCommittedTrackerData(buildTracker());
+
+    const chatPrompt = {
+        chat: [
+            { role: 'system', content: 'Scene: {{tracker::World::Location}}' },
+            { role: 'user', content: [{ type: 'text', text: 'Sky: {{tracker::World::Sky::Weather}}' }] }
+        ]
+    };
+    onPromptReady(chatPrompt);
+    assert.equal(chatPrompt.chat[0].content, 'Scene: Harbor');
+    assert.equal(chatPrompt.chat[1].content[0].text, 'Sky: Rain');
+
+    const textPrompt = { prompt: 'Location: {{tracker::world::location}}\n' };
+    onPromptReady(textPrompt);
+    assert.equal(textPrompt.prompt, 'Location: Harbor\n');
+});
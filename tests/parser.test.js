@@ -2,7 +2,7 @@ import { test } from 'node:test';
 import assert from 'node:assert/strict';
 
 import { defaultSettings } from '../src/core/config.js';
-import { setExtensionSettings } from '../src/core/state.js';
+import { setExtensionSettings, setCommittedTrackerData } from '../src/core/state.js';
 import { parseResponse } from '../src/systems/generation/parser.js';
 
 function buildSectionField(name, value, prompt = '') {
@@ -352,3 +352,458 @@ test('parseResponse extracts tracker data nested under tracker key', () => {
     assert.ok(trackerData, 'Expected tracker data to be parsed');
     assert.equal(trackerData.sections[0].fields[0].value, updatedValue);
 });
+
+test('parseResponse coerces model values into typed fields', () => {
+    const originalTracker = {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Status',
+                fields: [
+                    { ...buildSectionField('HP', 10, 'Hit points'), type: 'number' },
+                    { ...buildSectionField('Armed', false, 'Carrying a weapon'), type: 'boolean' },
+                    { ...buildSectionField('Mood', 'Calm', 'Current mood'), type: 'enum', options: ['Calm', 'Angry'] },
+                    { ...buildSectionField('Inventory', [], 'Carried items'), type: 'list' },
+                    { ...buildSectionField('Stamina', 5, 'Stamina level'), type: 'range', min: 0, max: 10, step: 1 }
+                ],
+                subsections: [],
+                collapsed: false
+            }
+        ]
+    };
+
+    setExtensionSettings({
+        ...defaultSettings,
+        trackerData: JSON.parse(JSON.stringify(originalTracker))
+    });
+
+    const updatedSnippet = {
+        sections: [
+            {
+                name: 'Status',
+                fields: {
+                    HP: { value: '12' },
+                    Armed: { value: 'yes' },
+                    Mood: { value: 'angry' },
+                    Inventory: { value: 'rope, lantern' },
+                    Stamina: { value: 14 }
+                }
+            }
+        ]
+    };
+
+    const responseText = `\`\`\`json\n${JSON.stringify(updatedSnippet)}\n\`\`\``;
+    const { trackerData } = parseResponse(responseText);
+    const values = Object.fromEntries(trackerData.sections[0].fields.map(field => [field.name, field.value]));
+
+    assert.equal(values.HP, 12);
+    assert.equal(values.Armed, true);
+    assert.equal(values.Mood, 'Angry');
+    assert.deepEqual(values.Inventory, ['rope', 'lantern']);
+    assert.equal(values.Stamina, 10, 'Range values should be clamped into their bounds');
+});
+
+test('parseResponse keeps the previous value when a typed value cannot be coerced', () => {
+    const originalTracker = {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Status',
+                fields: [
+                    { ...buildSectionField('HP', 10, 'Hit points'), type: 'number' },
+                    { ...buildSectionField('Mood', 'Calm', 'Current mood'), type: 'enum', options: ['Calm', 'Angry'] }
+                ],
+                subsections: [],
+                collapsed: false
+            }
+        ]
+    };
+
+    setExtensionSettings({
+        ...defaultSettings,
+        trackerData: JSON.parse(JSON.stringify(originalTracker))
+    });
+
+    const updatedSnippet = {
+        sections: [
+            {
+                name: 'Status',
+                fields: {
+                    HP: { value: 'about half' },
+                    Mood: { value: 'Elated' }
+                }
+            }
+        ]
+    };
+
+    const responseText = `\`\`\`json\n${JSON.stringify(updatedSnippet)}\n\`\`\``;
+    const { trackerData } = parseResponse(responseText);
+
+    assert.equal(trackerData.sections[0].fields[0].value, 10);
+    assert.equal(trackerData.sections[0].fields[1].value, 'Calm');
+});
+
+test('parseResponse reports constraint violations and keeps rejected values', () => {
+    const originalTracker = {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Status',
+                fields: [
+                    { ...buildSectionField('Gold', 20, 'Coins carried'), type: 'number', constraints: { min: 0, max: 100 } },
+                    { ...buildSectionField('Location', 'Harbor', 'Where the party is'), constraints: { allowedValues: ['Harbor', 'Market'] } }
+                ],
+                subsections: [],
+                collapsed: false
+            }
+        ]
+    };
+
+    setExtensionSettings({
+        ...defaultSettings,
+        validationPolicy: 'clamp',
+        trackerData: JSON.parse(JSON.stringify(originalTracker))
+    });
+
+    const updatedSnippet = {
+        sections: [
+            {
+                name: 'Status',
+                fields: {
+                    Gold: { value: 250 },
+                    Location: { value: 'Moon' }
+                }
+            }
+        ]
+    };
+
+    const { trackerData, validationReport } = parseResponse(`\`\`\`json\n${JSON.stringify(updatedSnippet)}\n\`\`\``);
+    const values = Object.fromEntries(trackerData.sections[0].fields.map(field => [field.name, field.value]));
+
+    assert.equal(values.Gold, 100, 'Out-of-range numbers should be clamped under the clamp policy');
+    assert.equal(values.Location, 'Harbor', 'Values outside allowedValues should be rejected');
+    assert.deepEqual(
+        validationReport.violations.map(violation => [violation.path, violation.rule, violation.action]),
+        [
+            ['Status > Gold', 'max', 'clamped'],
+            ['Status > Location', 'allowedValues', 'rejected']
+        ]
+    );
+});
+
+test('parseResponse ignores values returned for locked fields', () => {
+    const originalTracker = {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Cast',
+                fields: [
+                    { ...buildSectionField('Hero', 'Aria', 'Name of the hero'), locked: true },
+                    buildSectionField('Mood', 'Calm', 'Hero mood')
+                ],
+                subsections: [
+                    {
+                        id: 'sub-1',
+                        name: 'Family',
+                        locked: true,
+                        fields: [buildSectionField('Sister', 'Lena', 'Sister name')],
+                        collapsed: false
+                    }
+                ],
+                collapsed: false
+            }
+        ]
+    };
+
+    setExtensionSettings({
+        ...defaultSettings,
+        trackerData: JSON.parse(JSON.stringify(originalTracker))
+    });
+
+    const updatedSnippet = {
+        sections: [
+            {
+                name: 'Cast',
+                fields: { Hero: { value: 'Arya' }, Mood: { value: 'Tense' } },
+                subsections: [{ name: 'Family', fields: { Sister: { value: 'Lina' } } }]
+            }
+        ]
+    };
+
+    const { trackerData } = parseResponse(`\`\`\`json\n${JSON.stringify(updatedSnippet)}\n\`\`\``);
+    const section = trackerData.sections[0];
+
+    assert.equal(section.fields[0].value, 'Aria', 'Locked field values must not change');
+    assert.equal(section.fields[1].value, 'Tense');
+    assert.equal(section.subsections[0].fields[0].value, 'Lena', 'Fields in locked subsections must not change');
+});
+
+test('parseResponse keeps the values of disabled items untouched', () => {
+    const originalTracker = {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Cast',
+                fields: [
+                    { ...buildSectionField('Hero', 'Aria', 'Name of the hero'), enabled: false },
+                    buildSectionField('Mood', 'Calm', 'Hero mood')
+                ],
+                subsections: [
+                    {
+                        id: 'sub-1',
+                        name: 'Family',
+                        enabled: false,
+                        fields: [buildSectionField('Sister', 'Lena', 'Sister name')],
+                        collapsed: false
+                    }
+                ],
+                collapsed: false
+            },
+            {
+                id: 'section-2',
+                name: 'World',
+                enabled: false,
+                fields: [buildSectionField('Weather', 'Rain', 'Current weather')],
+                subsections: [],
+                collapsed: false
+            }
+        ]
+    };
+
+    setExtensionSettings({
+        ...defaultSettings,
+        trackerData: JSON.parse(JSON.stringify(originalTracker))
+    });
+
+    const updatedSnippet = {
+        sections: [
+            {
+                name: 'Cast',
+                fields: { Hero: { value: 'Arya' }, Mood: { value: 'Tense' } },
+                subsections: [{ name: 'Family', fields: { Sister: { value: 'Lina' } } }]
+            },
+            { name: 'World', fields: { Weather: { value: 'Sun' } } }
+        ]
+    };
+
+    const { trackerData } = parseResponse(`\`\`\`json\n${JSON.stringify(updatedSnippet)}\n\`\`\``);
+
+    assert.equal(trackerData.sections[0].fields[0].value, 'Aria', 'Disabled fields must not change');
+    assert.equal(trackerData.sections[0].fields[1].value, 'Tense');
+    assert.equal(trackerData.sections[0].subsections[0].fields[0].value, 'Lena', 'Fields in disabled subsections must not change');
+    assert.equal(trackerData.sections[1].fields[0].value, 'Rain', 'Fields in disabled sections must not change');
+    assert.equal(trackerData.sections[1].enabled, false);
+});
+
+test('parseResponse applies delta patches onto the committed tracker', t => {
+    t.after(() => setCommittedTrackerData(null));
+
+    const committed = {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Cast',
+                fields: [buildSectionField('Hero', 'Aria'), buildSectionField('Mood', 'Calm')],
+                subsections: [],
+                collapsed: false
+            }
+        ]
+    };
+    const live = JSON.parse(JSON.stringify(committed));
+    live.sections[0].fields[0].value = 'Changed by the previous swipe';
+
+    setExtensionSettings({ ...defaultSettings, trackerData: live });
+    setCommittedTrackerData(committed);
+
+    const patched = parseResponse('```json\n{"changes": {"Mood-id": "Tense"}}\n```\nThe story goes on.');
+    assert.equal(patched.trackerData.sections[0].fields[0].value, 'Aria');
+    assert.equal(patched.trackerData.sections[0].fields[1].value, 'Tense');
+    assert.equal(patched.cleanedText, 'The story goes on.');
+
+    const malformed = parseResponse('```json\n{"changes": "Mood is tense"}\n```');
+    assert.equal(malformed.trackerData, null, 'Malformed patches leave the tracker untouched');
+});
+
+test('parseResponse maps YAML and outline replies back onto the template', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+
+    const trackerData = {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Cast',
+                fields: [buildSectionField('Hero', 'Aria'), buildSectionField('Mood', 'Calm')],
+                subsections: [
+                    {
+                        id: 'subsection-1',
+                        name: 'Rival',
+                        fields: [buildSectionField('Name', 'Lena')]
+                    }
+                ],
+                collapsed: false
+            }
+        ]
+    };
+
+    setExtensionSettings({ ...defaultSettings, promptEncoding: 'yaml', trackerData });
+    const fromYaml = parseResponse('```yaml\nsections:\n  - name: Cast\n    fields:\n      Mood:\n        value: Tense\n```\nThe story goes on.');
+    assert.equal(fromYaml.trackerData.sections[0].fields[0].value, 'Aria');
+    assert.equal(fromYaml.trackerData.sections[0].fields[1].value, 'Tense');
+    assert.equal(fromYaml.cleanedText, 'The story goes on.');
+
+    setExtensionSettings({ ...defaultSettings, promptEncoding: 'outline', trackerData });
+    const fromOutline = parseResponse('```tracker\ncast > Mood: Alert: ready to fight\nCast > Rival > Name: Mira\n```\nNarrative.');
+    assert.equal(fromOutline.trackerData.sections[0].fields[0].value, 'Aria');
+    assert.equal(fromOutline.trackerData.sections[0].fields[1].value, 'Alert: ready to fight');
+    assert.equal(fromOutline.trackerData.sections[0].subsections[0].fields[0].value, 'Mira');
+    assert.equal(fromOutline.cleanedText, 'Narrative.');
+
+    const withSeparatorInValue = parseResponse('```tracker\nCast > Mood: torn between fear > anger\n```');
+    assert.equal(withSeparatorInValue.trackerData.sections[0].fields[1].value, 'torn between fear > anger');
+});
+
+test('parseResponse treats an empty outline block as no changes in delta mode', t => {
+    t.after(() => {
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+    });
+
+    const committed = {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Cast',
+                fields: [buildSectionField('Hero', 'Aria'), buildSectionField('Mood', 'Calm')],
+                subsections: [],
+                collapsed: false
+            }
+        ]
+    };
+    setExtensionSettings({ ...defaultSettings, promptEncoding: 'outline', updateProtocol: 'delta', trackerData: committed });
+    setCommittedTrackerData(committed);
+
+    const unchanged = parseResponse('```tracker\n```\nNothing happens.');
+    assert.deepEqual(unchanged.trackerData, committed);
+    assert.equal(unchanged.cleanedText, 'Nothing happens.');
+
+    const changed = parseResponse('```tracker\nCast > Mood: Tense\n```');
+    assert.equal(changed.trackerData.sections[0].fields[1].value, 'Tense');
+    assert.equal(changed.trackerData.sections[0].fields[0].value, 'Aria');
+});
+
+test('parseResponse extracts and strips a <tracker> XML block', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+
+    const trackerData = {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Cast',
+                fields: [buildSectionField('Hero', 'Aria'), buildSectionField('Mood', 'Calm')],
+                subsections: [
+                    {
+                        id: 'subsection-1',
+                        name: 'Rival',
+                        fields: [buildSectionField('Name', 'Lena'), buildSectionField('Plan', 'Unknown')]
+                    }
+                ],
+                collapsed: false
+            }
+        ]
+    };
+    setExtensionSettings({ ...defaultSettings, promptEncoding: 'xml', trackerData });
+
+    const response = [
+        '<tracker>',
+        '  <section name="cast">',
+        '    <field name="Mood">Wary &amp; tense</field>',
+        '    <subsection name="Rival">',
+        '      <field name="Name">Mira</field>',
+        '    </subsection>',
+        '  </section>',
+        '</tracker>',
+        '',
+        'The door creaks open.'
+    ].join('\n');
+
+    const result = parseResponse(response);
+    assert.equal(result.trackerData.sections[0].fields[0].value, 'Aria', 'Missing fields keep their values');
+    assert.equal(result.trackerData.sections[0].fields[1].value, 'Wary & tense');
+    assert.equal(result.trackerData.sections[0].subsections[0].fields[0].value, 'Mira');
+    assert.equal(result.trackerData.sections[0].subsections[0].fields[1].value, 'Unknown');
+    assert.equal(result.cleanedText, 'The door creaks open.');
+
+    const fenced = parseResponse('```xml\n<tracker><section name="Cast"><field name="Hero">Bryn</field></section></tracker>\n```\nLater.');
+    assert.equal(fenced.trackerData.sections[0].fields[0].value, 'Bryn');
+    assert.equal(fenced.cleanedText, 'Later.');
+});
+
+test('parseResponse repairs malformed JSON and records the repairs', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+
+    const trackerData = {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Cast',
+                fields: [buildSectionField('Hero', 'Aria'), buildSectionField('Mood', 'Calm')],
+                subsections: [],
+                collapsed: false
+            }
+        ]
+    };
+    setExtensionSettings({ ...defaultSettings, trackerData });
+
+    const sloppy = parseResponse('```json\n{sections: [{“name”: “Cast”, fields: {Mood: {value: "Tense",},},},],}\n```\nOnward.');
+    assert.equal(sloppy.trackerData.sections[0].fields[1].value, 'Tense');
+    assert.equal(sloppy.cleanedText, 'Onward.');
+    assert.deepEqual(sloppy.validationReport.repairs, ['Replaced smart quotes', 'Quoted unquoted keys', 'Removed trailing commas']);
+
+    const truncated = parseResponse('Scene text.\n```json\n{"sections": [{"name": "Cast", "fields": {"Hero": {"value": "Bryn"}, "Mood": {"value": "Ang');
+    assert.equal(truncated.trackerData.sections[0].fields[0].value, 'Bryn');
+    assert.equal(truncated.trackerData.sections[0].fields[1].value, 'Ang');
+    assert.equal(truncated.cleanedText, 'Scene text.');
+    assert.deepEqual(truncated.validationReport.repairs, ['Closed an unterminated string', 'Added 5 missing closing brackets']);
+
+    const quoted = parseResponse('```json\n{"sections": [{"name": "Cast", "fields": {"Mood": {"value": "She said “leave” quietly"},}}]}\n```');
+    assert.equal(quoted.trackerData.sections[0].fields[1].value, 'She said “leave” quietly');
+    assert.deepEqual(quoted.validationReport.repairs, ['Removed trailing commas']);
+
+    const smartValue = parseResponse('```json\n{“sections”: [{“name”: “Cast”, “fields”: {“Mood”: “She said “leave” quietly”}}]}\n```');
+    assert.equal(smartValue.trackerData.sections[0].fields[1].value, 'She said “leave” quietly');
+
+    const clean = parseResponse('```json\n{"sections": [{"name": "Cast", "fields": {"Mood": "Calm"}}]}\n```');
+    assert.deepEqual(clean.validationReport.repairs, []);
+
+    assert.equal(parseResponse('Just prose with a stray { brace.').trackerData, null);
+});
+
+test('parseResponse keeps usable values and reports schema mismatches', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+
+    const trackerData = {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Cast',
+                fields: [buildSectionField('Hero', 'Aria'), { ...buildSectionField('Level', 1), type: 'number' }],
+                subsections: [],
+                collapsed: false
+            }
+        ]
+    };
+    setExtensionSettings({ ...defaultSettings, trackerData });
+
+    const partial = parseResponse('```json\n{"sections": [{"name": "Cast", "fields": {"Hero": {"value": "Bryn"}, "Level": {"value": "two"}}}]}\n```');
+    assert.equal(partial.trackerData.sections[0].fields[0].value, 'Bryn');
+    assert.deepEqual(partial.validationReport.schemaErrors, [
+        { path: 'sections[0].fields.Level.value', message: 'expected a number but got a string "two"' }
+    ]);
+
+    const mismatched = parseResponse('```json\n{"sections": [{"name": "Crew", "fields": {"Hero": {"value": "Bryn"}}}]}\n```');
+    assert.equal(mismatched.trackerData, null);
+    assert.equal(
+        mismatched.parseError,
+        'The tracker JSON does not match the tracker schema: sections[0].name: "Crew" is not one of: Cast'
+    );
+});
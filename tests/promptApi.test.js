@@ -62,3 +62,21 @@ test('resolvePromptApi falls back when no usable prompt types are exposed', () =
         assert.equal(result.usedFallback, true, 'Expected usedFallback to flag the fallback usage.');
     });
 });
+
+test('resolvePromptApi accepts numeric prompt types and exposes prompt roles', () => {
+    const setter = () => {};
+    const context = {
+        setExtensionPrompt: setter,
+        extension_prompt_types: { NONE: -1, IN_PROMPT: 0, IN_CHAT: 1, BEFORE_PROMPT: 2 },
+        extension_prompt_roles: { SYSTEM: 0, USER: 1, ASSISTANT: 2 },
+    };
+
+    withSillyTavernContext(context, () => {
+        const result = resolvePromptApi();
+
+        assert.equal(result.types.IN_CHAT, 1, 'Expected the numeric IN_CHAT type to be used as is.');
+        assert.equal(result.types.IN_PROMPT, 0, 'Expected the other prompt positions to be kept.');
+        assert.equal(result.roles.ASSISTANT, 2, 'Expected the prompt roles to be resolved.');
+        assert.equal(result.usedFallback, false, 'Expected to avoid using the static fallback types.');
+    });
+});
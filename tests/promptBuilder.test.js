@@ -72,3 +72,132 @@ test('generateTrackerPrompt emphasises mandatory tracker JSON block', t => {
         'Prompt should embed the current tracker state so the model can update it.'
     );
 });
+
+test('generateTrackerPrompt marks locked fields and containers as read-only', t => {
+    t.after(() => {
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+    });
+
+    const lockedTracker = JSON.parse(JSON.stringify(sampleTracker));
+    lockedTracker.sections[0].fields[0].locked = true;
+    lockedTracker.sections[0].subsections[0].locked = true;
+
+    setExtensionSettings({ ...defaultSettings, trackerData: lockedTracker });
+    setCommittedTrackerData(lockedTracker);
+
+    const prompt = generateTrackerPrompt(false, null, { includeNarrative: false });
+    const payload = JSON.parse(prompt.match(/```json\n([\s\S]*?)\n```/)[1]);
+
+    assert.equal(payload.sections[0].fields.Morale.readOnly, true);
+    assert.equal(payload.sections[0].subsections[0].readOnly, true);
+    assert.equal(payload.sections[0].subsections[0].fields.Injuries.readOnly, true);
+    assert.equal(payload.sections[0].readOnly, undefined);
+    assert.equal(payload.sections[0].subsections[0].locked, undefined);
+    assert.match(prompt, /marked "readOnly": true are established facts/);
+});
+
+test('generateTrackerPrompt leaves disabled sections, subsections and fields out', t => {
+    t.after(() => {
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+    });
+
+    const tracker = JSON.parse(JSON.stringify(sampleTracker));
+    tracker.sections[0].fields[0].enabled = false;
+    tracker.sections[0].subsections[0].enabled = false;
+    tracker.sections.push({ id: 'section-hidden', name: 'Secrets', enabled: false, fields: [], subsections: [], collapsed: false });
+
+    setExtensionSettings({ ...defaultSettings, trackerData: tracker });
+    setCommittedTrackerData(tracker);
+
+    const prompt = generateTrackerPrompt(false, null, { includeNarrative: false });
+    const payload = JSON.parse(prompt.match(/```json\n([\s\S]*?)\n```/)[1]);
+
+    assert.equal(payload.sections.length, 1);
+    assert.equal(payload.sections[0].fields.Morale, undefined);
+    assert.deepEqual(payload.sections[0].subsections, []);
+    assert.equal(payload.sections[0].enabled, undefined);
+    assert.doesNotMatch(prompt, /Secrets/);
+});
+
+test('generateTrackerPrompt asks for a patch of field ids in delta mode', t => {
+    t.after(() => {
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+    });
+
+    setExtensionSettings({ ...defaultSettings, updateProtocol: 'delta', trackerData: sampleTracker });
+    setCommittedTrackerData(sampleTracker);
+
+    const prompt = generateTrackerPrompt(false, null, { includeNarrative: false });
+    const payload = JSON.parse(prompt.match(/```json\n([\s\S]*?)\n```/)[1]);
+
+    assert.equal(payload.sections[0].fields.Morale.id, 'field_1');
+    assert.equal(payload.sections[0].subsections[0].fields.Injuries.id, 'field_2');
+    assert.match(prompt, /only the fields whose values changed/);
+    assert.doesNotMatch(prompt, /entire tracker data/);
+});
+
+test('generateTrackerPrompt encodes the tracker as compact JSON, YAML or an outline', t => {
+    t.after(() => {
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+    });
+
+    setCommittedTrackerData(sampleTracker);
+    setExtensionSettings({ ...defaultSettings, promptEncoding: 'compact-json', trackerData: sampleTracker });
+    const compact = generateTrackerPrompt(false, null, { includeNarrative: false });
+    assert.match(compact, /```json\n\{"sections":\[\{"id":"section_1","name":"Crew Status"/);
+
+    setExtensionSettings({ ...defaultSettings, promptEncoding: 'yaml', trackerData: sampleTracker });
+    const yaml = generateTrackerPrompt(false, null, { includeNarrative: false });
+    assert.match(yaml, /```yaml\nsections:\n {2}- id: section_1\n {4}name: Crew Status/);
+    assert.match(yaml, /Return only the updated tracker data as a ```yaml code block/);
+
+    setExtensionSettings({ ...defaultSettings, promptEncoding: 'outline', trackerData: sampleTracker });
+    const outline = generateTrackerPrompt(false, null, { includeNarrative: false });
+    assert.match(outline, /```tracker\nCrew Status > Morale: Hopeful\nCrew Status > Health > Injuries: None\n```/);
+    assert.match(outline, /Field guide:\n- Crew Status > Morale: Overall morale of the crew\./);
+    assert.match(outline, /one "Section > Field: value" line for every field/);
+    assert.doesNotMatch(outline, /"prompt"/);
+});
+
+test('generateTrackerPrompt asks for a <tracker> block in XML mode', t => {
+    t.after(() => {
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+    });
+
+    setCommittedTrackerData(sampleTracker);
+    setExtensionSettings({ ...defaultSettings, promptEncoding: 'xml', trackerData: sampleTracker });
+
+    const prompt = generateTrackerPrompt(false, null, { includeNarrative: true });
+    assert.match(prompt, /Always begin your reply with the updated tracker inside <tracker>…<\/tracker> tags/);
+    assert.match(prompt, /<section name="Crew Status">\n {4}<field name="Morale" prompt="Overall morale of the crew\.">Hopeful<\/field>/);
+    assert.match(prompt, /<subsection name="Health">\n {6}<field name="Injuries"/);
+    assert.match(prompt, /After closing the <\/tracker> tag, continue the narrative/);
+    assert.doesNotMatch(prompt, /```/);
+});
+
+test('generateTrackerPrompt embeds the tracker JSON Schema when enabled', t => {
+    t.after(() => {
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+    });
+
+    setExtensionSettings({ ...defaultSettings, trackerData: sampleTracker, embedJsonSchema: true });
+    setCommittedTrackerData(sampleTracker);
+
+    const prompt = generateTrackerPrompt(false);
+    const match = prompt.match(/Your JSON reply must match this JSON Schema:\n```json\n(.+)\n```/);
+    assert.ok(match, 'Prompt should embed the schema in its own code block.');
+    const schema = JSON.parse(match[1]);
+    assert.deepEqual(schema.properties.sections.items.anyOf[0].properties.name.enum, ['Crew Status']);
+
+    setExtensionSettings({ ...defaultSettings, trackerData: sampleTracker, embedJsonSchema: true, promptEncoding: 'outline' });
+    assert.doesNotMatch(generateTrackerPrompt(false), /JSON Schema/);
+
+    setExtensionSettings({ ...defaultSettings, trackerData: sampleTracker });
+    assert.doesNotMatch(generateTrackerPrompt(false), /JSON Schema/);
+});
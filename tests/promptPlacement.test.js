@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultSettings } from '../src/core/config.js';
+import { setExtensionSettings, setCommittedTrackerData } from '../src/core/state.js';
+import { getPromptPlacement, applyPlacementTemplate } from '../src/systems/generation/promptPlacement.js';
+import { onGenerationStarted } from '../src/systems/generation/injector.js';
+
+function buildTracker() {
+    return {
+        sections: [
+            {
+                id: 'world',
+                name: 'World',
+                fields: [],
+                subsections: [{ id: 'place', name: 'Place', fields: [{ id: 'loc', name: 'Location', value: 'Harbor', prompt: '', type: 'text' }] }]
+            }
+        ]
+    };
+}
+
+function mockPromptApi(t) {
+    const originalSillyTavern = globalThis.SillyTavern;
+    const calls = [];
+    globalThis.SillyTavern = {
+        getContext: () => ({
+            chat: [],
+            extension_prompt_types: { NONE: -1, IN_PROMPT: 0, IN_CHAT: 1, BEFORE_PROMPT: 2 },
+            extension_prompt_roles: { SYSTEM: 0, USER: 1, ASSISTANT: 2 },
+            setExtensionPrompt: (key, value, position, depth, scan = false, role = 0) => {
+                calls.push({ key, value, position, depth, scan, role });
+            }
+        })
+    };
+    t.after(() => {
+        globalThis.SillyTavern = originalSillyTavern;
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+    });
+    return calls;
+}
+
+test('getPromptPlacement falls back to the defaults for missing or invalid values', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+    setExtensionSettings({
+        ...defaultSettings,
+        promptInjection: { separate: { context: { position: 'sideways', depth: 4, role: 'user', template: '<t>{{content}}</t>' } } }
+    });
+
+    assert.deepEqual(getPromptPlacement('separate', 'context'), { position: 'in-chat', depth: 4, role: 'user', scan: false, template: '<t>{{content}}</t>' });
+    assert.deepEqual(getPromptPlacement('together', 'instructions'), defaultSettings.promptInjection.together.instructions);
+});
+
+test('applyPlacementTemplate wraps non-empty text only', () => {
+    assert.equal(applyPlacementTemplate('[Tracker]\n{{ content }}\n[/Tracker]', 'HP: 5'), '[Tracker]\nHP: 5\n[/Tracker]');
+    assert.equal(applyPlacementTemplate('Tracker:', 'HP: 5'), 'Tracker:\nHP: 5');
+    assert.equal(applyPlacementTemplate('{{content}} costs $&', 'HP'), 'HP costs $&');
+    assert.equal(applyPlacementTemplate('[Tracker]{{content}}', ''), '');
+    assert.equal(applyPlacementTemplate('', 'HP: 5'), 'HP: 5');
+});
+
+test('onGenerationStarted injects the context at the separate mode placement', t => {
+    const calls = mockPromptApi(t);
+    setExtensionSettings({
+        ...defaultSettings,
+        generationMode: 'separate',
+        trackerData: buildTracker(),
+        promptInjection: {
+            ...defaultSettings.promptInjection,
+            separate: { context: { position: 'before-prompt', depth: 3, role: 'assistant', scan: true, template: '<tracker>\n{{content}}\n</tracker>' } }
+        }
+    });
+    setCommittedTrackerData(buildTracker());
+
+    onGenerationStarted();
+
+    const context = calls.find(call => call.key === 'story-tracker-context');
+    assert.equal(context.position, 2);
+    assert.equal(context.depth, 3);
+    assert.equal(context.role, 2);
+    assert.equal(context.scan, true);
+    assert.match(context.value, /^<tracker>\nCurrent tracker state[\s\S]*- Location: Harbor\n<\/tracker>$/);
+    assert.equal(calls.find(call => call.key === 'story-tracker-inject').value, '');
+});
+
+test('onGenerationStarted keeps the default in-chat placement in together mode', t => {
+    const calls = mockPromptApi(t);
+    setExtensionSettings({ ...defaultSettings, generationMode: 'together', trackerData: buildTracker() });
+    setCommittedTrackerData(buildTracker());
+
+    onGenerationStarted();
+
+    const instructions = calls.find(call => call.key === 'story-tracker-inject');
+    assert.deepEqual(
+        { position: instructions.position, depth: instructions.depth, role: instructions.role, scan: instructions.scan },
+        { position: 1, depth: 0, role: 0, scan: false }
+    );
+    assert.ok(instructions.value.includes('Harbor'));
+});
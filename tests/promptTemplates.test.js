@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultSettings } from '../src/core/config.js';
+import { setExtensionSettings } from '../src/core/state.js';
+import {
+    DEFAULT_PROMPT_TEMPLATES,
+    normalizePromptTemplates,
+    renderPromptTemplate
+} from '../src/systems/generation/promptTemplates.js';
+import { generateTrackerPrompt, buildTrackerContext } from '../src/systems/generation/promptBuilder.js';
+
+function buildTracker() {
+    return {
+        sections: [
+            {
+                id: 'world',
+                name: 'World',
+                fields: [],
+                subsections: [{ id: 'place', name: 'Place', fields: [{ id: 'loc', name: 'Location', value: 'Harbor', prompt: '', type: 'text' }] }]
+            }
+        ]
+    };
+}
+
+function mockNames(t) {
+    const originalSillyTavern = globalThis.SillyTavern;
+    globalThis.SillyTavern = { getContext: () => ({ chat: [], name1: 'Ann', name2: 'Bo' }) };
+    t.after(() => {
+        globalThis.SillyTavern = originalSillyTavern;
+        setExtensionSettings({ ...defaultSettings });
+    });
+}
+
+test('renderPromptTemplate fills known placeholders and leaves the rest', () => {
+    assert.equal(
+        renderPromptTemplate('{{ user }} and {{CHAR}} ({{mode}}) {{random}}', { user: 'Ann', char: 'Bo', mode: 'separate' }),
+        'Ann and Bo (separate) {{random}}'
+    );
+    assert.equal(renderPromptTemplate('{{tracker_json}}', { tracker_json: '{"a":"{{user}} $&"}', user: 'Ann' }), '{"a":"{{user}} $&"}');
+});
+
+test('normalizePromptTemplates keeps only customized templates', () => {
+    assert.deepEqual(
+        normalizePromptTemplates({ update: DEFAULT_PROMPT_TEMPLATES.update, context: '  ', rules: 'Rules:\n{{field_rules}}', unknown: 'x' }),
+        { rules: 'Rules:\n{{field_rules}}' }
+    );
+    assert.deepEqual(normalizePromptTemplates(null), {});
+});
+
+test('saved templates replace the update prompt and context header', t => {
+    mockNames(t);
+    setExtensionSettings({
+        ...defaultSettings,
+        generationMode: 'separate',
+        promptTemplates: {
+            update: 'Tracker for {{user}} and {{char}} in {{mode}} mode:\n{{tracker_json}}',
+            context: '[{{char}} tracker]\n{{tracker_summary}}'
+        }
+    });
+
+    const prompt = generateTrackerPrompt(false, buildTracker());
+    assert.match(prompt, /^Tracker for Ann and Bo in separate mode:\n/);
+    assert.ok(prompt.includes('"Harbor"'));
+    assert.ok(!prompt.includes('Instructions:'));
+
+    assert.equal(buildTrackerContext(buildTracker()), '[Bo tracker]\nWorld:\nPlace:\n- Location: Harbor');
+});
+
+test('template overrides passed as options win over the saved templates', t => {
+    mockNames(t);
+    setExtensionSettings({ ...defaultSettings, promptTemplates: { context: 'Saved:\n{{tracker_summary}}' } });
+
+    assert.equal(buildTrackerContext(buildTracker(), { templates: {} }), buildTrackerContext(buildTracker(), { templates: DEFAULT_PROMPT_TEMPLATES }));
+    assert.match(buildTrackerContext(buildTracker()), /^Saved:\n/);
+    assert.match(
+        generateTrackerPrompt(false, buildTracker(), { systemPrompt: 'Draft prompt', templates: { instructions: '{{system_prompt}}', update: '{{instructions}}' } }),
+        /^Draft prompt$/
+    );
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultSettings } from '../src/core/config.js';
+import * as state from '../src/core/state.js';
+import { setProposalDecision } from '../src/core/proposals.js';
+import { receiveTrackerUpdate, resolvePendingProposal } from '../src/systems/generation/trackerUpdates.js';
+
+function buildTracker(location, mood) {
+    return {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Scene',
+                fields: [
+                    { id: 'location', name: 'Location', value: location, prompt: '', type: 'text', enabled: true },
+                    { id: 'mood', name: 'Mood', value: mood, prompt: '', type: 'text', enabled: true }
+                ],
+                subsections: [],
+                collapsed: false
+            }
+        ]
+    };
+}
+
+function values(data) {
+    return Object.fromEntries(data.sections[0].fields.map(field => [field.id, field.value]));
+}
+
+test('review mode holds updates until accepted and stores only accepted values', () => {
+    const message = { is_user: false, mes: 'The market is loud.', swipe_id: 0, extra: {} };
+    globalThis.SillyTavern = { getContext: () => ({ chat: [message] }) };
+
+    state.setExtensionSettings({ ...defaultSettings, reviewUpdates: true, trackerData: buildTracker('Harbor', 'Calm') });
+    state.syncTrackerBaselines();
+
+    const outcome = receiveTrackerUpdate(
+        { trackerData: buildTracker('Market', 'Angry'), validationReport: null },
+        { source: 'together', message, messageIndex: 0 }
+    );
+
+    assert.equal(outcome, 'pending');
+    assert.deepEqual(values(state.extensionSettings.trackerData), { location: 'Harbor', mood: 'Calm' });
+    assert.equal(message.extra.story_tracker_swipes, undefined, 'Nothing is stored before review');
+    assert.deepEqual(state.pendingProposal.changes.map(change => change.fieldId), ['location', 'mood']);
+
+    setProposalDecision(state.pendingProposal, 'mood', false);
+    assert.equal(resolvePendingProposal(), true);
+
+    assert.equal(state.pendingProposal, null);
+    assert.deepEqual(values(state.extensionSettings.trackerData), { location: 'Market', mood: 'Calm' });
+    assert.deepEqual(values(message.extra.story_tracker_swipes[0].trackerData), { location: 'Market', mood: 'Calm' });
+
+    delete globalThis.SillyTavern;
+});
+
+test('updates are applied directly when review mode is off', () => {
+    const message = { is_user: false, mes: 'Hi', swipe_id: 0, extra: {} };
+    state.setExtensionSettings({ ...defaultSettings, reviewUpdates: false, trackerData: buildTracker('Harbor', 'Calm') });
+    state.syncTrackerBaselines();
+
+    const outcome = receiveTrackerUpdate(
+        { trackerData: buildTracker('Market', 'Calm'), validationReport: null },
+        { source: 'separate', message, messageIndex: 0 }
+    );
+
+    assert.equal(outcome, 'applied');
+    assert.equal(state.pendingProposal, null);
+    assert.deepEqual(values(state.extensionSettings.trackerData), { location: 'Market', mood: 'Calm' });
+    assert.deepEqual(values(state.committedTrackerData), { location: 'Market', mood: 'Calm' });
+    assert.deepEqual(values(message.extra.story_tracker_swipes[0].trackerData), { location: 'Market', mood: 'Calm' });
+});
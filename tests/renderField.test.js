@@ -1,5 +1,6 @@
 import { strict as assert } from 'node:assert';
-import { renderField } from '../src/systems/rendering/tracker.js';
+import { renderField, renderSection } from '../src/systems/rendering/tracker.js';
+import { setLastUpdateChanges } from '../src/core/state.js';
 
 function stripWhitespace(value) {
     return value.replace(/\s+/g, ' ');
@@ -22,3 +23,25 @@ assert.ok(stripWhitespace(nullFieldHtml).includes('>...<'), 'Null value should f
 
 const emptyStringFieldHtml = renderField({ ...baseField, id: 'empty', value: '' });
 assert.ok(stripWhitespace(emptyStringFieldHtml).includes('>...<'), 'Empty string should fall back to ellipsis');
+
+const checkboxHtml = renderField({ ...baseField, id: 'flag', type: 'boolean', value: 'yes' });
+assert.ok(/type="checkbox"[^>]*checked/.test(checkboxHtml), 'Boolean fields should render a checked checkbox');
+
+const stepperHtml = renderField({ ...baseField, id: 'hp', type: 'range', value: 5, min: 0, max: 10 });
+assert.ok(stripWhitespace(stepperHtml).includes('>5 / 10<'), 'Range fields should render their value with the upper bound');
+assert.ok(stepperHtml.includes('data-action="step-field"'), 'Range fields should render stepper buttons');
+
+const chipsHtml = renderField({ ...baseField, id: 'items', type: 'list', value: ['rope', 'lantern'] });
+assert.ok(chipsHtml.includes('>rope<') && chipsHtml.includes('>lantern<'), 'List fields should render each item as a chip');
+
+setLastUpdateChanges([
+    { kind: 'changed', sectionId: 'section-1', fieldId: 'mood', fieldName: 'Mood', path: 'Scene > Mood', oldValue: 'Calm', newValue: 'Angry' }
+]);
+const changedFieldHtml = renderField({ ...baseField, id: 'mood', value: 'Angry' });
+assert.ok(changedFieldHtml.includes('story-tracker-field-changed'), 'Fields changed by the last update should be marked');
+assert.ok(changedFieldHtml.includes('title="was: Calm"'), 'Changed fields should show their previous value');
+assert.ok(!renderField({ ...baseField, id: 'other', value: 'x' }).includes('story-tracker-field-changed'), 'Unchanged fields should not be marked');
+
+const sectionHtml = renderSection({ id: 'section-1', name: 'Scene', fields: [{ ...baseField, id: 'mood', value: 'Angry' }], subsections: [] });
+assert.ok(sectionHtml.includes('class="story-tracker-section-changes" title="1 change since last message">1<'), 'Section headers should count changes');
+setLastUpdateChanges(null);
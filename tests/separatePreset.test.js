@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultSettings } from '../src/core/config.js';
+import { setExtensionSettings } from '../src/core/state.js';
+import { runWithSeparatePreset, getSeparatePresetConfig } from '../src/systems/generation/separatePreset.js';
+
+function installContext(t, { profile = 'Chat', preset = 'Creative' } = {}) {
+    const previous = globalThis.SillyTavern;
+    const log = [];
+    const state = { profile, preset };
+
+    globalThis.SillyTavern = {
+        getContext: () => ({
+            executeSlashCommandsWithOptions: async command => {
+                log.push(command);
+                const match = command.match(/^\/profile await=true "(.*)"$/);
+                if (match) {
+                    state.profile = match[1];
+                    return { pipe: state.profile };
+                }
+                return { pipe: state.profile };
+            },
+            getPresetManager: () => ({
+                getSelectedPresetName: () => state.preset,
+                findPreset: name => (['Creative', 'Precise'].includes(name) ? `value:${name}` : undefined),
+                selectPreset: value => {
+                    state.preset = value.replace('value:', '');
+                    log.push(`preset ${state.preset}`);
+                }
+            })
+        })
+    };
+
+    t.after(() => {
+        globalThis.SillyTavern = previous;
+        setExtensionSettings({ ...defaultSettings });
+    });
+
+    return { log, state };
+}
+
+test('runWithSeparatePreset leaves the connection alone when disabled', async t => {
+    const { log } = installContext(t);
+    setExtensionSettings({ ...defaultSettings, useSeparatePreset: false, separateConnectionProfile: 'Cheap' });
+
+    assert.equal(getSeparatePresetConfig(), null);
+    const result = await runWithSeparatePreset(async overrides => overrides);
+    assert.deepEqual(result, {});
+    assert.deepEqual(log, []);
+});
+
+test('runWithSeparatePreset switches profile and preset for the call and restores them', async t => {
+    const { log, state } = installContext(t);
+    setExtensionSettings({
+        ...defaultSettings,
+        useSeparatePreset: true,
+        separateConnectionProfile: 'Cheap',
+        separateCompletionPreset: 'Precise',
+        separateMaxTokens: 300
+    });
+
+    const seen = await runWithSeparatePreset(async overrides => ({ ...state, overrides }));
+
+    assert.deepEqual(seen, { profile: 'Cheap', preset: 'Precise', overrides: { responseLength: 300 } });
+    assert.deepEqual(state, { profile: 'Chat', preset: 'Creative' });
+    assert.deepEqual(log, [
+        '/profile',
+        '/profile await=true "Cheap"',
+        'preset Precise',
+        'preset Creative',
+        '/profile await=true "Chat"'
+    ]);
+});
+
+test('runWithSeparatePreset restores the chat settings when the call fails', async t => {
+    const { state } = installContext(t);
+    setExtensionSettings({ ...defaultSettings, useSeparatePreset: true, separateConnectionProfile: 'Cheap' });
+
+    await assert.rejects(runWithSeparatePreset(async () => {
+        throw new Error('Network down');
+    }), /Network down/);
+    assert.equal(state.profile, 'Chat');
+});
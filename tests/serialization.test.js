@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    serializeTrackerData,
+    parseTrackerData,
+    detectTrackerDataFormat,
+    getFormatFileExtension
+} from '../src/core/serialization.js';
+
+const defaultTracker = JSON.parse(readFileSync(new URL('../data/default-tracker.json', import.meta.url), 'utf8'));
+const defaultTrackerYaml = readFileSync(new URL('../data/default-tracker.yaml', import.meta.url), 'utf8');
+
+const typedTracker = {
+    sections: [
+        {
+            id: 'section-1',
+            name: 'Party',
+            collapsed: false,
+            locked: true,
+            fields: [
+                { id: 'gold', name: 'Gold', type: 'number', value: 42, prompt: 'Coins carried' },
+                { id: 'tags', name: 'Tags', type: 'list', value: ['brave', 'tired'], prompt: 'Traits,\nkeep it short' },
+                { id: 'code', name: 'Code', value: '007', prompt: '' },
+                { id: 'note', name: 'Note', value: 'Said: "hi" # not a comment', prompt: 'Last words' }
+            ],
+            subsections: [
+                {
+                    id: 'sub-1',
+                    name: 'Hero',
+                    collapsed: true,
+                    fields: [
+                        { id: 'alive', name: 'Alive', type: 'boolean', value: true, prompt: 'Still alive?' },
+                        { id: 'mood', name: 'Mood', type: 'enum', options: ['calm', 'angry'], value: 'calm', prompt: 'Mood' },
+                        { id: 'empty', name: 'Empty', value: '', prompt: 'Nothing yet' }
+                    ]
+                }
+            ]
+        }
+    ]
+};
+
+test('parseTrackerData reads the bundled YAML tracker', () => {
+    assert.deepEqual(parseTrackerData(defaultTrackerYaml, 'yaml'), defaultTracker);
+});
+
+for (const format of ['json', 'yaml', 'markdown']) {
+    test(`${format} serialization round-trips tracker data`, () => {
+        const text = serializeTrackerData(typedTracker, format);
+        assert.deepEqual(parseTrackerData(text, format), typedTracker);
+        assert.equal(detectTrackerDataFormat(text), format);
+    });
+}
+
+test('Markdown output is a readable outline', () => {
+    const text = serializeTrackerData(typedTracker, 'markdown');
+    assert.match(text, /^## Party$/m);
+    assert.match(text, /^### Hero$/m);
+    assert.match(text, /^- \*\*Gold\*\*: 42$/m);
+    assert.match(text, /^ {2}- _Prompt_: Coins carried$/m);
+});
+
+test('detectTrackerDataFormat prefers the file extension', () => {
+    assert.equal(detectTrackerDataFormat('{}', 'tracker.yml'), 'yaml');
+    assert.equal(detectTrackerDataFormat('sections: []', 'tracker.MD'), 'markdown');
+    assert.equal(detectTrackerDataFormat('sections: []', 'tracker.txt'), 'yaml');
+    assert.equal(getFormatFileExtension('markdown'), 'md');
+    assert.equal(getFormatFileExtension('unknown'), 'json');
+});
+
+test('parseTrackerData reports YAML syntax errors with a line number', () => {
+    assert.throws(() => parseTrackerData('sections:\n  - name: A\n   bad: indent', 'yaml'), /line 3/);
+});
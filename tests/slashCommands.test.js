@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultSettings } from '../src/core/config.js';
+import { extensionSettings, setExtensionSettings } from '../src/core/state.js';
+import {
+    resolveFieldPath,
+    parseAssignment,
+    formatPipeValue,
+    registerSlashCommands
+} from '../src/systems/integration/slashCommands.js';
+
+function buildTracker() {
+    return {
+        sections: [
+            {
+                id: 'stats',
+                name: 'Stats',
+                fields: [{ id: 'hp', name: 'HP', value: 10, prompt: '', type: 'range', min: 0, max: 20 }],
+                subsections: [
+                    {
+                        id: 'bag',
+                        name: 'Bag',
+                        fields: [{ id: 'items', name: 'Items', value: ['rope', 'torch'], prompt: '', type: 'list' }]
+                    }
+                ]
+            }
+        ]
+    };
+}
+
+function setupCommands(t) {
+    const originalSillyTavern = globalThis.SillyTavern;
+    const commands = {};
+    globalThis.SillyTavern = {
+        getContext: () => ({
+            registerSlashCommand: (name, callback) => {
+                commands[name] = callback;
+            }
+        })
+    };
+    t.after(() => {
+        globalThis.SillyTavern = originalSillyTavern;
+        setExtensionSettings({ ...defaultSettings });
+    });
+
+    setExtensionSettings({ ...defaultSettings, trackerData: buildTracker() });
+    assert.equal(registerSlashCommands(), true);
+    return commands;
+}
+
+test('resolveFieldPath finds fields by name, ignoring case', () => {
+    const trackerData = buildTracker();
+
+    assert.equal(resolveFieldPath('stats.hp', trackerData).field.id, 'hp');
+    assert.equal(resolveFieldPath('Stats.Bag.Items', trackerData).field.id, 'items');
+    assert.equal(resolveFieldPath('Stats.items', trackerData).subsection.id, 'bag');
+    assert.equal(resolveFieldPath('Stats.Mana', trackerData), null);
+    assert.equal(resolveFieldPath('Stats', trackerData), null);
+});
+
+test('parseAssignment and formatPipeValue produce pipe-friendly text', () => {
+    assert.deepEqual(parseAssignment('Stats.HP = a=b'), { path: 'Stats.HP', value: 'a=b' });
+    assert.equal(parseAssignment('Stats.HP'), null);
+    assert.equal(formatPipeValue(['rope', 'torch']), '["rope","torch"]');
+    assert.equal(formatPipeValue(false), 'false');
+    assert.equal(formatPipeValue(null), '');
+});
+
+test('/tracker-get and /tracker-set read and write fields', t => {
+    const commands = setupCommands(t);
+
+    assert.equal(commands['tracker-get']({}, 'stats.bag.items'), '["rope","torch"]');
+    assert.equal(commands['tracker-set']({}, 'Stats.HP=25'), '20');
+    assert.equal(extensionSettings.trackerData.sections[0].fields[0].value, 20);
+    assert.throws(() => commands['tracker-set']({}, 'Stats.HP=lots'), /Expected a number/);
+    assert.throws(() => commands['tracker-get']({}, 'Stats.Mana'), /No tracker field at "Stats.Mana"/);
+});
+
+test('/tracker-add-field adds a typed field with a starting value', t => {
+    const commands = setupCommands(t);
+
+    assert.equal(commands['tracker-add-field']({ type: 'number', value: '3' }, 'Stats.Bag.Potions'), '3');
+    const field = resolveFieldPath('Stats.Bag.Potions').field;
+    assert.equal(field.type, 'number');
+    assert.equal(field.value, 3);
+    assert.throws(() => commands['tracker-add-field']({}, 'Stats.Bag.Potions'), /already has a field/);
+    assert.throws(() => commands['tracker-add-field']({}, 'Quests.Goal'), /No tracker section named "Quests"/);
+});
+
+test('/tracker-mode and /tracker-export return text for the pipe', t => {
+    const commands = setupCommands(t);
+
+    assert.equal(commands['tracker-mode']({}, ''), 'together');
+    assert.equal(commands['tracker-mode']({}, 'Separate'), 'separate');
+    assert.equal(extensionSettings.generationMode, 'separate');
+    assert.throws(() => commands['tracker-mode']({}, 'sometimes'), /Unknown generation mode/);
+
+    assert.deepEqual(JSON.parse(commands['tracker-export']({ format: 'json' })), buildTracker());
+    assert.match(commands['tracker-export']({ format: 'markdown' }), /^# Story Tracker/);
+    assert.throws(() => commands['tracker-export']({ format: 'xml' }), /Unknown export format/);
+});
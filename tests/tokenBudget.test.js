@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setExtensionSettings } from '../src/core/state.js';
+import { defaultSettings } from '../src/core/config.js';
+import {
+    countTokens,
+    estimateTrackerTokens,
+    fitTrackerToBudget
+} from '../src/systems/generation/tokenBudget.js';
+
+function buildSection(id, name, priority, fieldCount) {
+    return {
+        id,
+        name,
+        ...(priority ? { priority } : {}),
+        fields: [],
+        subsections: [
+            {
+                id: `${id}-sub`,
+                name: `${name} details`,
+                fields: Array.from({ length: fieldCount }, (_, index) => ({
+                    id: `${id}-field-${index}`,
+                    name: `Field ${index}`,
+                    value: 'Some value that takes a few tokens',
+                    prompt: 'Describe this aspect of the story in a few words.'
+                }))
+            }
+        ]
+    };
+}
+
+const tracker = {
+    sections: [
+        buildSection('core', 'Core', 'high', 2),
+        buildSection('world', 'World', null, 4),
+        buildSection('trivia', 'Trivia', 'low', 6)
+    ]
+};
+
+test('countTokens falls back to a character heuristic without a tokenizer', () => {
+    assert.equal(countTokens(''), 0);
+    assert.equal(countTokens('abcdefgh'), 2);
+    assert.equal(countTokens('abcdefghi'), 3);
+});
+
+test('countTokens uses SillyTavern\'s tokenizer when available', t => {
+    const previous = globalThis.SillyTavern;
+    t.after(() => {
+        globalThis.SillyTavern = previous;
+    });
+    globalThis.SillyTavern = { getContext: () => ({ getTokenCount: text => text.split(' ').length }) };
+
+    assert.equal(countTokens('one two three'), 3);
+});
+
+test('estimateTrackerTokens breaks the cost down per section and field', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+    setExtensionSettings({ ...defaultSettings, trackerData: tracker });
+
+    const together = estimateTrackerTokens(tracker, 'together');
+    assert.ok(together.payload > 0);
+    assert.ok(together.instructions > 0);
+    assert.equal(together.total, together.instructions + together.payload);
+    assert.equal(together.sections.length, 3);
+    assert.ok(together.sections[2].payload > together.sections[0].payload, 'Larger sections cost more');
+    assert.equal(together.sections[1].fields.length, 4);
+    assert.equal(together.sections[1].fields[0].path, 'World details > Field 0');
+    assert.equal(together.sections[0].priority, 'high');
+    assert.equal(together.sections[1].priority, 'normal');
+
+    const separate = estimateTrackerTokens(tracker, 'separate');
+    assert.equal(separate.total, separate.context);
+    assert.ok(separate.sections[1].fields[0].context > 0);
+
+    const ownFields = {
+        sections: [{ id: 'status', name: 'Status', fields: [{ id: 'hp', name: 'HP', value: 12, prompt: '' }], subsections: [] }]
+    };
+    const direct = estimateTrackerTokens(ownFields, 'separate');
+    assert.ok(direct.sections[0].fields[0].context > 0, 'Fields held by the section count towards the context');
+});
+
+test('fitTrackerToBudget warns or trims sections by priority', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+    setExtensionSettings({ ...defaultSettings, trackerData: tracker });
+
+    const full = estimateTrackerTokens(tracker, 'separate').total;
+    const withoutTrivia = estimateTrackerTokens({
+        sections: tracker.sections.filter(section => section.id !== 'trivia')
+    }, 'separate').total;
+
+    const warned = fitTrackerToBudget(tracker, { mode: 'separate', budget: withoutTrivia, action: 'warn' });
+    assert.equal(warned.overBudget, true);
+    assert.equal(warned.trackerData, tracker);
+    assert.deepEqual(warned.trimmed, []);
+
+    const trimmed = fitTrackerToBudget(tracker, { mode: 'separate', budget: withoutTrivia, action: 'trim' });
+    assert.equal(trimmed.overBudget, false);
+    assert.deepEqual(trimmed.trimmed, ['Trivia']);
+    assert.equal(trimmed.trackerData.sections[2].enabled, false);
+    assert.equal(tracker.sections[2].enabled, undefined, 'Original tracker is not modified');
+
+    const impossible = fitTrackerToBudget(tracker, { mode: 'separate', budget: 1, action: 'trim' });
+    assert.deepEqual(impossible.trimmed, ['Trivia', 'World']);
+    assert.equal(impossible.overBudget, true, 'High-priority sections are never trimmed');
+
+    const unlimited = fitTrackerToBudget(tracker, { mode: 'separate', budget: 0 });
+    assert.equal(unlimited.overBudget, false);
+    assert.ok(full > withoutTrivia);
+});
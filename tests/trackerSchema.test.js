@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultSettings } from '../src/core/config.js';
+import { setExtensionSettings } from '../src/core/state.js';
+import { buildTrackerJsonSchema, validateTrackerReply, formatSchemaErrors } from '../src/systems/generation/trackerSchema.js';
+
+const trackerData = {
+    sections: [
+        {
+            id: 'stats',
+            name: 'Stats',
+            fields: [
+                { id: 'hp', name: 'HP', value: 7, prompt: '', type: 'range', min: 0, max: 10 },
+                { id: 'mood', name: 'Mood', value: 'calm', prompt: '', type: 'enum', options: ['calm', 'angry'] },
+                { id: 'secret', name: 'Secret', value: 'x', prompt: '', enabled: false }
+            ],
+            subsections: [
+                {
+                    id: 'bag',
+                    name: 'Bag',
+                    fields: [{ id: 'items', name: 'Items', value: ['rope'], prompt: '', type: 'list' }]
+                }
+            ]
+        }
+    ]
+};
+
+test('buildTrackerJsonSchema describes every enabled field with its type', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+    setExtensionSettings({ ...defaultSettings, trackerData });
+
+    const schema = buildTrackerJsonSchema(trackerData, { delta: false });
+    const section = schema.properties.sections.items.anyOf[0];
+
+    assert.deepEqual(section.properties.name.enum, ['Stats']);
+    assert.deepEqual(Object.keys(section.properties.fields.properties), ['HP', 'Mood']);
+    assert.deepEqual(section.properties.fields.properties.HP.properties.value, { type: 'number', minimum: 0, maximum: 10 });
+    assert.deepEqual(section.properties.fields.properties.Mood.properties.value, { type: 'string', enum: ['calm', 'angry'] });
+    assert.deepEqual(
+        section.properties.subsections.items.anyOf[0].properties.fields.properties.Items.properties.value,
+        { type: 'array', items: { type: 'string' } }
+    );
+});
+
+test('buildTrackerJsonSchema describes a patch of field ids in delta mode', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+    setExtensionSettings({ ...defaultSettings, trackerData });
+
+    const schema = buildTrackerJsonSchema(trackerData, { delta: true });
+    assert.deepEqual(Object.keys(schema.properties.changes.properties), ['hp', 'mood', 'items']);
+    assert.equal(schema.properties.changes.additionalProperties, false);
+});
+
+test('buildTrackerJsonSchema defaults to the tracker template', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+    setExtensionSettings({ ...defaultSettings, trackerData });
+
+    assert.deepEqual(buildTrackerJsonSchema(null, { delta: false }), buildTrackerJsonSchema(trackerData, { delta: false }));
+});
+
+test('validateTrackerReply reports precise paths for schema mismatches', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+    setExtensionSettings({ ...defaultSettings, trackerData });
+
+    const valid = {
+        sections: [{
+            name: 'Stats',
+            fields: { HP: { value: 4 }, Mood: { value: 'calm' } },
+            subsections: [{ name: 'Bag', fields: { Items: { value: ['rope'] } } }]
+        }]
+    };
+    assert.deepEqual(validateTrackerReply(valid), []);
+
+    const errors = validateTrackerReply({
+        sections: [
+            {
+                name: 'Stats',
+                fields: { HP: { value: 'seven' }, Mood: { value: 'sleepy' }, Luck: { value: 1 } },
+                subsections: [{ name: 'Bag', fields: { Items: { value: 'rope' } } }]
+            },
+            { name: 'Inventory', fields: {} }
+        ]
+    });
+    assert.deepEqual(errors, [
+        { path: 'sections[0].fields.HP.value', message: 'expected a number but got a string "seven"' },
+        { path: 'sections[0].fields.Mood.value', message: '"sleepy" is not one of: calm, angry' },
+        { path: 'sections[0].fields.Luck', message: 'is not part of the tracker' },
+        { path: 'sections[0].subsections[0].fields.Items.value', message: 'expected an array but got a string "rope"' },
+        { path: 'sections[1].name', message: '"Inventory" is not one of: Stats' }
+    ]);
+    assert.equal(
+        formatSchemaErrors(errors, 2),
+        'sections[0].fields.HP.value: expected a number but got a string "seven"; sections[0].fields.Mood.value: "sleepy" is not one of: calm, angry (and 3 more)'
+    );
+
+    assert.deepEqual(validateTrackerReply({ changes: { hp: 12, ghost: 'x' } }), [
+        { path: 'changes.hp', message: '12 is above the maximum of 10' },
+        { path: 'changes.ghost', message: 'is not part of the tracker' }
+    ]);
+});
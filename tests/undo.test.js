@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultSettings } from '../src/core/config.js';
+import {
+    setExtensionSettings,
+    setCommittedTrackerData,
+    setLastGeneratedData
+} from '../src/core/state.js';
+import * as state from '../src/core/state.js';
+import {
+    recordUndoSnapshot,
+    undoTrackerChange,
+    redoTrackerChange,
+    canUndo,
+    canRedo,
+    clearUndoHistory
+} from '../src/core/undo.js';
+
+function buildTracker(location) {
+    return {
+        sections: [
+            {
+                id: 'section-1',
+                name: 'Scene',
+                fields: [{ id: 'location', name: 'Location', value: location, prompt: '', type: 'text', enabled: true }],
+                subsections: [],
+                collapsed: false
+            }
+        ]
+    };
+}
+
+function currentLocation() {
+    return state.extensionSettings.trackerData.sections[0].fields[0].value;
+}
+
+test('undo and redo restore tracker data together with both baselines', () => {
+    setExtensionSettings({ ...defaultSettings, trackerData: buildTracker('Harbor') });
+    setCommittedTrackerData(buildTracker('Harbor'));
+    setLastGeneratedData(buildTracker('Harbor'));
+    clearUndoHistory();
+
+    recordUndoSnapshot('AI update');
+    state.extensionSettings.trackerData = buildTracker('Market');
+    setLastGeneratedData(buildTracker('Market'));
+
+    assert.equal(undoTrackerChange(), 'AI update');
+    assert.equal(currentLocation(), 'Harbor');
+    assert.equal(state.lastGeneratedData.sections[0].fields[0].value, 'Harbor');
+    assert.equal(state.committedTrackerData.sections[0].fields[0].value, 'Harbor');
+    assert.equal(canRedo(), true);
+
+    assert.equal(redoTrackerChange(), 'AI update');
+    assert.equal(currentLocation(), 'Market');
+    assert.equal(state.lastGeneratedData.sections[0].fields[0].value, 'Market');
+    assert.equal(state.committedTrackerData.sections[0].fields[0].value, 'Harbor');
+    assert.equal(canUndo(), true);
+    assert.equal(canRedo(), false);
+});
+
+test('recording a new change clears redo and the history stays bounded', () => {
+    setExtensionSettings({ ...defaultSettings, undoLimit: 3, trackerData: buildTracker('0') });
+    clearUndoHistory();
+
+    for (let step = 1; step <= 5; step += 1) {
+        recordUndoSnapshot(`Step ${step}`);
+        state.extensionSettings.trackerData = buildTracker(String(step));
+    }
+
+    const undone = [];
+    while (canUndo()) {
+        undone.push(undoTrackerChange());
+    }
+
+    assert.deepEqual(undone, ['Step 5', 'Step 4', 'Step 3']);
+    assert.equal(currentLocation(), '2');
+
+    recordUndoSnapshot('Fresh edit');
+    assert.equal(canRedo(), false);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultSettings } from '../src/core/config.js';
+import { setExtensionSettings, setCommittedTrackerData, setScheduledSectionIds } from '../src/core/state.js';
+import {
+    normalizeUpdateSchedule,
+    isSectionDue,
+    getDueSectionIds,
+    applyUpdateSchedule
+} from '../src/systems/generation/updateSchedule.js';
+import { generateSeparateUpdatePrompt } from '../src/systems/generation/promptBuilder.js';
+import { parseResponse } from '../src/systems/generation/parser.js';
+
+function buildTracker() {
+    const field = (name, value) => ({ id: `${name}-id`, name, value, prompt: '', type: 'text' });
+    return {
+        sections: [
+            { id: 'cast', name: 'Cast', fields: [field('Hero', 'Aria')], subsections: [] },
+            { id: 'world', name: 'World', fields: [field('Weather', 'Clear')], subsections: [], updateSchedule: { mode: 'interval', interval: 3 } },
+            { id: 'goals', name: 'Goals', fields: [field('Quest', 'Find the map')], subsections: [], updateSchedule: { mode: 'manual' } },
+            { id: 'scene', name: 'Scene', fields: [field('Place', 'Inn')], subsections: [], updateSchedule: { mode: 'keywords', keywords: ['travel', 'Arrive'] } }
+        ]
+    };
+}
+
+function buildChat(turns, lastMessage) {
+    const chat = [];
+    for (let turn = 0; turn < turns; turn += 1) {
+        chat.push({ is_user: true, mes: 'Go on.' }, { is_user: false, mes: 'The story continues.' });
+    }
+    chat.push({ is_user: false, mes: lastMessage });
+    return chat;
+}
+
+test('normalizeUpdateSchedule keeps only complete schedules', () => {
+    assert.equal(normalizeUpdateSchedule({ mode: 'every' }), undefined);
+    assert.equal(normalizeUpdateSchedule({ mode: 'interval', interval: '1' }), undefined);
+    assert.deepEqual(normalizeUpdateSchedule({ mode: 'interval', interval: '4' }), { mode: 'interval', interval: 4 });
+    assert.deepEqual(normalizeUpdateSchedule({ mode: 'keywords', keywords: ' rain, storm ,,rain' }), { mode: 'keywords', keywords: ['rain', 'storm'] });
+    assert.equal(normalizeUpdateSchedule({ mode: 'keywords', keywords: '' }), undefined);
+    assert.deepEqual(normalizeUpdateSchedule({ mode: 'manual' }), { mode: 'manual' });
+});
+
+test('getDueSectionIds follows each section schedule', t => {
+    t.after(() => setExtensionSettings({ ...defaultSettings }));
+    const trackerData = buildTracker();
+    setExtensionSettings({ ...defaultSettings, trackerData });
+
+    assert.deepEqual(getDueSectionIds({ chat: buildChat(2, 'Quiet night.') }), ['cast']);
+    assert.deepEqual(getDueSectionIds({ chat: buildChat(3, 'They ARRIVE at dawn.') }), ['cast', 'world', 'scene']);
+    assert.equal(getDueSectionIds({ chat: buildChat(2, 'Quiet night.'), manual: true }), null);
+    assert.equal(isSectionDue(trackerData.sections[2], { chat: buildChat(6, 'travel') }), false);
+});
+
+test('sections that are not due are sent read-only and keep their values', t => {
+    t.after(() => {
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+        setScheduledSectionIds(null);
+    });
+    const trackerData = buildTracker();
+    setExtensionSettings({ ...defaultSettings, generationMode: 'separate', trackerData });
+    setCommittedTrackerData(buildTracker());
+    setScheduledSectionIds(['cast']);
+
+    const marked = applyUpdateSchedule(trackerData, ['cast']);
+    assert.deepEqual(marked.sections.map(section => Boolean(section.locked)), [false, true, true, true]);
+    assert.equal(trackerData.sections[1].locked, undefined);
+    assert.equal(applyUpdateSchedule(trackerData, null), trackerData);
+
+    const previous = globalThis.SillyTavern;
+    globalThis.SillyTavern = { getContext: () => ({ chat: [] }) };
+    t.after(() => {
+        globalThis.SillyTavern = previous;
+    });
+    const prompt = generateSeparateUpdatePrompt()[1].content;
+    const payload = JSON.parse(prompt.match(/```json\n([\s\S]*?)\n```/)[1]);
+    assert.deepEqual(payload.sections.map(section => Boolean(section.readOnly)), [false, true, true, true]);
+
+    const parsed = parseResponse('```json\n{"sections": [{"name": "Cast", "fields": {"Hero": "Bryn"}}, {"name": "World", "fields": {"Weather": "Storm"}}]}\n```');
+    assert.equal(parsed.trackerData.sections[0].fields[0].value, 'Bryn');
+    assert.equal(parsed.trackerData.sections[1].fields[0].value, 'Clear');
+    assert.equal(parsed.trackerData.sections[1].locked, undefined);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    normalizeConstraints,
+    validateFieldValue,
+    checkProposedValue,
+    createValidationReport
+} from '../src/core/validation.js';
+
+test('normalizeConstraints drops empty rules and parses numbers', () => {
+    assert.equal(normalizeConstraints({ min: '', max: '', allowedValues: [], pattern: ' ' }), undefined);
+    assert.deepEqual(
+        normalizeConstraints({ min: '1', max: '9', maxLength: '12', allowedValues: [' a ', ''], pattern: '^x', required: true }),
+        { min: 1, max: 9, maxLength: 12, allowedValues: ['a'], pattern: '^x', required: true }
+    );
+});
+
+test('validateFieldValue clamps or rejects depending on the policy', () => {
+    const field = { name: 'Gold', type: 'number', value: 5, constraints: { min: 0, max: 10 } };
+
+    const clamped = validateFieldValue(field, 42, { policy: 'clamp' });
+    assert.equal(clamped.rejected, false);
+    assert.equal(clamped.value, 10);
+    assert.equal(clamped.violations[0].action, 'clamped');
+
+    const rejected = validateFieldValue(field, 42, { policy: 'reject' });
+    assert.equal(rejected.rejected, true);
+    assert.equal(rejected.violations[0].action, 'rejected');
+});
+
+test('validateFieldValue enforces required, pattern and maxLength rules', () => {
+    const field = { name: 'Code', type: 'text', constraints: { required: true, pattern: '^[A-Z]+$', maxLength: 4 } };
+
+    assert.equal(validateFieldValue(field, '').rejected, true);
+    assert.equal(validateFieldValue(field, 'abc').rejected, true);
+
+    const truncated = validateFieldValue(field, 'ABCDEF');
+    assert.equal(truncated.rejected, false);
+    assert.equal(truncated.value, 'ABCD');
+});
+
+test('checkProposedValue records type failures and keeps the current value', () => {
+    const field = { id: 'hp', name: 'HP', type: 'number', value: 7 };
+    const report = createValidationReport('separate');
+
+    const result = checkProposedValue(field, 'lots', { report, path: 'Status > HP' });
+
+    assert.deepEqual(result, { accepted: false, value: 7 });
+    assert.equal(report.violations.length, 1);
+    assert.equal(report.violations[0].rule, 'type');
+    assert.equal(report.violations[0].received, 'lots');
+    assert.equal(report.violations[0].applied, '7');
+});
+
+test('checkProposedValue applies min and max to numbers in text fields', () => {
+    const field = { id: 'hp', name: 'HP', value: '10', constraints: { min: 0, max: 20 } };
+
+    const clampReport = createValidationReport('separate');
+    assert.deepEqual(checkProposedValue(field, '-5', { report: clampReport }), { accepted: true, value: '0' });
+    assert.equal(clampReport.violations.length, 1);
+    assert.equal(clampReport.violations[0].rule, 'min');
+
+    const rejectReport = createValidationReport('separate');
+    assert.deepEqual(checkProposedValue(field, '25', { report: rejectReport, policy: 'reject' }), { accepted: false, value: '10' });
+    assert.equal(rejectReport.violations[0].rule, 'max');
+
+    const textReport = createValidationReport('separate');
+    assert.deepEqual(checkProposedValue(field, 'about half', { report: textReport }), { accepted: false, value: '10' });
+    assert.equal(textReport.violations[0].rule, 'type');
+
+    assert.deepEqual(checkProposedValue(field, ' 12 ', {}), { accepted: true, value: ' 12 ' });
+});
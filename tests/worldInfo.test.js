@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultSettings } from '../src/core/config.js';
+import { setExtensionSettings, setCommittedTrackerData, setLastGeneratedData } from '../src/core/state.js';
+import { onMessageSent, onGenerationStart } from '../src/systems/integration/sillytavern.js';
+import {
+    deriveWorldInfoKeywords,
+    buildWorldInfoEntries,
+    syncWorldInfo,
+    scheduleWorldInfoSync
+} from '../src/systems/integration/worldInfo.js';
+
+function buildTracker() {
+    return {
+        sections: [
+            {
+                id: 'cast',
+                name: 'Characters',
+                fields: [],
+                subsections: [
+                    {
+                        id: 'alice',
+                        name: 'Alice Smith',
+                        fields: [
+                            { id: 'mood', name: 'Mood', value: 'Calm', prompt: '', type: 'text' },
+                            { id: 'secret', name: 'Secret', value: 'Spy', prompt: '', type: 'text', enabled: false }
+                        ]
+                    },
+                    { id: 'bo', name: 'Bo', fields: [{ id: 'hp', name: 'HP', value: 7, prompt: '', type: 'number' }] }
+                ]
+            },
+            {
+                id: 'world',
+                name: 'World',
+                fields: [{ id: 'loc', name: 'Location', value: 'Harbor', prompt: '', type: 'text' }],
+                subsections: [{ id: 'sky', name: 'Sky', fields: [{ id: 'weather', name: 'Weather', value: 'Rain', prompt: '', type: 'text' }] }]
+            }
+        ]
+    };
+}
+
+function mockLorebook(t, entries) {
+    const originalSillyTavern = globalThis.SillyTavern;
+    const lorebook = { entries };
+    const saves = [];
+    globalThis.SillyTavern = {
+        getContext: () => ({
+            loadWorldInfo: async name => (name === 'Story' ? JSON.parse(JSON.stringify(lorebook)) : null),
+            saveWorldInfo: async (name, data) => {
+                saves.push(name);
+                lorebook.entries = data.entries;
+            }
+        })
+    };
+    t.after(() => {
+        globalThis.SillyTavern = originalSillyTavern;
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+    });
+    return { lorebook, saves };
+}
+
+test('deriveWorldInfoKeywords uses the name and its first word', () => {
+    assert.deepEqual(deriveWorldInfoKeywords(' Alice Smith '), ['Alice Smith', 'Alice']);
+    assert.deepEqual(deriveWorldInfoKeywords('Bo'), ['Bo']);
+    assert.deepEqual(deriveWorldInfoKeywords('Al Capone'), ['Al Capone']);
+    assert.deepEqual(deriveWorldInfoKeywords(''), []);
+});
+
+test('buildWorldInfoEntries makes one entry per selected subsection', () => {
+    const entries = buildWorldInfoEntries(buildTracker(), ['cast', 'sky']);
+
+    assert.deepEqual(entries.map(entry => entry.id), ['cast/alice', 'cast/bo', 'world/sky']);
+    assert.deepEqual(entries[0], {
+        id: 'cast/alice',
+        key: ['Alice Smith', 'Alice'],
+        comment: 'Story Tracker: Characters / Alice Smith',
+        content: 'Alice Smith (Characters):\n- Mood: Calm'
+    });
+
+    const world = buildWorldInfoEntries(buildTracker(), ['world']);
+    assert.deepEqual(world.map(entry => entry.content), ['World:\n- Location: Harbor', 'Sky (World):\n- Weather: Rain']);
+});
+
+test('syncWorldInfo creates, updates and removes only its own entries', async t => {
+    const { lorebook, saves } = mockLorebook(t, {
+        0: { uid: 0, key: ['Harbor'], comment: 'Notes', content: 'Busy port' },
+        3: { uid: 3, key: ['Sky'], comment: 'old', content: 'old', order: 250, storyTrackerId: 'world/sky' },
+        4: { uid: 4, key: ['Gone'], comment: 'old', content: 'old', storyTrackerId: 'world/gone' }
+    });
+    setExtensionSettings({ ...defaultSettings, worldInfoSync: { enabled: true, lorebook: 'Story', items: ['alice', 'sky'] } });
+    setCommittedTrackerData(buildTracker());
+
+    assert.equal(await syncWorldInfo(), true);
+
+    assert.deepEqual(Object.keys(lorebook.entries).sort(), ['0', '3', '5']);
+    assert.deepEqual(lorebook.entries[0], { uid: 0, key: ['Harbor'], comment: 'Notes', content: 'Busy port' });
+    assert.equal(lorebook.entries[3].content, 'Sky (World):\n- Weather: Rain');
+    assert.equal(lorebook.entries[3].order, 250);
+    assert.equal(lorebook.entries[5].uid, 5);
+    assert.equal(lorebook.entries[5].storyTrackerId, 'cast/alice');
+    assert.deepEqual(lorebook.entries[5].key, ['Alice Smith', 'Alice']);
+
+    assert.equal(await syncWorldInfo(), false);
+    assert.deepEqual(saves, ['Story']);
+});
+
+test('syncWorldInfo does nothing when disabled and reports a missing lorebook', async t => {
+    const { saves } = mockLorebook(t, {});
+    setExtensionSettings({ ...defaultSettings, trackerData: buildTracker() });
+    assert.equal(await syncWorldInfo(), false);
+
+    setExtensionSettings({ ...defaultSettings, trackerData: buildTracker(), worldInfoSync: { enabled: true, lorebook: 'Other', items: ['cast'] } });
+    await assert.rejects(syncWorldInfo(), /Lorebook "Other" was not found/);
+    assert.deepEqual(saves, []);
+});
+
+test('onMessageSent syncs the tracker from the last reply before the next generation in together mode', async t => {
+    const previous = globalThis.SillyTavern;
+    const before = buildTracker();
+    const after = buildTracker();
+    after.sections[0].subsections[1].fields[0].value = 3;
+
+    const lorebook = { entries: {} };
+    const chat = [
+        { is_user: false, is_system: false, swipe_id: 0, mes: 'Bo is hurt.', extra: { story_tracker_swipes: { 0: { trackerData: after } } } },
+        { is_user: true, is_system: false, mes: 'Run!' }
+    ];
+    globalThis.SillyTavern = {
+        getContext: () => ({
+            chat,
+            extension_prompt_types: { IN_PROMPT: 0, IN_CHAT: 1, BEFORE_PROMPT: 2 },
+            setExtensionPrompt: () => {},
+            loadWorldInfo: async () => JSON.parse(JSON.stringify(lorebook)),
+            saveWorldInfo: async (_name, data) => {
+                lorebook.entries = data.entries;
+            }
+        })
+    };
+    t.after(() => {
+        globalThis.SillyTavern = previous;
+        setExtensionSettings({ ...defaultSettings });
+        setCommittedTrackerData(null);
+        setLastGeneratedData(null);
+    });
+    setExtensionSettings({
+        ...defaultSettings,
+        enabled: true,
+        generationMode: 'together',
+        trackerData: after,
+        worldInfoSync: { enabled: true, lorebook: 'Story', items: ['bo'] }
+    });
+    // Together mode leaves the pre-reply tracker committed until the next message is sent
+    setCommittedTrackerData(before);
+
+    await onMessageSent();
+
+    assert.equal(lorebook.entries[0].content, 'Bo (Characters):\n- HP: 3');
+});
+
+test('onGenerationStart syncs a scheduled lorebook update before regenerations', async t => {
+    const { lorebook } = mockLorebook(t, {});
+    setExtensionSettings({
+        ...defaultSettings,
+        enabled: true,
+        trackerData: buildTracker(),
+        worldInfoSync: { enabled: true, lorebook: 'Story', items: ['bo'] }
+    });
+    // A chat save just before the regeneration leaves the sync waiting on its debounce
+    scheduleWorldInfoSync();
+
+    await onGenerationStart('regenerate', {}, true);
+    assert.deepEqual(lorebook.entries, {});
+
+    await onGenerationStart('regenerate', {}, false);
+    assert.equal(lorebook.entries[0].content, 'Bo (Characters):\n- HP: 7');
+});